@@ -0,0 +1,52 @@
+"""Local email + password accounts for families.
+
+Passwords are hashed with PBKDF2-SHA256 through passlib. Signed-in clients
+send a JWT access token as a bearer token; its subject is the family id.
+Tokens are signed with JWT_SECRET and last JWT_TTL_DAYS days (30 by default).
+Share links use random tokens instead, so revoking one needs no JWT blocklist.
+"""
+import os
+import secrets
+from datetime import datetime, timedelta
+from typing import Optional
+
+import jwt
+from passlib.context import CryptContext
+
+JWT_ALGORITHM = "HS256"
+
+# Used when JWT_SECRET is not set; sessions then only last until the server restarts.
+FALLBACK_SECRET = secrets.token_urlsafe(32)
+
+def jwt_secret() -> str:
+    return os.environ.get("JWT_SECRET") or FALLBACK_SECRET
+
+password_context = CryptContext(schemes=["pbkdf2_sha256"], deprecated="auto")
+
+def hash_password(password: str) -> str:
+    return password_context.hash(password)
+
+def verify_password(password: str, password_hash: str) -> bool:
+    try:
+        return password_context.verify(password, password_hash)
+    except ValueError:
+        return False
+
+def normalize_email(email: str) -> str:
+    return email.strip().lower()
+
+def create_access_token(family_id: str) -> str:
+    now = datetime.utcnow()
+    ttl = timedelta(days=float(os.environ.get("JWT_TTL_DAYS", "30")))
+    return jwt.encode({"sub": family_id, "iat": now, "exp": now + ttl}, jwt_secret(), algorithm=JWT_ALGORITHM)
+
+def decode_access_token(token: str) -> Optional[str]:
+    """The family id a token was issued to, or None if it is invalid or expired"""
+    try:
+        return jwt.decode(token, jwt_secret(), algorithms=[JWT_ALGORITHM]).get("sub")
+    except jwt.PyJWTError:
+        return None
+
+def create_share_token() -> str:
+    """An unguessable token for a share link's URL"""
+    return secrets.token_urlsafe(16)
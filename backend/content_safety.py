@@ -0,0 +1,225 @@
+"""Content-safety checks for generated stories.
+
+Every sentence of a story is scanned for words in three categories, each
+with a severity from 1 (mild, e.g. "spooky") to 2 (strong, e.g. "zombie"):
+
+- violence
+- scary: how frightening a story gets
+- sensitive: topics such as death, illness or alcohol
+
+Each age band allows each category up to a severity; a family's strictness
+moves every limit down (strict) or up (relaxed) by one. Words a family blocks
+itself are never allowed. Sentences that break the rules become findings; a
+sentence whose every offending word has a gentler substitute is rewritten
+with them, unless the family turned rewriting off. Each story language has
+its own word list.
+"""
+import re
+from dataclasses import dataclass, field
+from typing import Dict, List, Optional, Tuple
+
+SAFETY_CATEGORIES = ("violence", "scary", "sensitive")
+STRICTNESS_LEVELS = ("relaxed", "standard", "strict")
+BLOCKED_CATEGORY = "blocked"  # Words the family blocked itself
+
+# word: (category, severity, gentler substitute or None)
+SAFETY_TERMS: Dict[str, Tuple[str, int, Optional[str]]] = {
+    "fight": ("violence", 1, "argue"),
+    "fighting": ("violence", 1, "arguing"),
+    "fought": ("violence", 1, "argued"),
+    "battle": ("violence", 1, "contest"),
+    "sword": ("violence", 1, "stick"),
+    "swords": ("violence", 1, "sticks"),
+    "punch": ("violence", 1, "push"),
+    "punched": ("violence", 1, "pushed"),
+    "attack": ("violence", 2, "chase"),
+    "attacked": ("violence", 2, "chased"),
+    "kill": ("violence", 2, "stop"),
+    "killed": ("violence", 2, "stopped"),
+    "blood": ("violence", 2, None),
+    "bloody": ("violence", 2, None),
+    "gun": ("violence", 2, None),
+    "guns": ("violence", 2, None),
+    "knife": ("violence", 2, None),
+    "weapon": ("violence", 2, "tool"),
+    "weapons": ("violence", 2, "tools"),
+    "war": ("violence", 2, "quarrel"),
+    "stab": ("violence", 2, None),
+    "spooky": ("scary", 1, "mysterious"),
+    "creepy": ("scary", 1, "strange"),
+    "scary": ("scary", 1, "surprising"),
+    "ghost": ("scary", 1, "shadow"),
+    "ghosts": ("scary", 1, "shadows"),
+    "monster": ("scary", 1, "creature"),
+    "monsters": ("scary", 1, "creatures"),
+    "witch": ("scary", 1, "wizard"),
+    "skeleton": ("scary", 1, None),
+    "spider": ("scary", 1, "beetle"),
+    "spiders": ("scary", 1, "beetles"),
+    "nightmare": ("scary", 2, "bad dream"),
+    "nightmares": ("scary", 2, "bad dreams"),
+    "haunted": ("scary", 2, "mysterious"),
+    "zombie": ("scary", 2, None),
+    "zombies": ("scary", 2, None),
+    "terrifying": ("scary", 2, "surprising"),
+    "horror": ("scary", 2, "surprise"),
+    "scream": ("scary", 2, "shout"),
+    "screamed": ("scary", 2, "shouted"),
+    "sick": ("sensitive", 1, "tired"),
+    "hospital": ("sensitive", 1, None),
+    "dead": ("sensitive", 2, "gone"),
+    "death": ("sensitive", 2, None),
+    "die": ("sensitive", 2, "leave"),
+    "died": ("sensitive", 2, "left"),
+    "funeral": ("sensitive", 2, None),
+    "divorce": ("sensitive", 2, None),
+    "alcohol": ("sensitive", 2, None),
+    "beer": ("sensitive", 2, "juice"),
+    "wine": ("sensitive", 2, "juice"),
+    "drunk": ("sensitive", 2, None),
+    "drugs": ("sensitive", 2, None),
+    "cigarette": ("sensitive", 2, None),
+    "cigarettes": ("sensitive", 2, None),
+}
+
+SPANISH_SAFETY_TERMS: Dict[str, Tuple[str, int, Optional[str]]] = {
+    "pelea": ("violence", 1, "discusión"),
+    "pelear": ("violence", 1, "discutir"),
+    "pelearon": ("violence", 1, "discutieron"),
+    "batalla": ("violence", 1, "competición"),
+    "espada": ("violence", 1, "vara"),
+    "espadas": ("violence", 1, "varas"),
+    "puñetazo": ("violence", 1, "empujón"),
+    "atacar": ("violence", 2, "perseguir"),
+    "atacó": ("violence", 2, "persiguió"),
+    "matar": ("violence", 2, "detener"),
+    "mató": ("violence", 2, "detuvo"),
+    "sangre": ("violence", 2, None),
+    "pistola": ("violence", 2, None),
+    "cuchillo": ("violence", 2, None),
+    "arma": ("violence", 2, "herramienta"),
+    "armas": ("violence", 2, "herramientas"),
+    "guerra": ("violence", 2, "disputa"),
+    "espeluznante": ("scary", 1, "misterioso"),
+    "fantasma": ("scary", 1, "sombra"),
+    "fantasmas": ("scary", 1, "sombras"),
+    "monstruo": ("scary", 1, "criatura"),
+    "monstruos": ("scary", 1, "criaturas"),
+    "bruja": ("scary", 1, "maga"),
+    "esqueleto": ("scary", 1, None),
+    "araña": ("scary", 1, "mariquita"),
+    "arañas": ("scary", 1, "mariquitas"),
+    "pesadilla": ("scary", 2, "mal sueño"),
+    "pesadillas": ("scary", 2, "malos sueños"),
+    "embrujado": ("scary", 2, "misterioso"),
+    "embrujada": ("scary", 2, "misteriosa"),
+    "zombi": ("scary", 2, None),
+    "zombis": ("scary", 2, None),
+    "terrorífico": ("scary", 2, "sorprendente"),
+    "terror": ("scary", 2, "sorpresa"),
+    "enfermo": ("sensitive", 1, "cansado"),
+    "enferma": ("sensitive", 1, "cansada"),
+    "hospital": ("sensitive", 1, None),
+    "muerto": ("sensitive", 2, "desaparecido"),
+    "muerte": ("sensitive", 2, None),
+    "morir": ("sensitive", 2, "marcharse"),
+    "murió": ("sensitive", 2, "se marchó"),
+    "funeral": ("sensitive", 2, None),
+    "divorcio": ("sensitive", 2, None),
+    "alcohol": ("sensitive", 2, None),
+    "cerveza": ("sensitive", 2, "zumo"),
+    "borracho": ("sensitive", 2, None),
+    "drogas": ("sensitive", 2, None),
+    "cigarro": ("sensitive", 2, None),
+    "cigarrillo": ("sensitive", 2, None),
+}
+
+SAFETY_TERMS_BY_LANGUAGE = {"en": SAFETY_TERMS, "es": SPANISH_SAFETY_TERMS}
+
+# Highest severity of each category a story for the age band may contain.
+AGE_BAND_LIMITS = {
+    "3-4": {"violence": 0, "scary": 0, "sensitive": 0},
+    "5-7": {"violence": 0, "scary": 1, "sensitive": 0},
+    "8-10": {"violence": 1, "scary": 1, "sensitive": 1},
+    "11-12": {"violence": 1, "scary": 2, "sensitive": 1},
+}
+
+STRICTNESS_SHIFT = {"relaxed": 1, "standard": 0, "strict": -1}
+
+SENTENCE_END = re.compile(r"(?<=[.!?])\s+")
+
+def severity_limit(age_band: str, category: str, strictness: str) -> int:
+    return max(0, min(2, AGE_BAND_LIMITS[age_band][category] + STRICTNESS_SHIFT.get(strictness, 0)))
+
+def term_pattern(term: str) -> re.Pattern:
+    return re.compile(rf"\b{re.escape(term)}\b", re.IGNORECASE)
+
+def match_case(replacement: str, original: str) -> str:
+    return replacement[:1].upper() + replacement[1:] if original[:1].isupper() else replacement
+
+@dataclass
+class SafetyFinding:
+    page: int  # Index of the story paragraph, counting from 0
+    passage: str  # The sentence as it was written
+    terms: List[str]
+    categories: List[str]
+    rewrite: Optional[str] = None  # The sentence with gentler words, when every term has one
+    rewritten: bool = False  # Whether the story now reads the rewrite
+
+@dataclass
+class SafetyCheck:
+    content: str  # The story, with rewrites applied
+    findings: List[SafetyFinding] = field(default_factory=list)
+
+class SafetyRules:
+    """What a family allows in a story for one age band"""
+
+    def __init__(
+        self,
+        age_band: str,
+        strictness: str = "standard",
+        blocked_words: Optional[List[str]] = None,
+        language: str = "en",
+    ):
+        terms = SAFETY_TERMS_BY_LANGUAGE.get(language, SAFETY_TERMS)
+        self.terms = [
+            (term_pattern(term), term, category, substitute)
+            for term, (category, severity, substitute) in terms.items()
+            if severity > severity_limit(age_band, category, strictness)
+        ]
+        self.terms += [
+            (term_pattern(word.strip()), word.strip().lower(), BLOCKED_CATEGORY, None)
+            for word in blocked_words or [] if word.strip()
+        ]
+
+    def check_sentence(self, sentence: str) -> Tuple[List[tuple], Optional[str]]:
+        """The rules a sentence breaks, and the sentence rewritten to keep them if it can be"""
+        broken = [rule for rule in self.terms if rule[0].search(sentence)]
+        if not broken or any(substitute is None for _, _, _, substitute in broken):
+            return broken, None
+        rewrite = sentence
+        for pattern, _, _, substitute in broken:
+            rewrite = pattern.sub(lambda match: match_case(substitute, match.group(0)), rewrite)
+        return broken, rewrite
+
+def check_story(content: str, rules: SafetyRules, auto_rewrite: bool = True) -> SafetyCheck:
+    """Scan a story sentence by sentence, rewriting what can be when auto_rewrite is on"""
+    paragraphs = content.split("\n\n")
+    findings = []
+    for page, paragraph in enumerate(paragraphs):
+        for sentence in SENTENCE_END.split(paragraph):
+            broken, rewrite = rules.check_sentence(sentence)
+            if not broken:
+                continue
+            rewritten = auto_rewrite and rewrite is not None
+            findings.append(SafetyFinding(
+                page=page,
+                passage=sentence,
+                terms=sorted({term for _, term, _, _ in broken}),
+                categories=sorted({category for _, _, category, _ in broken}),
+                rewrite=rewrite,
+                rewritten=rewritten,
+            ))
+            if rewritten:
+                paragraphs[page] = paragraphs[page].replace(sentence, rewrite, 1)
+    return SafetyCheck(content="\n\n".join(paragraphs), findings=findings)
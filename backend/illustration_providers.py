@@ -0,0 +1,298 @@
+"""Story illustration providers.
+
+Every story paragraph (one book page) gets a picture drawn from a prompt built
+from the page text, the theme and the characters' appearance. The provider is
+picked with the IMAGE_PROVIDER environment variable:
+
+- "placeholder" (default): a deterministic SVG scene drawn locally, works
+  offline and in tests.
+- "remote": an OpenAI-compatible image generation endpoint configured with
+  IMAGE_API_URL, IMAGE_API_KEY, IMAGE_MODEL and IMAGE_TIMEOUT (seconds).
+
+If the configured provider fails, the page gets a placeholder instead.
+"""
+import asyncio
+import base64
+import logging
+import os
+import random
+import re
+from dataclasses import dataclass
+from typing import Dict, List, Optional, Tuple
+from xml.sax.saxutils import escape
+
+import requests
+
+from story_engine import StoryBrief, StoryCharacter, custom_theme_setting
+
+logger = logging.getLogger(__name__)
+
+CHAPTER_HEADING = re.compile(r"^(chapter|part)\s+[\w-]+\b[:.\-–]?\s*(.*)$", re.IGNORECASE)
+
+def story_paragraphs(content: str) -> List[str]:
+    """Paragraphs of a story, split the same way the reader splits pages"""
+    return [" ".join(line.strip() for line in block.split("\n")).strip() for block in re.split(r"\n\s*\n", content or "") if block.strip()]
+
+def illustrated_pages(content: str) -> List[Tuple[int, str]]:
+    """(paragraph index, text) for every paragraph that gets a picture; chapter headings don't"""
+    return [
+        (index, paragraph)
+        for index, paragraph in enumerate(story_paragraphs(content))
+        if not (CHAPTER_HEADING.match(paragraph) and len(paragraph.split()) <= 10)
+    ]
+
+@dataclass
+class IllustrationBrief:
+    """Everything an image provider needs to draw one page"""
+    page: int
+    text: str
+    prompt: str
+    theme: str
+    characters: List[StoryCharacter]
+    seed: int
+    palette: Optional[str] = None
+
+CHARACTER_KINDS = {"she": "girl", "he": "boy", "they": "child"}
+
+def describe_character(character: StoryCharacter) -> str:
+    article = "an" if character.age in (8, 11, 18) or 80 <= character.age < 90 else "a"
+    description = f"{character.name}, {article} {character.age}-year-old {CHARACTER_KINDS.get(character.pronouns, 'child')}"
+    if character.appearance:
+        description += f" with {character.appearance}"
+    return description
+
+def illustration_brief(brief: StoryBrief, page: int, text: str, seed: int) -> IllustrationBrief:
+    setting = custom_theme_setting(brief.custom_setting) if brief.custom_setting else f"in a {brief.theme} world"
+    prompt = (
+        "A warm, colorful children's picture-book illustration with soft shapes and no text. "
+        f"Setting: {setting}. "
+        f"Characters: {'; '.join(describe_character(c) for c in brief.characters)}. "
+        f"Scene: {text}"
+    )
+    return IllustrationBrief(
+        page=page,
+        text=text,
+        prompt=prompt,
+        theme=brief.theme,
+        characters=brief.characters,
+        seed=seed,
+        palette=brief.custom_palette,
+    )
+
+class ImageProvider:
+    """Draws one page and returns the picture as a data URL"""
+    name = "base"
+
+    async def generate(self, brief: IllustrationBrief) -> str:
+        raise NotImplementedError
+
+# Colors and decorations of the placeholder scene for each theme. Custom
+# themes take their sky from the palette the user picked.
+SCENES: Dict[str, dict] = {
+    "forest": {"sky": ("#bae6fd", "#dcfce7"), "ground": "#15803d", "decor": "trees"},
+    "space": {"sky": ("#0f172a", "#4c1d95"), "ground": "#64748b", "decor": "planets", "night": True},
+    "ocean": {"sky": ("#22d3ee", "#0e7490"), "ground": "#fcd34d", "decor": "bubbles"},
+    "castle": {"sky": ("#fbcfe8", "#c4b5fd"), "ground": "#65a30d", "decor": "towers"},
+    "dinosaur": {"sky": ("#fed7aa", "#fde68a"), "ground": "#4d7c0f", "decor": "volcano"},
+    "fairy": {"sky": ("#f5d0fe", "#fae8ff"), "ground": "#4ade80", "decor": "flowers"},
+}
+
+PALETTE_SKIES = {
+    "purple": ("#c4b5fd", "#f5f3ff"),
+    "pink": ("#f9a8d4", "#fdf2f8"),
+    "teal": ("#5eead4", "#f0fdfa"),
+    "indigo": ("#a5b4fc", "#eef2ff"),
+    "amber": ("#fcd34d", "#fffbeb"),
+    "rose": ("#fda4af", "#fff1f2"),
+    "lime": ("#bef264", "#f7fee7"),
+    "sky": ("#7dd3fc", "#f0f9ff"),
+}
+
+NIGHT_SKY = ("#0f172a", "#312e81")
+NIGHT_WORDS = {"night", "stars", "star", "moon", "evening", "dark", "dreamed", "dreams", "sleep", "bedtime"}
+
+HAIR_COLORS = {
+    "blonde": "#facc15", "blond": "#facc15", "golden": "#facc15",
+    "red": "#c2410c", "ginger": "#c2410c", "auburn": "#9a3412",
+    "black": "#1c1917", "dark": "#292524",
+    "brown": "#78350f", "white": "#f5f5f4", "grey": "#a8a29e", "gray": "#a8a29e",
+    "blue": "#3b82f6", "pink": "#ec4899", "purple": "#a855f7",
+}
+DEFAULT_HAIR = "#57361f"
+SKIN = "#e8b98f"
+SHIRT_COLORS = ["#ef4444", "#3b82f6", "#f59e0b", "#10b981", "#8b5cf6", "#ec4899"]
+
+WIDTH, HEIGHT, HORIZON = 1200, 600, 430
+
+def hair_color(appearance: Optional[str]) -> str:
+    words = re.findall(r"[a-z]+", (appearance or "").lower())
+    # The color word right before "hair" wins; otherwise the first color mentioned.
+    for index, word in enumerate(words):
+        if word == "hair" and index > 0 and words[index - 1] in HAIR_COLORS:
+            return HAIR_COLORS[words[index - 1]]
+    for word in words:
+        if word in HAIR_COLORS:
+            return HAIR_COLORS[word]
+    return DEFAULT_HAIR
+
+def hills(rng: random.Random, base: int, height: int, color: str, opacity: float = 1) -> str:
+    points = [f"M0 {base - rng.randint(0, height)}"]
+    for x in range(150, WIDTH + 1, 300):
+        points.append(f"Q{x} {base - rng.randint(0, height) - height} {x + 150} {base - rng.randint(0, height)}")
+    return f'<path d="{" ".join(points)} L{WIDTH} {HEIGHT} L0 {HEIGHT}Z" fill="{color}" opacity="{opacity}"/>'
+
+def decorations(kind: str, rng: random.Random) -> List[str]:
+    shapes = []
+    if kind == "trees":
+        for _ in range(rng.randint(4, 7)):
+            x, size = rng.randint(0, WIDTH), rng.randint(60, 120)
+            shapes.append(f'<rect x="{x - 8}" y="{HORIZON - 30}" width="16" height="40" fill="#78350f"/>')
+            shapes.append(f'<path d="M{x} {HORIZON - 30 - size} L{x + size // 2} {HORIZON - 20} L{x - size // 2} {HORIZON - 20}Z" fill="#166534"/>')
+    elif kind == "planets":
+        for _ in range(rng.randint(2, 3)):
+            x, y, r = rng.randint(80, WIDTH - 80), rng.randint(60, 260), rng.randint(25, 60)
+            color = rng.choice(["#f472b6", "#fb923c", "#38bdf8", "#a3e635"])
+            shapes.append(f'<circle cx="{x}" cy="{y}" r="{r}" fill="{color}"/>')
+            shapes.append(f'<ellipse cx="{x}" cy="{y}" rx="{r * 1.7:.0f}" ry="{r * 0.35:.0f}" fill="none" stroke="#fef3c7" stroke-width="5" opacity="0.8"/>')
+    elif kind == "bubbles":
+        for _ in range(rng.randint(12, 20)):
+            shapes.append(
+                f'<circle cx="{rng.randint(0, WIDTH)}" cy="{rng.randint(20, HORIZON)}" r="{rng.randint(6, 22)}" '
+                'fill="none" stroke="#ecfeff" stroke-width="3" opacity="0.7"/>'
+            )
+        for _ in range(rng.randint(2, 4)):
+            x, y = rng.randint(60, WIDTH - 60), rng.randint(150, 350)
+            color = rng.choice(["#fb923c", "#facc15", "#f472b6"])
+            shapes.append(f'<ellipse cx="{x}" cy="{y}" rx="34" ry="20" fill="{color}"/>')
+            shapes.append(f'<path d="M{x + 30} {y} L{x + 58} {y - 18} L{x + 58} {y + 18}Z" fill="{color}"/>')
+    elif kind == "towers":
+        x = rng.randint(600, 800)
+        for offset, height in ((0, 220), (120, 300), (240, 220)):
+            left = x + offset
+            shapes.append(f'<rect x="{left}" y="{HORIZON - height}" width="90" height="{height}" fill="#e5e7eb"/>')
+            shapes.append(f'<path d="M{left - 10} {HORIZON - height} L{left + 45} {HORIZON - height - 80} L{left + 100} {HORIZON - height}Z" fill="#7c3aed"/>')
+        shapes.append(f'<rect x="{x + 30}" y="{HORIZON - 140}" width="270" height="140" fill="#d1d5db"/>')
+        shapes.append(f'<path d="M{x + 135} {HORIZON} v-70 a30 30 0 0 1 60 0 v70Z" fill="#78350f"/>')
+    elif kind == "volcano":
+        x = rng.randint(700, 1000)
+        shapes.append(f'<path d="M{x - 260} {HORIZON} L{x - 40} {HORIZON - 260} L{x + 40} {HORIZON - 260} L{x + 260} {HORIZON}Z" fill="#57534e"/>')
+        shapes.append(f'<path d="M{x - 40} {HORIZON - 260} L{x + 40} {HORIZON - 260} L{x + 20} {HORIZON - 220} L{x - 25} {HORIZON - 230}Z" fill="#f97316"/>')
+        for _ in range(3):
+            shapes.append(f'<circle cx="{x + rng.randint(-40, 40)}" cy="{HORIZON - 300 - rng.randint(0, 60)}" r="{rng.randint(20, 35)}" fill="#d6d3d1" opacity="0.8"/>')
+    elif kind == "flowers":
+        for _ in range(rng.randint(10, 16)):
+            x, y = rng.randint(0, WIDTH), rng.randint(HORIZON + 20, HEIGHT - 10)
+            color = rng.choice(["#f472b6", "#facc15", "#c084fc", "#fb7185"])
+            shapes.append(f'<circle cx="{x}" cy="{y}" r="10" fill="{color}"/><circle cx="{x}" cy="{y}" r="4" fill="#fef9c3"/>')
+    else:
+        for _ in range(rng.randint(8, 14)):
+            x, y, r = rng.randint(0, WIDTH), rng.randint(20, HORIZON - 40), rng.randint(8, 18)
+            shapes.append(
+                f'<path d="M{x} {y - r} Q{x} {y} {x + r} {y} Q{x} {y} {x} {y + r} Q{x} {y} {x - r} {y} Q{x} {y} {x} {y - r}Z" '
+                'fill="#fef9c3" opacity="0.9"/>'
+            )
+    return shapes
+
+def character_figure(character: StoryCharacter, x: int, shirt: str) -> str:
+    height = 110 + min(character.age, 12) * 8
+    top = HORIZON + 120 - height
+    head = height * 0.2
+    hair = hair_color(character.appearance)
+    return "".join([
+        f'<rect x="{x - head * 0.8:.0f}" y="{top + head * 1.7:.0f}" width="{head * 1.6:.0f}" height="{height - head * 1.7:.0f}" rx="{head * 0.6:.0f}" fill="{shirt}"/>',
+        f'<circle cx="{x}" cy="{top + head:.0f}" r="{head:.0f}" fill="{SKIN}"/>',
+        f'<path d="M{x - head:.0f} {top + head:.0f} a{head:.0f} {head:.0f} 0 0 1 {head * 2:.0f} 0 q-{head:.0f} -{head * 0.3:.0f} -{head * 2:.0f} 0Z" fill="{hair}"/>',
+        f'<circle cx="{x - head * 0.35:.0f}" cy="{top + head * 1.05:.0f}" r="{head * 0.1:.1f}" fill="#1f2937"/>',
+        f'<circle cx="{x + head * 0.35:.0f}" cy="{top + head * 1.05:.0f}" r="{head * 0.1:.1f}" fill="#1f2937"/>',
+        f'<path d="M{x - head * 0.35:.0f} {top + head * 1.4:.0f} q{head * 0.35:.0f} {head * 0.3:.0f} {head * 0.7:.0f} 0" stroke="#1f2937" stroke-width="3" fill="none" stroke-linecap="round"/>',
+    ])
+
+def placeholder_svg(brief: IllustrationBrief) -> str:
+    """A simple scene for the page: the theme's sky and landscape with the characters standing in it"""
+    rng = random.Random(brief.seed)
+    scene = SCENES.get(brief.theme, {"sky": PALETTE_SKIES.get(brief.palette, PALETTE_SKIES["purple"]), "ground": "#84cc16", "decor": "sparkles"})
+    words = set(re.findall(r"[a-z]+", brief.text.lower()))
+    night = scene.get("night", False) or bool(words & NIGHT_WORDS)
+    top, bottom = NIGHT_SKY if night and brief.theme != "space" else scene["sky"]
+
+    shapes = [
+        f'<defs><linearGradient id="sky" x1="0" y1="0" x2="0" y2="1"><stop offset="0" stop-color="{top}"/><stop offset="1" stop-color="{bottom}"/></linearGradient></defs>',
+        f'<rect width="{WIDTH}" height="{HEIGHT}" fill="url(#sky)"/>',
+    ]
+    sun_x, sun_y = rng.randint(120, WIDTH - 120), rng.randint(70, 150)
+    if night:
+        shapes += [
+            f'<circle cx="{rng.randint(0, WIDTH)}" cy="{rng.randint(0, HORIZON - 60)}" r="{rng.choice([1.5, 2, 3])}" fill="#fefce8"/>'
+            for _ in range(40)
+        ]
+        shapes.append(f'<circle cx="{sun_x}" cy="{sun_y}" r="45" fill="#fef9c3"/>')
+        shapes.append(f'<circle cx="{sun_x + 20}" cy="{sun_y - 12}" r="40" fill="{top}"/>')
+    else:
+        shapes.append(f'<circle cx="{sun_x}" cy="{sun_y}" r="70" fill="#fde047" opacity="0.35"/>')
+        shapes.append(f'<circle cx="{sun_x}" cy="{sun_y}" r="48" fill="#fde047"/>')
+    shapes.append(hills(rng, HORIZON + 10, 60, scene["ground"], 0.55))
+    shapes += decorations(scene["decor"], rng)
+    shapes.append(hills(rng, HORIZON + 70, 30, scene["ground"]))
+
+    spacing = 150
+    start = rng.randint(180, WIDTH - 180 - spacing * (len(brief.characters) - 1))
+    shirts = rng.sample(SHIRT_COLORS, len(SHIRT_COLORS))
+    for index, character in enumerate(brief.characters):
+        shapes.append(character_figure(character, start + index * spacing, shirts[index % len(shirts)]))
+
+    return (
+        f'<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 {WIDTH} {HEIGHT}" width="{WIDTH}" height="{HEIGHT}">'
+        f"<title>{escape(brief.prompt)}</title>{''.join(shapes)}</svg>"
+    )
+
+class PlaceholderImageProvider(ImageProvider):
+    name = "placeholder"
+
+    async def generate(self, brief: IllustrationBrief) -> str:
+        svg = placeholder_svg(brief)
+        return "data:image/svg+xml;base64," + base64.b64encode(svg.encode("utf-8")).decode("ascii")
+
+class RemoteImageProvider(ImageProvider):
+    name = "remote"
+
+    def __init__(self):
+        self.url = os.environ.get("IMAGE_API_URL", "http://localhost:8080/v1/images/generations")
+        self.api_key = os.environ.get("IMAGE_API_KEY")
+        self.model = os.environ.get("IMAGE_MODEL")
+        self.timeout = float(os.environ.get("IMAGE_TIMEOUT", "120"))
+
+    def request_image(self, prompt: str) -> str:
+        payload = {"prompt": prompt, "n": 1, "size": "1024x512", "response_format": "b64_json"}
+        if self.model:
+            payload["model"] = self.model
+        headers = {"Authorization": f"Bearer {self.api_key}"} if self.api_key else {}
+        response = requests.post(self.url, json=payload, headers=headers, timeout=self.timeout)
+        response.raise_for_status()
+        return response.json()["data"][0]["b64_json"]
+
+    async def generate(self, brief: IllustrationBrief) -> str:
+        image = await asyncio.to_thread(self.request_image, brief.prompt)
+        return f"data:image/png;base64,{image}"
+
+IMAGE_PROVIDERS: Dict[str, type] = {
+    provider.name: provider for provider in (PlaceholderImageProvider, RemoteImageProvider)
+}
+
+def get_image_provider() -> ImageProvider:
+    name = os.environ.get("IMAGE_PROVIDER", PlaceholderImageProvider.name)
+    if name not in IMAGE_PROVIDERS:
+        logger.warning("Unknown IMAGE_PROVIDER %s, using placeholder illustrations", name)
+        name = PlaceholderImageProvider.name
+    return IMAGE_PROVIDERS[name]()
+
+async def draw_illustration(brief: IllustrationBrief) -> Tuple[str, str]:
+    """Draw a page with the configured provider, returning the image and the provider that drew it"""
+    provider = get_image_provider()
+    try:
+        return await provider.generate(brief), provider.name
+    except Exception:
+        if provider.name == PlaceholderImageProvider.name:
+            raise
+        logger.exception("Image provider %s failed for page %s, using a placeholder", provider.name, brief.page)
+        fallback = PlaceholderImageProvider()
+        return await fallback.generate(brief), fallback.name
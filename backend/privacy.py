@@ -0,0 +1,97 @@
+"""Family data export.
+
+Builds a ZIP of everything stored for a family: the family profile, stories,
+custom themes, series, generation jobs and share links as JSON, with every photo and illustration written
+out as an image file and referenced from the JSON by its path in the ZIP.
+"""
+import base64
+import binascii
+import io
+import json
+import re
+import zipfile
+from datetime import datetime
+from typing import List, Optional
+
+DATA_URL = re.compile(r"^data:(image/[\w.+-]+);base64,(.+)$", re.DOTALL)
+IMAGE_EXTENSIONS = {"image/jpeg": "jpg", "image/png": "png", "image/webp": "webp", "image/gif": "gif", "image/svg+xml": "svg"}
+
+def json_default(value):
+    if isinstance(value, datetime):
+        return value.isoformat()
+    raise TypeError(f"Cannot export {type(value).__name__}")
+
+class FamilyExport:
+    def __init__(self):
+        self.buffer = io.BytesIO()
+        self.archive = zipfile.ZipFile(self.buffer, "w", zipfile.ZIP_DEFLATED)
+
+    def image(self, data_url: Optional[str], path: str) -> Optional[str]:
+        """Write a data URL out as an image file, returning its path in the ZIP"""
+        match = DATA_URL.match(data_url or "")
+        if not match:
+            return data_url
+        try:
+            data = base64.b64decode(match.group(2), validate=False)
+        except (binascii.Error, ValueError):
+            return None
+        path = f"{path}.{IMAGE_EXTENSIONS.get(match.group(1), 'bin')}"
+        self.archive.writestr(path, data)
+        return path
+
+    def json(self, path: str, data):
+        self.archive.writestr(path, json.dumps(data, indent=2, ensure_ascii=False, default=json_default))
+
+    def close(self) -> bytes:
+        self.archive.close()
+        return self.buffer.getvalue()
+
+def export_character_photos(export: FamilyExport, character: dict, folder: str) -> dict:
+    # photo is the primary one of photos, so it shares the first file.
+    originals = character.get("photos") or [photo for photo in [character.get("photo")] if photo]
+    photos = [export.image(photo, f"{folder}/photo-{index + 1}") for index, photo in enumerate(originals)]
+    photos = [photo for photo in photos if photo]
+    return {**character, "photos": photos, "photo": photos[0] if photos else None}
+
+def build_family_export(
+    family: dict, stories: List[dict], custom_themes: List[dict], series: List[dict], generation_jobs: List[dict],
+    share_links: List[dict],
+) -> bytes:
+    export = FamilyExport()
+
+    export.json("family.json", {
+        **family,
+        "children": [
+            export_character_photos(export, child, f"children/{child['id']}") for child in family.get("children", [])
+        ],
+    })
+
+    for story in stories:
+        folder = f"stories/{story['id']}"
+        story = {
+            **story,
+            "kid_photo": export.image(story.get("kid_photo"), f"{folder}/kid-photo"),
+            "characters": [
+                export_character_photos(export, character, f"{folder}/characters/{index + 1}")
+                for index, character in enumerate(story.get("characters", []))
+            ],
+            "illustrations": [
+                {**illustration, "image": export.image(illustration["image"], f"{folder}/pictures/page-{illustration['page'] + 1}")}
+                for illustration in story.get("illustrations", [])
+            ],
+        }
+        if story.get("original"):
+            story["original"] = {
+                **story["original"],
+                "illustrations": [
+                    {**illustration, "image": export.image(illustration["image"], f"{folder}/original-pictures/page-{illustration['page'] + 1}")}
+                    for illustration in story["original"].get("illustrations", [])
+                ],
+            }
+        export.json(f"{folder}/story.json", story)
+
+    export.json("custom_themes.json", custom_themes)
+    export.json("series.json", series)
+    export.json("generation_jobs.json", generation_jobs)
+    export.json("share_links.json", share_links)
+    return export.close()
@@ -1,14 +1,30 @@
-from fastapi import FastAPI, APIRouter
+from fastapi import FastAPI, APIRouter, HTTPException, BackgroundTasks, Depends, Response
+from fastapi.security import HTTPAuthorizationCredentials, HTTPBearer
 from dotenv import load_dotenv
 from starlette.middleware.cors import CORSMiddleware
 from motor.motor_asyncio import AsyncIOMotorClient
+from pymongo.errors import DuplicateKeyError
 import os
 import logging
 from pathlib import Path
-from pydantic import BaseModel, Field
-from typing import List
+from pydantic import BaseModel, EmailStr, Field
+from typing import List, Optional, Tuple
 import uuid
-from datetime import datetime
+import random
+import zlib
+from datetime import datetime, timedelta
+
+from story_engine import (
+    AGE_BANDS, PRONOUNS, STORY_LANGUAGES, RecurringElement, StoryBrief, StoryCharacter, age_band_for_age, join_names,
+    story_elements, youngest_age_band,
+)
+from story_providers import write_story
+from auth import (
+    create_access_token, create_share_token, decode_access_token, hash_password, normalize_email, verify_password,
+)
+from illustration_providers import draw_illustration, illustrated_pages, illustration_brief, story_paragraphs
+from privacy import build_family_export
+from content_safety import STRICTNESS_LEVELS, SafetyRules, check_story
 
 
 ROOT_DIR = Path(__file__).parent
@@ -36,26 +52,355 @@ class StatusCheckCreate(BaseModel):
     client_name: str
 
 # Story Models
-class Story(BaseModel):
+MAX_CHARACTER_PHOTOS = 3
+
+class Character(BaseModel):
+    name: str
+    age: int
+    photo: Optional[str] = None  # Base64 encoded photo data, the primary reference photo
+    photos: List[str] = Field(default=[], max_length=MAX_CHARACTER_PHOTOS)  # All reference photos, primary first
+    pronouns: str = "they"  # she, he or they
+    appearance: Optional[str] = Field(default=None, max_length=200)  # e.g. "curly brown hair, freckles", for illustrations
+    age_band: Optional[str] = None  # Reading level picked in the wizard: 3-4, 5-7, 8-10 or 11-12
+    profile_id: Optional[str] = None  # Child profile the character was added from, if any
+
+class CustomThemeCreate(BaseModel):
+    name: str = Field(min_length=1, max_length=60)
+    description: str = Field(min_length=1, max_length=500)  # The setting, e.g. "a candy kingdom with chocolate rivers"
+    palette: str = "purple"
+    icon: str = "✨"
+    places: List[str] = Field(default=[], max_length=5)  # Recurring places named by the user
+
+class CustomTheme(CustomThemeCreate):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    family_id: Optional[str] = None
+    created_at: datetime = Field(default_factory=datetime.utcnow)
+
+# Accounts: one per family, holding the children it saves for the wizard
+class ChildProfile(BaseModel):
+    """A child saved on the family profile, used to pre-fill the story wizard"""
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    name: str = Field(min_length=1, max_length=60)
+    age_band: str  # 3-4, 5-7, 8-10 or 11-12
+    pronouns: str = "they"
+    appearance: Optional[str] = Field(default=None, max_length=200)
+    photos: List[str] = Field(default=[], max_length=MAX_CHARACTER_PHOTOS)  # Cropped reference photos, primary first
+
+class SafetySettings(BaseModel):
+    """How a family's stories are checked before a child reads them"""
+    strictness: str = "standard"  # relaxed, standard or strict
+    blocked_words: List[str] = Field(default=[], max_length=50)  # Never allowed, whatever the age
+    auto_rewrite: bool = True  # Swap offending words for gentler ones where there are some
+    review_all: bool = False  # Hold every story for review, not only the flagged ones
+
+class Family(BaseModel):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    email: str
+    name: str
+    children: List[ChildProfile] = []
+    keep_photos: bool = True  # When off, photos are used to make a story but never saved
+    safety: SafetySettings = Field(default_factory=SafetySettings)
+    created_at: datetime = Field(default_factory=datetime.utcnow)
+
+class FamilyAccount(Family):
+    """A family as stored, with its password hash; never sent to clients"""
+    password_hash: str
+
+class SignupRequest(BaseModel):
+    email: EmailStr
+    password: str = Field(min_length=8, max_length=128)
+    name: str = Field(min_length=1, max_length=80)  # Family name, e.g. "The Garcias"
+
+class LoginRequest(BaseModel):
+    email: str
+    password: str
+
+class AuthResponse(BaseModel):
+    token: str
+    family: Family
+
+class FamilyUpdate(BaseModel):
+    name: Optional[str] = Field(default=None, min_length=1, max_length=80)
+    keep_photos: Optional[bool] = None
+    safety: Optional[SafetySettings] = None
+
+# Series: stories about the same children that share a character bible of
+# characters, places and items, which come back in each new episode.
+SERIES_ENTRY_KINDS = ("character", "place", "item")
+
+class SeriesEntry(BaseModel):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    kind: str = "character"  # character, place or item
+    name: str = Field(min_length=1, max_length=60)
+    description: Optional[str] = Field(default=None, max_length=200)
+    recurring: bool = True  # Whether it comes back in the next episodes
+    first_episode: Optional[int] = None  # Episode that introduced it; None when a parent added it
+
+class SeriesCreate(BaseModel):
+    title: str = Field(min_length=1, max_length=80)
+    story_id: Optional[str] = None  # Finished story to make the first episode
+
+class SeriesUpdate(BaseModel):
+    title: Optional[str] = Field(default=None, min_length=1, max_length=80)
+    bible: Optional[List[SeriesEntry]] = None
+
+class Series(BaseModel):
     id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    family_id: Optional[str] = None
+    title: str
+    bible: List[SeriesEntry] = []
+    created_at: datetime = Field(default_factory=datetime.utcnow)
+    updated_at: datetime = Field(default_factory=datetime.utcnow)
+
+# Privacy center: what is stored for a family, item by item
+class StoredChild(BaseModel):
+    id: str
+    name: str
+    photo_count: int
+
+class StoredStory(BaseModel):
+    id: str
+    title: Optional[str] = None
     kid_name: str
-    kid_age: int
-    kid_photo: str = None  # Base64 encoded photo data
+    story_type: str
+    status: str
+    created_at: datetime
+    photo_count: int
+    illustration_count: int  # Pictures, counting those kept from before edits
+
+class PrivacySummary(BaseModel):
+    email: str
+    keep_photos: bool
+    children: List[StoredChild]
+    stories: List[StoredStory]
+    custom_theme_count: int
+    series_count: int
+    photo_count: int
+    illustration_count: int
+
+class Illustration(BaseModel):
+    page: int  # Index of the story paragraph it illustrates, counting from 0
+    prompt: str
+    image: str  # Data URL
+    provider: str  # Image provider that drew it: placeholder or remote
+    seed: int
+    created_at: datetime = Field(default_factory=datetime.utcnow)
+
+class ContentFinding(BaseModel):
+    """A sentence that broke the family's content-safety rules"""
+    page: int  # Index of the story paragraph, counting from 0
+    passage: str  # The sentence as it was written
+    terms: List[str]
+    categories: List[str]  # violence, scary, sensitive or blocked
+    rewrite: Optional[str] = None  # The sentence with gentler words, when there are some for every term
+    rewritten: bool = False  # Whether the story reads the rewrite
+    translation: bool = False  # Whether the sentence is in the story's translation rather than the story
+
+class ContentReview(BaseModel):
+    """The content-safety check of a generated story, and a parent's review of it"""
+    strictness: str
+    findings: List[ContentFinding] = []
+    checked_at: datetime = Field(default_factory=datetime.utcnow)
+    reviewed_at: Optional[datetime] = None
+
+class ReviewApproval(BaseModel):
+    story_content: Optional[str] = None  # The story with the parent's choice for each finding; as stored if None
+    translation_content: Optional[str] = None  # Likewise for a bilingual story's translation
+
+class StoryOriginal(BaseModel):
+    """The story as generated, kept from the first edit on so it can be restored"""
+    title: Optional[str] = None
+    story_content: Optional[str] = None
+    translation_language: Optional[str] = None
+    translation_content: Optional[str] = None
+    illustrations: List[Illustration] = []
+
+class Story(BaseModel):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    family_id: Optional[str] = None  # Family that owns the story
+    kid_name: str  # Display name of all the characters, e.g. "Mia and Leo"
+    kid_age: int  # Age of the youngest character
+    kid_photo: Optional[str] = None  # Base64 encoded photo data (stories from before characters)
+    characters: List[Character] = []
     theme: str
+    custom_theme: Optional[CustomTheme] = None  # Snapshot of the definition when theme is "custom"
     story_type: str
     length: str
     special_ingredients: List[str] = []
+    age_band: Optional[str] = None  # Band whose reading rules the story was written for (the youngest character's)
     created_at: datetime = Field(default_factory=datetime.utcnow)
-    story_content: str = None  # Generated story content
+    story_content: Optional[str] = None  # Generated story content
+    language: str = "en"  # Language the story is written in, one of STORY_LANGUAGES
+    # Bilingual stories: the same story in a second language, page for page,
+    # shown side by side with story_content.
+    translation_language: Optional[str] = None
+    translation_content: Optional[str] = None
+    provider: Optional[str] = None  # Story provider that wrote the content: template, local_llm or mock
+    illustrations: List[Illustration] = []  # One per illustrated paragraph, in page order
+    status: str = "ready"  # generating, needs_review (waiting for a parent), ready or failed
+    safety: Optional[ContentReview] = None  # Set once the generated story has been checked
+    client_request_id: Optional[str] = None  # Lets clients retry creation without duplicates
+    title: Optional[str] = None  # Title set by a parent; clients build one from the names and story type otherwise
+    revision: int = 0  # Bumped on every edit
+    edited_at: Optional[datetime] = None
+    original: Optional[StoryOriginal] = None  # Set once the story has been edited
+    # Remixes: every version of a story shares version_of, the id of the first
+    # one, and counts up from it.
+    remix_of: Optional[str] = None  # Story this one was remixed from
+    version_of: Optional[str] = None  # Set once a story has been remixed
+    version: int = 1
+    series_id: Optional[str] = None
+    episode: Optional[int] = None  # Position in the series, counting from 1
 
-class StoryCreate(BaseModel):
+# Share links: read-only links to a story, opened at /s/{token} without signing in
+class ShareLinkCreate(BaseModel):
+    expires_in_days: Optional[int] = Field(default=None, ge=1, le=365)  # None for a link that never expires
+    password: Optional[str] = Field(default=None, max_length=128)
+
+class ShareLink(BaseModel):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    token: str = Field(default_factory=create_share_token)
+    story_id: str
+    family_id: str
+    expires_at: Optional[datetime] = None
+    has_password: bool = False
+    revoked: bool = False
+    view_count: int = 0
+    last_viewed_at: Optional[datetime] = None
+    created_at: datetime = Field(default_factory=datetime.utcnow)
+
+class StoredShareLink(ShareLink):
+    """A share link as stored, with its password hash; never sent to clients"""
+    password_hash: Optional[str] = None
+
+class SharedStoryRequest(BaseModel):
+    password: Optional[str] = None
+
+class SharedStory(BaseModel):
+    """What a share link shows: the story itself, without its family's details"""
+    title: Optional[str] = None
     kid_name: str
     kid_age: int
-    kid_photo: str = None
+    characters: List[Character] = []  # With only their primary photo
     theme: str
+    custom_theme: Optional[CustomThemeCreate] = None  # The definition alone, without its id or family
+    story_type: str
+    length: str
+    story_content: Optional[str] = None
+    language: str = "en"
+    translation_language: Optional[str] = None
+    translation_content: Optional[str] = None
+    illustrations: List[Illustration] = []
+    created_at: datetime
+
+class StoryUpdate(BaseModel):
+    title: Optional[str] = Field(default=None, max_length=120)
+    story_content: Optional[str] = None
+    # A bilingual story's translation, edited page for page with story_content.
+    # Content saved without it drops the translation, which no longer lines up.
+    translation_content: Optional[str] = None
+    illustrations: Optional[List[Illustration]] = None  # With pages renumbered to match the new content
+    revision: Optional[int] = None  # Revision the edit is based on; edits to an older revision are rejected
+
+class StoryCreate(BaseModel):
+    characters: List[Character] = []
+    # Single-child fields, still accepted from older clients
+    kid_name: Optional[str] = None
+    kid_age: Optional[int] = None
+    kid_photo: Optional[str] = None
+    theme: str
+    custom_theme: Optional[CustomTheme] = None
     story_type: str
     length: str
     special_ingredients: List[str] = []
+    language: str = "en"
+    translation_language: Optional[str] = None  # Second language for a bilingual story
+    client_request_id: Optional[str] = None
+    remix_of: Optional[str] = None  # Id of the story this is a new version of
+    series_id: Optional[str] = None  # Series to add the story to as its next episode
+
+def prepare_story_fields(story_data: StoryCreate) -> dict:
+    """Fill in whichever of characters / kid_* fields the client left out"""
+    fields = story_data.dict()
+    characters = [c for c in story_data.characters if c.name.strip()]
+
+    if characters:
+        for character in characters:
+            character.name = character.name.strip()
+            if character.pronouns not in PRONOUNS:
+                character.pronouns = "they"
+            # Keep photo and photos in step whichever one the client sent
+            if character.photo and character.photo not in character.photos:
+                character.photos = [character.photo] + character.photos[:MAX_CHARACTER_PHOTOS - 1]
+            character.photo = character.photos[0] if character.photos else None
+            if character.age_band not in AGE_BANDS:
+                character.age_band = age_band_for_age(character.age)
+        fields["characters"] = [c.dict() for c in characters]
+        fields["kid_name"] = join_names([c.name for c in characters])
+        fields["kid_age"] = min(c.age for c in characters)
+        fields["kid_photo"] = None  # Photos live on the characters
+        fields["age_band"] = youngest_age_band([c.age_band for c in characters])
+    elif story_data.kid_name and story_data.kid_age is not None:
+        age_band = age_band_for_age(story_data.kid_age)
+        fields["characters"] = [
+            Character(
+                name=story_data.kid_name, age=story_data.kid_age, photo=story_data.kid_photo, age_band=age_band
+            ).dict()
+        ]
+        fields["age_band"] = age_band
+    else:
+        raise HTTPException(status_code=422, detail="At least one character is required")
+
+    if story_data.theme == "custom" and not story_data.custom_theme:
+        raise HTTPException(status_code=422, detail="A custom theme definition is required for the custom theme")
+    if story_data.theme != "custom":
+        fields["custom_theme"] = None
+
+    if story_data.language not in STORY_LANGUAGES:
+        raise HTTPException(status_code=422, detail=f"Stories can't be written in {story_data.language}")
+    fields["translation_language"] = story_data.translation_language or None
+    if fields["translation_language"] and (
+        fields["translation_language"] not in STORY_LANGUAGES or fields["translation_language"] == story_data.language
+    ):
+        raise HTTPException(status_code=422, detail="A bilingual story needs a second, different language")
+
+    return fields
+
+def without_photos(fields: dict) -> dict:
+    """A story's fields with every photo of the children taken out"""
+    characters = [{**character, "photo": None, "photos": []} for character in fields.get("characters", [])]
+    return {**fields, "kid_photo": None, "characters": characters}
+
+def story_characters(story: Story) -> List[Character]:
+    """The story's characters, synthesized for stories saved before multi-child support"""
+    if story.characters:
+        return story.characters
+    return [Character(name=story.kid_name, age=story.kid_age, photo=story.kid_photo)]
+
+# Generation job models
+# Stages a generation job moves through, with the overall progress (percent)
+# reported once the stage starts.
+GENERATION_STAGES = {
+    "queued": 0,
+    "preparing": 10,
+    "writing": 35,
+    "checking": 45,
+    "illustrating": 50,
+    "saving": 90,
+    "complete": 100,
+}
+
+class GenerationJob(BaseModel):
+    id: str = Field(default_factory=lambda: str(uuid.uuid4()))
+    story_id: str
+    family_id: Optional[str] = None
+    status: str = "queued"  # queued, running, completed or failed
+    stage: str = "queued"
+    progress: int = 0
+    error: Optional[str] = None
+    attempts: int = 0
+    created_at: datetime = Field(default_factory=datetime.utcnow)
+    updated_at: datetime = Field(default_factory=datetime.utcnow)
 
 # Add your routes to the router instead of directly to app
 @api_router.get("/")
@@ -79,68 +424,783 @@ async def get_status_checks():
 async def health_check():
     return {"status": "ok", "message": "Storybook API is running"}
 
+# Account endpoints
+bearer_scheme = HTTPBearer(auto_error=False)
+
+async def current_family(credentials: Optional[HTTPAuthorizationCredentials] = Depends(bearer_scheme)) -> Family:
+    """The signed-in family; every story, theme and series endpoint is scoped to it"""
+    family_id = decode_access_token(credentials.credentials) if credentials else None
+    family = await db.families.find_one({"id": family_id}) if family_id else None
+    if not family:
+        raise HTTPException(status_code=401, detail="Sign in to continue", headers={"WWW-Authenticate": "Bearer"})
+    return Family(**family)
+
+@api_router.post("/auth/signup", response_model=AuthResponse)
+async def sign_up(signup: SignupRequest):
+    account = FamilyAccount(
+        email=normalize_email(signup.email),
+        name=signup.name.strip() or "My Family",
+        password_hash=hash_password(signup.password),
+    )
+    try:
+        await db.families.insert_one(account.dict())
+    except DuplicateKeyError:
+        raise HTTPException(status_code=409, detail="An account with this email already exists")
+    if await db.families.count_documents({}) == 1:
+        await claim_unowned_data(account.id)
+    return AuthResponse(token=create_access_token(account.id), family=Family(**account.dict()))
+
+# Stories, themes, series and jobs saved before there were accounts have no
+# family. They belonged to the one household using the app then, so they go to
+# the first family on this server.
+OWNED_COLLECTIONS = ("stories", "custom_themes", "series", "generation_jobs")
+
+async def claim_unowned_data(family_id: str):
+    for name in OWNED_COLLECTIONS:
+        result = await db[name].update_many({"family_id": None}, {"$set": {"family_id": family_id}})
+        if result.modified_count:
+            logger.info("Gave %d %s from before accounts to family %s", result.modified_count, name, family_id)
+
+@api_router.post("/auth/login", response_model=AuthResponse)
+async def log_in(login: LoginRequest):
+    account = await db.families.find_one({"email": normalize_email(login.email)})
+    if not account or not verify_password(login.password, account["password_hash"]):
+        raise HTTPException(status_code=401, detail="Wrong email or password")
+    return AuthResponse(token=create_access_token(account["id"]), family=Family(**account))
+
+@api_router.get("/auth/me", response_model=Family)
+async def get_current_family(family: Family = Depends(current_family)):
+    return family
+
+@api_router.patch("/family", response_model=Family)
+async def update_family(update: FamilyUpdate, family: Family = Depends(current_family)):
+    fields = {}
+    if update.name is not None:
+        fields["name"] = update.name.strip() or family.name
+    if update.keep_photos is not None:
+        fields["keep_photos"] = update.keep_photos
+    if update.safety is not None:
+        if update.safety.strictness not in STRICTNESS_LEVELS:
+            raise HTTPException(status_code=422, detail=f"Unknown strictness: {update.safety.strictness}")
+        words = {word.strip().lower() for word in update.safety.blocked_words if word.strip()}
+        fields["safety"] = {**update.safety.dict(), "blocked_words": sorted(words)}
+    if fields:
+        await db.families.update_one({"id": family.id}, {"$set": fields})
+    return Family(**{**family.dict(), **fields})
+
+@api_router.post("/family/children", response_model=ChildProfile)
+async def add_child_profile(child: ChildProfile, family: Family = Depends(current_family)):
+    child = normalize_child_profile(child, family)
+    await db.families.update_one({"id": family.id}, {"$push": {"children": child.dict()}})
+    return child
+
+@api_router.put("/family/children/{child_id}", response_model=ChildProfile)
+async def update_child_profile(child_id: str, child: ChildProfile, family: Family = Depends(current_family)):
+    if not any(existing.id == child_id for existing in family.children):
+        raise HTTPException(status_code=404, detail="Child not found")
+    child = normalize_child_profile(child, family)
+    child.id = child_id
+    await db.families.update_one(
+        {"id": family.id, "children.id": child_id}, {"$set": {"children.$": child.dict()}}
+    )
+    return child
+
+@api_router.delete("/family/children/{child_id}")
+async def delete_child_profile(child_id: str, delete_stories: bool = False, family: Family = Depends(current_family)):
+    """Remove a saved child with their photos, which are also taken out of every
+    story they star in; with delete_stories, those stories are deleted instead"""
+    result = await db.families.update_one({"id": family.id}, {"$pull": {"children": {"id": child_id}}})
+    if result.modified_count == 0:
+        raise HTTPException(status_code=404, detail="Child not found")
+
+    their_stories = {"family_id": family.id, "characters.profile_id": child_id}
+    if delete_stories:
+        story_ids = await db.stories.distinct("id", their_stories)
+        await delete_stories_by_id(story_ids)
+        return {"message": "Child removed", "stories_deleted": len(story_ids)}
+
+    await db.stories.update_many(
+        their_stories,
+        {"$set": {"characters.$[child].photo": None, "characters.$[child].photos": []}},
+        array_filters=[{"child.profile_id": child_id}],
+    )
+    return {"message": "Child removed", "stories_deleted": 0}
+
+def normalize_child_profile(child: ChildProfile, family: Family) -> ChildProfile:
+    child.name = child.name.strip()
+    if not child.name:
+        raise HTTPException(status_code=422, detail="A child needs a name")
+    if child.age_band not in AGE_BANDS:
+        raise HTTPException(status_code=422, detail=f"Unknown age band: {child.age_band}")
+    if child.pronouns not in PRONOUNS:
+        child.pronouns = "they"
+    child.appearance = (child.appearance or "").strip() or None
+    if not family.keep_photos:
+        child.photos = []
+    return child
+
 # Story endpoints
 @api_router.post("/stories", response_model=dict)
-async def create_story(story_data: StoryCreate):
-    story_dict = story_data.dict()
-    story_obj = Story(**story_dict)
-    
-    # Generate simple story content based on inputs
-    story_content = generate_story_content(story_obj)
-    story_obj.story_content = story_content
-    
-    # Insert into database
-    result = await db.stories.insert_one(story_obj.dict())
-    
-    return {"id": story_obj.id, "message": "Story created successfully", "story_content": story_content}
+async def create_story(
+    story_data: StoryCreate, background_tasks: BackgroundTasks, family: Family = Depends(current_family)
+):
+    # A retried request (page refresh, double submit) resumes the original
+    # story and its job instead of creating a duplicate.
+    if story_data.client_request_id:
+        existing = await db.stories.find_one({"client_request_id": story_data.client_request_id})
+        if existing and existing.get("family_id") != family.id:
+            raise HTTPException(status_code=409, detail="This request id has already been used")
+        if existing:
+            job = await db.generation_jobs.find_one({"story_id": existing["id"]}, sort=[("created_at", -1)])
+            return {
+                "id": existing["id"],
+                "job_id": job["id"] if job else None,
+                "status": existing.get("status", "ready"),
+                "message": "Story already requested"
+            }
+
+    fields = prepare_story_fields(story_data)
+    if not family.keep_photos:
+        fields = without_photos(fields)
+    if story_data.remix_of:
+        fields.update(await remix_fields(story_data.remix_of, family))
+    if story_data.series_id:
+        fields.update(await episode_fields(story_data.series_id, family))
+    story_obj = Story(**fields, family_id=family.id, status="generating")
+    job = GenerationJob(story_id=story_obj.id, family_id=family.id)
+
+    # Insert into database. The job goes in first so that whenever a story
+    # can be found by its client_request_id, its job can be too.
+    await db.generation_jobs.insert_one(job.dict())
+    try:
+        await db.stories.insert_one(story_obj.dict())
+    except DuplicateKeyError:
+        # Lost a race with an identical concurrent request; let that one win.
+        await db.generation_jobs.delete_one({"id": job.id})
+        return await create_story(story_data, background_tasks, family)
+
+    background_tasks.add_task(run_generation_job, job.id)
+
+    return {"id": story_obj.id, "job_id": job.id, "status": story_obj.status, "message": "Story generation started"}
+
+async def remix_fields(parent_id: str, family: Family) -> dict:
+    """Link a new story into the version history of the story it remixes"""
+    parent = await db.stories.find_one({"id": parent_id, "family_id": family.id})
+    if not parent:
+        raise HTTPException(status_code=422, detail="The story being remixed no longer exists")
+
+    first_version = parent.get("version_of") or parent["id"]
+    if not parent.get("version_of"):
+        await db.stories.update_one({"id": parent["id"]}, {"$set": {"version_of": first_version}})
+    latest = await db.stories.find_one({"version_of": first_version}, sort=[("version", -1)])
+    return {"remix_of": parent["id"], "version_of": first_version, "version": (latest or parent).get("version", 1) + 1}
+
+async def episode_fields(series_id: str, family: Family) -> dict:
+    """Make a new story the next episode of a series"""
+    if not await db.series.find_one({"id": series_id, "family_id": family.id}):
+        raise HTTPException(status_code=422, detail="The series no longer exists")
+    latest = await db.stories.find_one({"series_id": series_id}, sort=[("episode", -1)])
+    return {"series_id": series_id, "episode": (latest or {}).get("episode", 0) + 1}
+
+@api_router.get("/jobs/{job_id}", response_model=GenerationJob)
+async def get_generation_job(job_id: str, family: Family = Depends(current_family)):
+    job = await db.generation_jobs.find_one({"id": job_id, "family_id": family.id})
+    if not job:
+        raise HTTPException(status_code=404, detail="Job not found")
+    return GenerationJob(**job)
+
+@api_router.post("/jobs/{job_id}/retry", response_model=GenerationJob)
+async def retry_generation_job(
+    job_id: str, background_tasks: BackgroundTasks, family: Family = Depends(current_family)
+):
+    job = await db.generation_jobs.find_one({"id": job_id, "family_id": family.id})
+    if not job:
+        raise HTTPException(status_code=404, detail="Job not found")
+    if job["status"] != "failed":
+        raise HTTPException(status_code=409, detail="Only failed jobs can be retried")
+
+    reset = {"status": "queued", "stage": "queued", "progress": 0, "error": None, "updated_at": datetime.utcnow()}
+    await db.generation_jobs.update_one({"id": job_id}, {"$set": reset})
+    await db.stories.update_one({"id": job["story_id"]}, {"$set": {"status": "generating"}})
+
+    background_tasks.add_task(run_generation_job, job_id)
+
+    return GenerationJob(**{**job, **reset})
 
 @api_router.get("/stories/{story_id}")
-async def get_story(story_id: str):
-    story = await db.stories.find_one({"id": story_id})
-    if not story:
-        return {"error": "Story not found"}, 404
-    return Story(**story)
+async def get_story(story_id: str, family: Family = Depends(current_family)):
+    return await find_story(story_id, family)
 
-@api_router.get("/stories")
-async def get_all_stories():
-    stories = await db.stories.find().to_list(1000)
-    return [Story(**story) for story in stories]
+@api_router.post("/stories/{story_id}/illustrations/{page}", response_model=Illustration)
+async def regenerate_illustration(story_id: str, page: int, family: Family = Depends(current_family)):
+    """Draw a new picture for one page of a story"""
+    story = await find_story(story_id, family)
 
-def generate_story_content(story: Story) -> str:
-    """Generate a simple story based on the story parameters"""
-    theme_settings = {
-        "forest": "deep in a magical forest filled with talking animals",
-        "space": "on an exciting journey through the stars and planets",
-        "ocean": "in the depths of the ocean with colorful sea creatures",
-        "castle": "in a grand castle with brave knights and wise princesses",
-        "dinosaur": "in prehistoric times with friendly dinosaurs",
-        "fairy": "in an enchanted fairy kingdom with magical powers"
+    pages = dict(illustrated_pages(story.story_content))
+    if page not in pages:
+        raise HTTPException(status_code=404, detail="Page not found")
+
+    illustration = await illustrate_page(story_brief(story), page, pages[page], seed=random.randrange(1, 2**31))
+    illustrations = sorted([i for i in story.illustrations if i.page != page] + [illustration], key=lambda i: i.page)
+    # An edit saved while the picture was drawn may have moved the pages.
+    await save_story_revision(story, {"illustrations": [i.dict() for i in illustrations]})
+    return illustration
+
+@api_router.put("/stories/{story_id}", response_model=Story)
+async def replace_story(story_id: str, update: StoryUpdate, family: Family = Depends(current_family)):
+    """Save an edited story: title, content and illustrations together"""
+    if update.story_content is None:
+        raise HTTPException(status_code=422, detail="story_content is required")
+    fields = {
+        "title": update.title,
+        "story_content": update.story_content,
+        "translation_content": update.translation_content,
+        "illustrations": update.illustrations or [],
     }
-    
-    setting = theme_settings.get(story.theme, "in a magical world")
-    ingredients_text = ", ".join(story.special_ingredients) if story.special_ingredients else "special surprises"
-    
-    length_pages = {
-        "short": "a quick but exciting",
-        "medium": "a wonderful",
-        "long": "an epic and detailed"
+    return await apply_story_edit(story_id, family, fields, update.revision)
+
+@api_router.patch("/stories/{story_id}", response_model=Story)
+async def update_story(story_id: str, update: StoryUpdate, family: Family = Depends(current_family)):
+    """Save only the fields sent, e.g. just a new title"""
+    fields = update.dict(exclude_unset=True)
+    revision = fields.pop("revision", None)
+    if "illustrations" in fields:
+        fields["illustrations"] = update.illustrations or []
+    return await apply_story_edit(story_id, family, fields, revision)
+
+@api_router.post("/stories/{story_id}/revert", response_model=Story)
+async def revert_story(story_id: str, family: Family = Depends(current_family)):
+    """Put back the story as it was generated, undoing every saved edit"""
+    story = await find_editable_story(story_id, family)
+    if not story.original:
+        return story
+
+    restored = story.original.dict()
+    # Originals saved before edits kept the translation have none; edits left
+    # the translation alone then, so the current one is the original.
+    if restored["translation_language"] is None:
+        del restored["translation_language"], restored["translation_content"]
+    fields = {
+        **restored,
+        "original": None,
+        "revision": story.revision + 1,
+        "edited_at": None,
     }
-    
-    story_length_desc = length_pages.get(story.length, "an amazing")
-    
-    story_content = f"""
-    Once upon a time, there was a brave and curious child named {story.kid_name} who was {story.kid_age} years old.
-    
-    One magical day, {story.kid_name} found themselves {setting}. This was the beginning of {story_length_desc} adventure!
-    
-    Along the way, {story.kid_name} discovered {ingredients_text} that would help them on their journey.
-    
-    This {story.story_type} story was filled with wonder, excitement, and magical moments that {story.kid_name} would remember forever!
-    
-    The End.
-    """
-    
-    return story_content.strip()
+    await save_story_revision(story, fields)
+    return Story(**{**story.dict(), **fields})
+
+# Lists leave out the photos and pictures, which are only sent with a single story.
+STORY_LIST_PROJECTION = {"kid_photo": 0, "characters.photo": 0, "characters.photos": 0, "illustrations": 0, "original": 0}
+
+# Parent review endpoints
+@api_router.get("/reviews", response_model=List[Story])
+async def get_review_queue(family: Family = Depends(current_family)):
+    """Stories waiting for a parent's review, oldest first"""
+    stories = await db.stories.find(
+        {"family_id": family.id, "status": "needs_review"}, STORY_LIST_PROJECTION
+    ).sort("created_at", 1).to_list(100)
+    return [Story(**story) for story in stories]
+
+@api_router.post("/stories/{story_id}/approve", response_model=Story)
+async def approve_story(story_id: str, approval: ReviewApproval, family: Family = Depends(current_family)):
+    """Let a reviewed story be read, with the passages the parent picked"""
+    story = await find_story(story_id, family)
+    if story.status != "needs_review":
+        raise HTTPException(status_code=409, detail="The story is not waiting for review")
+
+    content = reviewed_content(story.story_content or "", approval.story_content)
+    translation = story.translation_content
+    if translation is not None:
+        translation = reviewed_content(translation, approval.translation_content)
+
+    review = story.safety or ContentReview(strictness=family.safety.strictness)
+    pages = {False: content.split("\n\n"), True: (translation or "").split("\n\n")}
+    for finding in review.findings:
+        page = pages[finding.translation][finding.page] if finding.page < len(pages[finding.translation]) else ""
+        finding.rewritten = bool(finding.rewrite) and finding.rewrite in page
+    review.reviewed_at = datetime.utcnow()
+
+    fields = {"story_content": content, "translation_content": translation, "safety": review.dict(), "status": "ready"}
+    await db.stories.update_one({"id": story_id}, {"$set": fields})
+    return Story(**{**story.dict(), **fields})
+
+def reviewed_content(stored: str, reviewed: Optional[str]) -> str:
+    """The story (or translation) a parent approved, which keeps the stored pages"""
+    if reviewed is None:
+        return stored
+    paragraphs = story_paragraphs(reviewed)
+    if len(paragraphs) != len(story_paragraphs(stored)):
+        raise HTTPException(status_code=422, detail="A review can change sentences but not add or remove pages")
+    return "\n\n".join(paragraphs)
+
+@api_router.get("/stories/{story_id}/versions", response_model=List[Story])
+async def get_story_versions(story_id: str, family: Family = Depends(current_family)):
+    """Every version of a story, oldest first"""
+    story = await find_story(story_id, family)
+    if not story.version_of:
+        return [story]
+    versions = await db.stories.find(
+        {"version_of": story.version_of, "family_id": family.id}, STORY_LIST_PROJECTION
+    ).sort("version", 1).to_list(100)
+    return [Story(**version) for version in versions]
+
+@api_router.get("/stories")
+async def get_all_stories(family: Family = Depends(current_family)):
+    stories = await db.stories.find({"family_id": family.id}, STORY_LIST_PROJECTION).to_list(1000)
+    return [Story(**story) for story in stories]
+
+@api_router.delete("/stories/{story_id}")
+async def delete_story(story_id: str, family: Family = Depends(current_family)):
+    """Delete a story with its photos, pictures and generation jobs"""
+    story = await find_story(story_id, family)
+    await delete_stories_by_id([story.id])
+    return {"message": "Story deleted"}
+
+async def delete_stories_by_id(story_ids: List[str]):
+    # Other versions and episodes stay; they only lose the link to a deleted story.
+    await db.stories.delete_many({"id": {"$in": story_ids}})
+    await db.generation_jobs.delete_many({"story_id": {"$in": story_ids}})
+    await db.share_links.delete_many({"story_id": {"$in": story_ids}})
+    await db.stories.update_many({"remix_of": {"$in": story_ids}}, {"$set": {"remix_of": None}})
+
+# Share link endpoints
+@api_router.post("/stories/{story_id}/shares", response_model=ShareLink)
+async def create_share_link(story_id: str, share: ShareLinkCreate, family: Family = Depends(current_family)):
+    story = await find_story(story_id, family)
+    if story.status != "ready":
+        raise HTTPException(status_code=409, detail="Only finished stories can be shared")
+
+    password = (share.password or "").strip()
+    link = StoredShareLink(
+        story_id=story.id,
+        family_id=family.id,
+        expires_at=datetime.utcnow() + timedelta(days=share.expires_in_days) if share.expires_in_days else None,
+        has_password=bool(password),
+        password_hash=hash_password(password) if password else None,
+    )
+    await db.share_links.insert_one(link.dict())
+    return ShareLink(**link.dict())
+
+@api_router.get("/stories/{story_id}/shares", response_model=List[ShareLink])
+async def get_story_share_links(story_id: str, family: Family = Depends(current_family)):
+    await find_story(story_id, family)
+    links = await db.share_links.find({"story_id": story_id}).sort("created_at", -1).to_list(100)
+    return [ShareLink(**link) for link in links]
+
+@api_router.get("/shares", response_model=List[ShareLink])
+async def get_all_share_links(family: Family = Depends(current_family)):
+    links = await db.share_links.find({"family_id": family.id}).sort("created_at", -1).to_list(1000)
+    return [ShareLink(**link) for link in links]
+
+@api_router.delete("/shares/{link_id}", response_model=ShareLink)
+async def revoke_share_link(link_id: str, family: Family = Depends(current_family)):
+    """Turn a link off; it is kept, with its view count, but no longer opens"""
+    link = await db.share_links.find_one({"id": link_id, "family_id": family.id})
+    if not link:
+        raise HTTPException(status_code=404, detail="Share link not found")
+    await db.share_links.update_one({"id": link_id}, {"$set": {"revoked": True}})
+    return ShareLink(**{**link, "revoked": True})
+
+@api_router.post("/shared/{token}", response_model=SharedStory)
+async def open_shared_story(token: str, request: SharedStoryRequest):
+    """The story behind a share link, for anyone with the link (and its password)"""
+    link = await db.share_links.find_one({"token": token})
+    if not link:
+        raise HTTPException(status_code=404, detail="Share link not found")
+    link = StoredShareLink(**link)
+    if link.revoked or (link.expires_at and link.expires_at <= datetime.utcnow()):
+        raise HTTPException(status_code=410, detail="This share link has expired")
+    # 403 rather than 401, which clients treat as their own session ending.
+    if link.password_hash and not verify_password(request.password or "", link.password_hash):
+        raise HTTPException(status_code=403, detail="Wrong password" if request.password else "A password is needed")
+
+    story = await db.stories.find_one({"id": link.story_id})
+    if not story:
+        raise HTTPException(status_code=404, detail="Share link not found")
+    await db.share_links.update_one(
+        {"id": link.id}, {"$inc": {"view_count": 1}, "$set": {"last_viewed_at": datetime.utcnow()}}
+    )
+    story = Story(**story)
+    characters = [
+        Character(**character.dict(exclude={"photos", "profile_id"}))
+        for character in story_characters(story)
+    ]
+    custom_theme = (
+        CustomThemeCreate(**story.custom_theme.dict(exclude={"id", "family_id", "created_at"}))
+        if story.custom_theme else None
+    )
+    return SharedStory(
+        **story.dict(exclude={"characters", "custom_theme"}), characters=characters, custom_theme=custom_theme
+    )
+
+# Custom theme endpoints
+@api_router.get("/custom-themes", response_model=List[CustomTheme])
+async def get_custom_themes(family: Family = Depends(current_family)):
+    custom_themes = await db.custom_themes.find({"family_id": family.id}).sort("created_at", -1).to_list(100)
+    return [CustomTheme(**custom_theme) for custom_theme in custom_themes]
+
+@api_router.post("/custom-themes", response_model=CustomTheme)
+async def create_custom_theme(theme_data: CustomThemeCreate, family: Family = Depends(current_family)):
+    fields = theme_data.dict()
+    fields["places"] = [place.strip() for place in theme_data.places if place.strip()]
+    custom_theme = CustomTheme(**fields, family_id=family.id)
+    await db.custom_themes.insert_one(custom_theme.dict())
+    return custom_theme
+
+@api_router.delete("/custom-themes/{theme_id}")
+async def delete_custom_theme(theme_id: str, family: Family = Depends(current_family)):
+    # Stories keep their own snapshot, so deleting only affects future stories.
+    result = await db.custom_themes.delete_one({"id": theme_id, "family_id": family.id})
+    if result.deleted_count == 0:
+        raise HTTPException(status_code=404, detail="Custom theme not found")
+    return {"message": "Custom theme deleted"}
+
+# Series endpoints
+@api_router.post("/series", response_model=Series)
+async def create_series(series_data: SeriesCreate, family: Family = Depends(current_family)):
+    series = Series(title=series_data.title.strip() or "My Series", family_id=family.id)
+    first_episode = None
+    if series_data.story_id:
+        first_episode = await find_story(series_data.story_id, family)
+        if first_episode.status != "ready":
+            raise HTTPException(status_code=409, detail="Only finished stories can start a series")
+        if first_episode.series_id:
+            raise HTTPException(status_code=409, detail="The story is already part of a series")
+        elements = story_elements(story_brief(first_episode), first_episode.story_content or "")
+        series.bible = merge_bible_entries([], elements, episode=1)
+
+    await db.series.insert_one(series.dict())
+    if first_episode:
+        await db.stories.update_one({"id": first_episode.id}, {"$set": {"series_id": series.id, "episode": 1}})
+    return series
+
+@api_router.get("/series", response_model=List[Series])
+async def get_all_series(family: Family = Depends(current_family)):
+    series = await db.series.find({"family_id": family.id}).sort("updated_at", -1).to_list(100)
+    return [Series(**s) for s in series]
+
+@api_router.get("/series/{series_id}", response_model=Series)
+async def get_series(series_id: str, family: Family = Depends(current_family)):
+    return await find_series(series_id, family)
+
+@api_router.get("/series/{series_id}/episodes", response_model=List[Story])
+async def get_series_episodes(series_id: str, family: Family = Depends(current_family)):
+    """The series' stories in episode order"""
+    await find_series(series_id, family)
+    episodes = await db.stories.find({"series_id": series_id}, STORY_LIST_PROJECTION).sort("episode", 1).to_list(1000)
+    return [Story(**episode) for episode in episodes]
+
+@api_router.patch("/series/{series_id}", response_model=Series)
+async def update_series(series_id: str, update: SeriesUpdate, family: Family = Depends(current_family)):
+    """Rename a series or save its edited character bible"""
+    series = await find_series(series_id, family)
+    fields = {"updated_at": datetime.utcnow()}
+    if update.title is not None:
+        fields["title"] = update.title.strip() or series.title
+    if update.bible is not None:
+        entries = []
+        for entry in update.bible:
+            if entry.kind not in SERIES_ENTRY_KINDS:
+                raise HTTPException(status_code=422, detail=f"Unknown kind of series entry: {entry.kind}")
+            entry.name = entry.name.strip()
+            entry.description = (entry.description or "").strip() or None
+            if entry.name:
+                entries.append(entry.dict())
+        fields["bible"] = entries
+    await db.series.update_one({"id": series_id}, {"$set": fields})
+    return Series(**{**series.dict(), **fields})
+
+@api_router.delete("/series/{series_id}")
+async def delete_series(series_id: str, family: Family = Depends(current_family)):
+    # The episodes stay in the library as standalone stories.
+    result = await db.series.delete_one({"id": series_id, "family_id": family.id})
+    if result.deleted_count == 0:
+        raise HTTPException(status_code=404, detail="Series not found")
+    await db.stories.update_many({"series_id": series_id}, {"$set": {"series_id": None, "episode": None}})
+    return {"message": "Series deleted"}
+
+async def find_series(series_id: str, family: Family) -> Series:
+    series = await db.series.find_one({"id": series_id, "family_id": family.id})
+    if not series:
+        raise HTTPException(status_code=404, detail="Series not found")
+    return Series(**series)
+
+def merge_bible_entries(bible: List[SeriesEntry], elements: List[RecurringElement], episode: Optional[int]) -> List[SeriesEntry]:
+    """Add what a story introduced to a bible, skipping anything already in it"""
+    known = {entry.name.lower() for entry in bible}
+    added = []
+    for element in elements:
+        if element.name.lower() not in known:
+            known.add(element.name.lower())
+            added.append(SeriesEntry(
+                kind=element.kind, name=element.name, description=element.description, first_episode=episode
+            ))
+    return bible + added
+
+async def add_to_series_bible(series_id: str, episode: Optional[int], elements: List[RecurringElement]):
+    series = await db.series.find_one({"id": series_id})
+    if not series:
+        return
+    bible = merge_bible_entries(Series(**series).bible, elements, episode)
+    await db.series.update_one(
+        {"id": series_id},
+        {"$set": {"bible": [entry.dict() for entry in bible], "updated_at": datetime.utcnow()}}
+    )
+
+# Privacy endpoints
+@api_router.get("/privacy", response_model=PrivacySummary)
+async def get_privacy_summary(family: Family = Depends(current_family)):
+    """Everything stored for the family, with how many photos and pictures each item holds"""
+    stories = [Story(**story) for story in await db.stories.find({"family_id": family.id}).sort("created_at", -1).to_list(1000)]
+    children = [StoredChild(id=child.id, name=child.name, photo_count=len(child.photos)) for child in family.children]
+    stored_stories = [
+        StoredStory(
+            **story.dict(include={"id", "title", "kid_name", "story_type", "status", "created_at"}),
+            photo_count=story_photo_count(story),
+            illustration_count=len(story.illustrations) + (len(story.original.illustrations) if story.original else 0),
+        )
+        for story in stories
+    ]
+    return PrivacySummary(
+        email=family.email,
+        keep_photos=family.keep_photos,
+        children=children,
+        stories=stored_stories,
+        custom_theme_count=await db.custom_themes.count_documents({"family_id": family.id}),
+        series_count=await db.series.count_documents({"family_id": family.id}),
+        photo_count=sum(child.photo_count for child in children) + sum(story.photo_count for story in stored_stories),
+        illustration_count=sum(story.illustration_count for story in stored_stories),
+    )
+
+def story_photo_count(story: Story) -> int:
+    count = 1 if story.kid_photo else 0
+    for character in story.characters:
+        count += len(character.photos) or (1 if character.photo else 0)
+    return count
+
+@api_router.get("/privacy/export")
+async def export_family_data(family: Family = Depends(current_family)):
+    """All of the family's data as a ZIP of JSON files and images"""
+    scope = {"family_id": family.id}
+    archive = build_family_export(
+        family.dict(),
+        [Story(**story).dict() for story in await db.stories.find(scope).sort("created_at", 1).to_list(1000)],
+        [CustomTheme(**theme).dict() for theme in await db.custom_themes.find(scope).to_list(100)],
+        [Series(**series).dict() for series in await db.series.find(scope).to_list(100)],
+        [GenerationJob(**job).dict() for job in await db.generation_jobs.find(scope).to_list(1000)],
+        [ShareLink(**link).dict() for link in await db.share_links.find(scope).to_list(1000)],
+    )
+    return Response(
+        content=archive,
+        media_type="application/zip",
+        headers={"Content-Disposition": 'attachment; filename="storybook-family-data.zip"'},
+    )
+
+@api_router.delete("/privacy/photos")
+async def delete_all_photos(family: Family = Depends(current_family)):
+    """Take every photo out of the family's saved children and stories"""
+    await db.families.update_one({"id": family.id}, {"$set": {"children.$[].photos": []}})
+    await db.stories.update_many({"family_id": family.id}, {"$set": {"kid_photo": None}})
+    # Stories from before characters have only kid_photo, and $[] needs the array.
+    await db.stories.update_many(
+        {"family_id": family.id, "characters": {"$exists": True}},
+        {"$set": {"characters.$[].photo": None, "characters.$[].photos": []}},
+    )
+    return {"message": "Photos deleted"}
+
+async def update_generation_job(job_id: str, **fields):
+    fields["updated_at"] = datetime.utcnow()
+    await db.generation_jobs.update_one({"id": job_id}, {"$set": fields})
+
+async def set_generation_stage(job_id: str, stage: str):
+    await update_generation_job(job_id, status="running", stage=stage, progress=GENERATION_STAGES[stage])
+
+async def run_generation_job(job_id: str):
+    """Generate the content for a job's story, recording each stage as it starts"""
+    job = await db.generation_jobs.find_one({"id": job_id})
+    if not job:
+        return
+
+    story_id = job["story_id"]
+    await update_generation_job(job_id, attempts=job.get("attempts", 0) + 1)
+
+    try:
+        await set_generation_stage(job_id, "preparing")
+        story_doc = await db.stories.find_one({"id": story_id})
+        if not story_doc:
+            raise ValueError(f"Story {story_id} no longer exists")
+        story = Story(**story_doc)
+        series_doc = await db.series.find_one({"id": story.series_id}) if story.series_id else None
+        series = Series(**series_doc) if series_doc else None
+
+        await set_generation_stage(job_id, "writing")
+        brief = story_brief(story, series)
+        story_content, translation, provider = await write_story(brief, story.translation_language)
+
+        await set_generation_stage(job_id, "checking")
+        family_doc = await db.families.find_one({"id": story.family_id}) if story.family_id else None
+        settings = Family(**family_doc).safety if family_doc else SafetySettings()
+        story_content, review = check_story_safety(story_content, brief.age_band, settings, story.language)
+        if translation:
+            translation, translation_review = check_story_safety(
+                translation, brief.age_band, settings, story.translation_language
+            )
+            review.findings += [finding.copy(update={"translation": True}) for finding in translation_review.findings]
+
+        await set_generation_stage(job_id, "illustrating")
+        illustrations = await illustrate_story(job_id, brief, story.id, story_content)
+
+        await set_generation_stage(job_id, "saving")
+        await db.stories.update_one(
+            {"id": story_id},
+            {"$set": {
+                "story_content": story_content,
+                "translation_content": translation,
+                "provider": provider,
+                "illustrations": [i.dict() for i in illustrations],
+                "safety": review.dict(),
+                "status": "needs_review" if review.findings or settings.review_all else "ready",
+            }}
+        )
+        if series:
+            await add_to_series_bible(series.id, story.episode, story_elements(brief, story_content))
+
+        await update_generation_job(job_id, status="completed", stage="complete", progress=GENERATION_STAGES["complete"])
+    except Exception as e:
+        logger.exception("Story generation failed for job %s", job_id)
+        await update_generation_job(job_id, status="failed", error=str(e) or "Story generation failed")
+        await db.stories.update_one({"id": story_id}, {"$set": {"status": "failed"}})
+
+def check_story_safety(
+    content: str, age_band: str, settings: SafetySettings, language: str = "en"
+) -> Tuple[str, ContentReview]:
+    """Check a generated story against the family's rules, returning it with gentler words swapped in"""
+    rules = SafetyRules(age_band, settings.strictness, settings.blocked_words, language)
+    checked = check_story("\n\n".join(story_paragraphs(content)), rules, auto_rewrite=settings.auto_rewrite)
+    review = ContentReview(
+        strictness=settings.strictness,
+        findings=[ContentFinding(**vars(finding)) for finding in checked.findings],
+    )
+    return checked.content, review
+
+def story_brief(story: Story, series: Optional[Series] = None) -> StoryBrief:
+    """What the story providers need to know about a story, and what it brings back when it is an episode"""
+    age_band = story.age_band if story.age_band in AGE_BANDS else age_band_for_age(story.kid_age)
+    custom_theme = story.custom_theme if story.theme == "custom" else None
+    brief = StoryBrief(
+        characters=[
+            StoryCharacter(name=c.name, age=c.age, pronouns=c.pronouns, appearance=c.appearance)
+            for c in story_characters(story)
+        ],
+        theme=story.theme,
+        story_type=story.story_type,
+        length=story.length,
+        age_band=age_band,
+        special_ingredients=story.special_ingredients,
+        custom_setting=custom_theme.description if custom_theme else None,
+        custom_places=custom_theme.places if custom_theme else [],
+        custom_palette=custom_theme.palette if custom_theme else None,
+        recurring=[
+            RecurringElement(kind=e.kind, name=e.name, description=e.description)
+            for e in (series.bible if series else []) if e.recurring
+        ],
+        episode=story.episode,
+        seed=story.id,
+        language=story.language,
+    )
+
+    # User-written extras are left out when they don't suit the reader's age.
+    extras = brief.special_ingredients + brief.custom_places
+    if len(brief.suitable(extras)) < len(extras):
+        logger.info("Left extras unsuitable for ages %s out of story %s", age_band, story.id)
+    return brief
+
+async def find_story(story_id: str, family: Family) -> Story:
+    story = await db.stories.find_one({"id": story_id, "family_id": family.id})
+    if not story:
+        raise HTTPException(status_code=404, detail="Story not found")
+    return Story(**story)
+
+async def find_editable_story(story_id: str, family: Family) -> Story:
+    story = await find_story(story_id, family)
+    if story.status != "ready":
+        raise HTTPException(status_code=409, detail="Only finished stories can be edited")
+    return story
+
+async def apply_story_edit(story_id: str, family: Family, fields: dict, revision: Optional[int]) -> Story:
+    story = await find_editable_story(story_id, family)
+    if revision is not None and revision != story.revision:
+        raise HTTPException(status_code=409, detail="The story has changed since it was opened")
+
+    if "title" in fields:
+        fields["title"] = (fields["title"] or "").strip() or None
+    if "story_content" in fields:
+        paragraphs = story_paragraphs(fields["story_content"])
+        if not paragraphs:
+            raise HTTPException(status_code=422, detail="A story needs at least one page")
+        fields["story_content"] = "\n\n".join(paragraphs)
+    if "story_content" in fields or "translation_content" in fields:
+        fields.update(edited_translation(story, fields))
+    # Keep one picture per paragraph that still exists.
+    if "illustrations" in fields or "story_content" in fields:
+        paragraph_count = len(story_paragraphs(fields.get("story_content", story.story_content)))
+        illustrations = fields.get("illustrations", story.illustrations)
+        by_page = {i.page: i for i in illustrations if 0 <= i.page < paragraph_count}
+        fields["illustrations"] = [by_page[page].dict() for page in sorted(by_page)]
+
+    if not story.original:
+        fields["original"] = StoryOriginal(
+            title=story.title,
+            story_content=story.story_content,
+            translation_language=story.translation_language,
+            translation_content=story.translation_content,
+            illustrations=story.illustrations,
+        ).dict()
+    fields["revision"] = story.revision + 1
+    fields["edited_at"] = datetime.utcnow()
+
+    await save_story_revision(story, fields)
+    return Story(**{**story.dict(), **fields})
+
+def edited_translation(story: Story, fields: dict) -> dict:
+    """The translation fields to save with an edit; the reader pairs its pages with the story's by position"""
+    translation = fields.pop("translation_content", None)
+    if story.translation_content is None:
+        if translation is not None:
+            raise HTTPException(status_code=422, detail="The story has no translation")
+        return {}
+    if translation is None:
+        return {"translation_language": None, "translation_content": None}
+
+    paragraphs = story_paragraphs(translation)
+    if len(paragraphs) != len(story_paragraphs(fields.get("story_content", story.story_content))):
+        raise HTTPException(status_code=422, detail="The translation needs one page for every page of the story")
+    return {"translation_content": "\n\n".join(paragraphs)}
+
+async def save_story_revision(story: Story, fields: dict):
+    """Save fields over the story as it was read, unless another edit has been saved since"""
+    # Stories from before revisions were counted have no revision field at all.
+    revision = story.revision if story.revision else {"$in": [0, None]}
+    result = await db.stories.update_one({"id": story.id, "revision": revision}, {"$set": fields})
+    if result.matched_count == 0:
+        raise HTTPException(status_code=409, detail="The story has changed since it was opened")
+
+async def illustrate_page(brief: StoryBrief, page: int, text: str, seed: int) -> Illustration:
+    page_brief = illustration_brief(brief, page, text, seed)
+    image, provider = await draw_illustration(page_brief)
+    return Illustration(page=page, prompt=page_brief.prompt, image=image, provider=provider, seed=seed)
+
+async def illustrate_story(job_id: str, brief: StoryBrief, story_id: str, story_content: str) -> List[Illustration]:
+    """Draw every page in turn, moving the job's progress through the illustrating stage"""
+    pages = illustrated_pages(story_content)
+    start, end = GENERATION_STAGES["illustrating"], GENERATION_STAGES["saving"]
+    illustrations = []
+    for done, (page, text) in enumerate(pages, start=1):
+        # The first picture of each page is the same every time the story is generated.
+        seed = zlib.crc32(f"{story_id}:{page}".encode())
+        illustrations.append(await illustrate_page(brief, page, text, seed))
+        await update_generation_job(job_id, progress=start + (end - start) * done // len(pages))
+    return illustrations
 
 # Include the router in the main app
 app.include_router(api_router)
@@ -160,6 +1220,29 @@ logging.basicConfig(
 )
 logger = logging.getLogger(__name__)
 
+@app.on_event("startup")
+async def create_indexes():
+    await db.stories.create_index(
+        "client_request_id",
+        unique=True,
+        partialFilterExpression={"client_request_id": {"$type": "string"}}
+    )
+    await db.families.create_index("email", unique=True)
+    await db.stories.create_index("family_id")
+    await db.stories.create_index("version_of")
+    await db.stories.create_index("series_id")
+    await db.generation_jobs.create_index("story_id")
+    await db.share_links.create_index("token", unique=True)
+    await db.share_links.create_index("family_id")
+
+@app.on_event("startup")
+async def migrate_unowned_data():
+    # Servers that already had a family when accounts arrived; with several
+    # families there is no telling whose the old data is, so it stays unowned.
+    families = await db.families.find({}, {"id": 1}).to_list(2)
+    if len(families) == 1:
+        await claim_unowned_data(families[0]["id"])
+
 @app.on_event("shutdown")
 async def shutdown_db_client():
     client.close()
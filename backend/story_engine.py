@@ -0,0 +1,737 @@
+"""Built-in story template engine.
+
+Composes a multi-page story from the theme, story type, length, special
+ingredients and the age band's reading rules without any network access, so
+the app keeps working offline and in tests. Each page is one paragraph;
+pages are separated by blank lines. Stories can be written in any of
+STORY_LANGUAGES; the English tables live here, the others in their own
+story_templates_* module.
+"""
+import random
+import re
+from dataclasses import dataclass, field
+from typing import Dict, List, Optional
+
+import story_templates_es
+
+PRONOUNS = {
+    "she": {"subject": "she", "object": "her", "possessive": "her", "reflexive": "herself"},
+    "he": {"subject": "he", "object": "him", "possessive": "his", "reflexive": "himself"},
+    "they": {"subject": "they", "object": "them", "possessive": "their", "reflexive": "themselves"},
+}
+
+NUMBER_WORDS = {2: "two", 3: "three", 4: "four"}
+
+def join_names(names: List[str], conjunction: str = "and") -> str:
+    """Join names the way a story would say them, e.g. Mia, Leo and Sam"""
+    names = [name for name in names if name]
+    if len(names) <= 1:
+        return "".join(names)
+    return f"{', '.join(names[:-1])} {conjunction} {names[-1]}"
+
+# Reading rules for each age band: how long sentences may get, how many pages
+# each story length runs to, which word list to write with, and which words
+# are kept out of stories for that age.
+VIOLENT_WORDS = {"kill", "killed", "blood", "bloody", "gun", "guns", "weapon", "weapons", "dead", "death", "die", "war", "knife"}
+SCARY_WORDS = {"monster", "monsters", "ghost", "ghosts", "zombie", "zombies", "scary", "nightmare", "witch", "skeleton", "haunted", "spider", "spiders"}
+
+AGE_BANDS = {
+    "3-4": {
+        "min_age": 3,
+        "max_age": 4,
+        "vocabulary": "simple",
+        "max_sentence_words": 10,
+        "pages": {"short": 4, "medium": 5, "long": 6},
+        "blocked_words": VIOLENT_WORDS | SCARY_WORDS,
+    },
+    "5-7": {
+        "min_age": 5,
+        "max_age": 7,
+        "vocabulary": "early",
+        "max_sentence_words": 14,
+        "pages": {"short": 4, "medium": 6, "long": 8},
+        "blocked_words": VIOLENT_WORDS | SCARY_WORDS,
+    },
+    "8-10": {
+        "min_age": 8,
+        "max_age": 10,
+        "vocabulary": "confident",
+        "max_sentence_words": 20,
+        "pages": {"short": 5, "medium": 7, "long": 10},
+        "blocked_words": VIOLENT_WORDS,
+    },
+    "11-12": {
+        "min_age": 11,
+        "max_age": 12,
+        "vocabulary": "advanced",
+        "max_sentence_words": 28,
+        "pages": {"short": 6, "medium": 9, "long": 12},
+        "blocked_words": {"kill", "killed", "blood", "bloody", "gun", "guns"},
+    },
+}
+
+def age_band_for_age(age: int) -> str:
+    """The band an exact age falls in, clamped to the youngest and oldest bands"""
+    for band, rules in AGE_BANDS.items():
+        if age <= rules["max_age"]:
+            return band
+    return "11-12"
+
+def youngest_age_band(bands: List[str]) -> str:
+    """The band with the strictest rules among the given ones"""
+    return min(bands, key=lambda band: AGE_BANDS[band]["min_age"])
+
+def is_age_appropriate(text: str, age_band: str) -> bool:
+    words = {word.strip(".,!?;:'\"()").lower() for word in text.split()}
+    return not (words & AGE_BANDS[age_band]["blocked_words"])
+
+def page_count_for(age_band: str, length: str) -> int:
+    pages = AGE_BANDS[age_band]["pages"]
+    return pages.get(length, pages["medium"])
+
+SETTING_PREPOSITIONS = ("in ", "on ", "at ", "inside ", "under ", "above ", "among ", "across ", "beneath ", "near ", "deep ", "high ", "far ")
+
+def custom_theme_setting(description: str, language: str = "en") -> str:
+    """Turn the user's setting description into a phrase such as: in a candy kingdom"""
+    words = story_language(language)
+    description = description.strip().rstrip(".!")
+    if description.lower().startswith(words.setting_prepositions):
+        return description
+    return f"{words.setting_prepositions[0]}{description}"
+
+@dataclass
+class StoryCharacter:
+    name: str
+    age: int
+    pronouns: str = "they"
+    appearance: Optional[str] = None  # e.g. "curly brown hair, freckles", used for illustrations
+
+# How many recurring characters, places and items (each) an episode brings back.
+MAX_RETURNING = 3
+
+@dataclass
+class RecurringElement:
+    """A character, place or item from earlier episodes of a series"""
+    kind: str  # character, place or item
+    name: str
+    description: Optional[str] = None
+
+@dataclass
+class StoryBrief:
+    """Everything a story provider needs to write a story"""
+    characters: List[StoryCharacter]
+    theme: str
+    story_type: str
+    length: str
+    age_band: str
+    special_ingredients: List[str] = field(default_factory=list)
+    custom_setting: Optional[str] = None  # The user's description when the theme is "custom"
+    custom_places: List[str] = field(default_factory=list)
+    custom_palette: Optional[str] = None
+    recurring: List[RecurringElement] = field(default_factory=list)  # Brought back from earlier episodes
+    episode: Optional[int] = None  # Episode number when the story is part of a series
+    seed: str = ""  # Keeps the engine's choices stable for a given story
+    language: str = "en"  # One of STORY_LANGUAGES
+
+    @property
+    def names(self) -> str:
+        return join_names([c.name for c in self.characters])
+
+    def suitable(self, texts: List[str]) -> List[str]:
+        """User-written extras that suit the reader's age"""
+        return [text for text in texts if is_age_appropriate(text, self.age_band)]
+
+    def returning(self, kind: str) -> List[RecurringElement]:
+        """Recurring elements of one kind that suit the reader's age, at most MAX_RETURNING"""
+        elements = [
+            e for e in self.recurring
+            if e.kind == kind and is_age_appropriate(f"{e.name} {e.description or ''}", self.age_band)
+        ]
+        return elements[:MAX_RETURNING]
+
+# Vocabulary levels from youngest to oldest. A template missing for a level
+# falls back to the next simpler one that has it, never to a harder one,
+# except that every level can fall back to "confident" when nothing simpler exists.
+VOCABULARY_LEVELS = ["simple", "early", "confident", "advanced"]
+
+# What each built-in theme's world contains. Settings are shorter for the
+# younger vocabulary levels.
+THEME_WORLDS: Dict[str, dict] = {
+    "forest": {
+        "setting": {
+            "simple": "in a magic forest",
+            "early": "in a magical forest",
+            "confident": "deep in a magical forest filled with talking animals",
+        },
+        "helper": "a wise old owl",
+        "destination": "the tallest tree in the forest",
+        "place": "a sparkling stream",
+        "obstacle": "a tangle of thorny brambles",
+        "wonder": "fireflies glowing like tiny lanterns",
+        "fact": "some trees live for thousands of years",
+    },
+    "space": {
+        "setting": {
+            "simple": "up in space",
+            "early": "on a trip to the stars",
+            "confident": "on an exciting journey through the stars and planets",
+        },
+        "helper": "a friendly robot",
+        "destination": "the farthest star",
+        "place": "a moon covered in silver dust",
+        "obstacle": "a field of tumbling rocks",
+        "wonder": "a comet with a rainbow tail",
+        "fact": "there is no air on the Moon",
+    },
+    "ocean": {
+        "setting": {
+            "simple": "under the sea",
+            "early": "deep under the ocean",
+            "confident": "in the depths of the ocean with colorful sea creatures",
+        },
+        "helper": "a clever octopus",
+        "destination": "an old sunken ship",
+        "place": "a bright coral reef",
+        "obstacle": "a swirling whirlpool",
+        "wonder": "a school of glowing fish",
+        "fact": "an octopus has three hearts",
+    },
+    "castle": {
+        "setting": {
+            "simple": "at a big castle",
+            "early": "in a grand castle",
+            "confident": "in a grand castle with brave knights and wise princesses",
+        },
+        "helper": "a friendly dragon",
+        "destination": "the top of the highest tower",
+        "place": "the royal library",
+        "obstacle": "a drawbridge stuck shut",
+        "wonder": "a ballroom full of dancing lights",
+        "fact": "some castle walls were thicker than a car is long",
+    },
+    "dinosaur": {
+        "setting": {
+            "simple": "with the dinosaurs",
+            "early": "in the land of dinosaurs",
+            "confident": "in prehistoric times with friendly dinosaurs",
+        },
+        "helper": "a gentle triceratops",
+        "destination": "the top of the smoking mountain",
+        "place": "a valley of giant ferns",
+        "obstacle": "a river far too wide to jump",
+        "wonder": "a nest of speckled eggs",
+        "fact": "some dinosaurs had feathers, just like birds",
+    },
+    "fairy": {
+        "setting": {
+            "simple": "in fairy land",
+            "early": "in an enchanted fairy kingdom",
+            "confident": "in an enchanted fairy kingdom with magical powers",
+        },
+        "helper": "a tiny fairy",
+        "destination": "the fairy queen's garden",
+        "place": "a ring of spotted mushrooms",
+        "obstacle": "a hedge that kept growing",
+        "wonder": "flowers that sang when the wind blew",
+        "fact": "butterflies taste with their feet",
+    },
+}
+
+DEFAULT_WORLD = {
+    "setting": {"simple": "in a magical world"},
+    "helper": "a friendly guide",
+    "destination": "the very end of the rainbow",
+    "place": "a hidden garden",
+    "obstacle": "a gate that wouldn't open",
+    "wonder": "a sky full of shimmering colors",
+    "fact": "honey never goes bad",
+}
+
+STORY_TYPE_NAMES = {
+    "adventure": "adventure",
+    "educational": "day of learning",
+    "treasure": "treasure hunt",
+    "friendship": "new friendship",
+}
+
+LENGTH_DESCRIPTIONS = {
+    "short": "a quick but exciting",
+    "medium": "a wonderful",
+    "long": "an epic and detailed",
+}
+
+# Paragraph templates. Each beat maps vocabulary levels to one or more
+# variants; sentences stay within the band's max_sentence_words, not counting
+# names, theme nouns or user-written text.
+BEATS: Dict[str, Dict[str, List[str]]] = {
+    "opening_one": {
+        "simple": ["Once upon a time, there was a child named {names}. {Sub} {was} {age} years old."],
+        "early": [
+            "Once upon a time, there was a brave and curious child named {names}. {Sub} {was} {age} years old.",
+            "There once was a {age}-year-old named {names} who loved to explore. {Sub} always wondered what was around the next corner.",
+        ],
+        "confident": [
+            "Once upon a time, there was a brave and curious child named {names} who was {age} years old.",
+            "There once was a {age}-year-old named {names}, who had a head full of questions and a heart full of courage.",
+        ],
+        "advanced": [
+            "Once upon a time, there lived a bold and endlessly curious {age}-year-old named {names}, who always wondered what lay beyond the next horizon.",
+        ],
+    },
+    "opening_many": {
+        "simple": ["Once upon a time, there were {count} friends. They were {names}."],
+        "early": ["Once upon a time, there were {count} brave and curious children named {names}."],
+        "confident": ["Once upon a time, there were {count} brave and curious children named {names}, who were {ages} years old."],
+        "advanced": [
+            "Once upon a time, there lived {count} bold and endlessly curious friends named {names}, who always wondered what lay beyond the next horizon.",
+        ],
+    },
+    "setting": {
+        "simple": ["One day, {names} found {refl} {setting}. Wow! What a place!"],
+        "early": ["One magical day, {names} found {refl} {setting}. This was the beginning of {length_desc} adventure!"],
+        "advanced": [
+            "One extraordinary morning, {names} found {refl} {setting}. It was immediately clear that this would be {length_desc} adventure.",
+        ],
+    },
+    "places": {
+        "simple": ["{names} saw {places}. Each one was fun!"],
+        "early": ["On the way, {names} visited {places}. Each place held a new surprise."],
+        "confident": ["Along the winding way, {names} visited {places}, and each place held a new surprise."],
+        "advanced": ["The journey led {names} through {places}, and every one of those places revealed something unexpected."],
+    },
+    "returning_friends": {
+        "simple": ["{Friends} came too!"],
+        "early": ["{Friends} came along again, just like last time."],
+        "confident": ["Old friends came along again: {friends}."],
+        "advanced": ["Familiar faces joined {obj} once more: {friends}."],
+    },
+    "returning_items": {
+        "simple": ["{names} had {items} again."],
+        "early": ["{names} still had {items} from last time."],
+        "confident": ["{names} had brought {items} from {poss} last adventure."],
+        "advanced": ["{names} had not forgotten {items}, treasured since {poss} last adventure."],
+    },
+    "ingredient": {
+        "simple": [
+            "Then {names} found {ingredient}. What a happy surprise!",
+            "Look! There was {ingredient}. {names} smiled a big smile.",
+            "{names} used {ingredient}. It helped a lot!",
+        ],
+        "early": [
+            "Along the way, {names} discovered {ingredient}. It was just what {sub} needed!",
+            "Next, {names} spotted {ingredient}. \"This will come in handy,\" {sub} said.",
+            "Then something amazing happened. {names} found {ingredient}, and it helped {obj} get much closer!",
+        ],
+        "confident": [
+            "Before long, {names} discovered {ingredient}, which would turn out to be exactly what {sub} needed.",
+            "Hidden near {place}, {names} spotted {ingredient}. \"This could be useful,\" {sub} said with a grin.",
+            "When the path suddenly grew tricky, it was {ingredient} that saved the day.",
+        ],
+        "advanced": [
+            "Along the way, {names} uncovered {ingredient}, which would prove far more important than {sub} first imagined.",
+            "Half hidden near {place} was {ingredient}; {names} tucked it away, sensing it would matter later.",
+            "When the way forward seemed impossible, it was {ingredient} that gave {names} exactly the idea {sub} needed.",
+        ],
+    },
+    "obstacle": {
+        "simple": ["Oh no! There was {obstacle}. {names} took a deep breath and found a way."],
+        "early": ["Suddenly, {names} came to {obstacle}. {Sub} thought hard and found a clever way past."],
+        "confident": ["The path ended at {obstacle}, but {names} kept thinking until {sub} found a way through."],
+        "advanced": [
+            "The way forward was blocked by {obstacle}, and for a moment it seemed hopeless, until {names} noticed something everyone else had missed.",
+        ],
+    },
+    "wonder": {
+        "simple": ["{names} saw {wonder}. It was so pretty!"],
+        "early": ["That evening, {names} saw {wonder}. It was the prettiest thing {sub} had ever seen."],
+        "confident": ["As the light changed, {names} spotted {wonder}. For a long moment, nobody said a word."],
+        "advanced": ["As the light began to fade, {names} caught sight of {wonder}, a sight so beautiful that nobody dared to speak."],
+    },
+    "helper_moment": {
+        "simple": ["{Helper} told a funny joke. Everyone laughed!"],
+        "early": ["{Helper} shared a snack with {names}. Sharing made it taste even better."],
+        "confident": ["{Helper} told stories about the old days, and {names} listened with wide, shining eyes."],
+        "advanced": [
+            "Over a shared meal, {helper} told stories about the old days, and {names} listened closely, piecing together clues from every tale.",
+        ],
+    },
+    "place_visit": {
+        "simple": ["Next, {names} went to {place}. {Sub} looked all around."],
+        "early": ["Next, {names} visited {place}. There was so much to see and explore!"],
+        "confident": ["The next stop was {place}, where every corner seemed to hide a brand new surprise."],
+        "advanced": ["The next stop was {place}, a spot so full of surprises that {names} could happily have stayed there for days."],
+    },
+    "rest": {
+        "simple": ["{names} sat down for a rest. {Sub} had a little snack."],
+        "early": ["When {names} got tired, {sub} rested and dreamed about what came next."],
+        "confident": ["Not everything went to plan, but {names} learned that mistakes are just part of every great adventure."],
+        "advanced": ["Not everything went according to plan, but {names} realised that mistakes are simply part of every worthwhile adventure."],
+    },
+    "weather": {
+        "simple": ["Pitter-patter! Down came the rain. {names} splashed in the puddles."],
+        "early": ["A gentle rain began to fall. {names} danced in the puddles until the sun came back."],
+        "confident": ["A sudden rain shower sent everyone running for cover, but {names} couldn't stop laughing and splashing."],
+        "advanced": ["A sudden storm forced a change of plans, so {names} improvised a shelter and waited patiently for the skies to clear."],
+    },
+    "night": {
+        "simple": ["The stars came out. {names} counted them, one, two, three!"],
+        "early": ["When night came, {names} counted the stars. There were more than {sub} could ever count!"],
+        "confident": ["That night, {names} lay back and counted the stars, wondering what tomorrow would bring."],
+        "advanced": ["Night fell quickly, and beneath an unfamiliar sky {names} reflected on everything that had happened so far."],
+    },
+    "teamwork": {
+        "simple": ["{names} and {helper} worked together. Teamwork is the best!"],
+        "early": ["{names} and {helper} worked together as a team. Together, they could do anything!"],
+        "confident": ["Working side by side with {helper}, {names} discovered that hard jobs feel easier when you share them."],
+        "advanced": ["Working side by side with {helper}, {names} discovered that even the hardest problems become manageable when shared."],
+    },
+    "fact": {
+        "simple": ["{Helper} knew a fun fact. {Fact}!"],
+        "early": ["\"Did you know {fact}?\" asked {helper}. {names} could hardly believe it!"],
+        "confident": ["\"Here is something amazing,\" said {helper}. \"{Fact}.\" {names} couldn't wait to tell everyone back home."],
+    },
+    "ending": {
+        "simple": ["Soon it was time to go home. {names} had the best day ever. The End."],
+        "early": ["What a day it had been! {names} would remember this {story_type_name} forever. The End."],
+        "confident": ["This {story_type_name} was filled with wonder, excitement and magical moments that {names} would remember forever! The End."],
+        "advanced": [
+            "This {story_type_name}, full of challenges, discoveries and friendships, was one that {names} would treasure for a very long time. The End.",
+        ],
+    },
+}
+
+# How each story type sets its goal and wraps it up, plus the order in which
+# middle pages are added to reach the band's page count.
+STORY_TYPE_BEATS: Dict[str, dict] = {
+    "adventure": {
+        "goal": {
+            "simple": ["{names} wanted to reach {destination}. Off {sub} went!"],
+            "early": ["{Helper} told {obj} about {destination}. {names} decided to go and see it!"],
+            "confident": ["{Helper} whispered a secret: nobody had ever reached {destination}. {names} decided to be the first."],
+            "advanced": ["According to {helper}, no explorer had ever reached {destination}, which was exactly why {names} decided to try."],
+        },
+        "resolution": {
+            "simple": ["At last, {names} reached {destination}. Hooray!"],
+            "early": ["At last, {names} reached {destination}. {Sub} cheered so loudly that the whole world could hear!"],
+            "confident": ["At long last, {names} stood at {destination}, tired and muddy but grinning from ear to ear."],
+            "advanced": [
+                "At long last, {names} stood at {destination}, exhausted yet triumphant, knowing the journey had mattered just as much as arriving.",
+            ],
+        },
+        "middle": ["obstacle", "wonder", "helper_moment", "place_visit", "teamwork", "weather", "night", "rest"],
+    },
+    "educational": {
+        "goal": {
+            "simple": ["{Helper} said, \"Let's learn something new!\" {names} clapped."],
+            "early": ["{Helper} loved to share amazing facts. \"Ask me anything!\" it said to {names}."],
+            "confident": ["{Helper} turned out to be a walking library of facts, and {names} had a hundred questions ready."],
+            "advanced": ["{Helper} knew an astonishing amount about this world, and {names} wanted to learn as much as possible."],
+        },
+        "resolution": {
+            "simple": ["{names} learned so many new things. {Sub} felt very smart!"],
+            "early": ["By the end of the day, {names} had learned more than {sub} ever imagined."],
+            "confident": ["By the end of the day, {names} had filled {poss} head with more facts than {sub} could count."],
+            "advanced": ["By the time the sun set, {names} had learned more than any book could have taught {obj}, and wanted to learn even more."],
+        },
+        "middle": ["fact", "wonder", "place_visit", "helper_moment", "teamwork", "night", "weather", "rest"],
+    },
+    "treasure": {
+        "goal": {
+            "simple": ["{names} found an old map. X marks the spot!"],
+            "early": ["Tucked under a rock, {names} found an old treasure map. A big red X marked the spot!"],
+            "confident": ["Tucked beneath a mossy stone, {names} discovered a crumpled treasure map with a big red X on it."],
+            "advanced": ["Tucked beneath a mossy stone lay a crumpled, faded map, and its big red X pointed somewhere near {destination}."],
+        },
+        "resolution": {
+            "simple": ["{names} dug and dug. There was the treasure!"],
+            "early": ["{names} followed the map to the big red X and dug. There was the treasure, shining bright!"],
+            "confident": ["Following the map to the big red X, {names} dug until {poss} fingers touched a chest of glittering gold."],
+            "advanced": ["Following the map's final clue, {names} dug beneath the big red X and uncovered a chest of glittering treasure."],
+        },
+        "middle": ["obstacle", "place_visit", "wonder", "helper_moment", "weather", "teamwork", "night", "rest"],
+    },
+    "friendship": {
+        "goal": {
+            "simple": ["{names} saw {helper} sitting all alone. \"Want to play?\" {sub} asked."],
+            "early": ["{names} noticed {helper} sitting all alone. \"Would you like to come along?\" {sub} asked."],
+            "confident": ["Sitting all alone was {helper}, who looked as if nobody had asked it to play in ages. {names} went straight over to say hello."],
+            "advanced": ["Sitting quietly on its own was {helper}, who clearly had not had a friend to talk to in ages. {names} walked over and said hello."],
+        },
+        "resolution": {
+            "simple": ["{Helper} was not alone anymore. Now they were best friends!"],
+            "early": ["{Helper} smiled the biggest smile. It was not lonely anymore, because now it had {names}."],
+            "confident": ["{Helper} smiled the biggest smile anyone had ever seen, because now it had a true friend in {names}."],
+            "advanced": ["{Helper} was no longer lonely, and {names} realised that being a good friend was the greatest adventure of all."],
+        },
+        "middle": ["helper_moment", "teamwork", "wonder", "place_visit", "obstacle", "night", "weather", "rest"],
+    },
+}
+
+def pick_template(variants_by_level: Dict[str, List[str]], level: str) -> List[str]:
+    """Variants for a level, falling back to simpler levels and then to "confident\""""
+    index = VOCABULARY_LEVELS.index(level)
+    for candidate in reversed(VOCABULARY_LEVELS[: index + 1]):
+        if candidate in variants_by_level:
+            return variants_by_level[candidate]
+    return variants_by_level["confident"]
+
+def capitalize_first(text: str) -> str:
+    return text[:1].upper() + text[1:]
+
+def definite(phrase: str, articles: Optional[Dict[str, str]] = None) -> str:
+    """Refer back to something introduced as e.g. "a wise old owl": the wise old owl"""
+    article, noun = phrase.split(" ", 1)
+    return f"{(articles or {}).get(article.lower(), 'the')} {noun}"
+
+@dataclass
+class StoryLanguage:
+    """Everything the engine writes a story in one language with"""
+    name: str  # In English, for prompts
+    conjunction: str
+    the_end: str
+    first_met: str  # Bible description of the world's helper
+    pronouns: Dict[str, Dict[str, str]]
+    number_words: Dict[int, str]
+    articles: Dict[str, str]  # Indefinite article: definite article
+    setting_prepositions: tuple  # The first one introduces a custom setting that has none
+    worlds: Dict[str, dict]
+    default_world: dict
+    story_type_names: Dict[str, str]
+    length_descriptions: Dict[str, str]
+    beats: Dict[str, Dict[str, List[str]]]
+    story_type_beats: Dict[str, dict]
+    ingredient_names: Dict[str, str] = field(default_factory=dict)  # Built-in special ingredients, by English name
+
+    def join(self, names: List[str]) -> str:
+        names = [name for name in names if name]
+        conjunction = self.conjunction
+        # Spanish "y" becomes "e" before an "i" sound: Mia e Isabel
+        if conjunction == "y" and len(names) > 1 and re.match(r"h?i(?![aeiou])", names[-1], re.IGNORECASE):
+            conjunction = "e"
+        return join_names(names, conjunction)
+
+ENGLISH = StoryLanguage(
+    name="English",
+    conjunction="and",
+    the_end="The End.",
+    first_met="First met {setting}",
+    pronouns=PRONOUNS,
+    number_words=NUMBER_WORDS,
+    articles={"a": "the", "an": "the"},
+    setting_prepositions=SETTING_PREPOSITIONS,
+    worlds=THEME_WORLDS,
+    default_world=DEFAULT_WORLD,
+    story_type_names=STORY_TYPE_NAMES,
+    length_descriptions=LENGTH_DESCRIPTIONS,
+    beats=BEATS,
+    story_type_beats=STORY_TYPE_BEATS,
+)
+
+SPANISH = StoryLanguage(
+    name="Spanish",
+    conjunction="y",
+    the_end="Fin.",
+    first_met="Apareció por primera vez {setting}",
+    pronouns=story_templates_es.PRONOUNS,
+    number_words=story_templates_es.NUMBER_WORDS,
+    articles=story_templates_es.ARTICLES,
+    setting_prepositions=story_templates_es.SETTING_PREPOSITIONS,
+    worlds=story_templates_es.THEME_WORLDS,
+    default_world=story_templates_es.DEFAULT_WORLD,
+    story_type_names=story_templates_es.STORY_TYPE_NAMES,
+    length_descriptions=story_templates_es.LENGTH_DESCRIPTIONS,
+    beats=story_templates_es.BEATS,
+    story_type_beats=story_templates_es.STORY_TYPE_BEATS,
+    ingredient_names=story_templates_es.INGREDIENT_NAMES,
+)
+
+# Languages the engine can write a story in, by ISO 639-1 code.
+STORY_LANGUAGES: Dict[str, StoryLanguage] = {"en": ENGLISH, "es": SPANISH}
+
+def story_language(code: str) -> StoryLanguage:
+    return STORY_LANGUAGES.get(code, ENGLISH)
+
+# Verb endings that depend on how many children star in the story, written
+# [singular|plural] in the templates of languages that need them.
+AGREEMENT = re.compile(r"\[([^|\]]*)\|([^\]]*)\]")
+
+# Variants are picked from a fixed number of draws rather than the length of
+# each list, so a translation written from the same seed picks the matching
+# variant on every page. Divisible by every variant count in use.
+VARIANT_DRAWS = 12
+
+class TemplateEngine:
+    """Writes one story from a brief. Each page is planned as a list of beats,
+    so pages can be merged when the band's page count is smaller than the
+    story's essential beats, and rendered once the plan is settled."""
+
+    def __init__(self, brief: StoryBrief):
+        self.brief = brief
+        self.language = story_language(brief.language)
+        self.level = AGE_BANDS[brief.age_band]["vocabulary"]
+        self.rng = random.Random(brief.seed or brief.names)
+        self.world = self.language.worlds.get(brief.theme, self.language.default_world)
+        story_type = brief.story_type if brief.story_type in STORY_TYPE_BEATS else "adventure"
+        self.type_beats = self.language.story_type_beats[story_type]
+        # The page plan is the same in every language.
+        self.middle = STORY_TYPE_BEATS[story_type]["middle"]
+        self.plural = len(brief.characters) > 1
+        self.values = self._values()
+        # A helper back from an earlier episode needs no introduction.
+        self.helper_met = any(e.name == self._definite(self.world["helper"]) for e in brief.returning("character"))
+
+    def _definite(self, phrase: str) -> str:
+        return definite(phrase, self.language.articles)
+
+    def _values(self) -> dict:
+        brief = self.brief
+        language = self.language
+        characters = brief.characters
+        pronouns = language.pronouns[characters[0].pronouns] if len(characters) == 1 else language.pronouns["they"]
+        places = brief.suitable(brief.custom_places)
+        places += [e.name for e in brief.returning("place") if e.name not in places]
+        friends = language.join([e.name for e in brief.returning("character")])
+
+        if brief.custom_setting:
+            setting = custom_theme_setting(brief.custom_setting, brief.language)
+        else:
+            setting = pick_template({k: [v] for k, v in self.world["setting"].items()}, self.level)[0]
+
+        return {
+            "names": language.join([c.name for c in characters]),
+            "count": language.number_words.get(len(characters), str(len(characters))),
+            "age": characters[0].age,
+            "ages": language.join([str(c.age) for c in characters]),
+            "sub": pronouns["subject"],
+            "Sub": capitalize_first(pronouns["subject"]),
+            "obj": pronouns["object"],
+            "poss": pronouns["possessive"],
+            "refl": pronouns["reflexive"],
+            "was": "were" if pronouns["subject"] == "they" else "was",
+            "setting": setting,
+            "places": language.join(places),
+            "friends": friends,
+            "Friends": capitalize_first(friends),
+            "items": language.join([e.name for e in brief.returning("item")]),
+            "helper": self.world["helper"],
+            "Helper": capitalize_first(self.world["helper"]),
+            "destination": self.world["destination"],
+            # A user-named place makes the world feel like theirs.
+            "place": places[0] if places else self.world["place"],
+            "obstacle": self.world["obstacle"],
+            "wonder": self.world["wonder"],
+            "fact": self.world["fact"],
+            "Fact": capitalize_first(self.world["fact"]),
+            "length_desc": language.length_descriptions.get(brief.length, language.length_descriptions["medium"]),
+            "story_type_name": language.story_type_names.get(brief.story_type, language.story_type_names["adventure"]),
+        }
+
+    def _beat(self, variants_by_level: Dict[str, List[str]], variant: Optional[int] = None, **extra) -> tuple:
+        return variants_by_level, variant, extra
+
+    def _render(self, beat: tuple) -> str:
+        variants_by_level, variant, extra = beat
+        variants = pick_template(variants_by_level, self.level)
+        if variant is None:
+            variant = self.rng.randrange(VARIANT_DRAWS)
+        template = AGREEMENT.sub(lambda m: m.group(2 if self.plural else 1), variants[variant % len(variants)])
+        values = {**self.values, **extra}
+        if "helper" in template.lower():
+            # Introduce the helper once, then refer back to it.
+            if self.helper_met:
+                helper = self._definite(self.world["helper"])
+                values.update(helper=helper, Helper=capitalize_first(helper))
+            self.helper_met = True
+        return template.format(**values)
+
+    def compose(self) -> str:
+        brief = self.brief
+        beats = self.language.beats
+        page_count = page_count_for(brief.age_band, brief.length)
+        ingredients = [
+            self.language.ingredient_names.get(ingredient.lower(), ingredient)
+            for ingredient in brief.suitable(brief.special_ingredients)
+        ]
+        opening = "opening_one" if len(brief.characters) == 1 else "opening_many"
+
+        # Essential pages, in story order.
+        opening_page = [self._beat(beats[opening])]
+        setting_page = [self._beat(beats["setting"])]
+        # Friends and belongings from earlier episodes join in as the story gets going.
+        if self.values["friends"]:
+            setting_page.append(self._beat(beats["returning_friends"]))
+        if self.values["items"]:
+            setting_page.append(self._beat(beats["returning_items"]))
+        places_page = [self._beat(beats["places"])] if self.values["places"] else None
+        goal_page = [self._beat(self.type_beats["goal"])]
+        offset = self.rng.randrange(VARIANT_DRAWS)
+        ingredient_pages = [
+            [self._beat(beats["ingredient"], variant=offset + index, ingredient=ingredient)]
+            for index, ingredient in enumerate(ingredients)
+        ]
+        resolution_page = [self._beat(self.type_beats["resolution"])]
+        ending_page = [self._beat(beats["ending"])]
+
+        def essential_count():
+            pages = [setting_page, places_page, goal_page, resolution_page, ending_page]
+            return 1 + len([page for page in pages if page]) + len(ingredient_pages)
+
+        # Squeeze the essentials into the page budget: all ingredients on one
+        # page, then the places and goal onto the setting page, then the
+        # resolution onto the last page.
+        if essential_count() > page_count and len(ingredient_pages) > 1:
+            ingredient_pages = [[self._beat(beats["ingredient"], variant=offset, ingredient=self.language.join(ingredients))]]
+        if essential_count() > page_count and places_page:
+            setting_page += places_page
+            places_page = None
+        if essential_count() > page_count:
+            setting_page += goal_page
+            goal_page = None
+        if essential_count() > page_count:
+            ending_page = resolution_page + ending_page
+            resolution_page = None
+
+        middle_beats = self.middle[: max(0, page_count - essential_count())]
+        middle_pages = [[self._beat(beats[beat])] for beat in middle_beats]
+
+        pages = [opening_page, setting_page]
+        pages += [page for page in (places_page, goal_page) if page]
+        # Spread the ingredients through the middle of the story.
+        for index in range(max(len(ingredient_pages), len(middle_pages))):
+            pages += ingredient_pages[index:index + 1] + middle_pages[index:index + 1]
+        if resolution_page:
+            pages.append(resolution_page)
+        pages.append(ending_page)
+
+        # Render in story order so the helper is introduced before it is referred back to.
+        return "\n\n".join(" ".join(self._render(beat) for beat in page) for page in pages)
+
+def compose_story(brief: StoryBrief) -> str:
+    """Write a story with the built-in template engine"""
+    return TemplateEngine(brief).compose()
+
+# Special ingredients that are characters rather than things.
+INGREDIENT_KINDS = {"talking animals": "character", "friendly monsters": "character"}
+
+def story_elements(brief: StoryBrief, content: str) -> List[RecurringElement]:
+    """Characters, places and items that appear in a finished story, for a series' character bible"""
+    language = story_language(brief.language)
+    world = language.worlds.get(brief.theme, language.default_world)
+    text = content.lower()
+    elements = []
+
+    helper = definite(world["helper"], language.articles)
+    if helper.split(" ", 1)[1] in text:
+        if brief.custom_setting:
+            setting = custom_theme_setting(brief.custom_setting, brief.language)
+        else:
+            setting = world["setting"].get("early", world["setting"]["simple"])
+        elements.append(RecurringElement("character", helper, language.first_met.format(setting=setting)))
+    for ingredient in brief.suitable(brief.special_ingredients):
+        name = language.ingredient_names.get(ingredient.lower(), ingredient[:1].lower() + ingredient[1:])
+        if name.lower() in text:
+            elements.append(RecurringElement(INGREDIENT_KINDS.get(ingredient.lower(), "item"), name))
+    for place in brief.suitable(brief.custom_places):
+        if place.lower() in text:
+            elements.append(RecurringElement("place", place))
+    return elements
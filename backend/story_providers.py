@@ -0,0 +1,178 @@
+"""Story-generation providers.
+
+The provider is picked with the STORY_PROVIDER environment variable:
+
+- "template" (default): the built-in template engine, works offline.
+- "local_llm": an OpenAI-compatible chat completions endpoint such as a local
+  llama.cpp, Ollama or vLLM server, configured with LOCAL_LLM_URL,
+  LOCAL_LLM_MODEL and LOCAL_LLM_TIMEOUT (seconds).
+- "mock": short, predictable stories for tests.
+
+Bilingual stories get a translation from the same provider, page for page.
+If the configured provider fails, the story (and its translation) is written
+by the template engine instead so a generation job only fails when nothing
+can write the story.
+"""
+import asyncio
+import dataclasses
+import logging
+import os
+from typing import Dict, List, Optional, Tuple
+
+import requests
+
+from story_engine import (
+    AGE_BANDS, LENGTH_DESCRIPTIONS, StoryBrief, compose_story, custom_theme_setting, page_count_for, story_language,
+)
+
+logger = logging.getLogger(__name__)
+
+def split_paragraphs(content: str) -> List[str]:
+    return [p.strip() for p in content.replace("\r\n", "\n").split("\n\n") if p.strip()]
+
+class StoryProvider:
+    """Writes story content from a brief. Pages are separated by blank lines."""
+    name = "base"
+
+    async def generate(self, brief: StoryBrief) -> str:
+        raise NotImplementedError
+
+    async def translate(self, brief: StoryBrief, content: str, language: str) -> str:
+        """The story in another language, with the same number of pages"""
+        raise NotImplementedError
+
+class TemplateStoryProvider(StoryProvider):
+    name = "template"
+
+    async def generate(self, brief: StoryBrief) -> str:
+        return compose_story(brief)
+
+    async def translate(self, brief: StoryBrief, content: str, language: str) -> str:
+        # Written from the same seed, so every page tells the same part of the story.
+        return compose_story(dataclasses.replace(brief, language=language))
+
+class LocalLLMStoryProvider(StoryProvider):
+    name = "local_llm"
+
+    def __init__(self):
+        self.url = os.environ.get("LOCAL_LLM_URL", "http://localhost:11434/v1/chat/completions")
+        self.model = os.environ.get("LOCAL_LLM_MODEL", "llama3")
+        self.timeout = float(os.environ.get("LOCAL_LLM_TIMEOUT", "120"))
+
+    def build_prompt(self, brief: StoryBrief) -> str:
+        rules = AGE_BANDS[brief.age_band]
+        characters = ", ".join(f"{c.name} (age {c.age}, pronouns {c.pronouns})" for c in brief.characters)
+        language = story_language(brief.language)
+        lines = [
+            f"Write {LENGTH_DESCRIPTIONS.get(brief.length, 'an amazing')} {brief.story_type} story for children aged {brief.age_band}.",
+            f"Write it in {language.name}.",
+            f"Main characters: {characters}.",
+            f"Setting: {brief.custom_setting or brief.theme}.",
+        ]
+        places = brief.suitable(brief.custom_places)
+        if places:
+            lines.append(f"Visit these places: {', '.join(places)}.")
+        ingredients = brief.suitable(brief.special_ingredients)
+        if ingredients:
+            lines.append(f"Each of these must play a part in the story: {', '.join(ingredients)}.")
+        if brief.episode:
+            lines.append(f"This is episode {brief.episode} of a series about the same characters.")
+        returning = [e for kind in ("character", "place", "item") for e in brief.returning(kind)]
+        if returning:
+            described = [f"{e.name} ({e.description})" if e.description else e.name for e in returning]
+            lines.append(f"Bring these back from earlier episodes: {'; '.join(described)}.")
+        lines += [
+            f"Write exactly {page_count_for(brief.age_band, brief.length)} paragraphs, one per page, separated by blank lines.",
+            f"Use {rules['vocabulary']} vocabulary and keep every sentence to {rules['max_sentence_words']} words or fewer.",
+            f"Never use these words: {', '.join(sorted(rules['blocked_words']))}.",
+            f"End the last paragraph with \"{language.the_end}\" Reply with the story only.",
+        ]
+        return "\n".join(lines)
+
+    def build_translation_prompt(self, content: str, language: str) -> str:
+        paragraphs = split_paragraphs(content)
+        return "\n".join([
+            f"Translate this children's story into {story_language(language).name} for a bilingual picture book.",
+            f"Keep exactly {len(paragraphs)} paragraphs, one per page, separated by blank lines, and keep every name as it is.",
+            f"End the last paragraph with \"{story_language(language).the_end}\" Reply with the translation only.",
+            "",
+            "\n\n".join(paragraphs),
+        ])
+
+    def request_story(self, prompt: str) -> str:
+        response = requests.post(
+            self.url,
+            json={
+                "model": self.model,
+                "messages": [
+                    {"role": "system", "content": "You write gentle, imaginative picture-book stories for children."},
+                    {"role": "user", "content": prompt},
+                ],
+            },
+            timeout=self.timeout,
+        )
+        response.raise_for_status()
+        return response.json()["choices"][0]["message"]["content"]
+
+    async def generate(self, brief: StoryBrief) -> str:
+        content = await asyncio.to_thread(self.request_story, self.build_prompt(brief))
+        paragraphs = split_paragraphs(content)
+        if not paragraphs:
+            raise ValueError("The language model returned an empty story")
+        return "\n\n".join(paragraphs)
+
+    async def translate(self, brief: StoryBrief, content: str, language: str) -> str:
+        translation = await asyncio.to_thread(self.request_story, self.build_translation_prompt(content, language))
+        paragraphs = split_paragraphs(translation)
+        # Pages are shown side by side, so they have to line up.
+        if len(paragraphs) != len(split_paragraphs(content)):
+            raise ValueError("The language model's translation has a different number of pages")
+        return "\n\n".join(paragraphs)
+
+class MockStoryProvider(StoryProvider):
+    """One page per story element, so tests can check what made it in"""
+    name = "mock"
+
+    async def generate(self, brief: StoryBrief) -> str:
+        setting = custom_theme_setting(brief.custom_setting) if brief.custom_setting else f"in the {brief.theme} world"
+        pages = [f"This {brief.story_type} story is about {brief.names}."]
+        pages.append(f"It happened {setting}.")
+        pages += [f"They visited {place}." for place in brief.suitable(brief.custom_places)]
+        pages += [f"They found {ingredient}." for ingredient in brief.suitable(brief.special_ingredients)]
+        pages += [f"Back again: {e.name}." for kind in ("character", "place", "item") for e in brief.returning(kind)]
+        pages.append("The End.")
+        return "\n\n".join(pages)
+
+    async def translate(self, brief: StoryBrief, content: str, language: str) -> str:
+        return "\n\n".join(f"[{language}] {page}" for page in content.split("\n\n"))
+
+STORY_PROVIDERS: Dict[str, type] = {
+    provider.name: provider for provider in (TemplateStoryProvider, LocalLLMStoryProvider, MockStoryProvider)
+}
+
+def get_story_provider() -> StoryProvider:
+    name = os.environ.get("STORY_PROVIDER", TemplateStoryProvider.name)
+    if name not in STORY_PROVIDERS:
+        logger.warning("Unknown STORY_PROVIDER %s, using the template engine", name)
+        name = TemplateStoryProvider.name
+    return STORY_PROVIDERS[name]()
+
+async def write_with(
+    provider: StoryProvider, brief: StoryBrief, translation_language: Optional[str]
+) -> Tuple[str, Optional[str]]:
+    content = await provider.generate(brief)
+    translation = await provider.translate(brief, content, translation_language) if translation_language else None
+    return content, translation
+
+async def write_story(brief: StoryBrief, translation_language: Optional[str] = None) -> Tuple[str, Optional[str], str]:
+    """Write a story with the configured provider, returning the content, its translation
+    when one is asked for, and the provider that wrote them"""
+    provider = get_story_provider()
+    try:
+        return (*await write_with(provider, brief, translation_language), provider.name)
+    except Exception:
+        if provider.name == TemplateStoryProvider.name:
+            raise
+        logger.exception("Story provider %s failed, falling back to the template engine", provider.name)
+        fallback = TemplateStoryProvider()
+        return (*await write_with(fallback, brief, translation_language), fallback.name)
@@ -0,0 +1,343 @@
+"""Spanish templates for the built-in story engine.
+
+Mirrors the English tables in story_engine: the same beats with the same
+number of variants at each vocabulary level, so a story and its translation
+written from one seed tell the same story page for page.
+
+Verbs agree with how many children star in the story through [singular|plural]
+markers. Sentences are written so that nothing else depends on a child's
+gender or on the article of a theme noun (no "a {destination}" that would need
+"al").
+"""
+from typing import Dict, List
+
+PRONOUNS = {
+    "she": {"subject": "ella", "object": "la", "possessive": "su", "reflexive": "sí misma"},
+    "he": {"subject": "él", "object": "lo", "possessive": "su", "reflexive": "sí mismo"},
+    "they": {"subject": "elle", "object": "le", "possessive": "su", "reflexive": "sí misme"},
+}
+
+NUMBER_WORDS = {2: "dos", 3: "tres", 4: "cuatro"}
+
+# Indefinite article: definite article
+ARTICLES = {"un": "el", "una": "la", "unos": "los", "unas": "las"}
+
+SETTING_PREPOSITIONS = ("en ", "sobre ", "bajo ", "dentro ", "entre ", "cerca ", "lejos ", "junto ", "al ", "más ", "por ")
+
+# Special ingredients offered by the wizard, by their English name.
+INGREDIENT_NAMES = {
+    "magic spells": "hechizos mágicos",
+    "talking animals": "animales que hablan",
+    "hidden treasures": "tesoros escondidos",
+    "flying vehicles": "vehículos voladores",
+    "secret doors": "puertas secretas",
+    "friendly monsters": "monstruos simpáticos",
+    "time travel": "un viaje en el tiempo",
+    "superhero powers": "superpoderes",
+}
+
+THEME_WORLDS: Dict[str, dict] = {
+    "forest": {
+        "setting": {
+            "simple": "en un bosque mágico",
+            "early": "en un bosque encantado",
+            "confident": "en lo más profundo de un bosque mágico lleno de animales que hablan",
+        },
+        "helper": "un búho viejo y sabio",
+        "destination": "el árbol más alto del bosque",
+        "place": "un arroyo brillante",
+        "obstacle": "una maraña de zarzas espinosas",
+        "wonder": "luciérnagas que brillaban como farolillos",
+        "fact": "algunos árboles viven miles de años",
+    },
+    "space": {
+        "setting": {
+            "simple": "en el espacio",
+            "early": "en un viaje a las estrellas",
+            "confident": "en un emocionante viaje entre estrellas y planetas",
+        },
+        "helper": "un robot amistoso",
+        "destination": "la estrella más lejana",
+        "place": "una luna cubierta de polvo plateado",
+        "obstacle": "un campo de rocas que daban vueltas",
+        "wonder": "un cometa con cola de arcoíris",
+        "fact": "en la Luna no hay aire",
+    },
+    "ocean": {
+        "setting": {
+            "simple": "bajo el mar",
+            "early": "en lo más hondo del océano",
+            "confident": "en las profundidades del océano, entre criaturas marinas de colores",
+        },
+        "helper": "un pulpo muy listo",
+        "destination": "un viejo barco hundido",
+        "place": "un arrecife de coral brillante",
+        "obstacle": "un remolino que giraba sin parar",
+        "wonder": "un banco de peces que brillaban",
+        "fact": "un pulpo tiene tres corazones",
+    },
+    "castle": {
+        "setting": {
+            "simple": "en un gran castillo",
+            "early": "en un castillo majestuoso",
+            "confident": "en un castillo majestuoso con caballeros valientes y princesas sabias",
+        },
+        "helper": "un dragón simpático",
+        "destination": "lo alto de la torre más alta",
+        "place": "la biblioteca real",
+        "obstacle": "un puente levadizo atascado",
+        "wonder": "un salón de baile lleno de luces danzarinas",
+        "fact": "algunos muros de castillo eran más gruesos que un coche de largo",
+    },
+    "dinosaur": {
+        "setting": {
+            "simple": "con los dinosaurios",
+            "early": "en la tierra de los dinosaurios",
+            "confident": "en tiempos prehistóricos, entre dinosaurios amistosos",
+        },
+        "helper": "un tricerátops bondadoso",
+        "destination": "la cima de la montaña humeante",
+        "place": "un valle de helechos gigantes",
+        "obstacle": "un río demasiado ancho para saltarlo",
+        "wonder": "un nido de huevos moteados",
+        "fact": "algunos dinosaurios tenían plumas, igual que los pájaros",
+    },
+    "fairy": {
+        "setting": {
+            "simple": "en el país de las hadas",
+            "early": "en un reino encantado de hadas",
+            "confident": "en un reino encantado de hadas con poderes mágicos",
+        },
+        "helper": "una pequeña hada",
+        "destination": "el jardín de la reina de las hadas",
+        "place": "un corro de setas con lunares",
+        "obstacle": "un seto que no paraba de crecer",
+        "wonder": "flores que cantaban cuando soplaba el viento",
+        "fact": "las mariposas saborean con las patas",
+    },
+}
+
+DEFAULT_WORLD = {
+    "setting": {"simple": "en un mundo mágico"},
+    "helper": "un guía amistoso",
+    "destination": "el final del arcoíris",
+    "place": "un jardín escondido",
+    "obstacle": "una puerta que no se abría",
+    "wonder": "un cielo lleno de colores brillantes",
+    "fact": "la miel nunca se estropea",
+}
+
+# With a demonstrative, since the noun's gender varies: "recordaría esta aventura"
+STORY_TYPE_NAMES = {
+    "adventure": "esta aventura",
+    "educational": "este día de aprendizaje",
+    "treasure": "esta búsqueda del tesoro",
+    "friendship": "esta nueva amistad",
+}
+
+# Follows "una aventura": "una aventura maravillosa"
+LENGTH_DESCRIPTIONS = {
+    "short": "rápida pero emocionante",
+    "medium": "maravillosa",
+    "long": "épica y llena de detalles",
+}
+
+BEATS: Dict[str, Dict[str, List[str]]] = {
+    "opening_one": {
+        "simple": ["Érase una vez {names}. Tenía {age} años."],
+        "early": [
+            "Érase una vez {names}, que tenía {age} años y mucho valor y curiosidad. Le encantaba explorar.",
+            "Había una vez {names}, con {age} años y muchas ganas de explorar. Siempre quería saber qué había tras la siguiente esquina.",
+        ],
+        "confident": [
+            "Érase una vez {names}, que tenía {age} años, mucho valor y una curiosidad enorme.",
+            "Había una vez {names}, con {age} años, la cabeza llena de preguntas y el corazón lleno de valor.",
+        ],
+        "advanced": [
+            "Érase una vez {names}, que tenía {age} años y una curiosidad sin límites, y siempre se preguntaba qué habría más allá del horizonte.",
+        ],
+    },
+    "opening_many": {
+        "simple": ["Érase una vez {count} amigos. Se llamaban {names}."],
+        "early": ["Érase una vez {count} amigos con mucho valor y curiosidad: {names}."],
+        "confident": ["Érase una vez {count} amigos con mucho valor y curiosidad, {names}, que tenían {ages} años."],
+        "advanced": [
+            "Érase una vez {count} amigos con una curiosidad sin límites, {names}, que siempre se preguntaban qué habría más allá del horizonte.",
+        ],
+    },
+    "setting": {
+        "simple": ["Un día, {names} [apareció|aparecieron] {setting}. ¡Vaya! ¡Qué lugar!"],
+        "early": ["Un día mágico, {names} [apareció|aparecieron] {setting}. ¡Así empezó una aventura {length_desc}!"],
+        "advanced": [
+            "Una mañana extraordinaria, {names} [apareció|aparecieron] {setting}. Enseguida quedó claro que sería una aventura {length_desc}.",
+        ],
+    },
+    "places": {
+        "simple": ["{names} [vio|vieron] {places}. ¡Todo era divertido!"],
+        "early": ["Por el camino, {names} [visitó|visitaron] {places}. Cada lugar guardaba una sorpresa nueva."],
+        "confident": ["A lo largo del camino, {names} [visitó|visitaron] {places}, y cada lugar guardaba una sorpresa nueva."],
+        "advanced": ["El viaje llevó a {names} por {places}, y cada uno de esos lugares escondía algo inesperado."],
+    },
+    "returning_friends": {
+        "simple": ["¡{Friends} también! ¡Qué alegría!"],
+        "early": ["Como la última vez, hubo compañía: {friends}."],
+        "confident": ["Viejos amigos volvieron a [acompañarle|acompañarles]: {friends}."],
+        "advanced": ["Caras conocidas se unieron una vez más: {friends}."],
+    },
+    "returning_items": {
+        "simple": ["{names} [llevaba|llevaban] otra vez {items}."],
+        "early": ["{names} todavía [tenía|tenían] {items} de la última vez."],
+        "confident": ["{names} [había|habían] traído {items} de la aventura anterior."],
+        "advanced": ["{names} no [había|habían] olvidado {items}, su tesoro desde la última aventura."],
+    },
+    "ingredient": {
+        "simple": [
+            "Entonces {names} [encontró|encontraron] {ingredient}. ¡Qué sorpresa tan feliz!",
+            "¡Mira! Allí había {ingredient}. {names} [sonrió|sonrieron] muchísimo.",
+            "{names} [usó|usaron] {ingredient}. ¡Qué gran ayuda!",
+        ],
+        "early": [
+            "Por el camino, {names} [descubrió|descubrieron] {ingredient}. ¡Era justo lo que hacía falta!",
+            "Después, {names} [vio|vieron] {ingredient}. \"Esto [me|nos] vendrá bien\", [dijo|dijeron].",
+            "Entonces pasó algo increíble. {names} [encontró|encontraron] {ingredient}, ¡y con eso el camino fue mucho más fácil!",
+        ],
+        "confident": [
+            "Muy pronto, {names} [descubrió|descubrieron] {ingredient}: justo lo que iba a hacer falta.",
+            "Cerca de {place}, {names} [vio|vieron] {ingredient}. \"Esto puede ser útil\", [dijo|dijeron] con una sonrisa.",
+            "Cuando el camino se puso difícil, el día se salvó gracias a {ingredient}.",
+        ],
+        "advanced": [
+            "Por el camino, {names} [descubrió|descubrieron] {ingredient}, algo mucho más importante de lo que nadie había imaginado.",
+            "Cerca de {place}, {names} [encontró|encontraron] {ingredient} y [tuvo|tuvieron] el presentimiento de que eso sería importante más adelante.",
+            "Cuando seguir adelante parecía imposible, gracias a {ingredient}, {names} [tuvo|tuvieron] justo la idea que [necesitaba|necesitaban].",
+        ],
+    },
+    "obstacle": {
+        "simple": ["¡Oh, no! Había {obstacle}. {names} [respiró|respiraron] hondo y [encontró|encontraron] una salida."],
+        "early": ["De repente, {names} [llegó|llegaron] hasta {obstacle}. [Pensó|Pensaron] mucho y [encontró|encontraron] una forma ingeniosa de pasar."],
+        "confident": ["El camino terminaba en {obstacle}, pero {names} [siguió|siguieron] pensando hasta encontrar la manera de pasar."],
+        "advanced": [
+            "El camino estaba bloqueado por {obstacle} y, por un momento, todo parecía perdido, hasta que {names} se [fijó|fijaron] en algo que nadie más había visto.",
+        ],
+    },
+    "wonder": {
+        "simple": ["{names} [vio|vieron] {wonder}. ¡Qué bonito!"],
+        "early": ["Esa tarde, {names} [vio|vieron] {wonder}. Era lo más bonito que [había|habían] visto nunca."],
+        "confident": ["Cuando la luz cambió, {names} [descubrió|descubrieron] {wonder}. Durante un buen rato, nadie dijo ni una palabra."],
+        "advanced": ["Mientras la luz se apagaba, {names} [contempló|contemplaron] {wonder}, algo tan hermoso que nadie se atrevió a hablar."],
+    },
+    "helper_moment": {
+        "simple": ["{Helper} contó un chiste muy gracioso. ¡Todos se rieron!"],
+        "early": ["{Helper} compartió su merienda con {names}. Compartida, ¡sabía todavía mejor!"],
+        "confident": ["{Helper} contó historias de los viejos tiempos, y {names} [escuchó|escucharon] con los ojos muy abiertos y brillantes."],
+        "advanced": [
+            "Durante una comida compartida, {helper} contó historias de los viejos tiempos, y {names} [escuchó|escucharon] con atención, reuniendo pistas de cada relato.",
+        ],
+    },
+    "place_visit": {
+        "simple": ["Después, {names} [fue|fueron] hasta {place}. [Miró|Miraron] por todas partes."],
+        "early": ["Después, {names} [visitó|visitaron] {place}. ¡Había tantísimo que ver y explorar!"],
+        "confident": ["La siguiente parada fue {place}, donde cada rincón parecía esconder una sorpresa nueva."],
+        "advanced": ["La siguiente parada fue {place}, un lugar tan lleno de sorpresas que {names} se [habría|habrían] quedado allí durante días."],
+    },
+    "rest": {
+        "simple": ["{names} se [sentó|sentaron] a descansar. ¡Hora de merendar!"],
+        "early": ["Cuando llegó el cansancio, {names} [descansó|descansaron] y [soñó|soñaron] con lo que vendría después."],
+        "confident": ["No todo salió según el plan, pero {names} [aprendió|aprendieron] que los errores forman parte de toda gran aventura."],
+        "advanced": ["No todo salió como estaba previsto, pero {names} [comprendió|comprendieron] que los errores forman parte de cualquier aventura que merezca la pena."],
+    },
+    "weather": {
+        "simple": ["¡Plic, plic, plic! Empezó a llover. {names} [saltó|saltaron] en los charcos."],
+        "early": ["Empezó a caer una lluvia suave. {names} [bailó|bailaron] en los charcos hasta que volvió a salir el sol."],
+        "confident": ["Un chaparrón repentino hizo que todos corrieran a refugiarse, pero {names} no [podía|podían] parar de reír y chapotear."],
+        "advanced": [
+            "Una tormenta repentina obligó a cambiar de planes, así que {names} [improvisó|improvisaron] un refugio y [esperó|esperaron] con paciencia a que el cielo se despejara.",
+        ],
+    },
+    "night": {
+        "simple": ["Salieron las estrellas. {names} [contó|contaron]: ¡una, dos, tres!"],
+        "early": ["Cuando llegó la noche, {names} [contó|contaron] las estrellas. ¡Había más de las que nadie podría contar!"],
+        "confident": ["Esa noche, {names} se [tumbó|tumbaron] a contar las estrellas, preguntándose qué traería el día siguiente."],
+        "advanced": ["La noche cayó deprisa y, bajo un cielo desconocido, {names} [pensó|pensaron] en todo lo que había pasado hasta entonces."],
+    },
+    "teamwork": {
+        "simple": ["{names} y {helper} trabajaron en equipo. ¡El trabajo en equipo es lo mejor!"],
+        "early": ["{names} y {helper} formaron un gran equipo. ¡Juntos podían con todo!"],
+        "confident": ["Trabajando codo con codo con {helper}, {names} [descubrió|descubrieron] que los trabajos difíciles son más fáciles cuando se comparten."],
+        "advanced": ["Trabajando codo con codo con {helper}, {names} [descubrió|descubrieron] que hasta los problemas más difíciles se vuelven manejables cuando se comparten."],
+    },
+    "fact": {
+        "simple": ["{Helper} sabía un dato curioso. ¡{Fact}!"],
+        "early": ["\"¿Sabías que {fact}?\", preguntó {helper}. ¡{names} casi no se lo [podía|podían] creer!"],
+        "confident": ["\"Aquí va algo asombroso\", dijo {helper}. \"{Fact}.\" {names} no [veía|veían] la hora de contárselo a todo el mundo en casa."],
+    },
+    "ending": {
+        "simple": ["Pronto fue hora de volver a casa. ¡{names} [pasó|pasaron] el mejor día de todos! Fin."],
+        "early": ["¡Qué día tan especial! {names} [recordaría|recordarían] {story_type_name} para siempre. Fin."],
+        "confident": ["{names} [recordaría|recordarían] para siempre {story_type_name} y todos sus momentos mágicos. Fin."],
+        "advanced": [
+            "{names} [guardaría|guardarían] durante mucho tiempo el recuerdo de {story_type_name}, con sus retos, sus descubrimientos y sus amistades. Fin.",
+        ],
+    },
+}
+
+STORY_TYPE_BEATS: Dict[str, dict] = {
+    "adventure": {
+        "goal": {
+            "simple": ["{names} [quería|querían] llegar hasta {destination}. ¡Y allá [fue|fueron]!"],
+            "early": ["{Helper} contó que existía {destination}. ¡{names} [decidió|decidieron] ir hasta allí!"],
+            "confident": ["{Helper} susurró un secreto: nadie había llegado nunca hasta {destination}. {names} [decidió|decidieron] intentarlo antes que nadie."],
+            "advanced": ["Según {helper}, ningún explorador había llegado jamás hasta {destination}, y justo por eso {names} [decidió|decidieron] intentarlo."],
+        },
+        "resolution": {
+            "simple": ["Por fin, {names} [llegó|llegaron] hasta {destination}. ¡Hurra!"],
+            "early": ["Por fin, {names} [llegó|llegaron] hasta {destination}. ¡[Gritó|Gritaron] de alegría tan fuerte que se oyó en el mundo entero!"],
+            "confident": ["Por fin, {names} [estaba|estaban] en {destination}, con barro hasta las orejas pero con una sonrisa enorme."],
+            "advanced": [
+                "Por fin, {names} [alcanzó|alcanzaron] {destination}, sin fuerzas pero con la certeza de que el viaje había importado tanto como la llegada.",
+            ],
+        },
+    },
+    "educational": {
+        "goal": {
+            "simple": ["{Helper} dijo: \"¡Vamos a aprender algo nuevo!\" {names} [aplaudió|aplaudieron]."],
+            "early": ["{Helper} adoraba compartir datos asombrosos. \"¡Pregúntame lo que quieras!\", [le|les] dijo a {names}."],
+            "confident": ["{Helper} resultó ser una biblioteca andante, y {names} [tenía|tenían] cien preguntas preparadas."],
+            "advanced": ["{Helper} sabía una cantidad asombrosa de cosas sobre aquel mundo, y {names} [quería|querían] aprender todo lo posible."],
+        },
+        "resolution": {
+            "simple": ["{names} [aprendió|aprendieron] muchísimas cosas nuevas. ¡Qué gran día!"],
+            "early": ["Al final del día, {names} [había|habían] aprendido más de lo que nunca [había|habían] imaginado."],
+            "confident": ["Al final del día, {names} [tenía|tenían] la cabeza llena de más datos de los que se podían contar."],
+            "advanced": ["Cuando se puso el sol, {names} [había|habían] aprendido más de lo que cualquier libro podría enseñar, y aún [quería|querían] aprender más."],
+        },
+    },
+    "treasure": {
+        "goal": {
+            "simple": ["{names} [encontró|encontraron] un mapa viejo. ¡La X marca el lugar!"],
+            "early": ["Debajo de una roca, {names} [encontró|encontraron] un viejo mapa del tesoro. ¡Una gran X roja marcaba el lugar!"],
+            "confident": ["Bajo una piedra cubierta de musgo, {names} [descubrió|descubrieron] un mapa del tesoro arrugado con una gran X roja."],
+            "advanced": ["Bajo una piedra cubierta de musgo había un mapa arrugado y descolorido, y su gran X roja señalaba hacia {destination}."],
+        },
+        "resolution": {
+            "simple": ["{names} [cavó|cavaron] y [cavó|cavaron]. ¡Allí estaba el tesoro!"],
+            "early": ["{names} [siguió|siguieron] el mapa hasta la gran X roja y [cavó|cavaron]. ¡Allí estaba el tesoro, brillando!"],
+            "confident": ["Siguiendo el mapa hasta la gran X roja, {names} [cavó|cavaron] hasta tocar un cofre de oro reluciente."],
+            "advanced": ["Siguiendo la última pista del mapa, {names} [cavó|cavaron] bajo la gran X roja y [desenterró|desenterraron] un cofre lleno de tesoros relucientes."],
+        },
+    },
+    "friendship": {
+        "goal": {
+            "simple": ["{Helper} no tenía con quién jugar. \"¿Quieres jugar?\", [preguntó|preguntaron] {names}."],
+            "early": ["{Helper} no tenía a nadie con quien jugar. \"¿Quieres venir [conmigo|con nosotros]?\", [preguntó|preguntaron] {names}."],
+            "confident": ["{Helper} parecía llevar siglos sin que nadie le pidiera jugar. {names} [fue|fueron] enseguida a saludar."],
+            "advanced": ["{Helper} pasaba el tiempo en silencio, sin nadie con quien hablar desde hacía mucho. {names} se [acercó|acercaron] a saludar."],
+        },
+        "resolution": {
+            "simple": ["{Helper} ya no estaba sin amigos. ¡Ahora eran los mejores amigos!"],
+            "early": ["{Helper} sonrió con la sonrisa más grande del mundo. Ya no le faltaban amigos, porque ahora tenía a {names}."],
+            "confident": ["{Helper} sonrió como nadie había sonreído nunca, porque por fin tenía una amistad de verdad con {names}."],
+            "advanced": ["{Helper} ya no estaba sin amigos, y {names} [comprendió|comprendieron] que ser buena compañía era la mayor aventura de todas."],
+        },
+    },
+}
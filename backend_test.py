@@ -2,6 +2,8 @@ import requests
 import unittest
 import os
 import json
+import time
+import uuid
 
 class StoryBookAPITest(unittest.TestCase):
     def __init__(self, *args, **kwargs):
@@ -14,11 +16,22 @@ class StoryBookAPITest(unittest.TestCase):
                     break
         
         print(f"Using backend URL: {self.base_url}")
-        
+
+    def setUp(self):
+        # Story endpoints are scoped to the signed-in family; each test signs up its own.
+        self.session = requests.Session()
+        response = self.session.post(f"{self.base_url}/api/auth/signup", json={
+            "email": f"family-{uuid.uuid4().hex[:12]}@example.com",
+            "password": "storytime-123",
+            "name": "Test Family"
+        })
+        response.raise_for_status()
+        self.session.headers["Authorization"] = f"Bearer {response.json()['token']}"
+
     def test_api_health(self):
         """Test if the API is up and running"""
         try:
-            response = requests.get(f"{self.base_url}/api/health")
+            response = self.session.get(f"{self.base_url}/api/health")
             self.assertEqual(response.status_code, 200)
             data = response.json()
             self.assertEqual(data["status"], "ok")
@@ -41,7 +54,7 @@ class StoryBookAPITest(unittest.TestCase):
                 "special_ingredients": ["Magic spells", "Talking animals"]
             }
             
-            response = requests.post(f"{self.base_url}/api/stories", json=story_data)
+            response = self.session.post(f"{self.base_url}/api/stories", json=story_data)
             self.assertEqual(response.status_code, 200)
             data = response.json()
             self.assertIn("id", data)
@@ -49,7 +62,7 @@ class StoryBookAPITest(unittest.TestCase):
             print(f"✅ Story creation API test passed, created story with ID: {story_id}")
             
             # Test getting a story by ID
-            response = requests.get(f"{self.base_url}/api/stories/{story_id}")
+            response = self.session.get(f"{self.base_url}/api/stories/{story_id}")
             self.assertEqual(response.status_code, 200)
             data = response.json()
             self.assertEqual(data["kid_name"], "Test Kid")
@@ -59,5 +72,578 @@ class StoryBookAPITest(unittest.TestCase):
             print(f"❌ API endpoints test failed: {str(e)}")
             raise
 
+    def test_story_generation_job(self):
+        """Test that story generation reports progress and deduplicates retried requests"""
+        try:
+            story_data = {
+                "characters": [
+                    {"name": "Job Kid", "age": 7, "pronouns": "she"},
+                    {"name": "Job Sibling", "age": 4, "pronouns": "he"}
+                ],
+                "theme": "space",
+                "story_type": "treasure",
+                "length": "medium",
+                "special_ingredients": ["Time travel"],
+                "client_request_id": str(uuid.uuid4())
+            }
+
+            first = self.session.post(f"{self.base_url}/api/stories", json=story_data).json()
+            second = self.session.post(f"{self.base_url}/api/stories", json=story_data).json()
+            self.assertEqual(first["id"], second["id"])
+            self.assertEqual(first["job_id"], second["job_id"])
+
+            job = None
+            for _ in range(20):
+                response = self.session.get(f"{self.base_url}/api/jobs/{first['job_id']}")
+                self.assertEqual(response.status_code, 200)
+                job = response.json()
+                if job["status"] in ("completed", "failed"):
+                    break
+                time.sleep(0.5)
+
+            self.assertEqual(job["status"], "completed")
+            self.assertEqual(job["progress"], 100)
+
+            story = self.session.get(f"{self.base_url}/api/stories/{first['id']}").json()
+            self.assertEqual(story["status"], "ready")
+            self.assertEqual(story["kid_name"], "Job Kid and Job Sibling")
+            self.assertEqual(len(story["characters"]), 2)
+            self.assertIn("Job Kid and Job Sibling", story["story_content"])
+            print("✅ Story generation job API test passed")
+        except Exception as e:
+            print(f"❌ Story generation job API test failed: {str(e)}")
+            raise
+
+    def test_custom_theme_story(self):
+        """Test saving a custom theme and generating a story with it"""
+        try:
+            response = self.session.post(f"{self.base_url}/api/custom-themes", json={
+                "name": "Candy Kingdom",
+                "description": "a candy kingdom where the rivers flow with chocolate",
+                "palette": "pink",
+                "icon": "🍭",
+                "places": ["the Gumdrop Mountains"]
+            })
+            self.assertEqual(response.status_code, 200)
+            custom_theme = response.json()
+            self.assertIn("id", custom_theme)
+
+            themes = self.session.get(f"{self.base_url}/api/custom-themes").json()
+            self.assertIn(custom_theme["id"], [theme["id"] for theme in themes])
+
+            response = self.session.post(f"{self.base_url}/api/stories", json={
+                "characters": [{"name": "Theme Kid", "age": 6}],
+                "theme": "custom",
+                "custom_theme": custom_theme,
+                "story_type": "adventure",
+                "length": "short"
+            })
+            self.assertEqual(response.status_code, 200)
+            story_id = response.json()["id"]
+
+            story = None
+            for _ in range(20):
+                story = self.session.get(f"{self.base_url}/api/stories/{story_id}").json()
+                if story["status"] != "generating":
+                    break
+                time.sleep(0.5)
+
+            self.assertIn("chocolate", story["story_content"])
+            self.assertIn("the Gumdrop Mountains", story["story_content"])
+            print("✅ Custom theme story API test passed")
+        except Exception as e:
+            print(f"❌ Custom theme story API test failed: {str(e)}")
+            raise
+
+    def test_age_band_story(self):
+        """Test that a story follows the reading rules of its age band"""
+        try:
+            response = self.session.post(f"{self.base_url}/api/stories", json={
+                "characters": [{"name": "Tiny Kid", "age": 3, "age_band": "3-4"}],
+                "theme": "forest",
+                "story_type": "adventure",
+                "length": "short",
+                "special_ingredients": ["a magic wand", "a scary monster"]
+            })
+            self.assertEqual(response.status_code, 200)
+            story_id = response.json()["id"]
+
+            story = None
+            for _ in range(20):
+                story = self.session.get(f"{self.base_url}/api/stories/{story_id}").json()
+                if story["status"] != "generating":
+                    break
+                time.sleep(0.5)
+
+            self.assertEqual(story["age_band"], "3-4")
+            self.assertEqual(story["provider"], "template")
+            self.assertEqual(story["characters"][0]["age_band"], "3-4")
+            self.assertEqual(len(story["story_content"].split("\n\n")), 4)
+            self.assertIn("a magic wand", story["story_content"])
+            self.assertNotIn("monster", story["story_content"])
+            print("✅ Age band story API test passed")
+        except Exception as e:
+            print(f"❌ Age band story API test failed: {str(e)}")
+            raise
+
+    def test_story_illustrations(self):
+        """Test that every page gets a picture and a page's picture can be redrawn"""
+        try:
+            response = self.session.post(f"{self.base_url}/api/stories", json={
+                "characters": [{"name": "Picture Kid", "age": 6, "appearance": "curly red hair"}],
+                "theme": "ocean",
+                "story_type": "treasure",
+                "length": "short"
+            })
+            self.assertEqual(response.status_code, 200)
+            story_id = response.json()["id"]
+
+            story = None
+            for _ in range(20):
+                story = self.session.get(f"{self.base_url}/api/stories/{story_id}").json()
+                if story["status"] != "generating":
+                    break
+                time.sleep(0.5)
+
+            paragraphs = story["story_content"].split("\n\n")
+            self.assertEqual([i["page"] for i in story["illustrations"]], list(range(len(paragraphs))))
+            first = story["illustrations"][0]
+            self.assertTrue(first["image"].startswith("data:image/svg+xml"))
+            self.assertIn("curly red hair", first["prompt"])
+
+            response = self.session.post(f"{self.base_url}/api/stories/{story_id}/illustrations/0")
+            self.assertEqual(response.status_code, 200)
+            self.assertNotEqual(response.json()["seed"], first["seed"])
+            story = self.session.get(f"{self.base_url}/api/stories/{story_id}").json()
+            self.assertEqual(story["illustrations"][0]["seed"], response.json()["seed"])
+
+            response = self.session.post(f"{self.base_url}/api/stories/{story_id}/illustrations/99")
+            self.assertEqual(response.status_code, 404)
+            print("✅ Story illustrations API test passed")
+        except Exception as e:
+            print(f"❌ Story illustrations API test failed: {str(e)}")
+            raise
+
+    def test_edit_story(self):
+        """Test saving an edited story, rejecting stale edits and reverting to the original"""
+        try:
+            response = self.session.post(f"{self.base_url}/api/stories", json={
+                "characters": [{"name": "Edit Kid", "age": 7}],
+                "theme": "castle",
+                "story_type": "friendship",
+                "length": "short"
+            })
+            self.assertEqual(response.status_code, 200)
+            story_id = response.json()["id"]
+
+            story = None
+            for _ in range(20):
+                story = self.session.get(f"{self.base_url}/api/stories/{story_id}").json()
+                if story["status"] != "generating":
+                    break
+                time.sleep(0.5)
+
+            original_content = story["story_content"]
+            paragraphs = original_content.split("\n\n")
+            first_picture = story["illustrations"][0]
+            response = self.session.put(f"{self.base_url}/api/stories/{story_id}", json={
+                "title": "The Kind Dragon",
+                "story_content": "\n\n".join(["A brand new first page."] + paragraphs),
+                "illustrations": [{**first_picture, "page": 1}],
+                "revision": story["revision"]
+            })
+            self.assertEqual(response.status_code, 200)
+            edited = response.json()
+            self.assertEqual(edited["title"], "The Kind Dragon")
+            self.assertEqual(edited["revision"], story["revision"] + 1)
+            self.assertTrue(edited["story_content"].startswith("A brand new first page."))
+            self.assertEqual([i["page"] for i in edited["illustrations"]], [1])
+            self.assertEqual(edited["original"]["story_content"], original_content)
+
+            response = self.session.patch(f"{self.base_url}/api/stories/{story_id}", json={
+                "title": "Stale title",
+                "revision": story["revision"]
+            })
+            self.assertEqual(response.status_code, 409)
+
+            response = self.session.post(f"{self.base_url}/api/stories/{story_id}/revert")
+            self.assertEqual(response.status_code, 200)
+            reverted = response.json()
+            self.assertEqual(reverted["story_content"], original_content)
+            self.assertIsNone(reverted["title"])
+            self.assertIsNone(reverted["original"])
+            self.assertEqual(len(reverted["illustrations"]), len(paragraphs))
+            print("✅ Edit story API test passed")
+        except Exception as e:
+            print(f"❌ Edit story API test failed: {str(e)}")
+            raise
+
+    def test_remix_story(self):
+        """Test that a remix is saved as a new version linked to the original"""
+        try:
+            story_request = {
+                "characters": [{"name": "Remix Kid", "age": 6}],
+                "theme": "ocean",
+                "story_type": "adventure",
+                "length": "short"
+            }
+            response = self.session.post(f"{self.base_url}/api/stories", json=story_request)
+            self.assertEqual(response.status_code, 200)
+            original_id = response.json()["id"]
+
+            response = self.session.post(f"{self.base_url}/api/stories", json={
+                **story_request,
+                "theme": "space",
+                "special_ingredients": ["Talking animals"],
+                "remix_of": original_id
+            })
+            self.assertEqual(response.status_code, 200)
+            remix_id = response.json()["id"]
+
+            remix = self.session.get(f"{self.base_url}/api/stories/{remix_id}").json()
+            self.assertEqual(remix["remix_of"], original_id)
+            self.assertEqual(remix["version_of"], original_id)
+            self.assertEqual(remix["version"], 2)
+
+            response = self.session.get(f"{self.base_url}/api/stories/{remix_id}/versions")
+            self.assertEqual(response.status_code, 200)
+            self.assertEqual([v["id"] for v in response.json()], [original_id, remix_id])
+
+            response = self.session.post(f"{self.base_url}/api/stories", json={**story_request, "remix_of": "does-not-exist"})
+            self.assertEqual(response.status_code, 422)
+            print("✅ Remix story API test passed")
+        except Exception as e:
+            print(f"❌ Remix story API test failed: {str(e)}")
+            raise
+
+    def test_series_episodes(self):
+        """Test that a series keeps a character bible and brings it back in the next episode"""
+        try:
+            story_request = {
+                "characters": [{"name": "Series Kid", "age": 7}],
+                "theme": "castle",
+                "story_type": "adventure",
+                "length": "medium",
+                "special_ingredients": ["Magic spells"]
+            }
+            response = self.session.post(f"{self.base_url}/api/stories", json=story_request)
+            self.assertEqual(response.status_code, 200)
+            first_id = response.json()["id"]
+            for _ in range(20):
+                if self.session.get(f"{self.base_url}/api/stories/{first_id}").json()["status"] != "generating":
+                    break
+                time.sleep(0.5)
+
+            response = self.session.post(f"{self.base_url}/api/series", json={"title": "Castle Tales", "story_id": first_id})
+            self.assertEqual(response.status_code, 200)
+            series = response.json()
+            names = [entry["name"] for entry in series["bible"]]
+            self.assertIn("magic spells", names)
+            self.assertTrue(all(entry["first_episode"] == 1 for entry in series["bible"]))
+
+            bible = series["bible"] + [{"kind": "character", "name": "Pip the fox", "description": "wears a red scarf"}]
+            response = self.session.patch(f"{self.base_url}/api/series/{series['id']}", json={"bible": bible})
+            self.assertEqual(response.status_code, 200)
+
+            response = self.session.post(f"{self.base_url}/api/stories", json={
+                **story_request, "special_ingredients": [], "series_id": series["id"]
+            })
+            self.assertEqual(response.status_code, 200)
+            second_id = response.json()["id"]
+            second = None
+            for _ in range(20):
+                second = self.session.get(f"{self.base_url}/api/stories/{second_id}").json()
+                if second["status"] != "generating":
+                    break
+                time.sleep(0.5)
+            self.assertEqual(second["episode"], 2)
+            self.assertIn("Pip the fox", second["story_content"])
+            self.assertIn("magic spells", second["story_content"])
+
+            response = self.session.get(f"{self.base_url}/api/series/{series['id']}/episodes")
+            self.assertEqual([e["id"] for e in response.json()], [first_id, second_id])
+
+            response = self.session.delete(f"{self.base_url}/api/series/{series['id']}")
+            self.assertEqual(response.status_code, 200)
+            self.assertIsNone(self.session.get(f"{self.base_url}/api/stories/{first_id}").json()["series_id"])
+            print("✅ Series API test passed")
+        except Exception as e:
+            print(f"❌ Series API test failed: {str(e)}")
+            raise
+
+    def test_get_missing_story(self):
+        """Test that an unknown story ID returns a 404"""
+        try:
+            response = self.session.get(f"{self.base_url}/api/stories/does-not-exist")
+            self.assertEqual(response.status_code, 404)
+            print("✅ Missing story API test passed")
+        except Exception as e:
+            print(f"❌ Missing story API test failed: {str(e)}")
+            raise
+
+    def test_accounts(self):
+        """Test signing up and in, and that stories are only visible to their family"""
+        try:
+            email = f"parent-{uuid.uuid4().hex[:12]}@example.com"
+            response = requests.post(f"{self.base_url}/api/auth/signup", json={
+                "email": email, "password": "bedtime-stories", "name": "The Testers"
+            })
+            self.assertEqual(response.status_code, 200)
+            self.assertNotIn("password_hash", response.json()["family"])
+
+            response = requests.post(f"{self.base_url}/api/auth/signup", json={
+                "email": email.upper(), "password": "bedtime-stories", "name": "Again"
+            })
+            self.assertEqual(response.status_code, 409)
+
+            response = requests.post(f"{self.base_url}/api/auth/login", json={"email": email, "password": "wrong-password"})
+            self.assertEqual(response.status_code, 401)
+            response = requests.post(f"{self.base_url}/api/auth/login", json={"email": email, "password": "bedtime-stories"})
+            self.assertEqual(response.status_code, 200)
+            other_family = {"Authorization": f"Bearer {response.json()['token']}"}
+
+            response = requests.post(f"{self.base_url}/api/family/children", headers=other_family, json={
+                "name": "Saved Kid", "age_band": "5-7", "pronouns": "she"
+            })
+            self.assertEqual(response.status_code, 200)
+            me = requests.get(f"{self.base_url}/api/auth/me", headers=other_family).json()
+            self.assertEqual([child["name"] for child in me["children"]], ["Saved Kid"])
+
+            response = self.session.post(f"{self.base_url}/api/stories", json={
+                "characters": [{"name": "Private Kid", "age": 5}],
+                "theme": "forest",
+                "story_type": "adventure",
+                "length": "short"
+            })
+            story_id = response.json()["id"]
+            self.assertEqual(requests.get(f"{self.base_url}/api/stories").status_code, 401)
+            self.assertEqual(requests.get(f"{self.base_url}/api/stories/{story_id}", headers=other_family).status_code, 404)
+            stories = requests.get(f"{self.base_url}/api/stories", headers=other_family).json()
+            self.assertNotIn(story_id, [story["id"] for story in stories])
+            print("✅ Accounts API test passed")
+        except Exception as e:
+            print(f"❌ Accounts API test failed: {str(e)}")
+            raise
+
+    def test_privacy_controls(self):
+        """Test listing, exporting and deleting a family's photos and stories"""
+        try:
+            photo = "data:image/png;base64,iVBORw0KGgo="
+            child = self.session.post(f"{self.base_url}/api/family/children", json={
+                "name": "Photo Kid", "age_band": "5-7", "photos": [photo]
+            }).json()
+            response = self.session.post(f"{self.base_url}/api/stories", json={
+                "characters": [{"name": "Photo Kid", "age": 6, "photos": [photo], "profile_id": child["id"]}],
+                "theme": "space",
+                "story_type": "adventure",
+                "length": "short"
+            })
+            story_id = response.json()["id"]
+
+            stories = self.session.get(f"{self.base_url}/api/stories").json()
+            listed = next(story for story in stories if story["id"] == story_id)
+            self.assertEqual(listed["characters"][0]["photos"], [])
+            summary = self.session.get(f"{self.base_url}/api/privacy").json()
+            self.assertEqual(summary["photo_count"], 2)
+
+            response = self.session.get(f"{self.base_url}/api/privacy/export")
+            self.assertEqual(response.status_code, 200)
+            self.assertEqual(response.headers["content-type"], "application/zip")
+            self.assertEqual(response.content[:2], b"PK")
+
+            # Removing the child takes their photo out of the story too.
+            response = self.session.delete(f"{self.base_url}/api/family/children/{child['id']}")
+            self.assertEqual(response.status_code, 200)
+            story = self.session.get(f"{self.base_url}/api/stories/{story_id}").json()
+            self.assertEqual(story["characters"][0]["photos"], [])
+
+            # Deleting every photo covers saved children and both kinds of story photo.
+            self.session.post(f"{self.base_url}/api/family/children", json={
+                "name": "Another Kid", "age_band": "8-10", "photos": [photo]
+            })
+            response = self.session.post(f"{self.base_url}/api/stories", json={
+                "kid_name": "Old Style Kid",
+                "kid_age": 5,
+                "kid_photo": photo,
+                "theme": "forest",
+                "story_type": "adventure",
+                "length": "short"
+            })
+            old_style_id = response.json()["id"]
+            response = self.session.delete(f"{self.base_url}/api/privacy/photos")
+            self.assertEqual(response.status_code, 200)
+            self.assertEqual(self.session.get(f"{self.base_url}/api/privacy").json()["photo_count"], 0)
+            self.assertIsNone(self.session.get(f"{self.base_url}/api/stories/{old_style_id}").json()["kid_photo"])
+
+            # With keep_photos off, photos are never saved.
+            self.session.patch(f"{self.base_url}/api/family", json={"keep_photos": False})
+            response = self.session.post(f"{self.base_url}/api/stories", json={
+                "characters": [{"name": "Unsaved Photo", "age": 6, "photos": [photo]}],
+                "theme": "space",
+                "story_type": "adventure",
+                "length": "short"
+            })
+            unsaved = self.session.get(f"{self.base_url}/api/stories/{response.json()['id']}").json()
+            self.assertEqual(unsaved["characters"][0]["photos"], [])
+            self.assertIsNone(unsaved["characters"][0]["photo"])
+
+            response = self.session.delete(f"{self.base_url}/api/stories/{story_id}")
+            self.assertEqual(response.status_code, 200)
+            self.assertEqual(self.session.get(f"{self.base_url}/api/stories/{story_id}").status_code, 404)
+            print("✅ Privacy controls API test passed")
+        except Exception as e:
+            print(f"❌ Privacy controls API test failed: {str(e)}")
+            raise
+
+    def test_share_links(self):
+        """Test opening a story through a password-protected share link, counting views and revoking it"""
+        try:
+            custom_theme = self.session.post(f"{self.base_url}/api/custom-themes", json={
+                "name": "Cloud Castle",
+                "description": "a castle floating on the clouds"
+            }).json()
+            response = self.session.post(f"{self.base_url}/api/stories", json={
+                "characters": [{"name": "Shared Kid", "age": 7}],
+                "theme": "custom",
+                "custom_theme": custom_theme,
+                "story_type": "friendship",
+                "length": "short"
+            })
+            story_id = response.json()["id"]
+            for _ in range(20):
+                if self.session.get(f"{self.base_url}/api/stories/{story_id}").json()["status"] != "generating":
+                    break
+                time.sleep(0.5)
+
+            response = self.session.post(f"{self.base_url}/api/stories/{story_id}/shares", json={
+                "expires_in_days": 7, "password": "granny"
+            })
+            self.assertEqual(response.status_code, 200)
+            link = response.json()
+            self.assertTrue(link["has_password"])
+            self.assertNotIn("password_hash", link)
+
+            # Opened without signing in
+            shared_url = f"{self.base_url}/api/shared/{link['token']}"
+            self.assertEqual(requests.post(shared_url, json={}).status_code, 403)
+            self.assertEqual(requests.post(shared_url, json={"password": "wrong"}).status_code, 403)
+            response = requests.post(shared_url, json={"password": "granny"})
+            self.assertEqual(response.status_code, 200)
+            self.assertEqual(response.json()["kid_name"], "Shared Kid")
+            self.assertNotIn("family_id", response.json())
+            self.assertEqual(response.json()["custom_theme"]["name"], "Cloud Castle")
+            self.assertNotIn("family_id", response.json()["custom_theme"])
+            self.assertNotIn("id", response.json()["custom_theme"])
+
+            links = self.session.get(f"{self.base_url}/api/stories/{story_id}/shares").json()
+            self.assertEqual(links[0]["view_count"], 1)
+
+            response = self.session.delete(f"{self.base_url}/api/shares/{link['id']}")
+            self.assertTrue(response.json()["revoked"])
+            self.assertEqual(requests.post(shared_url, json={"password": "granny"}).status_code, 410)
+            print("✅ Share links API test passed")
+        except Exception as e:
+            print(f"❌ Share links API test failed: {str(e)}")
+            raise
+
+    def test_content_review(self):
+        """Test that a story breaking the family's safety rules waits for a parent's review"""
+        try:
+            response = self.session.patch(f"{self.base_url}/api/family", json={
+                "safety": {"strictness": "strict", "blocked_words": [" Zorblax "], "auto_rewrite": True}
+            })
+            self.assertEqual(response.json()["safety"]["blocked_words"], ["zorblax"])
+            response = self.session.patch(f"{self.base_url}/api/family", json={"safety": {"strictness": "lenient"}})
+            self.assertEqual(response.status_code, 422)
+
+            response = self.session.post(f"{self.base_url}/api/stories", json={
+                "characters": [{"name": "Zorblax", "age": 6}],
+                "theme": "space",
+                "story_type": "adventure",
+                "length": "short"
+            })
+            story_id = response.json()["id"]
+            story = None
+            for _ in range(20):
+                story = self.session.get(f"{self.base_url}/api/stories/{story_id}").json()
+                if story["status"] != "generating":
+                    break
+                time.sleep(0.5)
+
+            self.assertEqual(story["status"], "needs_review")
+            self.assertIn("blocked", story["safety"]["findings"][0]["categories"])
+            queue = self.session.get(f"{self.base_url}/api/reviews").json()
+            self.assertEqual([s["id"] for s in queue], [story_id])
+            self.assertEqual(self.session.put(f"{self.base_url}/api/stories/{story_id}", json={
+                "story_content": "Not yet."
+            }).status_code, 409)
+
+            response = self.session.post(f"{self.base_url}/api/stories/{story_id}/approve", json={
+                "story_content": "Too short."
+            })
+            self.assertEqual(response.status_code, 422)
+            response = self.session.post(f"{self.base_url}/api/stories/{story_id}/approve", json={})
+            self.assertEqual(response.status_code, 200)
+            self.assertEqual(response.json()["status"], "ready")
+            self.assertIsNotNone(response.json()["safety"]["reviewed_at"])
+            self.assertEqual(self.session.get(f"{self.base_url}/api/reviews").json(), [])
+            print("✅ Content review API test passed")
+        except Exception as e:
+            print(f"❌ Content review API test failed: {str(e)}")
+            raise
+
+    def test_story_languages(self):
+        """Test Spanish and bilingual stories"""
+        try:
+            request = {
+                "characters": [{"name": "Mia", "age": 6}],
+                "theme": "ocean",
+                "story_type": "friendship",
+                "length": "short",
+                "language": "es",
+                "translation_language": "en"
+            }
+            response = self.session.post(f"{self.base_url}/api/stories", json={**request, "language": "tlh"})
+            self.assertEqual(response.status_code, 422)
+            response = self.session.post(f"{self.base_url}/api/stories", json={**request, "translation_language": "es"})
+            self.assertEqual(response.status_code, 422)
+
+            story_id = self.session.post(f"{self.base_url}/api/stories", json=request).json()["id"]
+            story = None
+            for _ in range(20):
+                story = self.session.get(f"{self.base_url}/api/stories/{story_id}").json()
+                if story["status"] != "generating":
+                    break
+                time.sleep(0.5)
+
+            self.assertEqual(story["language"], "es")
+            self.assertEqual(story["translation_language"], "en")
+            self.assertIsNotNone(story["translation_content"])
+            self.assertEqual(
+                len(story["story_content"].split("\n\n")), len(story["translation_content"].split("\n\n"))
+            )
+
+            # Pages are edited in both languages together
+            pages = story["story_content"].split("\n\n")
+            translations = story["translation_content"].split("\n\n")
+            self.assertGreater(len(pages), 1)
+            story_url = f"{self.base_url}/api/stories/{story_id}"
+            response = self.session.put(story_url, json={
+                "story_content": "\n\n".join(pages[:-1]), "translation_content": "\n\n".join(translations)
+            })
+            self.assertEqual(response.status_code, 422)
+            response = self.session.put(story_url, json={
+                "story_content": "\n\n".join(pages[:-1]), "translation_content": "\n\n".join(translations[:-1])
+            })
+            self.assertEqual(response.status_code, 200)
+            self.assertEqual(response.json()["translation_content"], "\n\n".join(translations[:-1]))
+
+            response = self.session.post(f"{story_url}/revert")
+            self.assertEqual(response.json()["translation_content"], story["translation_content"])
+            print("✅ Story languages API test passed")
+        except Exception as e:
+            print(f"❌ Story languages API test failed: {str(e)}")
+            raise
+
 if __name__ == "__main__":
     unittest.main()
\ No newline at end of file
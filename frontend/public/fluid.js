@@ -1,7 +1,11 @@
 class FluidSimulation {
-    constructor(canvas) {
+    // `options` override entries of the default config below
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
-        this.gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+
+        // Premultiplied alpha lets a TRANSPARENT canvas blend over the page behind it
+        const params = { alpha: true, depth: false, stencil: false, antialias: false, premultipliedAlpha: true };
+        this.gl = canvas.getContext('webgl', params) || canvas.getContext('experimental-webgl', params);
         
         if (!this.gl) {
             console.error('WebGL not supported');
@@ -22,7 +26,7 @@ class FluidSimulation {
             COLORFUL: true,
             COLOR_UPDATE_SPEED: 10,
             PAUSED: false,
-            BACK_COLOR: { r: 0, g: 0, b: 0 },
+            BACK_COLOR: { r: 0, g: 0, b: 0 }, // 0-255 per channel, drawn unless TRANSPARENT
             TRANSPARENT: false,
             BLOOM: true,
             BLOOM_ITERATIONS: 8,
@@ -33,15 +37,54 @@ class FluidSimulation {
             SUNRAYS: true,
             SUNRAYS_RESOLUTION: 196,
             SUNRAYS_WEIGHT: 1.0,
+            ...options,
         };
 
         this.pointers = [];
         this.splatStack = [];
+
+        // The loop runs while started, the tab is visible, the canvas is on
+        // screen and the GL context hasn't been lost
+        this.running = false;
+        this.onscreen = true;
+        this.contextLost = false;
+        this.animationFrame = null;
+        this.destroyed = false;
+        this.frame = this.frame.bind(this);
+        this.updateLoop = this.updateLoop.bind(this);
+        this.handleContextLost = this.handleContextLost.bind(this);
+        this.handleContextRestored = this.handleContextRestored.bind(this);
         
         this.init();
     }
 
     init() {
+        this.setupContext();
+
+        // Browsers drop contexts under memory pressure or after a GPU reset;
+        // rebuild everything when they hand one back
+        this.canvas.addEventListener('webglcontextlost', this.handleContextLost);
+        this.canvas.addEventListener('webglcontextrestored', this.handleContextRestored);
+
+        // Pause while nobody can see it
+        document.addEventListener('visibilitychange', this.updateLoop);
+        if (window.IntersectionObserver) {
+            this.observer = new IntersectionObserver(entries => {
+                this.onscreen = entries[entries.length - 1].isIntersecting;
+                this.updateLoop();
+            });
+            this.observer.observe(this.canvas);
+        }
+
+        // Start render loop
+        this.lastUpdateTime = Date.now();
+        this.colorUpdateTimer = 0.0;
+        this.start();
+    }
+
+    // Everything that lives in the GL context: extensions, programs, buffers
+    // and framebuffers. Runs again once a lost context is restored.
+    setupContext() {
         const gl = this.gl;
         
         // Better extension detection with fallbacks
@@ -64,13 +107,94 @@ class FluidSimulation {
         // Shaders
         this.programs = this.createPrograms();
         
-        // Framebuffers
+        // Framebuffers, sized for the canvas as it is displayed
+        this.resizeCanvas();
+        this.createBuffers();
         this.createFramebuffers();
-        
-        // Start render loop
+    }
+
+    handleContextLost(e) {
+        // Without preventDefault() the browser never restores the context
+        e.preventDefault();
+        this.contextLost = true;
+        this.updateLoop();
+    }
+
+    // The fluid went with the old context, so start over with fresh programs
+    // and framebuffers and a few splats to stir it back up
+    handleContextRestored() {
+        if (this.destroyed) return;
+        this.density = null;
+        this.velocity = null;
+        this.setupContext();
+
+        this.contextLost = false;
         this.lastUpdateTime = Date.now();
-        this.colorUpdateTimer = 0.0;
+        this.splatStack.push(3);
+        this.updateLoop();
+    }
+
+    start() {
+        if (!this.gl || this.destroyed) return;
+        this.running = true;
+        this.updateLoop();
+    }
+
+    stop() {
+        this.running = false;
+        this.updateLoop();
+    }
+
+    // Schedules the next frame or cancels it, whichever the current state calls for
+    updateLoop() {
+        const visible = this.running && this.onscreen && !document.hidden && !this.contextLost;
+
+        if (visible && this.animationFrame === null) {
+            this.animationFrame = requestAnimationFrame(this.frame);
+        } else if (!visible && this.animationFrame !== null) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+    }
+
+    frame() {
+        this.animationFrame = null;
         this.render();
+        this.updateLoop();
+    }
+
+    // Stops for good and frees every GL resource, then gives up the context
+    // so the browser can reclaim it. The instance can't be started again.
+    destroy() {
+        if (!this.gl || this.destroyed) return;
+        this.stop();
+        this.destroyed = true;
+
+        this.canvas.removeEventListener('webglcontextlost', this.handleContextLost);
+        this.canvas.removeEventListener('webglcontextrestored', this.handleContextRestored);
+        document.removeEventListener('visibilitychange', this.updateLoop);
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+
+        // A lost context has already taken every resource with it
+        const gl = this.gl;
+        if (this.contextLost || gl.isContextLost()) return;
+
+        [...Object.values(this.programs), ...Object.values(this.displayPrograms)].forEach(program => this.deleteProgram(program));
+        [
+            this.density.read,
+            this.density.write,
+            this.velocity.read,
+            this.velocity.write,
+            ...this.getScratchFramebuffers()
+        ].forEach(target => this.deleteFBO(target));
+        gl.deleteBuffer(this.vertexBuffer);
+        gl.deleteBuffer(this.indexBuffer);
+
+        const loseContext = gl.getExtension('WEBGL_lose_context');
+        if (loseContext) loseContext.loseContext();
     }
 
     getExtension(name) {
@@ -101,20 +225,204 @@ class FluidSimulation {
             }
         `;
 
-        // Display shader
+        // Display shader; SHADING, BLOOM and SUNRAYS are defined by getDisplayProgram().
+        // Writes premultiplied color with the dye's brightness as alpha.
         const displayShader = `
             precision highp float;
             varying vec2 vUv;
+            varying vec2 vL;
+            varying vec2 vR;
+            varying vec2 vT;
+            varying vec2 vB;
+            uniform vec2 texelSize;
             uniform sampler2D uTexture;
+            uniform sampler2D uBloom;
+            uniform sampler2D uSunrays;
             uniform float uAlpha;
             
+            vec3 linearToGamma (vec3 color) {
+                color = max(color, vec3(0.0));
+                return max(1.055 * pow(color, vec3(0.416666667)) - 0.055, vec3(0.0));
+            }
+            
             void main () {
                 vec3 C = texture2D(uTexture, vUv).rgb;
+            #ifdef SHADING
+                // Light the dye as a surface whose height is its brightness
+                vec3 lc = texture2D(uTexture, vL).rgb;
+                vec3 rc = texture2D(uTexture, vR).rgb;
+                vec3 tc = texture2D(uTexture, vT).rgb;
+                vec3 bc = texture2D(uTexture, vB).rgb;
+                
+                float dx = length(rc) - length(lc);
+                float dy = length(tc) - length(bc);
+                
+                vec3 n = normalize(vec3(dx, dy, length(texelSize)));
+                vec3 l = vec3(0.0, 0.0, 1.0);
+                
+                float diffuse = clamp(dot(n, l) + 0.7, 0.7, 1.0);
+                C *= diffuse;
+            #endif
+            #ifdef SUNRAYS
+                float sunrays = texture2D(uSunrays, vUv).r;
+                C *= sunrays;
+            #endif
+            #ifdef BLOOM
+                vec3 bloom = texture2D(uBloom, vUv).rgb;
+            #ifdef SUNRAYS
+                bloom *= sunrays;
+            #endif
+                C += linearToGamma(bloom);
+            #endif
                 float a = max(C.r, max(C.g, C.b));
                 gl_FragColor = vec4(C, a * uAlpha);
             }
         `;
 
+        // Bloom prefilter: keeps what is brighter than the threshold, with a
+        // soft knee so the cut-off doesn't show
+        const bloomPrefilterShader = `
+            precision mediump float;
+            varying vec2 vUv;
+            uniform sampler2D uTexture;
+            uniform vec3 curve;
+            uniform float threshold;
+            
+            void main () {
+                vec3 c = texture2D(uTexture, vUv).rgb;
+                float br = max(c.r, max(c.g, c.b));
+                float rq = clamp(br - curve.x, 0.0, curve.y);
+                rq = curve.z * rq * rq;
+                c *= max(rq, br - threshold) / max(br, 0.0001);
+                gl_FragColor = vec4(c, 0.0);
+            }
+        `;
+
+        // Bloom blur: four-tap box filter, used both down and up the pyramid
+        const bloomBlurShader = `
+            precision mediump float;
+            varying vec2 vL;
+            varying vec2 vR;
+            varying vec2 vT;
+            varying vec2 vB;
+            uniform sampler2D uTexture;
+            
+            void main () {
+                vec4 sum = vec4(0.0);
+                sum += texture2D(uTexture, vL);
+                sum += texture2D(uTexture, vR);
+                sum += texture2D(uTexture, vT);
+                sum += texture2D(uTexture, vB);
+                sum *= 0.25;
+                gl_FragColor = sum;
+            }
+        `;
+
+        // Bloom final: last upsample, scaled by the bloom intensity
+        const bloomFinalShader = `
+            precision mediump float;
+            varying vec2 vL;
+            varying vec2 vR;
+            varying vec2 vT;
+            varying vec2 vB;
+            uniform sampler2D uTexture;
+            uniform float intensity;
+            
+            void main () {
+                vec4 sum = vec4(0.0);
+                sum += texture2D(uTexture, vL);
+                sum += texture2D(uTexture, vR);
+                sum += texture2D(uTexture, vT);
+                sum += texture2D(uTexture, vB);
+                sum *= 0.25;
+                gl_FragColor = sum * intensity;
+            }
+        `;
+
+        // Sunrays mask: dye-free areas let light through, dense dye blocks it
+        const sunraysMaskShader = `
+            precision highp float;
+            varying vec2 vUv;
+            uniform sampler2D uTexture;
+            
+            void main () {
+                vec4 c = texture2D(uTexture, vUv);
+                float br = max(c.r, max(c.g, c.b));
+                c.a = 1.0 - min(max(br * 20.0, 0.0), 0.8);
+                gl_FragColor = c;
+            }
+        `;
+
+        // Sunrays: radial blur of the mask towards the center of the screen
+        const sunraysShader = `
+            precision highp float;
+            varying vec2 vUv;
+            uniform sampler2D uTexture;
+            uniform float weight;
+            
+            #define ITERATIONS 16
+            
+            void main () {
+                float Density = 0.3;
+                float Decay = 0.95;
+                float Exposure = 0.7;
+                
+                vec2 coord = vUv;
+                vec2 dir = vUv - 0.5;
+                dir *= 1.0 / float(ITERATIONS) * Density;
+                float illuminationDecay = 1.0;
+                
+                float color = texture2D(uTexture, vUv).a;
+                
+                for (int i = 0; i < ITERATIONS; i++) {
+                    coord -= dir;
+                    float col = texture2D(uTexture, coord).a;
+                    color += col * illuminationDecay * weight;
+                    illuminationDecay *= Decay;
+                }
+                
+                gl_FragColor = vec4(color * Exposure, 0.0, 0.0, 1.0);
+            }
+        `;
+
+        // Copy shader: resamples a texture into a target of another size
+        const copyShader = `
+            precision mediump float;
+            varying vec2 vUv;
+            uniform sampler2D uTexture;
+            
+            void main () {
+                gl_FragColor = texture2D(uTexture, vUv);
+            }
+        `;
+
+        // Color shader: fills the target, used for BACK_COLOR
+        const colorShader = `
+            precision mediump float;
+            uniform vec4 color;
+            
+            void main () {
+                gl_FragColor = color;
+            }
+        `;
+
+        // Blur shader: one direction of a separable 5-tap gaussian, offset by
+        // one texel along `direction`
+        const blurShader = `
+            precision mediump float;
+            varying vec2 vUv;
+            uniform sampler2D uTexture;
+            uniform vec2 direction;
+            
+            void main () {
+                vec2 offset = direction * 1.33333333;
+                vec4 sum = texture2D(uTexture, vUv) * 0.29411764;
+                sum += texture2D(uTexture, vUv - offset) * 0.35294117;
+                sum += texture2D(uTexture, vUv + offset) * 0.35294117;
+                gl_FragColor = sum;
+            }
+        `;
+
         // Splat shader
         const splatShader = `
             precision highp float;
@@ -283,8 +591,19 @@ class FluidSimulation {
             }
         `;
 
+        // The display program depends on which effects are on; see getDisplayProgram()
+        this.displaySources = { vertex: vertexShader, fragment: displayShader };
+        this.displayPrograms = {};
+
         return {
-            display: this.compileShader(vertexShader, displayShader),
+            bloomPrefilter: this.compileShader(vertexShader, bloomPrefilterShader),
+            bloomBlur: this.compileShader(vertexShader, bloomBlurShader),
+            bloomFinal: this.compileShader(vertexShader, bloomFinalShader),
+            sunraysMask: this.compileShader(vertexShader, sunraysMaskShader),
+            sunrays: this.compileShader(vertexShader, sunraysShader),
+            blur: this.compileShader(vertexShader, blurShader),
+            color: this.compileShader(vertexShader, colorShader),
+            copy: this.compileShader(vertexShader, copyShader),
             splat: this.compileShader(vertexShader, splatShader),
             advection: this.compileShader(vertexShader, advectionShader),
             divergence: this.compileShader(vertexShader, divergenceShader),
@@ -295,8 +614,10 @@ class FluidSimulation {
         };
     }
 
-    compileShader(vertexSource, fragmentSource) {
+    // `keywords` are #defined at the top of the fragment shader
+    compileShader(vertexSource, fragmentSource, keywords = []) {
         const gl = this.gl;
+        fragmentSource = keywords.map(keyword => `#define ${keyword}\n`).join('') + fragmentSource;
         
         const vertexShader = gl.createShader(gl.VERTEX_SHADER);
         gl.shaderSource(vertexShader, vertexSource);
@@ -314,6 +635,27 @@ class FluidSimulation {
         return program;
     }
 
+    deleteProgram(program) {
+        const gl = this.gl;
+        (gl.getAttachedShaders(program) || []).forEach(shader => gl.deleteShader(shader));
+        gl.deleteProgram(program);
+    }
+
+    // Display program for the effects currently turned on in the config,
+    // compiled the first time that combination is needed
+    getDisplayProgram() {
+        const keywords = [];
+        if (this.config.SHADING) keywords.push('SHADING');
+        if (this.config.BLOOM) keywords.push('BLOOM');
+        if (this.config.SUNRAYS) keywords.push('SUNRAYS');
+
+        const key = keywords.join(' ');
+        if (!this.displayPrograms[key]) {
+            this.displayPrograms[key] = this.compileShader(this.displaySources.vertex, this.displaySources.fragment, keywords);
+        }
+        return this.displayPrograms[key];
+    }
+
     createFramebuffers() {
         const gl = this.gl;
         const ext = this.ext;
@@ -322,12 +664,27 @@ class FluidSimulation {
         const simRes = this.getResolution(this.config.SIM_RESOLUTION);
         const dyeRes = this.getResolution(this.config.DYE_RESOLUTION);
 
-        this.density = this.createDoubleFBO(dyeRes.width, dyeRes.height, ext.formatRGBA, ext.formatRGBA, ext.halfFloatTexType, gl.LINEAR, true);
-        this.velocity = this.createDoubleFBO(simRes.width, simRes.height, ext.formatRG, ext.formatRG, ext.halfFloatTexType, gl.LINEAR, false);
+        // Dye and velocity are the fluid's state, so when the framebuffers are
+        // recreated for a new size they are resampled rather than cleared
+        if (this.density) {
+            this.density = this.resizeDoubleFBO(this.density, dyeRes.width, dyeRes.height, ext.formatRGBA, ext.formatRGBA, ext.halfFloatTexType, gl.LINEAR, true);
+            this.velocity = this.resizeDoubleFBO(this.velocity, simRes.width, simRes.height, ext.formatRG, ext.formatRG, ext.halfFloatTexType, gl.LINEAR, false);
+        } else {
+            this.density = this.createDoubleFBO(dyeRes.width, dyeRes.height, ext.formatRGBA, ext.formatRGBA, ext.halfFloatTexType, gl.LINEAR, true);
+            this.velocity = this.createDoubleFBO(simRes.width, simRes.height, ext.formatRG, ext.formatRG, ext.halfFloatTexType, gl.LINEAR, false);
+        }
         this.divergence = this.createFBO(simRes.width, simRes.height, ext.formatR, ext.formatR, ext.halfFloatTexType, gl.NEAREST, false);
         this.curl = this.createFBO(simRes.width, simRes.height, ext.formatR, ext.formatR, ext.halfFloatTexType, gl.NEAREST, false);
         this.pressure = this.createDoubleFBO(simRes.width, simRes.height, ext.formatR, ext.formatR, ext.halfFloatTexType, gl.NEAREST, false);
 
+        this.createBloomFramebuffers();
+        this.createSunraysFramebuffers();
+    }
+
+    // Full-screen quad drawn by blit()
+    createBuffers() {
+        const gl = this.gl;
+
         // Create reusable vertex buffer (fix for performance and potential buffer issues)
         this.vertexBuffer = gl.createBuffer();
         this.indexBuffer = gl.createBuffer();
@@ -338,6 +695,77 @@ class FluidSimulation {
         gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array([0, 1, 2, 0, 2, 3]), gl.STATIC_DRAW);
     }
 
+    // Bloom target plus a pyramid of halving sizes to blur through, one level
+    // per BLOOM_ITERATIONS while both sides stay at least 2 pixels
+    createBloomFramebuffers() {
+        const gl = this.gl;
+        const ext = this.ext;
+        const res = this.getResolution(this.config.BLOOM_RESOLUTION);
+
+        this.bloom = this.createFBO(res.width, res.height, ext.formatRGBA, ext.formatRGBA, ext.halfFloatTexType, gl.LINEAR, false);
+
+        this.bloomFramebuffers = [];
+        for (let i = 0; i < this.config.BLOOM_ITERATIONS; i++) {
+            const width = res.width >> (i + 1);
+            const height = res.height >> (i + 1);
+            if (width < 2 || height < 2) break;
+
+            this.bloomFramebuffers.push(this.createFBO(width, height, ext.formatRGBA, ext.formatRGBA, ext.halfFloatTexType, gl.LINEAR, false));
+        }
+    }
+
+    createSunraysFramebuffers() {
+        const gl = this.gl;
+        const ext = this.ext;
+        const res = this.getResolution(this.config.SUNRAYS_RESOLUTION);
+
+        this.sunrays = this.createFBO(res.width, res.height, ext.formatR, ext.formatR, ext.halfFloatTexType, gl.LINEAR, false);
+        this.sunraysTemp = this.createFBO(res.width, res.height, ext.formatR, ext.formatR, ext.halfFloatTexType, gl.LINEAR, false);
+    }
+
+    // Matches the canvas to its displayed size and, if that changed, rebuilds
+    // the framebuffers for it, carrying the current velocity and dye over
+    resize() {
+        // A restored context is set up at whatever size the canvas has by then
+        if (!this.gl || this.destroyed || this.contextLost) return;
+        if (!this.resizeCanvas()) return;
+
+        this.getScratchFramebuffers().forEach(target => this.deleteFBO(target));
+        this.createFramebuffers();
+    }
+
+    // Every framebuffer but the fluid's state, which is recomputed each frame
+    getScratchFramebuffers() {
+        return [
+            this.divergence,
+            this.curl,
+            this.pressure.read,
+            this.pressure.write,
+            this.bloom,
+            ...this.bloomFramebuffers,
+            this.sunrays,
+            this.sunraysTemp
+        ];
+    }
+
+    // Sizes the drawing buffer to the canvas's CSS size in device pixels, so
+    // it stays sharp on HiDPI screens. Returns whether the size changed.
+    resizeCanvas() {
+        const width = this.scaleByPixelRatio(this.canvas.clientWidth);
+        const height = this.scaleByPixelRatio(this.canvas.clientHeight);
+        if (width === 0 || height === 0) return false;
+        if (this.canvas.width === width && this.canvas.height === height) return false;
+
+        this.canvas.width = width;
+        this.canvas.height = height;
+        return true;
+    }
+
+    scaleByPixelRatio(input) {
+        const pixelRatio = window.devicePixelRatio || 1;
+        return Math.floor(input * pixelRatio);
+    }
+
     getResolution(resolution) {
         let aspectRatio = this.gl.canvas.width / this.gl.canvas.height;
         if (aspectRatio < 1) aspectRatio = 1.0 / aspectRatio;
@@ -383,6 +811,8 @@ class FluidSimulation {
             fbo,
             width: w,
             height: h,
+            texelSizeX: 1.0 / w,
+            texelSizeY: 1.0 / h,
             attach(id) {
                 gl.activeTexture(gl.TEXTURE0 + id);
                 gl.bindTexture(gl.TEXTURE_2D, texture);
@@ -391,6 +821,41 @@ class FluidSimulation {
         };
     }
 
+    deleteFBO(target) {
+        const gl = this.gl;
+        gl.deleteFramebuffer(target.fbo);
+        gl.deleteTexture(target.texture);
+    }
+
+    // A new FBO of the given size holding `target`'s contents, stretched to fit
+    resizeFBO(target, w, h, internalFormat, format, type, filter, wrap) {
+        const gl = this.gl;
+        const resized = this.createFBO(w, h, internalFormat, format, type, filter, wrap);
+
+        gl.disable(gl.BLEND);
+        gl.useProgram(this.programs.copy);
+        gl.uniform1i(gl.getUniformLocation(this.programs.copy, 'uTexture'), target.attach(0));
+        this.blit(resized);
+
+        this.deleteFBO(target);
+        return resized;
+    }
+
+    resizeDoubleFBO(target, w, h, internalFormat, format, type, filter, wrap) {
+        if (target.width === w && target.height === h) return target;
+
+        const write = target.write;
+        target.read = this.resizeFBO(target.read, w, h, internalFormat, format, type, filter, wrap);
+        target.write = this.createFBO(w, h, internalFormat, format, type, filter, wrap);
+        this.deleteFBO(write);
+
+        target.width = w;
+        target.height = h;
+        target.texelSizeX = 1.0 / w;
+        target.texelSizeY = 1.0 / h;
+        return target;
+    }
+
     createDoubleFBO(w, h, internalFormat, format, type, filter, wrap) {
         let fbo1 = this.createFBO(w, h, internalFormat, format, type, filter, wrap);
         let fbo2 = this.createFBO(w, h, internalFormat, format, type, filter, wrap);
@@ -558,17 +1023,140 @@ class FluidSimulation {
         }
 
         const gl = this.gl;
+
+        // Post-processing reads the dye before it is drawn
+        if (this.config.BLOOM) {
+            this.applyBloom(this.density.read, this.bloom);
+        }
+        if (this.config.SUNRAYS) {
+            // density.write is free between steps and serves as the mask
+            this.applySunrays(this.density.read, this.density.write, this.sunrays);
+            this.blur(this.sunrays, this.sunraysTemp, 1);
+        }
+
         gl.bindFramebuffer(gl.FRAMEBUFFER, null);
         gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+
+        if (this.config.TRANSPARENT) {
+            // The premultiplied dye is the whole image; the page shows through
+            gl.disable(gl.BLEND);
+        } else {
+            // Dye over the back color: C + BACK_COLOR * (1 - alpha)
+            this.drawColor(this.normalizeColor(this.config.BACK_COLOR));
+            gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+            gl.enable(gl.BLEND);
+        }
         
-        this.displayProgram = this.programs.display;
+        this.displayProgram = this.getDisplayProgram();
         gl.useProgram(this.displayProgram);
+        gl.uniform2f(gl.getUniformLocation(this.displayProgram, 'texelSize'), 1.0 / gl.drawingBufferWidth, 1.0 / gl.drawingBufferHeight);
         gl.uniform1i(gl.getUniformLocation(this.displayProgram, 'uTexture'), this.density.read.attach(0));
+        if (this.config.BLOOM) {
+            gl.uniform1i(gl.getUniformLocation(this.displayProgram, 'uBloom'), this.bloom.attach(1));
+        }
+        if (this.config.SUNRAYS) {
+            gl.uniform1i(gl.getUniformLocation(this.displayProgram, 'uSunrays'), this.sunrays.attach(2));
+        }
         gl.uniform1f(gl.getUniformLocation(this.displayProgram, 'uAlpha'), 1.0);
 
         this.blit();
+        gl.disable(gl.BLEND);
+    }
 
-        requestAnimationFrame(() => this.render());
+    // Fills the canvas with an opaque color, components 0-1
+    drawColor(color) {
+        const gl = this.gl;
+
+        gl.disable(gl.BLEND);
+        gl.useProgram(this.programs.color);
+        gl.uniform4f(gl.getUniformLocation(this.programs.color, 'color'), color.r, color.g, color.b, 1.0);
+        this.blit();
+    }
+
+    normalizeColor(color) {
+        return {
+            r: color.r / 255,
+            g: color.g / 255,
+            b: color.b / 255
+        };
+    }
+
+    // Bright parts of `source` are blurred down the bloom pyramid and back up,
+    // adding each level onto the one above, then written to `destination`
+    applyBloom(source, destination) {
+        if (this.bloomFramebuffers.length < 2) return;
+
+        const gl = this.gl;
+        let last = destination;
+
+        gl.disable(gl.BLEND);
+
+        const knee = this.config.BLOOM_THRESHOLD * this.config.BLOOM_SOFT_KNEE + 0.0001;
+        gl.useProgram(this.programs.bloomPrefilter);
+        gl.uniform3f(gl.getUniformLocation(this.programs.bloomPrefilter, 'curve'), this.config.BLOOM_THRESHOLD - knee, knee * 2, 0.25 / knee);
+        gl.uniform1f(gl.getUniformLocation(this.programs.bloomPrefilter, 'threshold'), this.config.BLOOM_THRESHOLD);
+        gl.uniform1i(gl.getUniformLocation(this.programs.bloomPrefilter, 'uTexture'), source.attach(0));
+        this.blit(last);
+
+        gl.useProgram(this.programs.bloomBlur);
+        this.bloomFramebuffers.forEach(target => {
+            gl.uniform2f(gl.getUniformLocation(this.programs.bloomBlur, 'texelSize'), last.texelSizeX, last.texelSizeY);
+            gl.uniform1i(gl.getUniformLocation(this.programs.bloomBlur, 'uTexture'), last.attach(0));
+            this.blit(target);
+            last = target;
+        });
+
+        gl.blendFunc(gl.ONE, gl.ONE);
+        gl.enable(gl.BLEND);
+
+        for (let i = this.bloomFramebuffers.length - 2; i >= 0; i--) {
+            const target = this.bloomFramebuffers[i];
+            gl.uniform2f(gl.getUniformLocation(this.programs.bloomBlur, 'texelSize'), last.texelSizeX, last.texelSizeY);
+            gl.uniform1i(gl.getUniformLocation(this.programs.bloomBlur, 'uTexture'), last.attach(0));
+            this.blit(target);
+            last = target;
+        }
+
+        gl.disable(gl.BLEND);
+
+        gl.useProgram(this.programs.bloomFinal);
+        gl.uniform2f(gl.getUniformLocation(this.programs.bloomFinal, 'texelSize'), last.texelSizeX, last.texelSizeY);
+        gl.uniform1i(gl.getUniformLocation(this.programs.bloomFinal, 'uTexture'), last.attach(0));
+        gl.uniform1f(gl.getUniformLocation(this.programs.bloomFinal, 'intensity'), this.config.BLOOM_INTENSITY);
+        this.blit(destination);
+    }
+
+    // Light shining through the gaps in the dye: a mask of where there is
+    // no dye, blurred radially into `destination`
+    applySunrays(source, mask, destination) {
+        const gl = this.gl;
+
+        gl.disable(gl.BLEND);
+
+        gl.useProgram(this.programs.sunraysMask);
+        gl.uniform1i(gl.getUniformLocation(this.programs.sunraysMask, 'uTexture'), source.attach(0));
+        this.blit(mask);
+
+        gl.useProgram(this.programs.sunrays);
+        gl.uniform1f(gl.getUniformLocation(this.programs.sunrays, 'weight'), this.config.SUNRAYS_WEIGHT);
+        gl.uniform1i(gl.getUniformLocation(this.programs.sunrays, 'uTexture'), mask.attach(0));
+        this.blit(destination);
+    }
+
+    // Gaussian blur of `target` in place, horizontally into `temp` and back
+    blur(target, temp, iterations) {
+        const gl = this.gl;
+
+        gl.useProgram(this.programs.blur);
+        for (let i = 0; i < iterations; i++) {
+            gl.uniform2f(gl.getUniformLocation(this.programs.blur, 'direction'), target.texelSizeX, 0.0);
+            gl.uniform1i(gl.getUniformLocation(this.programs.blur, 'uTexture'), target.attach(0));
+            this.blit(temp);
+
+            gl.uniform2f(gl.getUniformLocation(this.programs.blur, 'direction'), 0.0, target.texelSizeY);
+            gl.uniform1i(gl.getUniformLocation(this.programs.blur, 'uTexture'), temp.attach(0));
+            this.blit(target);
+        }
     }
 
     splat(x, y, dx, dy, color) {
@@ -654,12 +1242,13 @@ class FluidSimulation {
         return ((value - min) % range) + min;
     }
 
+    // Pointer positions are in CSS pixels from the canvas's top left corner
     updatePointerDownData(pointer, id, posX, posY) {
         pointer.id = id;
         pointer.down = true;
         pointer.moved = false;
-        pointer.texcoordX = posX / this.canvas.width;
-        pointer.texcoordY = 1.0 - posY / this.canvas.height;
+        pointer.texcoordX = posX / this.canvas.clientWidth;
+        pointer.texcoordY = 1.0 - posY / this.canvas.clientHeight;
         pointer.prevTexcoordX = pointer.texcoordX;
         pointer.prevTexcoordY = pointer.texcoordY;
         pointer.deltaX = 0;
@@ -670,8 +1259,8 @@ class FluidSimulation {
     updatePointerMoveData(pointer, posX, posY) {
         pointer.prevTexcoordX = pointer.texcoordX;
         pointer.prevTexcoordY = pointer.texcoordY;
-        pointer.texcoordX = posX / this.canvas.width;
-        pointer.texcoordY = 1.0 - posY / this.canvas.height;
+        pointer.texcoordX = posX / this.canvas.clientWidth;
+        pointer.texcoordY = 1.0 - posY / this.canvas.clientHeight;
         pointer.deltaX = this.correctDeltaX(pointer.texcoordX - pointer.prevTexcoordX);
         pointer.deltaY = this.correctDeltaY(pointer.texcoordY - pointer.prevTexcoordY);
         pointer.moved = Math.abs(pointer.deltaX) > 0 || Math.abs(pointer.deltaY) > 0;
@@ -1,8 +1,34 @@
-import { useEffect, useRef, useState } from "react";
+import { useCallback, useEffect, useRef, useState } from "react";
 import "./App.css";
-import { BrowserRouter, Routes, Route, useNavigate } from "react-router-dom";
-
-const BACKEND_URL = process.env.REACT_APP_BACKEND_URL;
+import { BrowserRouter, Link, Routes, Route, useNavigate } from "react-router-dom";
+import { createStory, fetchGenerationJob, retryGenerationJob } from "./api";
+import {
+  WizardProvider,
+  WizardStepGuard,
+  useWizard,
+  hasWizardDraft,
+  getResumePath,
+  isWizardStepComplete,
+  MAX_KIDS,
+  MAX_KID_PHOTOS
+} from "./WizardContext";
+import { themes, storyTypes, lengths, ageLevels, pronounOptions, storyLanguages, getStoryTheme } from "./storyOptions";
+import { I18nProvider, formatList, useI18n } from "./i18n";
+import LanguagePicker from "./LanguagePicker";
+import { AuthProvider, RequireAuth, useAuth } from "./AuthContext";
+import AuthPage from "./AuthPage";
+import FamilyProfile from "./FamilyProfile";
+import PrivacyCenter from "./PrivacyCenter";
+import SharedStory from "./SharedStory";
+import ReviewQueue from "./ReviewQueue";
+import StoryReview from "./StoryReview";
+import StoryReader from "./StoryReader";
+import StoryVersions from "./StoryVersions";
+import SeriesView from "./SeriesView";
+import Library from "./Library";
+import CustomThemeBuilder from "./CustomThemeBuilder";
+import PhotoCropper from "./PhotoCropper";
+import { MAX_PHOTO_FILE_SIZE } from "./photoProcessing";
 
 const FloatingElement = ({ src, alt, size, position, delay = 0 }) => {
   const elementRef = useRef(null);
@@ -56,16 +82,34 @@ const FloatingElement = ({ src, alt, size, position, delay = 0 }) => {
   );
 };
 
+// Fallback CSS animation, used when WebGL isn't supported and while the
+// browser has taken the simulation's context away
+const FluidFallback = () => (
+  <div 
+    className="fixed inset-0 z-0 w-full h-full fallback-fluid-bg"
+    style={{ 
+      background: `
+        radial-gradient(ellipse at 20% 50%, rgba(6, 78, 59, 0.8) 0%, transparent 50%),
+        radial-gradient(ellipse at 80% 20%, rgba(16, 185, 129, 0.6) 0%, transparent 50%),
+        radial-gradient(ellipse at 40% 80%, rgba(5, 46, 22, 0.7) 0%, transparent 50%),
+        linear-gradient(135deg, #064e3b 0%, #052e16 50%, #000000 100%)
+      `,
+      backgroundSize: '100% 100%, 100% 100%, 100% 100%, 100% 100%',
+      animation: 'fluidFallback 8s ease-in-out infinite'
+    }}
+  />
+);
+
 const FluidSimulation = () => {
-  const canvasRef = useRef(null);
+  const containerRef = useRef(null);
   const fluidSimRef = useRef(null);
   const pointersRef = useRef([]);
   const [webglSupported, setWebglSupported] = useState(true);
-  const [isInitialized, setIsInitialized] = useState(false);
+  const [contextLost, setContextLost] = useState(false);
 
   useEffect(() => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
+    const container = containerRef.current;
+    if (!container) return;
 
     // Check WebGL support
     const testCanvas = document.createElement('canvas');
@@ -75,24 +119,42 @@ const FluidSimulation = () => {
       setWebglSupported(false);
       return;
     }
+    const testContext = gl.getExtension('WEBGL_lose_context');
+    if (testContext) testContext.loseContext();
+
+    // A new canvas for every simulation: destroy() gives up the canvas's GL
+    // context, so a remount can't draw on the old one
+    const canvas = document.createElement('canvas');
+    canvas.className = 'block w-full h-full';
+    canvas.style.touchAction = 'none';
+    container.appendChild(canvas);
+
+    let disposed = false;
+    const timers = [];
 
-    // Resize canvas to full screen
+    // The simulation sizes the canvas itself, in device pixels, and keeps the
+    // fluid going across the resize
     const resizeCanvas = () => {
-      canvas.width = window.innerWidth;
-      canvas.height = window.innerHeight;
       if (fluidSimRef.current && fluidSimRef.current.resize) {
         fluidSimRef.current.resize();
       }
     };
 
-    resizeCanvas();
     window.addEventListener('resize', resizeCanvas);
 
+    // The simulation recovers from a lost context by itself; until it does,
+    // cover the blank canvas with the fallback
+    const handleContextLost = () => setContextLost(true);
+    const handleContextRestored = () => setContextLost(false);
+    canvas.addEventListener('webglcontextlost', handleContextLost);
+    canvas.addEventListener('webglcontextrestored', handleContextRestored);
+
     // Load and initialize fluid simulation
     const initializeFluidSimulation = () => {
       try {
-        if (window.FluidSimulation && canvas && !isInitialized) {
-          fluidSimRef.current = new window.FluidSimulation(canvas);
+        if (window.FluidSimulation && !disposed && !fluidSimRef.current) {
+          // Transparent, so the dye floats over the page's own gradient
+          fluidSimRef.current = new window.FluidSimulation(canvas, { TRANSPARENT: true });
           
           // Initialize pointer
           const pointer = {
@@ -118,13 +180,11 @@ const FluidSimulation = () => {
             }
 
             // Add some initial splats for ambient motion
-            setTimeout(() => {
+            timers.push(setTimeout(() => {
               if (fluidSimRef.current && fluidSimRef.current.splatStack) {
                 fluidSimRef.current.splatStack.push(3);
               }
-            }, 1000);
-            
-            setIsInitialized(true);
+            }, 1000));
           }
         }
       } catch (error) {
@@ -150,7 +210,7 @@ const FluidSimulation = () => {
         script.onerror = () => {
           console.error('Failed to load fluid simulation');
           window.fluidScriptLoading = false;
-          setWebglSupported(false);
+          if (!disposed) setWebglSupported(false);
         };
         document.head.appendChild(script);
       } else if (window.fluidScriptLoaded) {
@@ -161,12 +221,12 @@ const FluidSimulation = () => {
           if (window.FluidSimulation) {
             initializeFluidSimulation();
           } else if (!window.fluidScriptLoading) {
-            setWebglSupported(false);
+            if (!disposed) setWebglSupported(false);
           } else {
-            setTimeout(checkForFluidSimulation, 100);
+            timers.push(setTimeout(checkForFluidSimulation, 100));
           }
         };
-        setTimeout(checkForFluidSimulation, 100);
+        timers.push(setTimeout(checkForFluidSimulation, 100));
       }
     }
 
@@ -247,44 +307,43 @@ const FluidSimulation = () => {
     canvas.addEventListener('touchend', handleTouchEnd, { passive: false });
 
     return () => {
+      disposed = true;
+      timers.forEach(clearTimeout);
       window.removeEventListener('resize', resizeCanvas);
+      canvas.removeEventListener('webglcontextlost', handleContextLost);
+      canvas.removeEventListener('webglcontextrestored', handleContextRestored);
       canvas.removeEventListener('mousemove', handleMouseMove);
       canvas.removeEventListener('mousedown', handleMouseDown);
       canvas.removeEventListener('mouseup', handleMouseUp);
       canvas.removeEventListener('touchstart', handleTouchStart);
       canvas.removeEventListener('touchmove', handleTouchMove);
       canvas.removeEventListener('touchend', handleTouchEnd);
+
+      // Stop the loop and release the GL context when leaving the page
+      if (fluidSimRef.current) {
+        fluidSimRef.current.destroy();
+        fluidSimRef.current = null;
+      }
+      canvas.remove();
     };
-  }, [isInitialized]);
+  }, []);
 
-  // Fallback CSS animation if WebGL not supported
   if (!webglSupported) {
-    return (
+    return <FluidFallback />;
+  }
+
+  // The canvas itself is created by the effect above
+  return (
+    <>
       <div 
-        className="fixed inset-0 z-0 w-full h-full fallback-fluid-bg"
+        ref={containerRef}
+        className="fixed inset-0 z-0 w-full h-full"
         style={{ 
-          background: `
-            radial-gradient(ellipse at 20% 50%, rgba(6, 78, 59, 0.8) 0%, transparent 50%),
-            radial-gradient(ellipse at 80% 20%, rgba(16, 185, 129, 0.6) 0%, transparent 50%),
-            radial-gradient(ellipse at 40% 80%, rgba(5, 46, 22, 0.7) 0%, transparent 50%),
-            linear-gradient(135deg, #064e3b 0%, #052e16 50%, #000000 100%)
-          `,
-          backgroundSize: '100% 100%, 100% 100%, 100% 100%, 100% 100%',
-          animation: 'fluidFallback 8s ease-in-out infinite'
+          background: 'linear-gradient(135deg, #064e3b 0%, #052e16 50%, #000000 100%)'
         }}
       />
-    );
-  }
-
-  return (
-    <canvas 
-      ref={canvasRef}
-      className="fixed inset-0 z-0 w-full h-full"
-      style={{ 
-        background: 'linear-gradient(135deg, #064e3b 0%, #052e16 50%, #000000 100%)',
-        touchAction: 'none'
-      }}
-    />
+      {contextLost && <FluidFallback />}
+    </>
   );
 };
 
@@ -322,7 +381,69 @@ const CustomCursor = () => {
   );
 };
 
+const ResumeDraftPrompt = () => {
+  const navigate = useNavigate();
+  const { state: wizard, resetWizard } = useWizard();
+  const { language, t } = useI18n();
+
+  if (!hasWizardDraft(wizard)) return null;
+
+  const names = formatList(wizard.kids.map((kid) => kid.name.trim()).filter(Boolean), language);
+
+  const handleStartOver = () => {
+    resetWizard();
+    navigate('/app/kid-details');
+  };
+
+  return (
+    <div className="mt-10 bg-white/10 backdrop-blur-lg border border-white/20 rounded-2xl px-6 py-4 flex flex-col sm:flex-row items-center gap-4">
+      <p className="text-gray-100 text-sm">
+        {names ? t('home.unfinishedFor', { names }) : t('home.unfinished')}
+      </p>
+      <div className="flex gap-3">
+        <button
+          onClick={() => navigate(getResumePath(wizard))}
+          className="bg-green-500 text-white px-4 py-2 rounded-full text-sm font-semibold hover:bg-green-600 transition-colors"
+        >
+          {t('home.resume')}
+        </button>
+        <button
+          onClick={handleStartOver}
+          className="text-gray-300 px-4 py-2 rounded-full text-sm hover:text-white transition-colors"
+        >
+          {t('home.startOver')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Top-right links on the landing page: the language picker, then the family
+// profile once signed in, sign-in and sign-up otherwise.
+const AccountMenu = () => {
+  const { family, status } = useAuth();
+  const { t } = useI18n();
+  const linkClassName = "text-sm text-gray-200 hover:text-white transition-colors";
+
+  return (
+    <div className="absolute top-6 end-6 z-30 flex items-center gap-4">
+      <LanguagePicker />
+      {status === 'signed-in' ? (
+        <Link to="/app/family" className={linkClassName}>👪 {family.name}</Link>
+      ) : status === 'signed-out' && (
+        <>
+          <Link to="/login" className={linkClassName}>{t('home.signIn')}</Link>
+          <Link to="/signup" className="text-sm bg-white/10 border border-white/30 text-white px-4 py-2 rounded-full hover:bg-white/20 transition-colors">
+            {t('home.createAccount')}
+          </Link>
+        </>
+      )}
+    </div>
+  );
+};
+
 const Home = () => {
+  const { t } = useI18n();
   // Magical floating elements data  
   const floatingElements = [
     {
@@ -404,61 +525,89 @@ const Home = () => {
       
       {/* Custom Cursor */}
       <CustomCursor />
+
+      <AccountMenu />
       
       {/* Main Content */}
       <div className="content-container relative z-20 flex flex-col items-center justify-center min-h-screen text-center px-6">
         <h1 className="headline text-6xl md:text-8xl font-bold text-white mb-8 tracking-tight">
-          Create magic moments
+          {t('home.headline')}
         </h1>
         <p className="description text-xl md:text-2xl text-gray-200 mb-12 max-w-2xl leading-relaxed">
-          Wonderful Illustrated stories all about your children
+          {t('home.description')}
         </p>
         <a 
           className="cta-button bg-white text-black px-8 py-4 rounded-full text-lg font-semibold hover:bg-gray-100 transition-all duration-300 transform hover:scale-105"
           href="/app/kid-details" 
           data-discover="true"
         >
-          Start your adventure
+          {t('home.start')}
+        </a>
+        <a
+          className="mt-6 text-gray-200 text-sm underline-offset-4 hover:underline hover:text-white transition-colors"
+          href="/app/library"
+        >
+          {t('home.library')}
         </a>
+        <ResumeDraftPrompt />
       </div>
     </div>
   );
 };
 
-const KidDetails = () => {
-  const navigate = useNavigate();
-  const [kidData, setKidData] = useState({
-    photo: null,
-    name: '',
-    age: ''
-  });
+// Steps shown at the top of every wizard page; labels are message keys.
+const wizardSteps = [
+  { num: 1, label: 'steps.kidDetails', sublabel: 'steps.kidDetailsSub', icon: '👤' },
+  { num: 2, label: 'steps.theme', sublabel: 'steps.themeSub', icon: '🎨' },
+  { num: 3, label: 'steps.specs', sublabel: 'steps.specsSub', icon: '📝' },
+  { num: 4, label: 'steps.creating', sublabel: 'steps.creatingSub', icon: '✨' }
+];
+
+const getWizardSteps = (activeIndex) =>
+  wizardSteps.map((step, index) => ({ ...step, active: index === activeIndex }));
+
+const KidCard = ({ kid, index, canRemove, onChange, onRemove, onSaveToFamily }) => {
+  const { t } = useI18n();
+  const photoInputId = `photo-${kid.id}`;
+  const [pendingPhoto, setPendingPhoto] = useState(null);
+  const canAddPhoto = kid.photos.length < MAX_KID_PHOTOS;
 
   const handlePhotoUpload = (e) => {
     const file = e.target.files[0];
-    if (file) {
+    // Let the same file be picked again after cancelling the cropper.
+    e.target.value = '';
+    if (file && canAddPhoto) {
       // Validate file type
       if (!file.type.startsWith('image/')) {
-        alert('Please select an image file');
+        alert(t('kidDetails.notAnImage'));
         return;
       }
       
-      // Validate file size (max 5MB)
-      if (file.size > 5 * 1024 * 1024) {
-        alert('Image size must be less than 5MB');
+      // Validate file size; the cropper downscales whatever it is given
+      if (file.size > MAX_PHOTO_FILE_SIZE) {
+        alert(t('kidDetails.imageTooLarge'));
         return;
       }
 
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        setKidData(prev => ({ ...prev, photo: e.target.result }));
-      };
-      reader.onerror = () => {
-        alert('Error reading file. Please try again.');
-      };
-      reader.readAsDataURL(file);
+      setPendingPhoto(file);
     }
   };
 
+  const handlePhotoCropped = (photo) => {
+    setPendingPhoto(null);
+    onChange({ photos: [...kid.photos, photo].slice(0, MAX_KID_PHOTOS) });
+  };
+
+  const closeCropper = useCallback(() => setPendingPhoto(null), []);
+
+  const makePrimaryPhoto = (photo) => {
+    onChange({ photos: [photo, ...kid.photos.filter((p) => p !== photo)] });
+  };
+
+  const removePhoto = (photo) => {
+    onChange({ photos: kid.photos.filter((p) => p !== photo) });
+  };
+
   const handleDragOver = (e) => {
     e.preventDefault();
     e.stopPropagation();
@@ -480,26 +629,300 @@ const KidDetails = () => {
     }
   };
 
+  return (
+    <div className="bg-gray-800/60 border border-gray-700 rounded-2xl p-5 space-y-5 text-start">
+      <div className="flex items-center justify-between">
+        <h2 className="text-green-400 font-semibold">{t('kidDetails.child', { number: index + 1 })}</h2>
+        <div className="flex items-center gap-4">
+          {kid.profileId ? (
+            <span className="text-gray-400 text-sm">{t('kidDetails.inFamily')}</span>
+          ) : kid.name.trim() && kid.age && (
+            <button
+              type="button"
+              onClick={onSaveToFamily}
+              className="text-gray-400 hover:text-green-400 text-sm transition-colors"
+            >
+              {t('kidDetails.saveToFamily')}
+            </button>
+          )}
+          {canRemove && (
+            <button
+              type="button"
+              onClick={onRemove}
+              className="text-gray-400 hover:text-red-400 text-sm transition-colors"
+            >
+              {t('kidDetails.remove')}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Photo Upload */}
+      <div>
+        <label className="block text-white text-sm font-medium mb-3 flex items-center">
+          <span className="me-2">📷</span>
+          {t('kidDetails.photos')}
+          <span className="text-gray-400 font-normal ms-2">{t('kidDetails.photosLimit', { count: MAX_KID_PHOTOS })}</span>
+        </label>
+        <input
+          type="file"
+          id={photoInputId}
+          accept="image/*"
+          onChange={handlePhotoUpload}
+          disabled={!canAddPhoto}
+          className="hidden"
+        />
+        <label 
+          htmlFor={photoInputId}
+          className={`block w-full h-48 border-2 border-dashed border-gray-600 rounded-lg bg-gray-800 hover:bg-gray-750 transition-colors relative overflow-hidden ${
+            canAddPhoto ? 'cursor-pointer' : 'cursor-default'
+          }`}
+          onDragOver={handleDragOver}
+          onDrop={handleDrop}
+        >
+          {kid.photos.length > 0 ? (
+            <div className="relative w-full h-full">
+              <img 
+                src={kid.photos[0]} 
+                alt={kid.name || t('kidDetails.kid')} 
+                className="w-full h-full object-cover rounded-lg"
+              />
+              {canAddPhoto && (
+                <div className="absolute inset-0 bg-black bg-opacity-0 hover:bg-opacity-20 transition-all duration-200 flex items-center justify-center">
+                  <span className="text-white text-sm opacity-0 hover:opacity-100 transition-opacity">{t('kidDetails.addPhoto')}</span>
+                </div>
+              )}
+            </div>
+          ) : (
+            <div className="flex flex-col items-center justify-center h-full">
+              <div className="w-16 h-16 mb-3">
+                <img 
+                  src="https://cdn-icons-png.flaticon.com/512/10473/10473491.png" 
+                  alt={t('kidDetails.camera')} 
+                  className="w-full h-full object-contain"
+                />
+              </div>
+              <p className="text-white text-sm font-medium mb-1">{t('kidDetails.dropPhoto')}</p>
+              <p className="text-gray-400 text-xs">{t('kidDetails.browsePhotos')}</p>
+            </div>
+          )}
+        </label>
+
+        {kid.photos.length > 1 && (
+          <div className="flex gap-3 mt-3">
+            {kid.photos.map((photo, photoIndex) => (
+              <div key={photo} className="relative">
+                <button
+                  type="button"
+                  onClick={() => makePrimaryPhoto(photo)}
+                  title={photoIndex === 0 ? t('kidDetails.mainPhoto') : t('kidDetails.makeMainPhoto')}
+                  className={`block w-16 h-16 rounded-lg overflow-hidden border-2 transition-all ${
+                    photoIndex === 0 ? 'border-green-400' : 'border-gray-600 hover:border-gray-400'
+                  }`}
+                >
+                  <img src={photo} alt={`${kid.name || t('kidDetails.kid')} ${photoIndex + 1}`} className="w-full h-full object-cover" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => removePhoto(photo)}
+                  aria-label={t('kidDetails.removePhoto')}
+                  className="absolute -top-2 -end-2 w-5 h-5 rounded-full bg-gray-900 border border-gray-600 text-white text-xs hover:bg-red-500"
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+        {kid.photos.length === 1 && (
+          <button
+            type="button"
+            onClick={() => removePhoto(kid.photos[0])}
+            className="mt-2 text-gray-400 hover:text-red-400 text-xs transition-colors"
+          >
+            {t('kidDetails.removePhoto')}
+          </button>
+        )}
+      </div>
+
+      {pendingPhoto && (
+        <PhotoCropper file={pendingPhoto} onCancel={closeCropper} onSave={handlePhotoCropped} />
+      )}
+
+      {/* Name Input */}
+      <div>
+        <label htmlFor={`name-${kid.id}`} className="block text-white text-sm font-medium mb-3 flex items-center">
+          <span className="me-2">👤</span>
+          {t('kidDetails.name')} <span className="text-red-400 ms-1">*</span>
+        </label>
+        <input
+          type="text"
+          id={`name-${kid.id}`}
+          value={kid.name}
+          onChange={(e) => onChange({ name: e.target.value })}
+          placeholder={t('kidDetails.namePlaceholder')}
+          className="w-full px-4 py-3 text-sm rounded-lg bg-gray-800 border border-gray-600 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500"
+          required
+        />
+      </div>
+
+      {/* Age Selection */}
+      <div>
+        <label className="block text-white text-sm font-medium mb-3 flex items-center">
+          <span className="me-2">🎂</span>
+          {t('kidDetails.ageLevel')} <span className="text-red-400 ms-1">*</span>
+        </label>
+        <div className="flex gap-3 overflow-x-auto pb-2">
+          {ageLevels.map((ageRange) => (
+            <button
+              key={ageRange.value}
+              type="button"
+              onClick={() => onChange({ age: ageRange.value })}
+              className={`py-3 px-6 rounded-full text-sm font-medium transition-all whitespace-nowrap flex-shrink-0 ${
+                kid.age === ageRange.value
+                  ? 'bg-green-500 text-white border-2 border-green-400'
+                  : 'bg-gray-800 text-gray-300 border-2 border-gray-600 hover:bg-gray-700 hover:border-gray-500'
+              }`}
+            >
+              {t('kidDetails.ageRange', { range: ageRange.value })}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Pronouns */}
+      <div>
+        <label className="block text-white text-sm font-medium mb-3 flex items-center">
+          <span className="me-2">💬</span>
+          {t('kidDetails.pronouns')}
+        </label>
+        <div className="flex gap-3 flex-wrap">
+          {pronounOptions.map((option) => (
+            <button
+              key={option.id}
+              type="button"
+              onClick={() => onChange({ pronouns: option.id })}
+              className={`py-2 px-4 rounded-full text-sm font-medium transition-all ${
+                kid.pronouns === option.id
+                  ? 'bg-green-500 text-white border-2 border-green-400'
+                  : 'bg-gray-800 text-gray-300 border-2 border-gray-600 hover:bg-gray-700 hover:border-gray-500'
+              }`}
+            >
+              {t(`kidDetails.pronounOptions.${option.id}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Appearance */}
+      <div>
+        <label htmlFor={`appearance-${kid.id}`} className="block text-white text-sm font-medium mb-3 flex items-center">
+          <span className="me-2">🎨</span>
+          {t('kidDetails.appearance')} <span className="text-gray-400 font-normal ms-1">{t('kidDetails.appearanceHint')}</span>
+        </label>
+        <input
+          type="text"
+          id={`appearance-${kid.id}`}
+          value={kid.appearance}
+          maxLength={200}
+          onChange={(e) => onChange({ appearance: e.target.value })}
+          placeholder={t('kidDetails.appearancePlaceholder')}
+          className="w-full px-4 py-3 text-sm rounded-lg bg-gray-800 border border-gray-600 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500"
+        />
+      </div>
+    </div>
+  );
+};
+
+// Children saved on the family profile, added to the story with one tap.
+const SavedChildrenPicker = ({ kids, onPick }) => {
+  const { family } = useAuth();
+  const { t } = useI18n();
+  if (family.children.length === 0) return null;
+  const hasRoom = kids.length < MAX_KIDS || kids.some((kid) => !kid.name.trim() && !kid.age && kid.photos.length === 0);
+
+  return (
+    <div className="mb-6 text-start">
+      <p className="text-white text-sm font-medium mb-3">{t('kidDetails.whoIsIn')}</p>
+      <div className="flex flex-wrap gap-3">
+        {family.children.map((child) => {
+          const picked = kids.some((kid) => kid.profileId === child.id);
+          return (
+            <button
+              key={child.id}
+              type="button"
+              onClick={() => onPick(child)}
+              disabled={picked || !hasRoom}
+              className={`flex items-center gap-2 py-2 ps-2 pe-4 rounded-full text-sm font-medium transition-all disabled:cursor-not-allowed ${
+                picked
+                  ? 'bg-green-500 text-white border-2 border-green-400'
+                  : 'bg-gray-800 text-gray-300 border-2 border-gray-600 hover:bg-gray-700 hover:border-gray-500 disabled:opacity-50'
+              }`}
+            >
+              {child.photos.length > 0 ? (
+                <img src={child.photos[0]} alt="" className="w-7 h-7 rounded-full object-cover" />
+              ) : (
+                <span className="w-7 h-7 rounded-full bg-gray-700 flex items-center justify-center">🧒</span>
+              )}
+              {picked ? `✓ ${child.name}` : child.name}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+const KidDetails = () => {
+  const navigate = useNavigate();
+  const { state: wizard, addKid, updateKid, removeKid } = useWizard();
+  const { family, saveChild } = useAuth();
+  const { t } = useI18n();
+  const { kids } = wizard;
+  const isComplete = isWizardStepComplete(wizard, 'kid-details');
+
+  const handlePickSavedChild = (child) => {
+    addKid({
+      name: child.name,
+      age: child.age_band,
+      photos: child.photos,
+      pronouns: child.pronouns,
+      appearance: child.appearance || '',
+      profileId: child.id
+    });
+  };
+
+  const handleSaveToFamily = async (kid) => {
+    try {
+      const saved = await saveChild({
+        name: kid.name.trim(),
+        age_band: kid.age,
+        pronouns: kid.pronouns,
+        appearance: kid.appearance.trim() || null,
+        photos: kid.photos
+      });
+      updateKid(kid.id, { profileId: saved.id });
+    } catch (error) {
+      console.error('Error saving child to family:', error);
+      alert(t('kidDetails.saveToFamilyError'));
+    }
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (kidData.name && kidData.age) {
-      // Store kid data in sessionStorage for now
-      sessionStorage.setItem('kidData', JSON.stringify(kidData));
+    if (isComplete) {
       navigate('/app/theme-selection');
     }
   };
 
   return (
-    <div className="min-h-screen bg-gray-900 text-white">
+    <div className="min-h-screen bg-gray-900 text-white pb-12">
+      <LanguagePicker className="fixed top-4 end-4 z-40" />
+
       {/* Step Indicator */}
       <div className="flex justify-center pt-8 pb-6">
-        <div className="flex items-center space-x-8">
-          {[
-            { num: 1, label: 'Kid Details', sublabel: 'Photos & Info', active: true },
-            { num: 2, label: 'Theme', sublabel: 'Story Setting', active: false },
-            { num: 3, label: 'Story Specs', sublabel: 'Customize', active: false },
-            { num: 4, label: 'Creating Magic', sublabel: 'AI Generation', active: false }
-          ].map((step, index) => (
+        <div className="flex items-center gap-x-8">
+          {getWizardSteps(0).map((step, index) => (
             <div key={step.num} className="flex items-center">
               <div className="text-center">
                 <div className={`w-10 h-10 rounded-full flex items-center justify-center text-sm font-bold mb-1 ${
@@ -508,10 +931,10 @@ const KidDetails = () => {
                   {step.num}
                 </div>
                 <div className={`text-xs font-medium ${step.active ? 'text-white' : 'text-gray-400'}`}>
-                  {step.label}
+                  {t(step.label)}
                 </div>
                 <div className={`text-xs ${step.active ? 'text-gray-300' : 'text-gray-500'}`}>
-                  {step.sublabel}
+                  {t(step.sublabel)}
                 </div>
               </div>
               {index < 3 && (
@@ -527,110 +950,46 @@ const KidDetails = () => {
         <div className="max-w-lg w-full">
           {/* Header */}
           <div className="text-center mb-8">
-            <h1 className="text-3xl font-bold text-green-400 mb-3">Tell Us About Your Little One!</h1>
-            <p className="text-gray-400 text-sm">Upload photos and share their names to personalize the story</p>
+            <h1 className="text-3xl font-bold text-green-400 mb-3">{t('kidDetails.title')}</h1>
+            <p className="text-gray-400 text-sm">{t('kidDetails.subtitle')}</p>
+            {!family.keep_photos && (
+              <p className="text-gray-500 text-xs mt-2">{t('kidDetails.photosNotKept')}</p>
+            )}
           </div>
 
-          <form onSubmit={handleSubmit} className="space-y-6">
-            {/* Photo Upload */}
-            <div>
-              <label className="block text-white text-sm font-medium mb-3 flex items-center">
-                <span className="mr-2">📷</span>
-                Upload Kid's Photo
-              </label>
-              <input
-                type="file"
-                id="photo"
-                accept="image/*"
-                onChange={handlePhotoUpload}
-                className="hidden"
-              />
-              <label 
-                htmlFor="photo"
-                className="cursor-pointer block w-full h-48 border-2 border-dashed border-gray-600 rounded-lg bg-gray-800 hover:bg-gray-750 transition-colors relative overflow-hidden"
-                onDragOver={handleDragOver}
-                onDrop={handleDrop}
-              >
-                {kidData.photo ? (
-                  <div className="relative w-full h-full">
-                    <img 
-                      src={kidData.photo} 
-                      alt="Kid" 
-                      className="w-full h-full object-cover rounded-lg"
-                    />
-                    <div className="absolute inset-0 bg-black bg-opacity-0 hover:bg-opacity-20 transition-all duration-200 flex items-center justify-center">
-                      <span className="text-white text-sm opacity-0 hover:opacity-100 transition-opacity">Click to change photo</span>
-                    </div>
-                  </div>
-                ) : (
-                  <div className="flex flex-col items-center justify-center h-full">
-                    <div className="w-16 h-16 mb-3">
-                      <img 
-                        src="https://cdn-icons-png.flaticon.com/512/10473/10473491.png" 
-                        alt="Camera" 
-                        className="w-full h-full object-contain"
-                      />
-                    </div>
-                    <p className="text-white text-sm font-medium mb-1">Drag & drop a photo here</p>
-                    <p className="text-gray-400 text-xs">or click to browse files</p>
-                  </div>
-                )}
-              </label>
-            </div>
+          <SavedChildrenPicker kids={kids} onPick={handlePickSavedChild} />
 
-            {/* Name Input */}
-            <div>
-              <label className="block text-white text-sm font-medium mb-3 flex items-center">
-                <span className="mr-2">👤</span>
-                Kid's Name(s) <span className="text-red-400 ml-1">*</span>
-              </label>
-              <input
-                type="text"
-                value={kidData.name}
-                onChange={(e) => setKidData(prev => ({ ...prev, name: e.target.value }))}
-                placeholder="Enter names (separated by commas for multiple kids)"
-                className="w-full px-4 py-3 text-sm rounded-lg bg-gray-800 border border-gray-600 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500"
-                required
+          <form onSubmit={handleSubmit} className="space-y-6">
+            {kids.map((kid, index) => (
+              <KidCard
+                key={kid.id}
+                kid={kid}
+                index={index}
+                canRemove={kids.length > 1}
+                onChange={(fields) => updateKid(kid.id, fields)}
+                onRemove={() => removeKid(kid.id)}
+                onSaveToFamily={() => handleSaveToFamily(kid)}
               />
-            </div>
+            ))}
 
-            {/* Age Selection */}
-            <div>
-              <label className="block text-white text-sm font-medium mb-3 flex items-center">
-                <span className="mr-2">🎂</span>
-                Age Level <span className="text-red-400 ml-1">*</span>
-              </label>
-              <div className="flex gap-3 overflow-x-auto pb-2">
-                {[
-                  { label: '3-4 years', value: '3-4' },
-                  { label: '5-7 years', value: '5-7' },
-                  { label: '8-10 years', value: '8-10' },
-                  { label: '11-12 years', value: '11-12' }
-                ].map((ageRange) => (
-                  <button
-                    key={ageRange.value}
-                    type="button"
-                    onClick={() => setKidData(prev => ({ ...prev, age: ageRange.value }))}
-                    className={`py-3 px-6 rounded-full text-sm font-medium transition-all whitespace-nowrap flex-shrink-0 ${
-                      kidData.age === ageRange.value
-                        ? 'bg-green-500 text-white border-2 border-green-400'
-                        : 'bg-gray-800 text-gray-300 border-2 border-gray-600 hover:bg-gray-700 hover:border-gray-500'
-                    }`}
-                  >
-                    {ageRange.label}
-                  </button>
-                ))}
-              </div>
-            </div>
+            {kids.length < MAX_KIDS && (
+              <button
+                type="button"
+                onClick={() => addKid()}
+                className="w-full py-3 rounded-lg border-2 border-dashed border-gray-600 text-gray-300 text-sm font-medium hover:border-green-500 hover:text-green-400 transition-colors"
+              >
+                {t('kidDetails.addChild')}
+              </button>
+            )}
 
             {/* Submit Button */}
             <div className="pt-4">
               <button
                 type="submit"
-                disabled={!kidData.name || !kidData.age}
+                disabled={!isComplete}
                 className="w-full bg-green-500 text-white py-3 px-6 rounded-lg text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed hover:bg-green-600 transition-colors"
               >
-                Continue
+                {t('kidDetails.continue')}
               </button>
             </div>
           </form>
@@ -640,81 +999,96 @@ const KidDetails = () => {
   );
 };
 
+// Shown on the wizard steps when the draft started from a saved story: a
+// remix, which becomes a new version and leaves the original as it is, or the
+// next episode of a series.
+const StartingPointBanner = () => {
+  const navigate = useNavigate();
+  const { state: wizard, resetWizard } = useWizard();
+  const { t } = useI18n();
+  if (!wizard.remix && !wizard.series) return null;
+
+  const handleStartFresh = () => {
+    resetWizard();
+    navigate('/app/kid-details');
+  };
+
+  return (
+    <div className="flex items-center gap-3 mb-6 px-4 py-3 rounded-xl bg-purple-900 bg-opacity-40 border border-purple-500 text-sm text-purple-100">
+      <span className="text-lg">{wizard.remix ? '🔁' : '📚'}</span>
+      {wizard.remix ? (
+        <p className="flex-1">
+          {t('startingPoint.remixing', { title: <span className="font-semibold">“{wizard.remix.title}”</span> })}
+        </p>
+      ) : (
+        <p className="flex-1">
+          {t('startingPoint.episode', {
+            episode: wizard.series.episode,
+            title: <span className="font-semibold">“{wizard.series.title}”</span>
+          })}
+        </p>
+      )}
+      <button
+        type="button"
+        onClick={handleStartFresh}
+        className="px-3 py-1 rounded-lg text-purple-200 hover:bg-purple-800 transition-colors"
+      >
+        {t('startingPoint.startFresh')}
+      </button>
+    </div>
+  );
+};
+
 const ThemeSelection = () => {
   const navigate = useNavigate();
-  const [selectedTheme, setSelectedTheme] = useState('');
+  const { state: wizard, setTheme } = useWizard();
+  const { t } = useI18n();
+  const selectedTheme = wizard.theme;
+  const [showBuilder, setShowBuilder] = useState(false);
+  const canContinue = isWizardStepComplete(wizard, 'theme-selection');
+
+  // Show the custom card as the world the user built, once there is one.
+  const themeCards = themes.map((theme) => (
+    theme.id === 'custom' && wizard.customTheme
+      ? getStoryTheme({ theme: 'custom', custom_theme: wizard.customTheme })
+      : { ...theme, title: t(`themes.${theme.id}.title`), description: t(`themes.${theme.id}.description`) }
+  ));
 
-  const themes = [
-    {
-      id: 'forest',
-      title: 'Adventure in Forest',
-      description: 'Explore magical woods with talking animals',
-      icon: '🌲',
-      bgColor: 'bg-green-600'
-    },
-    {
-      id: 'space',
-      title: 'Space Exploration', 
-      description: 'Journey through galaxies and meet alien friends',
-      icon: '🚀',
-      bgColor: 'bg-blue-600'
-    },
-    {
-      id: 'ocean',
-      title: 'Ocean Discovery',
-      description: 'Dive deep and discover underwater treasures', 
-      icon: '🌊',
-      bgColor: 'bg-cyan-600'
-    },
-    {
-      id: 'castle',
-      title: 'Magical Kingdom',
-      description: 'Knights, princesses, and magical kingdoms',
-      icon: '👑',
-      bgColor: 'bg-orange-600'
-    },
-    {
-      id: 'dinosaur',
-      title: 'Dinosaur World',
-      description: 'Meet friendly dinosaurs in prehistoric times',
-      icon: '🦕',
-      bgColor: 'bg-red-600'
-    },
-    {
-      id: 'custom',
-      title: 'Custom Theme...',
-      description: 'Create your own magical world',
-      icon: '✨',
-      bgColor: 'bg-purple-600'
+  const handleThemeSelect = (themeId) => {
+    if (themeId === 'custom') {
+      setShowBuilder(true);
+      return;
     }
-  ];
 
-  const handleThemeSelect = (themeId) => {
-    setSelectedTheme(themeId);
-    // Store theme selection
-    sessionStorage.setItem('selectedTheme', themeId);
+    setTheme(themeId);
     setTimeout(() => {
       navigate('/app/story-customization');
     }, 300);
   };
 
+  const handleCustomThemeSave = (customTheme) => {
+    setShowBuilder(false);
+    setTheme('custom', customTheme);
+    setTimeout(() => {
+      navigate('/app/story-customization');
+    }, 300);
+  };
+
+  const closeBuilder = useCallback(() => setShowBuilder(false), []);
+
   return (
     <div className="min-h-screen bg-gray-900 flex items-center justify-center p-4">
       {/* Modal Overlay */}
       <div className="fixed inset-0 bg-black bg-opacity-50"></div>
+      <LanguagePicker className="fixed top-4 end-4 z-40" />
       
       {/* Modal Content */}
       <div className="relative bg-gray-800 rounded-3xl p-8 max-w-2xl w-full mx-auto shadow-2xl border border-gray-700">
         
         {/* Step Indicator */}
         <div className="flex justify-center mb-8">
-          <div className="flex items-center space-x-6">
-            {[
-              { num: 1, label: 'Kid Details', sublabel: 'Photos & Info', active: false, icon: '👤' },
-              { num: 2, label: 'Theme', sublabel: 'Story Setting', active: true, icon: '🎨' },
-              { num: 3, label: 'Story Specs', sublabel: 'Customize', active: false, icon: '📝' },
-              { num: 4, label: 'Creating Magic', sublabel: 'AI Generation', active: false, icon: '✨' }
-            ].map((step, index) => (
+          <div className="flex items-center gap-x-6">
+            {getWizardSteps(1).map((step, index) => (
               <div key={step.num} className="flex items-center">
                 <div className="text-center">
                   <div className={`w-12 h-12 rounded-full flex items-center justify-center text-lg mb-1 ${
@@ -723,10 +1097,10 @@ const ThemeSelection = () => {
                     {step.icon}
                   </div>
                   <div className={`text-xs font-medium ${step.active ? 'text-white' : 'text-gray-400'}`}>
-                    {step.label}
+                    {t(step.label)}
                   </div>
                   <div className={`text-xs ${step.active ? 'text-gray-300' : 'text-gray-500'}`}>
-                    {step.sublabel}
+                    {t(step.sublabel)}
                   </div>
                 </div>
                 {index < 3 && (
@@ -737,15 +1111,17 @@ const ThemeSelection = () => {
           </div>
         </div>
 
+        <StartingPointBanner />
+
         {/* Header */}
         <div className="text-center mb-8">
-          <h2 className="text-3xl font-bold text-white mb-2">Choose a Magical Theme</h2>
-          <p className="text-gray-400">Select the perfect backdrop for your story adventure</p>
+          <h2 className="text-3xl font-bold text-white mb-2">{t('themeSelection.title')}</h2>
+          <p className="text-gray-400">{t('themeSelection.subtitle')}</p>
         </div>
 
         {/* Theme Grid */}
         <div className="grid grid-cols-3 gap-4 mb-8">
-          {themes.map((theme) => (
+          {themeCards.map((theme) => (
             <div
               key={theme.id}
               onClick={() => handleThemeSelect(theme.id)}
@@ -757,7 +1133,7 @@ const ThemeSelection = () => {
             >
               {/* Selection Check */}
               {selectedTheme === theme.id && (
-                <div className="absolute -top-2 -right-2 w-6 h-6 bg-green-400 rounded-full flex items-center justify-center">
+                <div className="absolute -top-2 -end-2 w-6 h-6 bg-green-400 rounded-full flex items-center justify-center">
                   <svg className="w-4 h-4 text-white" fill="currentColor" viewBox="0 0 20 20">
                     <path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd" />
                   </svg>
@@ -777,104 +1153,82 @@ const ThemeSelection = () => {
             onClick={() => navigate('/app/kid-details')}
             className="flex items-center text-gray-400 hover:text-white transition-colors"
           >
-            <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <svg className="w-5 h-5 me-2 rtl:rotate-180" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
             </svg>
-            Back
+            {t('themeSelection.back')}
           </button>
           
           <button
             onClick={() => {
-              if (selectedTheme) {
+              if (canContinue) {
                 navigate('/app/story-customization');
               }
             }}
-            disabled={!selectedTheme}
+            disabled={!canContinue}
             className={`flex items-center px-6 py-2 rounded-lg font-medium transition-all ${
-              selectedTheme 
+              canContinue 
                 ? 'bg-green-500 text-white hover:bg-green-600' 
                 : 'bg-gray-600 text-gray-400 cursor-not-allowed'
             }`}
           >
-            Next Step
-            <svg className="w-5 h-5 ml-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            {t('themeSelection.next')}
+            <svg className="w-5 h-5 ms-2 rtl:rotate-180" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
             </svg>
           </button>
         </div>
       </div>
+
+      {showBuilder && (
+        <CustomThemeBuilder
+          initialTheme={wizard.customTheme}
+          onCancel={closeBuilder}
+          onSave={handleCustomThemeSave}
+        />
+      )}
     </div>
   );
 };
 
 const StoryCustomization = () => {
   const navigate = useNavigate();
-  const [customization, setCustomization] = useState({
-    storyType: '',
-    length: '',
-    specialIngredients: []
-  });
-
-  const storyTypes = [
-    { 
-      id: 'adventure', 
-      title: 'Adventure Story', 
-      description: 'Brave quests and exciting journeys!',
-      icon: '⚔️',
-      bgColor: 'bg-orange-500'
-    },
-    { 
-      id: 'educational', 
-      title: 'Learning Story', 
-      description: 'Fun facts and cool discoveries!',
-      icon: '🧠',
-      bgColor: 'bg-blue-500'
-    },
-    { 
-      id: 'treasure', 
-      title: 'Treasure Hunt', 
-      description: 'Find hidden treasures and solve puzzles!',
-      icon: '🗺️',
-      bgColor: 'bg-amber-600'
-    },
-    { 
-      id: 'friendship', 
-      title: 'Friendship Tale', 
-      description: 'Meet new friends and help each other!',
-      icon: '👫',
-      bgColor: 'bg-pink-500'
-    }
-  ];
-
-  const lengths = [
-    { id: 'short', title: 'Quick Story', subtitle: '5 minutes', icon: '⚡', bgColor: 'bg-green-500' },
-    { id: 'medium', title: 'Medium Story', subtitle: '10 minutes', icon: '📖', bgColor: 'bg-blue-500' },
-    { id: 'long', title: 'Epic Story', subtitle: '15+ minutes', icon: '📚', bgColor: 'bg-purple-500' }
-  ];
-
+  const { state: wizard, updateCustomization, startGeneration } = useWizard();
+  const { language: interfaceLanguage, t } = useI18n();
+  const customization = wizard.customization;
+  // Stories follow the interface language when it is one they can be written in.
+  const storyLanguage = customization.language
+    || (storyLanguages.includes(interfaceLanguage) ? interfaceLanguage : 'en');
+  const translationLanguage = customization.translationLanguage !== storyLanguage
+    ? customization.translationLanguage
+    : '';
+
+  // The English name is what the story is written from; `id` picks the label.
   const ingredients = [
-    { name: 'Magic spells', icon: '✨' },
-    { name: 'Talking animals', icon: '🦜' },
-    { name: 'Hidden treasures', icon: '💎' },
-    { name: 'Flying vehicles', icon: '🚁' },
-    { name: 'Secret doors', icon: '🚪' },
-    { name: 'Friendly monsters', icon: '👹' },
-    { name: 'Time travel', icon: '⏰' },
-    { name: 'Superhero powers', icon: '💪' }
+    { id: 'magicSpells', name: 'Magic spells', icon: '✨' },
+    { id: 'talkingAnimals', name: 'Talking animals', icon: '🦜' },
+    { id: 'hiddenTreasures', name: 'Hidden treasures', icon: '💎' },
+    { id: 'flyingVehicles', name: 'Flying vehicles', icon: '🚁' },
+    { id: 'secretDoors', name: 'Secret doors', icon: '🚪' },
+    { id: 'friendlyMonsters', name: 'Friendly monsters', icon: '👹' },
+    { id: 'timeTravel', name: 'Time travel', icon: '⏰' },
+    { id: 'superheroPowers', name: 'Superhero powers', icon: '💪' }
   ];
 
   const toggleIngredient = (ingredient) => {
-    setCustomization(prev => ({
-      ...prev,
-      specialIngredients: prev.specialIngredients.includes(ingredient)
-        ? prev.specialIngredients.filter(i => i !== ingredient)
-        : [...prev.specialIngredients, ingredient]
-    }));
+    updateCustomization({
+      specialIngredients: customization.specialIngredients.includes(ingredient)
+        ? customization.specialIngredients.filter(i => i !== ingredient)
+        : [...customization.specialIngredients, ingredient]
+    });
   };
 
   const handleCreateStory = () => {
     if (customization.storyType && customization.length) {
-      sessionStorage.setItem('storyCustomization', JSON.stringify(customization));
+      updateCustomization({ language: storyLanguage, translationLanguage });
+      // A fresh request id per submission; StoryCreation reuses it on
+      // refresh so the backend never creates the same story twice.
+      startGeneration();
       navigate('/app/story-creation');
     }
   };
@@ -883,19 +1237,15 @@ const StoryCustomization = () => {
     <div className="min-h-screen bg-gray-900 flex items-center justify-center p-4">
       {/* Modal Overlay */}
       <div className="fixed inset-0 bg-black bg-opacity-50"></div>
+      <LanguagePicker className="fixed top-4 end-4 z-40" />
       
       {/* Modal Content */}
       <div className="relative bg-gray-800 rounded-3xl p-8 max-w-4xl w-full mx-auto shadow-2xl border border-gray-700 max-h-[95vh] overflow-y-auto">
         
         {/* Step Indicator */}
         <div className="flex justify-center mb-8">
-          <div className="flex items-center space-x-6">
-            {[
-              { num: 1, label: 'Kid Details', sublabel: 'Photos & Info', active: false, icon: '👤' },
-              { num: 2, label: 'Theme', sublabel: 'Story Setting', active: false, icon: '🎨' },
-              { num: 3, label: 'Story Specs', sublabel: 'Customize', active: true, icon: '📝' },
-              { num: 4, label: 'Creating Magic', sublabel: 'AI Generation', active: false, icon: '✨' }
-            ].map((step, index) => (
+          <div className="flex items-center gap-x-6">
+            {getWizardSteps(2).map((step, index) => (
               <div key={step.num} className="flex items-center">
                 <div className="text-center">
                   <div className={`w-12 h-12 rounded-full flex items-center justify-center text-lg mb-1 ${
@@ -904,10 +1254,10 @@ const StoryCustomization = () => {
                     {step.icon}
                   </div>
                   <div className={`text-xs font-medium ${step.active ? 'text-white' : 'text-gray-400'}`}>
-                    {step.label}
+                    {t(step.label)}
                   </div>
                   <div className={`text-xs ${step.active ? 'text-gray-300' : 'text-gray-500'}`}>
-                    {step.sublabel}
+                    {t(step.sublabel)}
                   </div>
                 </div>
                 {index < 3 && (
@@ -918,24 +1268,26 @@ const StoryCustomization = () => {
           </div>
         </div>
 
+        <StartingPointBanner />
+
         {/* Header with Adventure Images */}
         <div className="text-center mb-8">
-          <h2 className="text-3xl font-bold text-white mb-2">Customize Your Story!</h2>
-          <p className="text-gray-400 mb-6">Let's make your adventure perfect for you!</p>
+          <h2 className="text-3xl font-bold text-white mb-2">{t('customization.title')}</h2>
+          <p className="text-gray-400 mb-6">{t('customization.subtitle')}</p>
           
           {/* Adventure Images */}
           <div className="flex justify-center gap-4 mb-6">
             <div className="w-24 h-24 rounded-xl overflow-hidden border-2 border-orange-400">
               <img 
                 src="data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgdmlld0JveD0iMCAwIDIwMCAyMDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSIyMDAiIGhlaWdodD0iMjAwIiBmaWxsPSIjRkY4QzAwIi8+CjwhLS0gQWR2ZW50dXJlIFNjZW5lIC0tPgo8Y2lyY2xlIGN4PSI1MCIgY3k9IjUwIiByPSIxNSIgZmlsbD0iI0ZGRkZGRiIvPgo8cGF0aCBkPSJNIDQwIDEwMCBMIDYwIDEwMCBMIDUwIDUwIFoiIGZpbGw9IiMzNDQ5NUUiLz4KPHN2Zz4="
-                alt="Adventure Scene" 
+                alt={t('customization.adventureImage')} 
                 className="w-full h-full object-cover"
               />
             </div>
             <div className="w-24 h-24 rounded-xl overflow-hidden border-2 border-amber-400">
               <img 
                 src="data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgdmlld0JveD0iMCAwIDIwMCAyMDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSIyMDAiIGhlaWdodD0iMjAwIiBmaWxsPSIjRkZENzAwIi8+CjwhLS0gVHJlYXN1cmUgTWFwIC0tPgo8Y2lyY2xlIGN4PSIxMDAiIGN5PSIxMDAiIHI9IjIwIiBmaWxsPSIjRkY0NDQ0Ii8+CjxwYXRoIGQ9Ik0gOTAgOTAgTCAxMTAgOTAgTCAxMTAgMTEwIEwgOTAgMTEwIFoiIGZpbGw9IiM4QjQ1MTMiLz4KPHN2Zz4="
-                alt="Treasure Map" 
+                alt={t('customization.treasureImage')} 
                 className="w-full h-full object-cover"
               />
             </div>
@@ -946,14 +1298,14 @@ const StoryCustomization = () => {
           {/* Story Type Selection */}
           <div>
             <h3 className="text-xl font-bold text-white mb-4 flex items-center">
-              <span className="mr-3">📖</span>
-              What kind of story do you want?
+              <span className="me-3">📖</span>
+              {t('customization.storyType')}
             </h3>
             <div className="grid grid-cols-2 gap-4">
               {storyTypes.map((type) => (
                 <button
                   key={type.id}
-                  onClick={() => setCustomization(prev => ({ ...prev, storyType: type.id }))}
+                  onClick={() => updateCustomization({ storyType: type.id })}
                   className={`p-4 rounded-2xl text-center transition-all duration-200 ${type.bgColor} ${
                     customization.storyType === type.id 
                       ? 'ring-4 ring-green-400 ring-opacity-60 scale-105' 
@@ -961,15 +1313,15 @@ const StoryCustomization = () => {
                   }`}
                 >
                   {customization.storyType === type.id && (
-                    <div className="absolute -top-2 -right-2 w-6 h-6 bg-green-400 rounded-full flex items-center justify-center">
+                    <div className="absolute -top-2 -end-2 w-6 h-6 bg-green-400 rounded-full flex items-center justify-center">
                       <svg className="w-4 h-4 text-white" fill="currentColor" viewBox="0 0 20 20">
                         <path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd" />
                       </svg>
                     </div>
                   )}
                   <div className="text-3xl mb-2">{type.icon}</div>
-                  <h4 className="text-white font-bold text-sm mb-1">{type.title}</h4>
-                  <p className="text-white text-xs opacity-90">{type.description}</p>
+                  <h4 className="text-white font-bold text-sm mb-1">{t(`storyTypes.${type.id}.title`)}</h4>
+                  <p className="text-white text-xs opacity-90">{t(`storyTypes.${type.id}.description`)}</p>
                 </button>
               ))}
             </div>
@@ -978,14 +1330,14 @@ const StoryCustomization = () => {
           {/* Story Length */}
           <div>
             <h3 className="text-xl font-bold text-white mb-4 flex items-center">
-              <span className="mr-3">⏱️</span>
-              How long should your story be?
+              <span className="me-3">⏱️</span>
+              {t('customization.length')}
             </h3>
             <div className="grid grid-cols-3 gap-4">
               {lengths.map((length) => (
                 <button
                   key={length.id}
-                  onClick={() => setCustomization(prev => ({ ...prev, length: length.id }))}
+                  onClick={() => updateCustomization({ length: length.id })}
                   className={`p-4 rounded-2xl text-center transition-all duration-200 ${length.bgColor} relative ${
                     customization.length === length.id 
                       ? 'ring-4 ring-green-400 ring-opacity-60 scale-105' 
@@ -993,15 +1345,15 @@ const StoryCustomization = () => {
                   }`}
                 >
                   {customization.length === length.id && (
-                    <div className="absolute -top-2 -right-2 w-6 h-6 bg-green-400 rounded-full flex items-center justify-center">
+                    <div className="absolute -top-2 -end-2 w-6 h-6 bg-green-400 rounded-full flex items-center justify-center">
                       <svg className="w-4 h-4 text-white" fill="currentColor" viewBox="0 0 20 20">
                         <path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd" />
                       </svg>
                     </div>
                   )}
                   <div className="text-2xl mb-2">{length.icon}</div>
-                  <h4 className="text-white font-bold text-sm mb-1">{length.title}</h4>
-                  <p className="text-white text-xs opacity-90">{length.subtitle}</p>
+                  <h4 className="text-white font-bold text-sm mb-1">{t(`lengths.${length.id}.title`)}</h4>
+                  <p className="text-white text-xs opacity-90">{t(`lengths.${length.id}.subtitle`)}</p>
                 </button>
               ))}
             </div>
@@ -1010,8 +1362,8 @@ const StoryCustomization = () => {
           {/* Special Ingredients */}
           <div>
             <h3 className="text-xl font-bold text-white mb-4 flex items-center">
-              <span className="mr-3">🪄</span>
-              Add some magical ingredients! (Pick any you like)
+              <span className="me-3">🪄</span>
+              {t('customization.ingredients')}
             </h3>
             <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
               {ingredients.map((ingredient) => (
@@ -1025,11 +1377,53 @@ const StoryCustomization = () => {
                   }`}
                 >
                   <div className="text-xl mb-1">{ingredient.icon}</div>
-                  <div className="text-xs font-medium">{ingredient.name}</div>
+                  <div className="text-xs font-medium">{t(`ingredients.${ingredient.id}`)}</div>
                 </button>
               ))}
             </div>
           </div>
+
+          {/* Story Language */}
+          <div>
+            <h3 className="text-xl font-bold text-white mb-4 flex items-center">
+              <span className="me-3">🌍</span>
+              {t('customization.language')}
+            </h3>
+            <div className="flex gap-3 flex-wrap mb-4">
+              {storyLanguages.map((id) => (
+                <button
+                  key={id}
+                  onClick={() => updateCustomization({ language: id })}
+                  className={`py-2 px-4 rounded-full text-sm font-medium transition-all ${
+                    storyLanguage === id
+                      ? 'bg-green-500 text-white border-2 border-green-400'
+                      : 'bg-gray-800 text-gray-300 border-2 border-gray-600 hover:bg-gray-700 hover:border-gray-500'
+                  }`}
+                >
+                  {t(`storyLanguages.${id}`)}
+                </button>
+              ))}
+            </div>
+            <p className="text-gray-300 text-sm mb-3">{t('customization.bilingual')}</p>
+            <div className="flex gap-3 flex-wrap">
+              {['', ...storyLanguages.filter((id) => id !== storyLanguage)].map((id) => (
+                <button
+                  key={id || 'none'}
+                  onClick={() => updateCustomization({ translationLanguage: id })}
+                  className={`py-2 px-4 rounded-full text-sm font-medium transition-all ${
+                    translationLanguage === id
+                      ? 'bg-green-500 text-white border-2 border-green-400'
+                      : 'bg-gray-800 text-gray-300 border-2 border-gray-600 hover:bg-gray-700 hover:border-gray-500'
+                  }`}
+                >
+                  {id ? t(`storyLanguages.${id}`) : t('customization.oneLanguage')}
+                </button>
+              ))}
+            </div>
+            {translationLanguage && (
+              <p className="text-gray-400 text-xs mt-3">{t('customization.bilingualHint')}</p>
+            )}
+          </div>
         </div>
 
         {/* Navigation Buttons */}
@@ -1038,10 +1432,10 @@ const StoryCustomization = () => {
             onClick={() => navigate('/app/theme-selection')}
             className="flex items-center text-gray-400 hover:text-white transition-colors"
           >
-            <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <svg className="w-5 h-5 me-2 rtl:rotate-180" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
             </svg>
-            Back to Themes
+            {t('customization.back')}
           </button>
           
           <button
@@ -1053,8 +1447,8 @@ const StoryCustomization = () => {
                 : 'bg-gray-600 text-gray-400 cursor-not-allowed'
             }`}
           >
-            Create My Story! 
-            <span className="ml-2">🚀</span>
+            {t('customization.create')}
+            <span className="ms-2">🚀</span>
           </button>
         </div>
       </div>
@@ -1062,92 +1456,171 @@ const StoryCustomization = () => {
   );
 };
 
+// Generation stages reported by the backend job, in order; each is labelled
+// by creation.stages.<id> in the catalogs.
+const generationStages = ['queued', 'preparing', 'writing', 'checking', 'illustrating', 'saving', 'complete'];
+
+const JOB_POLL_INTERVAL = 1000;
+const MAX_POLL_FAILURES = 5;
+
+// In-flight creation requests keyed by client request id, so a remounted
+// StoryCreation (React StrictMode, fast refresh) reuses the pending request
+// instead of sending it twice.
+const pendingStoryRequests = new Map();
+
+const requestStory = (storyRequest) => {
+  const key = storyRequest.client_request_id;
+  if (!pendingStoryRequests.has(key)) {
+    const request = createStory(storyRequest).catch((error) => {
+      pendingStoryRequests.delete(key);
+      throw error;
+    });
+    pendingStoryRequests.set(key, request);
+  }
+  return pendingStoryRequests.get(key);
+};
+
+const buildStoryRequest = (wizard) => ({
+  client_request_id: wizard.requestId,
+  characters: wizard.kids.map((kid) => ({
+    name: kid.name.trim(),
+    age: parseInt(kid.age),
+    photo: kid.photos[0] || null,
+    photos: kid.photos,
+    pronouns: kid.pronouns,
+    appearance: kid.appearance.trim() || null,
+    age_band: kid.age,
+    profile_id: kid.profileId
+  })),
+  theme: wizard.theme,
+  custom_theme: wizard.customTheme,
+  story_type: wizard.customization.storyType,
+  length: wizard.customization.length,
+  special_ingredients: wizard.customization.specialIngredients,
+  language: wizard.customization.language || 'en',
+  translation_language: wizard.customization.translationLanguage || null,
+  remix_of: wizard.remix ? wizard.remix.storyId : null,
+  series_id: wizard.series ? wizard.series.id : null
+});
+
 const StoryCreation = () => {
   const navigate = useNavigate();
-  const [progress, setProgress] = useState(0);
-  const [currentStep, setCurrentStep] = useState('Gathering magical ingredients...');
-  const [storyContent, setStoryContent] = useState('');
-  
-  const steps = [
-    'Gathering magical ingredients...',
-    'Creating your unique story...',
-    'Adding beautiful illustrations...',
-    'Bringing characters to life...',
-    'Adding final touches...',
-    'Your story is ready!'
-  ];
+  const { state: wizard, resetWizard } = useWizard();
+  const { t } = useI18n();
+  // Captured once: the draft is cleared when the story is ready, but the
+  // request has to stay the same for retries until then.
+  const [storyRequest] = useState(() => buildStoryRequest(wizard));
+  const [storyId, setStoryId] = useState(null);
+  const [job, setJob] = useState(null);
+  // { key, vars } of the message to show, so it follows the language picker
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+  const [pollFailures, setPollFailures] = useState(0);
+
+  // Start the story request (or pick up the one already made for this
+  // wizard run -- the backend deduplicates on client_request_id).
+  useEffect(() => {
+    let cancelled = false;
+
+    setError(null);
+    requestStory(storyRequest)
+      .then((data) => {
+        if (cancelled) return;
+        setStoryId(data.id);
+        setPollFailures(0);
+        if (data.status === 'ready') {
+          setJob({ id: data.job_id, status: 'completed', stage: 'complete', progress: 100 });
+        } else {
+          setJob({ id: data.job_id, status: 'queued', stage: 'queued', progress: 0 });
+        }
+      })
+      .catch((err) => {
+        console.error('Error creating story:', err);
+        if (!cancelled) setError({ key: 'creation.startError' });
+      });
 
+    return () => {
+      cancelled = true;
+    };
+  }, [attempt, storyRequest]);
+
+  // Poll the generation job until it finishes or fails.
   useEffect(() => {
-    // Get data from session storage
-    const kidData = JSON.parse(sessionStorage.getItem('kidData') || '{}');
-    const selectedTheme = sessionStorage.getItem('selectedTheme') || '';
-    const customization = JSON.parse(sessionStorage.getItem('storyCustomization') || '{}');
+    if (!job || !job.id || job.status === 'completed' || job.status === 'failed') return;
+
+    if (pollFailures >= MAX_POLL_FAILURES) {
+      setError({ key: 'creation.lostTrack' });
+      return;
+    }
 
-    // Create story API call
-    const createStory = async () => {
+    const timer = setTimeout(async () => {
       try {
-        const response = await fetch(`${BACKEND_URL}/api/stories`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            kid_name: kidData.name,
-            kid_age: parseInt(kidData.age),
-            kid_photo: kidData.photo,
-            theme: selectedTheme,
-            story_type: customization.storyType,
-            length: customization.length,
-            special_ingredients: customization.specialIngredients || []
-          })
-        });
-
-        if (response.ok) {
-          const data = await response.json();
-          setStoryContent(data.story_content);
-        } else {
-          console.error('Failed to create story');
-        }
-      } catch (error) {
-        console.error('Error creating story:', error);
+        setJob(await fetchGenerationJob(job.id));
+        setPollFailures(0);
+      } catch (err) {
+        console.error('Error checking story progress:', err);
+        setPollFailures((count) => count + 1);
       }
-    };
+    }, JOB_POLL_INTERVAL);
 
-    createStory();
-
-    const timer = setInterval(() => {
-      setProgress(prev => {
-        if (prev >= 100) {
-          clearInterval(timer);
-          setTimeout(() => {
-            // Show the story content in an alert for now
-            alert(`Story Created!\n\n${storyContent || 'Your magical story has been created!'}`);
-            navigate('/');
-          }, 1000);
-          return 100;
-        }
-        return prev + 2;
-      });
-    }, 200);
+    return () => clearTimeout(timer);
+  }, [job, pollFailures]);
 
-    return () => clearInterval(timer);
-  }, [navigate, storyContent]);
+  useEffect(() => {
+    if (!job || job.status !== 'completed' || !storyId) return;
+
+    const timer = setTimeout(() => {
+      // The draft has become a story; start the next one fresh.
+      resetWizard();
+      navigate(`/app/story/${storyId}`);
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [job, storyId, navigate, resetWizard]);
 
   useEffect(() => {
-    const stepIndex = Math.floor(progress / 20);
-    if (stepIndex < steps.length) {
-      setCurrentStep(steps[stepIndex]);
+    if (job && job.status === 'failed') {
+      setError(job.error
+        ? { key: 'creation.failedWith', vars: { error: job.error } }
+        : { key: 'creation.failed' });
+    }
+  }, [job]);
+
+  const handleRetry = async () => {
+    setError(null);
+    setPollFailures(0);
+
+    if (!job || !job.id) {
+      setAttempt((count) => count + 1);
+      return;
+    }
+
+    if (job.status !== 'failed') {
+      // Only polling broke down; the job itself may still be running.
+      setJob({ ...job });
+      return;
+    }
+
+    try {
+      setJob(await retryGenerationJob(job.id));
+    } catch (err) {
+      console.error('Error retrying story:', err);
+      setError({ key: 'creation.retryError' });
     }
-  }, [progress]);
+  };
+
+  const progress = job ? job.progress : 0;
+  const stageIndex = Math.max(0, generationStages.indexOf(job ? job.stage : 'queued'));
+  const isComplete = Boolean(job && job.status === 'completed');
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-900 via-pink-900 to-rose-900 flex items-center justify-center p-6">
+      <LanguagePicker className="fixed top-4 end-4 z-40" />
       <div className="max-w-2xl w-full text-center">
         <div className="bg-white/10 backdrop-blur-lg rounded-3xl p-12 border border-white/20 shadow-2xl">
           {/* Floating magical elements */}
           <div className="relative mb-8">
-            <div className="w-32 h-32 mx-auto rounded-full bg-gradient-to-r from-purple-400 to-pink-400 flex items-center justify-center mb-6 animate-pulse">
-              <span className="text-4xl">✨</span>
+            <div className={`w-32 h-32 mx-auto rounded-full bg-gradient-to-r from-purple-400 to-pink-400 flex items-center justify-center mb-6 ${error ? '' : 'animate-pulse'}`}>
+              <span className="text-4xl">{error ? '😿' : '✨'}</span>
             </div>
             
             {/* Floating sparkles */}
@@ -1157,9 +1630,9 @@ const StoryCreation = () => {
             <div className="absolute bottom-0 right-1/3 animate-bounce delay-700">✨</div>
           </div>
 
-          <h1 className="text-4xl font-bold text-white mb-6">Creating Your Story</h1>
+          <h1 className="text-4xl font-bold text-white mb-6">{t('creation.title')}</h1>
           
-          <p className="text-xl text-gray-200 mb-8">{currentStep}</p>
+          <p className="text-xl text-gray-200 mb-8">{t(`creation.stages.${generationStages[stageIndex]}`)}</p>
           
           {/* Progress bar */}
           <div className="w-full bg-white/20 rounded-full h-4 mb-8">
@@ -1172,17 +1645,44 @@ const StoryCreation = () => {
           <div className="text-2xl font-semibold text-white mb-8">
             {Math.round(progress)}%
           </div>
+
+          {/* Stage checklist */}
+          <ul className="text-start max-w-xs mx-auto space-y-2 mb-8">
+            {generationStages.slice(1).map((stage, index) => {
+              const position = index + 1;
+              const done = isComplete || position < stageIndex;
+              const active = !isComplete && position === stageIndex;
+              return (
+                <li key={stage} className={`flex items-center text-sm ${done || active ? 'text-white' : 'text-gray-400'}`}>
+                  <span className="w-6 me-2 text-center">{done ? '✅' : active ? '⏳' : '•'}</span>
+                  {t(`creation.stages.${stage}`)}
+                </li>
+              );
+            })}
+          </ul>
+
+          {error && (
+            <div className="bg-red-500/20 border border-red-400/40 rounded-2xl p-4 mb-4">
+              <p className="text-white mb-4">{t(error.key, error.vars)}</p>
+              <button
+                onClick={handleRetry}
+                className="bg-white text-gray-900 px-6 py-2 rounded-full font-semibold hover:bg-gray-100 transition-colors"
+              >
+                {t('creation.tryAgain')}
+              </button>
+            </div>
+          )}
           
-          {progress < 100 && (
+          {!error && !isComplete && (
             <p className="text-gray-300">
-              Please wait while we create something magical just for you...
+              {t('creation.wait')}
             </p>
           )}
           
-          {progress === 100 && (
+          {isComplete && (
             <div className="animate-bounce">
               <p className="text-2xl text-white font-semibold">
-                🎉 Your story is ready! 🎉
+                {t('creation.ready')}
               </p>
             </div>
           )}
@@ -1195,17 +1695,47 @@ const StoryCreation = () => {
 function App() {
   return (
     <div className="App">
-      <BrowserRouter>
-        <Routes>
-          <Route path="/" element={<Home />} />
-          <Route path="/app/kid-details" element={<KidDetails />} />
-          <Route path="/app/theme-selection" element={<ThemeSelection />} />
-          <Route path="/app/story-customization" element={<StoryCustomization />} />
-          <Route path="/app/story-creation" element={<StoryCreation />} />
-        </Routes>
-      </BrowserRouter>
+      <I18nProvider>
+        <BrowserRouter>
+          <AuthProvider>
+            <WizardProvider>
+              <Routes>
+                <Route path="/" element={<Home />} />
+                <Route path="/login" element={<AuthPage mode="login" />} />
+                <Route path="/signup" element={<AuthPage mode="signup" />} />
+                {/* Read-only stories shared by link, open to anyone */}
+                <Route path="/s/:token" element={<SharedStory />} />
+                {/* Everything under /app belongs to a signed-in family */}
+                <Route element={<RequireAuth />}>
+                  <Route path="/app/kid-details" element={<KidDetails />} />
+                  <Route
+                    path="/app/theme-selection"
+                    element={<WizardStepGuard step="theme-selection"><ThemeSelection /></WizardStepGuard>}
+                  />
+                  <Route
+                    path="/app/story-customization"
+                    element={<WizardStepGuard step="story-customization"><StoryCustomization /></WizardStepGuard>}
+                  />
+                  <Route
+                    path="/app/story-creation"
+                    element={<WizardStepGuard step="story-creation"><StoryCreation /></WizardStepGuard>}
+                  />
+                  <Route path="/app/story/:id" element={<StoryReader />} />
+                  <Route path="/app/story/:id/versions" element={<StoryVersions />} />
+                  <Route path="/app/library" element={<Library />} />
+                  <Route path="/app/series/:id" element={<SeriesView />} />
+                  <Route path="/app/family" element={<FamilyProfile />} />
+                  <Route path="/app/privacy" element={<PrivacyCenter />} />
+                  <Route path="/app/review" element={<ReviewQueue />} />
+                  <Route path="/app/review/:id" element={<StoryReview />} />
+                </Route>
+              </Routes>
+            </WizardProvider>
+          </AuthProvider>
+        </BrowserRouter>
+      </I18nProvider>
     </div>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,168 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+import { Navigate, Outlet, useLocation } from "react-router-dom";
+import {
+  deleteChildProfile,
+  fetchCurrentFamily,
+  logIn as requestLogIn,
+  saveChildProfile,
+  setAuthToken,
+  setUnauthorizedHandler,
+  signUp as requestSignUp,
+  updateFamily
+} from "./api";
+
+// The signed-in family. The access token is kept in localStorage so a
+// session survives reloads; the family itself, with its saved children, is
+// fetched again on every load.
+
+const STORAGE_KEY = 'storybook.auth';
+
+const readStoredToken = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch (error) {
+    return null;
+  }
+};
+
+const storeToken = (token) => {
+  setAuthToken(token);
+  try {
+    if (token) {
+      localStorage.setItem(STORAGE_KEY, token);
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error('Error saving the session:', error);
+  }
+};
+
+const AuthContext = createContext(null);
+
+export const AuthProvider = ({ children }) => {
+  const [token, setToken] = useState(() => {
+    const stored = readStoredToken();
+    // Set before any child renders so their first requests are signed in.
+    setAuthToken(stored);
+    return stored;
+  });
+  const [family, setFamily] = useState(null);
+  // loading until the stored token has been checked, then signed-in or signed-out
+  const [status, setStatus] = useState(token ? 'loading' : 'signed-out');
+
+  const signOut = useCallback(() => {
+    storeToken(null);
+    setToken(null);
+    setFamily(null);
+    setStatus('signed-out');
+  }, []);
+
+  useEffect(() => {
+    setUnauthorizedHandler(signOut);
+    return () => setUnauthorizedHandler(null);
+  }, [signOut]);
+
+  useEffect(() => {
+    if (!token) return undefined;
+    let cancelled = false;
+
+    fetchCurrentFamily()
+      .then((data) => {
+        if (cancelled) return;
+        setFamily(data);
+        setStatus('signed-in');
+      })
+      .catch((error) => {
+        console.error('Error loading the family:', error);
+        // A rejected token signs out through the unauthorized handler; keep
+        // the session through network errors.
+        if (!cancelled && error.status !== 401) setStatus('error');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  const startSession = useCallback(({ token: newToken, family: newFamily }) => {
+    storeToken(newToken);
+    setFamily(newFamily);
+    setStatus('signed-in');
+    setToken(newToken);
+  }, []);
+
+  const actions = useMemo(() => ({
+    logIn: async (credentials) => startSession(await requestLogIn(credentials)),
+    signUp: async (details) => startSession(await requestSignUp(details)),
+    signOut,
+    renameFamily: async (name) => setFamily(await updateFamily({ name })),
+    setKeepPhotos: async (keepPhotos) => setFamily(await updateFamily({ keep_photos: keepPhotos })),
+    saveSafetySettings: async (safety) => setFamily(await updateFamily({ safety })),
+    // Picks up changes made elsewhere, e.g. photos deleted in the privacy center.
+    refreshFamily: async () => setFamily(await fetchCurrentFamily()),
+    saveChild: async (child) => {
+      const saved = await saveChildProfile(child);
+      setFamily((current) => ({
+        ...current,
+        children: current.children.some((existing) => existing.id === saved.id)
+          ? current.children.map((existing) => (existing.id === saved.id ? saved : existing))
+          : [...current.children, saved]
+      }));
+      return saved;
+    },
+    removeChild: async (childId, options) => {
+      await deleteChildProfile(childId, options);
+      setFamily((current) => ({ ...current, children: current.children.filter((child) => child.id !== childId) }));
+    }
+  }), [startSession, signOut]);
+
+  const value = useMemo(() => ({ family, status, ...actions }), [family, status, actions]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used inside an AuthProvider');
+  }
+  return context;
+};
+
+// Layout route for pages that need a signed-in family. Anyone else is sent
+// to the sign-in page, which brings them back here afterwards.
+export const RequireAuth = () => {
+  const { status } = useAuth();
+  const location = useLocation();
+
+  if (status === 'loading') {
+    return (
+      <div className="min-h-screen bg-gray-900 flex flex-col items-center justify-center text-gray-300">
+        <div className="text-5xl mb-4 animate-pulse">🔑</div>
+        <p>Signing you in...</p>
+      </div>
+    );
+  }
+
+  if (status === 'error') {
+    return (
+      <div className="min-h-screen bg-gray-900 flex flex-col items-center justify-center text-gray-300 px-6 text-center">
+        <div className="text-5xl mb-4">😿</div>
+        <p className="mb-6">We couldn't reach the server. Check your connection and try again.</p>
+        <button
+          onClick={() => window.location.reload()}
+          className="bg-green-500 text-white px-6 py-3 rounded-lg font-medium hover:bg-green-600 transition-colors"
+        >
+          Try again
+        </button>
+      </div>
+    );
+  }
+
+  if (status !== 'signed-in') {
+    return <Navigate to="/login" replace state={{ from: `${location.pathname}${location.search}` }} />;
+  }
+
+  return <Outlet />;
+};
@@ -0,0 +1,144 @@
+import { useState } from "react";
+import { Link, Navigate, useLocation, useNavigate } from "react-router-dom";
+import { useAuth } from "./AuthContext";
+
+// Sign-in and sign-up forms. Either one returns the family to the page that
+// sent them here, or to the story wizard.
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const inputClassName = "w-full px-4 py-3 text-sm rounded-lg bg-gray-800 border border-gray-600 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500";
+
+const AuthPage = ({ mode }) => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { status, logIn, signUp } = useAuth();
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const isSignUp = mode === 'signup';
+  const destination = (location.state && location.state.from) || '/app/kid-details';
+
+  if (status === 'signed-in' && !submitting) {
+    return <Navigate to={destination} replace />;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSignUp && password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`);
+      return;
+    }
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      if (isSignUp) {
+        await signUp({ name: name.trim(), email: email.trim(), password });
+      } else {
+        await logIn({ email: email.trim(), password });
+      }
+      navigate(destination, { replace: true });
+    } catch (err) {
+      console.error(isSignUp ? 'Error signing up:' : 'Error signing in:', err);
+      if (err.status === 401) {
+        setError('That email and password don\'t match an account.');
+      } else if (err.status === 409) {
+        setError('There is already an account with this email. Try signing in instead.');
+      } else if (err.status === 422) {
+        setError('Please check your email address.');
+      } else {
+        setError('Something went wrong. Please try again.');
+      }
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white flex items-center justify-center px-6 py-12">
+      <div className="max-w-sm w-full">
+        <Link to="/" className="block text-center text-gray-400 hover:text-white text-sm mb-8 transition-colors">
+          ← Back to Home
+        </Link>
+        <div className="text-center mb-8">
+          <div className="text-5xl mb-3">{isSignUp ? '👪' : '📖'}</div>
+          <h1 className="text-3xl font-bold text-green-400 mb-2">{isSignUp ? 'Create your family account' : 'Welcome back!'}</h1>
+          <p className="text-gray-400 text-sm">
+            {isSignUp
+              ? 'Your stories and saved children stay private to your family.'
+              : 'Sign in to read your stories and make new ones.'}
+          </p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {isSignUp && (
+            <div>
+              <label htmlFor="family-name" className="block text-sm font-medium mb-2">Family name</label>
+              <input
+                id="family-name"
+                type="text"
+                value={name}
+                maxLength={80}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="e.g. The Garcias"
+                className={inputClassName}
+                required
+              />
+            </div>
+          )}
+          <div>
+            <label htmlFor="email" className="block text-sm font-medium mb-2">Email</label>
+            <input
+              id="email"
+              type="email"
+              autoComplete="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className={inputClassName}
+              required
+            />
+          </div>
+          <div>
+            <label htmlFor="password" className="block text-sm font-medium mb-2">Password</label>
+            <input
+              id="password"
+              type="password"
+              autoComplete={isSignUp ? 'new-password' : 'current-password'}
+              value={password}
+              maxLength={128}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder={isSignUp ? `At least ${MIN_PASSWORD_LENGTH} characters` : ''}
+              className={inputClassName}
+              required
+            />
+          </div>
+
+          {error && <p className="text-red-400 text-sm">{error}</p>}
+
+          <button
+            type="submit"
+            disabled={submitting}
+            className="w-full bg-green-500 text-white py-3 px-6 rounded-lg text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed hover:bg-green-600 transition-colors"
+          >
+            {submitting ? 'Just a moment...' : isSignUp ? 'Create account' : 'Sign in'}
+          </button>
+        </form>
+
+        <p className="text-center text-gray-400 text-sm mt-6">
+          {isSignUp ? 'Already have an account? ' : 'New here? '}
+          <Link
+            to={isSignUp ? '/login' : '/signup'}
+            state={location.state}
+            className="text-green-400 hover:text-green-300"
+          >
+            {isSignUp ? 'Sign in' : 'Create an account'}
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default AuthPage;
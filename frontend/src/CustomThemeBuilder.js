@@ -0,0 +1,276 @@
+import { useEffect, useState } from "react";
+import { deleteCustomTheme, fetchCustomThemes, saveCustomTheme } from "./api";
+import { customThemeIcons, getPalette, themePalettes } from "./storyOptions";
+
+const MAX_PLACES = 5;
+
+const inputClassName = "w-full px-4 py-3 text-sm rounded-lg bg-gray-900 border border-gray-600 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500";
+
+// Modal for the "Custom Theme..." card: describe a setting, pick an icon and
+// colors, name recurring places, or reuse a theme saved for an earlier story.
+const CustomThemeBuilder = ({ initialTheme, onCancel, onSave }) => {
+  const [form, setForm] = useState({
+    name: initialTheme ? initialTheme.name : '',
+    description: initialTheme ? initialTheme.description : '',
+    icon: initialTheme ? initialTheme.icon : customThemeIcons[0],
+    palette: initialTheme ? initialTheme.palette : themePalettes[0].id,
+    places: initialTheme ? initialTheme.places : []
+  });
+  const [placeInput, setPlaceInput] = useState('');
+  const [savedThemes, setSavedThemes] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchCustomThemes()
+      .then((data) => {
+        if (!cancelled) setSavedThemes(data);
+      })
+      .catch((err) => {
+        // Saved themes are a convenience; the builder still works without them.
+        console.error('Error loading saved themes:', err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onCancel();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onCancel]);
+
+  const updateForm = (fields) => setForm((prev) => ({ ...prev, ...fields }));
+
+  const addPlace = () => {
+    const place = placeInput.trim();
+    if (!place || form.places.length >= MAX_PLACES || form.places.includes(place)) return;
+    updateForm({ places: [...form.places, place] });
+    setPlaceInput('');
+  };
+
+  const handlePlaceKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      addPlace();
+    }
+  };
+
+  const handleDeleteSaved = async (themeId) => {
+    try {
+      await deleteCustomTheme(themeId);
+      setSavedThemes((prev) => prev.filter((theme) => theme.id !== themeId));
+    } catch (err) {
+      console.error('Error deleting saved theme:', err);
+      setError('We couldn\'t delete that theme. Please try again.');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim() || !form.description.trim()) return;
+
+    setSaving(true);
+    setError(null);
+    try {
+      const saved = await saveCustomTheme({
+        ...form,
+        name: form.name.trim(),
+        description: form.description.trim()
+      });
+      onSave(saved);
+    } catch (err) {
+      console.error('Error saving custom theme:', err);
+      setError('We couldn\'t save your theme. Please try again.');
+      setSaving(false);
+    }
+  };
+
+  const palette = getPalette(form.palette);
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black bg-opacity-70" onClick={onCancel}></div>
+
+      <form
+        onSubmit={handleSubmit}
+        className="relative bg-gray-800 rounded-3xl p-8 max-w-2xl w-full shadow-2xl border border-gray-700 max-h-[95vh] overflow-y-auto text-left"
+      >
+        <div className="text-center mb-6">
+          <h2 className="text-2xl font-bold text-white mb-2">✨ Build Your Own World</h2>
+          <p className="text-gray-400 text-sm">Describe where the story happens and we'll take it from there</p>
+        </div>
+
+        {savedThemes.length > 0 && (
+          <div className="mb-6">
+            <h3 className="text-white text-sm font-medium mb-3">Use a world you made before</h3>
+            <div className="flex flex-wrap gap-3">
+              {savedThemes.map((saved) => (
+                <div
+                  key={saved.id}
+                  className={`${getPalette(saved.palette).bgColor} rounded-full pl-4 pr-2 py-2 flex items-center gap-2`}
+                >
+                  <button type="button" onClick={() => onSave(saved)} className="text-white text-sm font-medium">
+                    {saved.icon} {saved.name}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDeleteSaved(saved.id)}
+                    aria-label={`Delete ${saved.name}`}
+                    className="w-5 h-5 rounded-full bg-black/20 text-white text-xs hover:bg-black/40"
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="space-y-5">
+          <div>
+            <label htmlFor="custom-theme-name" className="block text-white text-sm font-medium mb-2">
+              World name <span className="text-red-400">*</span>
+            </label>
+            <input
+              id="custom-theme-name"
+              type="text"
+              value={form.name}
+              maxLength={60}
+              onChange={(e) => updateForm({ name: e.target.value })}
+              placeholder="Candy Kingdom"
+              className={inputClassName}
+              required
+            />
+          </div>
+
+          <div>
+            <label htmlFor="custom-theme-description" className="block text-white text-sm font-medium mb-2">
+              Where does the story take place? <span className="text-red-400">*</span>
+            </label>
+            <textarea
+              id="custom-theme-description"
+              value={form.description}
+              maxLength={500}
+              rows={3}
+              onChange={(e) => updateForm({ description: e.target.value })}
+              placeholder="a candy kingdom where the rivers flow with chocolate and the clouds are made of cotton candy"
+              className={inputClassName}
+              required
+            />
+          </div>
+
+          <div>
+            <span className="block text-white text-sm font-medium mb-2">Icon</span>
+            <div className="flex flex-wrap gap-2">
+              {customThemeIcons.map((icon) => (
+                <button
+                  key={icon}
+                  type="button"
+                  onClick={() => updateForm({ icon })}
+                  className={`w-11 h-11 rounded-xl text-2xl transition-all ${
+                    form.icon === icon ? 'bg-green-500 ring-2 ring-green-300 scale-110' : 'bg-gray-700 hover:bg-gray-600'
+                  }`}
+                >
+                  {icon}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <span className="block text-white text-sm font-medium mb-2">Colors</span>
+            <div className="flex flex-wrap gap-3">
+              {themePalettes.map((option) => (
+                <button
+                  key={option.id}
+                  type="button"
+                  onClick={() => updateForm({ palette: option.id })}
+                  aria-label={option.label}
+                  title={option.label}
+                  className={`w-10 h-10 rounded-full ${option.bgColor} transition-all ${
+                    form.palette === option.id ? 'ring-4 ring-green-400 scale-110' : 'hover:scale-110'
+                  }`}
+                />
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="custom-theme-place" className="block text-white text-sm font-medium mb-2">
+              Special places <span className="text-gray-400 font-normal">(optional, up to {MAX_PLACES})</span>
+            </label>
+            <div className="flex gap-2">
+              <input
+                id="custom-theme-place"
+                type="text"
+                value={placeInput}
+                maxLength={60}
+                onChange={(e) => setPlaceInput(e.target.value)}
+                onKeyDown={handlePlaceKeyDown}
+                placeholder="the Gumdrop Mountains"
+                disabled={form.places.length >= MAX_PLACES}
+                className={inputClassName}
+              />
+              <button
+                type="button"
+                onClick={addPlace}
+                disabled={!placeInput.trim() || form.places.length >= MAX_PLACES}
+                className="px-4 rounded-lg bg-gray-700 text-white text-sm hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Add
+              </button>
+            </div>
+            {form.places.length > 0 && (
+              <div className="flex flex-wrap gap-2 mt-3">
+                {form.places.map((place) => (
+                  <span key={place} className="flex items-center gap-2 bg-gray-700 text-gray-100 text-xs rounded-full pl-3 pr-1 py-1">
+                    📍 {place}
+                    <button
+                      type="button"
+                      onClick={() => updateForm({ places: form.places.filter((p) => p !== place) })}
+                      aria-label={`Remove ${place}`}
+                      className="w-5 h-5 rounded-full hover:bg-gray-600"
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Preview */}
+          <div className={`rounded-2xl p-4 text-center ${palette.bgColor}`}>
+            <div className="text-4xl mb-2">{form.icon}</div>
+            <h3 className="text-white font-bold text-sm mb-1">{form.name.trim() || 'Your world'}</h3>
+            <p className="text-white text-xs opacity-90 leading-tight">
+              {form.description.trim() || 'Describe your world above'}
+            </p>
+          </div>
+        </div>
+
+        {error && <p className="text-red-400 text-sm mt-4">{error}</p>}
+
+        <div className="flex justify-between items-center mt-8">
+          <button type="button" onClick={onCancel} className="text-gray-400 hover:text-white transition-colors">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving || !form.name.trim() || !form.description.trim()}
+            className="px-6 py-2 rounded-lg font-medium bg-green-500 text-white hover:bg-green-600 disabled:bg-gray-600 disabled:text-gray-400 disabled:cursor-not-allowed transition-all"
+          >
+            {saving ? 'Saving...' : 'Use this world'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CustomThemeBuilder;
@@ -0,0 +1,243 @@
+import { useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { useAuth } from "./AuthContext";
+import { ageLevels, getAgeLevel, pronounOptions } from "./storyOptions";
+
+// The family profile: its name and the children saved for the story wizard.
+
+const inputClassName = "w-full px-4 py-2 text-sm rounded-lg bg-gray-900 border border-gray-600 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500";
+const chipClassName = (selected) => `py-1.5 px-3 rounded-full text-xs font-medium transition-all ${
+  selected
+    ? 'bg-green-500 text-white border-2 border-green-400'
+    : 'bg-gray-800 text-gray-300 border-2 border-gray-600 hover:bg-gray-700'
+}`;
+
+const createChildDraft = () => ({ name: '', age_band: '', pronouns: 'they', appearance: '', photos: [] });
+
+const ChildForm = ({ initialChild, onSave, onCancel }) => {
+  const [child, setChild] = useState(initialChild);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const update = (fields) => setChild((current) => ({ ...current, ...fields }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      await onSave({ ...child, name: child.name.trim(), appearance: (child.appearance || '').trim() || null });
+    } catch (err) {
+      console.error('Error saving child:', err);
+      setError('We couldn\'t save this child. Please try again.');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-gray-800 border border-gray-700 rounded-2xl p-4 space-y-4">
+      <input
+        type="text"
+        value={child.name}
+        maxLength={60}
+        onChange={(e) => update({ name: e.target.value })}
+        placeholder="Child's name"
+        aria-label="Child's name"
+        className={inputClassName}
+        required
+      />
+      <div className="flex flex-wrap gap-2">
+        {ageLevels.map((level) => (
+          <button key={level.value} type="button" onClick={() => update({ age_band: level.value })} className={chipClassName(child.age_band === level.value)}>
+            {level.label}
+          </button>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {pronounOptions.map((option) => (
+          <button key={option.id} type="button" onClick={() => update({ pronouns: option.id })} className={chipClassName(child.pronouns === option.id)}>
+            {option.label}
+          </button>
+        ))}
+      </div>
+      <input
+        type="text"
+        value={child.appearance || ''}
+        maxLength={200}
+        onChange={(e) => update({ appearance: e.target.value })}
+        placeholder="What they look like (optional)"
+        aria-label="What they look like"
+        className={inputClassName}
+      />
+      {child.photos.length > 0 && (
+        <div className="flex gap-3">
+          {child.photos.map((photo) => (
+            <div key={photo} className="relative">
+              <img src={photo} alt={child.name} className="w-14 h-14 rounded-lg object-cover" />
+              <button
+                type="button"
+                onClick={() => update({ photos: child.photos.filter((p) => p !== photo) })}
+                aria-label="Remove photo"
+                className="absolute -top-2 -right-2 w-5 h-5 rounded-full bg-gray-900 border border-gray-600 text-white text-xs hover:bg-red-500"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+      <div className="flex gap-2 justify-end">
+        <button type="button" onClick={onCancel} className="px-4 py-2 rounded-lg text-sm text-gray-300 hover:text-white transition-colors">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving || !child.name.trim() || !child.age_band}
+          className="px-4 py-2 rounded-lg text-sm font-medium bg-green-500 text-white hover:bg-green-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const ChildSummary = ({ child, onEdit, onRemove }) => {
+  const ageLevel = getAgeLevel(child.age_band);
+  const pronouns = pronounOptions.find((option) => option.id === child.pronouns);
+
+  return (
+    <div className="flex items-center gap-4 bg-gray-800 border border-gray-700 rounded-2xl p-4">
+      {child.photos.length > 0 ? (
+        <img src={child.photos[0]} alt={child.name} className="w-14 h-14 rounded-full object-cover" />
+      ) : (
+        <div className="w-14 h-14 rounded-full bg-gray-700 flex items-center justify-center text-2xl">🧒</div>
+      )}
+      <div className="flex-1 min-w-0">
+        <p className="font-semibold">{child.name}</p>
+        <p className="text-xs text-gray-400">
+          {[ageLevel && ageLevel.label, pronouns && pronouns.label].filter(Boolean).join(' · ')}
+        </p>
+        {child.appearance && <p className="text-xs text-gray-500 truncate">{child.appearance}</p>}
+      </div>
+      <button type="button" onClick={onEdit} className="text-sm text-gray-300 hover:text-white transition-colors">Edit</button>
+      <button type="button" onClick={onRemove} className="text-sm text-gray-400 hover:text-red-400 transition-colors">Remove</button>
+    </div>
+  );
+};
+
+const FamilyProfile = () => {
+  const navigate = useNavigate();
+  const { family, renameFamily, saveChild, removeChild, signOut } = useAuth();
+  const [name, setName] = useState(family.name);
+  const [editingId, setEditingId] = useState(null); // A child's id, 'new' or null
+  const [error, setError] = useState(null);
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      await renameFamily(name.trim());
+    } catch (err) {
+      console.error('Error renaming family:', err);
+      setError('We couldn\'t rename your family. Please try again.');
+    }
+  };
+
+  const handleSaveChild = async (child) => {
+    await saveChild(child);
+    setEditingId(null);
+  };
+
+  const handleRemoveChild = async (child) => {
+    if (!window.confirm(`Remove ${child.name} and their photos from your family profile? Their stories stay in your library, without the photos.`)) return;
+    setError(null);
+    try {
+      await removeChild(child.id);
+    } catch (err) {
+      console.error('Error removing child:', err);
+      setError('We couldn\'t remove this child. Please try again.');
+    }
+  };
+
+  const handleSignOut = () => {
+    signOut();
+    navigate('/');
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white px-4 py-6">
+      <div className="max-w-2xl mx-auto">
+        <div className="flex items-center justify-between mb-8">
+          <Link to="/" className="flex items-center text-gray-400 hover:text-white transition-colors">
+            <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+            Home
+          </Link>
+          <button type="button" onClick={handleSignOut} className="text-sm text-gray-400 hover:text-white transition-colors">
+            Sign out
+          </button>
+        </div>
+
+        <h1 className="text-3xl font-bold text-green-400 mb-1">👪 Family profile</h1>
+        <p className="text-gray-400 text-sm mb-8">
+          Signed in as {family.email} ·{' '}
+          <Link to="/app/privacy" className="text-green-400 hover:text-green-300">🔒 Privacy center</Link> ·{' '}
+          <Link to="/app/review" className="text-green-400 hover:text-green-300">🛡️ Story safety</Link>
+        </p>
+
+        <form onSubmit={handleRename} className="flex gap-3 mb-10">
+          <input
+            type="text"
+            value={name}
+            maxLength={80}
+            onChange={(e) => setName(e.target.value)}
+            aria-label="Family name"
+            className={inputClassName}
+            required
+          />
+          <button
+            type="submit"
+            disabled={!name.trim() || name.trim() === family.name}
+            className="px-4 py-2 rounded-lg text-sm font-medium bg-gray-700 text-white hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            Rename
+          </button>
+        </form>
+
+        {error && <p className="text-red-400 text-sm mb-4">{error}</p>}
+
+        <h2 className="text-xl font-bold mb-2">Children</h2>
+        <p className="text-gray-400 text-sm mb-4">Saved children can be added to a new story with one tap.</p>
+        <div className="space-y-3">
+          {family.children.map((child) => (
+            editingId === child.id ? (
+              <ChildForm key={child.id} initialChild={child} onSave={handleSaveChild} onCancel={() => setEditingId(null)} />
+            ) : (
+              <ChildSummary
+                key={child.id}
+                child={child}
+                onEdit={() => setEditingId(child.id)}
+                onRemove={() => handleRemoveChild(child)}
+              />
+            )
+          ))}
+          {editingId === 'new' ? (
+            <ChildForm initialChild={createChildDraft()} onSave={handleSaveChild} onCancel={() => setEditingId(null)} />
+          ) : (
+            <button
+              type="button"
+              onClick={() => setEditingId('new')}
+              className="w-full py-3 rounded-2xl border-2 border-dashed border-gray-600 text-gray-300 text-sm font-medium hover:border-green-500 hover:text-green-400 transition-colors"
+            >
+              + Add a child
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FamilyProfile;
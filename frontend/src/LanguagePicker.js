@@ -0,0 +1,26 @@
+import { LANGUAGES, useI18n } from "./i18n";
+
+// Interface language switcher, shown on the landing page and the wizard.
+const LanguagePicker = ({ className = '' }) => {
+  const { language, setLanguage, t } = useI18n();
+
+  return (
+    <label className={`flex items-center gap-2 text-sm text-gray-200 ${className}`}>
+      <span aria-hidden="true">🌐</span>
+      <span className="sr-only">{t('languagePicker.label')}</span>
+      <select
+        value={language}
+        onChange={(e) => setLanguage(e.target.value)}
+        className="px-2 py-1 rounded-lg bg-gray-800 border border-gray-600 text-white focus:outline-none focus:ring-2 focus:ring-green-500"
+      >
+        {LANGUAGES.map((option) => (
+          <option key={option.id} value={option.id} lang={option.id}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguagePicker;
@@ -0,0 +1,359 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { fetchAllSeries, fetchShareLinks, fetchStories, getShareUrl, isShareLinkActive, parseTimestamp, revokeShareLink } from "./api";
+import { describeShareLink } from "./ShareDialog";
+import { themes, storyTypes, getStoryTheme, getStoryType, getLength } from "./storyOptions";
+import { getStoryTitle, getStoryCharacters } from "./StoryReader";
+import { formatDate, useI18n } from "./i18n";
+
+const sortOptions = [
+  { id: 'newest', label: 'Newest first' },
+  { id: 'oldest', label: 'Oldest first' },
+  { id: 'name', label: 'Kid name (A-Z)' },
+  { id: 'theme', label: 'Theme' }
+];
+
+const sorters = {
+  newest: (a, b) => b.createdAt - a.createdAt,
+  oldest: (a, b) => a.createdAt - b.createdAt,
+  name: (a, b) => a.story.kid_name.localeCompare(b.story.kid_name) || b.createdAt - a.createdAt,
+  theme: (a, b) => a.theme.title.localeCompare(b.theme.title) || b.createdAt - a.createdAt
+};
+
+const selectClassName = "px-3 py-2 text-sm rounded-lg bg-gray-800 border border-gray-600 text-white focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500";
+
+const StoryCard = ({ entry, onOpen }) => {
+  const { story, theme, storyType, length, createdAt } = entry;
+  const { language } = useI18n();
+
+  return (
+    <button
+      onClick={onOpen}
+      className="group text-left rounded-2xl overflow-hidden bg-gray-800 border border-gray-700 hover:border-green-500 hover:scale-[1.02] transition-all duration-200 shadow-lg"
+    >
+      <div className={`${theme.bgColor} h-28 flex items-center justify-center relative`}>
+        <div className="absolute inset-0 bg-gradient-to-br from-white/20 via-transparent to-black/30" />
+        <span className="relative text-5xl drop-shadow-lg">{theme.icon}</span>
+      </div>
+      <div className="p-4">
+        <h3 className="text-white font-bold text-base mb-1 group-hover:text-green-400 transition-colors">
+          {getStoryTitle(story)}
+        </h3>
+        <p className="text-gray-400 text-xs mb-3">{theme.title}</p>
+        <div className="flex flex-wrap gap-2 text-xs">
+          <span className="px-2 py-1 rounded-full bg-gray-700 text-gray-200">👤 {story.kid_name}</span>
+          {storyType && (
+            <span className="px-2 py-1 rounded-full bg-gray-700 text-gray-200">{storyType.icon} {storyType.title}</span>
+          )}
+          {length && (
+            <span className="px-2 py-1 rounded-full bg-gray-700 text-gray-200">{length.icon} {length.title}</span>
+          )}
+          {story.series_id && (
+            <span className="px-2 py-1 rounded-full bg-gray-700 text-gray-200">📚 Episode {story.episode}</span>
+          )}
+          {story.status === 'needs_review' && (
+            <span className="px-2 py-1 rounded-full bg-amber-500/20 text-amber-300">🛡️ Waiting for review</span>
+          )}
+        </div>
+        <p className="text-gray-500 text-xs mt-3">{formatDate(createdAt, language)}</p>
+      </div>
+    </button>
+  );
+};
+
+// One card per series, listing its episodes in order.
+const SeriesShelf = ({ series, stories, onOpen }) => (
+  <div className="mb-10">
+    <h2 className="text-xl font-bold text-white mb-4">Series</h2>
+    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+      {series.map((item) => {
+        const episodes = stories
+          .filter((story) => story.series_id === item.id)
+          .sort((a, b) => a.episode - b.episode);
+        return (
+          <button
+            key={item.id}
+            onClick={() => onOpen(item.id)}
+            className="group text-left rounded-2xl p-4 bg-gray-800 border border-gray-700 hover:border-green-500 transition-colors shadow-lg"
+          >
+            <h3 className="text-white font-bold text-base mb-1 group-hover:text-green-400 transition-colors">📚 {item.title}</h3>
+            <p className="text-gray-400 text-xs mb-3">
+              {episodes.length} {episodes.length === 1 ? 'episode' : 'episodes'} · {item.bible.length} in the character bible
+            </p>
+            <ol className="space-y-1 text-sm text-gray-300">
+              {episodes.map((story) => (
+                <li key={story.id} className="truncate">
+                  <span className="text-gray-500">{story.episode}.</span> {getStoryTitle(story)}
+                </li>
+              ))}
+            </ol>
+          </button>
+        );
+      })}
+    </div>
+  </div>
+);
+
+// The story links still open to anyone who has them, each with its views
+// and a way to turn it off.
+const SharedLinksShelf = ({ links, stories, error, onRevoke }) => {
+  const { language } = useI18n();
+  const storiesById = new Map(stories.map((story) => [story.id, story]));
+
+  return (
+    <div className="mb-10">
+      <h2 className="text-xl font-bold text-white mb-4">Shared links</h2>
+      {error && <p className="text-red-400 text-sm mb-4">{error}</p>}
+      <div className="space-y-3">
+        {links.map((link) => {
+          const story = storiesById.get(link.story_id);
+          return (
+            <div key={link.id} className="flex flex-wrap items-center gap-3 rounded-2xl p-4 bg-gray-800 border border-gray-700">
+              <div className="flex-1 min-w-0">
+                <p className="text-white font-semibold truncate">🔗 {story ? getStoryTitle(story) : 'A story'}</p>
+                <p className="text-gray-500 text-xs font-mono truncate">{getShareUrl(link)}</p>
+                <p className="text-gray-400 text-xs">{describeShareLink(link, language)}</p>
+              </div>
+              <button
+                onClick={() => onRevoke(link)}
+                className="px-3 py-1.5 rounded-lg text-xs font-medium bg-gray-700 text-gray-200 hover:bg-red-500 hover:text-white transition-colors"
+              >
+                Turn off
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+const Library = () => {
+  const navigate = useNavigate();
+  const [stories, setStories] = useState([]);
+  const [series, setSeries] = useState([]);
+  const [shareLinks, setShareLinks] = useState([]);
+  const [shareLinkError, setShareLinkError] = useState(null);
+  const [status, setStatus] = useState('loading');
+  const [search, setSearch] = useState('');
+  const [kidFilter, setKidFilter] = useState('');
+  const [themeFilter, setThemeFilter] = useState('');
+  const [typeFilter, setTypeFilter] = useState('');
+  const [sortBy, setSortBy] = useState('newest');
+
+  const loadStories = useCallback(async () => {
+    setStatus('loading');
+    try {
+      const [data, seriesData, linkData] = await Promise.all([fetchStories(), fetchAllSeries(), fetchShareLinks()]);
+      setStories(data);
+      setSeries(seriesData);
+      setShareLinks(linkData);
+      setStatus('ready');
+    } catch (error) {
+      console.error('Error loading stories:', error);
+      setStatus('error');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStories();
+  }, [loadStories]);
+
+  const handleRevokeLink = async (link) => {
+    if (!window.confirm('Turn off this link? Anyone who has it won\'t be able to read the story any more.')) return;
+    setShareLinkError(null);
+    try {
+      const revoked = await revokeShareLink(link.id);
+      setShareLinks((current) => current.map((existing) => (existing.id === revoked.id ? revoked : existing)));
+    } catch (error) {
+      console.error('Error revoking share link:', error);
+      setShareLinkError('We couldn\'t turn off this link. Please try again.');
+    }
+  };
+
+  const activeShareLinks = useMemo(() => shareLinks.filter(isShareLinkActive), [shareLinks]);
+  const reviewCount = stories.filter((story) => story.status === 'needs_review').length;
+
+  const entries = useMemo(() => stories.map((story) => ({
+    story,
+    theme: getStoryTheme(story),
+    storyType: getStoryType(story.story_type),
+    length: getLength(story.length),
+    createdAt: parseTimestamp(story.created_at),
+    characters: getStoryCharacters(story)
+  })), [stories]);
+
+  const kidNames = useMemo(
+    () => [...new Set(entries.flatMap((entry) => entry.characters.map((character) => character.name)))]
+      .sort((a, b) => a.localeCompare(b)),
+    [entries]
+  );
+
+  const visibleEntries = useMemo(() => {
+    const query = search.trim().toLowerCase();
+
+    return entries
+      .filter(({ story, theme, storyType, characters }) => {
+        if (kidFilter && !characters.some((character) => character.name === kidFilter)) return false;
+        if (themeFilter && story.theme !== themeFilter) return false;
+        if (typeFilter && story.story_type !== typeFilter) return false;
+        if (!query) return true;
+
+        return [
+          story.kid_name,
+          getStoryTitle(story),
+          theme.title,
+          storyType && storyType.title,
+          ...(story.special_ingredients || [])
+        ].some((value) => value && value.toLowerCase().includes(query));
+      })
+      .sort(sorters[sortBy]);
+  }, [entries, search, kidFilter, themeFilter, typeFilter, sortBy]);
+
+  const hasFilters = Boolean(search || kidFilter || themeFilter || typeFilter);
+
+  const clearFilters = () => {
+    setSearch('');
+    setKidFilter('');
+    setThemeFilter('');
+    setTypeFilter('');
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white px-6 py-8">
+      <div className="max-w-6xl mx-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-8">
+          <Link to="/" className="flex items-center text-gray-400 hover:text-white transition-colors">
+            <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+            Home
+          </Link>
+          <Link
+            to="/app/kid-details"
+            className="bg-green-500 text-white px-5 py-2 rounded-lg text-sm font-medium hover:bg-green-600 transition-colors"
+          >
+            + New Story
+          </Link>
+        </div>
+
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-green-400 mb-2">📚 My Library</h1>
+          <p className="text-gray-400 text-sm">Every story you've created, ready to read again</p>
+        </div>
+
+        {status === 'ready' && reviewCount > 0 && (
+          <Link
+            to="/app/review"
+            className="block mb-8 rounded-2xl p-4 bg-amber-500/10 border border-amber-500/40 text-amber-200 hover:border-amber-400 transition-colors"
+          >
+            🛡️ {reviewCount === 1 ? '1 story is' : `${reviewCount} stories are`} waiting for a grown-up's review →
+          </Link>
+        )}
+
+        {status === 'ready' && series.length > 0 && (
+          <SeriesShelf series={series} stories={stories} onOpen={(seriesId) => navigate(`/app/series/${seriesId}`)} />
+        )}
+
+        {status === 'ready' && activeShareLinks.length > 0 && (
+          <SharedLinksShelf links={activeShareLinks} stories={stories} error={shareLinkError} onRevoke={handleRevokeLink} />
+        )}
+
+        {status === 'ready' && stories.length > 0 && (
+          <div className="flex flex-wrap items-center gap-3 mb-8">
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search stories..."
+              className="flex-1 min-w-[200px] px-4 py-2 text-sm rounded-lg bg-gray-800 border border-gray-600 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500"
+            />
+            <select value={kidFilter} onChange={(e) => setKidFilter(e.target.value)} className={selectClassName} aria-label="Filter by kid">
+              <option value="">All kids</option>
+              {kidNames.map((name) => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+            <select value={themeFilter} onChange={(e) => setThemeFilter(e.target.value)} className={selectClassName} aria-label="Filter by theme">
+              <option value="">All themes</option>
+              {themes.map((theme) => (
+                <option key={theme.id} value={theme.id}>{theme.icon} {theme.title}</option>
+              ))}
+            </select>
+            <select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)} className={selectClassName} aria-label="Filter by story type">
+              <option value="">All story types</option>
+              {storyTypes.map((type) => (
+                <option key={type.id} value={type.id}>{type.icon} {type.title}</option>
+              ))}
+            </select>
+            <select value={sortBy} onChange={(e) => setSortBy(e.target.value)} className={selectClassName} aria-label="Sort stories">
+              {sortOptions.map((option) => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {status === 'loading' && (
+          <div className="flex flex-col items-center justify-center mt-24 text-gray-300">
+            <div className="text-5xl mb-4 animate-pulse">📚</div>
+            <p>Loading your stories...</p>
+          </div>
+        )}
+
+        {status === 'error' && (
+          <div className="max-w-md mx-auto text-center mt-24">
+            <div className="text-5xl mb-4">😿</div>
+            <p className="text-xl text-gray-200 mb-6">We couldn't load your library.</p>
+            <button
+              onClick={loadStories}
+              className="bg-green-500 text-white px-6 py-3 rounded-lg font-medium hover:bg-green-600 transition-colors"
+            >
+              Try again
+            </button>
+          </div>
+        )}
+
+        {status === 'ready' && stories.length === 0 && (
+          <div className="max-w-md mx-auto text-center mt-24">
+            <div className="text-6xl mb-4">📖</div>
+            <p className="text-xl text-gray-200 mb-2">Your bookshelf is empty</p>
+            <p className="text-gray-400 text-sm mb-6">Create your first story and it will appear here.</p>
+            <Link
+              to="/app/kid-details"
+              className="inline-block bg-green-500 text-white px-6 py-3 rounded-lg font-medium hover:bg-green-600 transition-colors"
+            >
+              Start your adventure
+            </Link>
+          </div>
+        )}
+
+        {status === 'ready' && stories.length > 0 && visibleEntries.length === 0 && (
+          <div className="text-center mt-16 text-gray-400">
+            <p className="mb-4">No stories match your search.</p>
+            {hasFilters && (
+              <button onClick={clearFilters} className="text-green-400 hover:text-green-300 transition-colors">
+                Clear filters
+              </button>
+            )}
+          </div>
+        )}
+
+        {status === 'ready' && visibleEntries.length > 0 && (
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+            {visibleEntries.map((entry) => (
+              <StoryCard
+                key={entry.story.id}
+                entry={entry}
+                onOpen={() => navigate(`/app/story/${entry.story.id}`)}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Library;
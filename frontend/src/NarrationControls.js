@@ -0,0 +1,151 @@
+import { findSentence, isSpeechSupported, useSpeechVoices } from "./narration";
+
+const sliderClassName = "w-full accent-green-500";
+
+// Play/pause/stop plus the voice, rate, pitch and page-turning options for
+// read-aloud mode.
+export const NarrationControls = ({ narration, settings, onSettingsChange, onClose }) => {
+  const voices = useSpeechVoices();
+  const speechSupported = isSpeechSupported();
+  const { status, play, pause, stop } = narration;
+
+  const updateSettings = (fields) => onSettingsChange({ ...settings, ...fields });
+
+  return (
+    <div className="bg-gray-800 border border-gray-700 rounded-2xl p-4 mb-4 text-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        {status === 'playing' ? (
+          <button
+            onClick={pause}
+            className="px-4 py-2 rounded-lg font-medium bg-green-500 text-white hover:bg-green-600 transition-colors"
+          >
+            ⏸ Pause
+          </button>
+        ) : (
+          <button
+            onClick={play}
+            className="px-4 py-2 rounded-lg font-medium bg-green-500 text-white hover:bg-green-600 transition-colors"
+          >
+            ▶ {status === 'paused' ? 'Resume' : 'Read aloud'}
+          </button>
+        )}
+        <button
+          onClick={stop}
+          disabled={status === 'idle'}
+          className="px-4 py-2 rounded-lg font-medium bg-gray-700 text-white hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+        >
+          ⏹ Stop
+        </button>
+
+        <label className="flex items-center gap-2 text-gray-300 ml-auto">
+          <input
+            type="checkbox"
+            checked={settings.autoTurn}
+            onChange={(e) => updateSettings({ autoTurn: e.target.checked })}
+            className="accent-green-500"
+          />
+          Turn pages
+        </label>
+        <label className="flex items-center gap-2 text-gray-300">
+          <input
+            type="checkbox"
+            checked={settings.captions}
+            onChange={(e) => updateSettings({ captions: e.target.checked })}
+            className="accent-green-500"
+          />
+          Captions
+        </label>
+        <label className="flex items-center gap-2 text-gray-300">
+          <input
+            type="checkbox"
+            checked={settings.muted || !speechSupported}
+            disabled={!speechSupported}
+            onChange={(e) => updateSettings({ muted: e.target.checked })}
+            className="accent-green-500"
+          />
+          Mute
+        </label>
+        <button onClick={onClose} aria-label="Close read-aloud" className="text-gray-400 hover:text-white transition-colors">
+          ✕
+        </button>
+      </div>
+
+      {speechSupported ? (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mt-4">
+          <div>
+            <label htmlFor="narration-voice" className="block text-gray-300 mb-1">Voice</label>
+            <select
+              id="narration-voice"
+              value={settings.voiceURI}
+              onChange={(e) => updateSettings({ voiceURI: e.target.value })}
+              className="w-full px-3 py-2 rounded-lg bg-gray-900 border border-gray-600 text-white focus:outline-none focus:ring-2 focus:ring-green-500"
+            >
+              <option value="">Browser default</option>
+              {voices.map((voice) => (
+                <option key={voice.voiceURI} value={voice.voiceURI}>
+                  {voice.name} ({voice.lang})
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="narration-rate" className="block text-gray-300 mb-1">Speed {settings.rate.toFixed(1)}×</label>
+            <input
+              id="narration-rate"
+              type="range"
+              min={0.5}
+              max={1.5}
+              step={0.1}
+              value={settings.rate}
+              onChange={(e) => updateSettings({ rate: parseFloat(e.target.value) })}
+              className={sliderClassName}
+            />
+          </div>
+          <div>
+            <label htmlFor="narration-pitch" className="block text-gray-300 mb-1">Pitch {settings.pitch.toFixed(1)}</label>
+            <input
+              id="narration-pitch"
+              type="range"
+              min={0.5}
+              max={1.5}
+              step={0.1}
+              value={settings.pitch}
+              onChange={(e) => updateSettings({ pitch: parseFloat(e.target.value) })}
+              className={sliderClassName}
+            />
+          </div>
+        </div>
+      ) : (
+        <p className="text-gray-400 mt-3">
+          This browser can't speak, so read-aloud will show the words as captions at a gentle reading pace.
+        </p>
+      )}
+      {status !== 'idle' && (
+        <p className="text-gray-500 text-xs mt-3">Voice and speed changes apply from the next page.</p>
+      )}
+    </div>
+  );
+};
+
+// The sentence being read, with the current word picked out, so narration
+// can be followed with the sound off.
+export const NarrationCaption = ({ words, wordIndex }) => {
+  if (wordIndex < 0 || wordIndex >= words.length) {
+    return <div className="min-h-[3.5rem] mt-4" aria-hidden="true" />;
+  }
+
+  const { start, end } = findSentence(words, wordIndex);
+
+  return (
+    <div className="min-h-[3.5rem] mt-4 px-4 py-3 rounded-xl bg-black/60 text-center text-lg leading-relaxed" aria-live="off">
+      {words.slice(start, end).map((word, offset) => (
+        <span
+          key={start + offset}
+          className={start + offset === wordIndex ? 'text-yellow-300 font-semibold' : 'text-white'}
+        >
+          {word.word}{' '}
+        </span>
+      ))}
+    </div>
+  );
+};
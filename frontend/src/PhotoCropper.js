@@ -0,0 +1,196 @@
+import { useEffect, useRef, useState } from "react";
+import {
+  MAX_ZOOM,
+  MIN_ZOOM,
+  clampCrop,
+  createCrop,
+  cropShapes,
+  decodePhoto,
+  detectFaceCenter,
+  drawCrop,
+  exportCrop,
+  panCrop,
+  rotateCrop
+} from "./photoProcessing";
+
+const PREVIEW_WIDTH = 288;
+
+// Modal shown after a photo is picked: crop it square or portrait, zoom,
+// rotate and drag it into place. The crop starts centred on the child's face
+// when the browser can detect one.
+const PhotoCropper = ({ file, onCancel, onSave }) => {
+  const previewRef = useRef(null);
+  const dragRef = useRef(null);
+  const [source, setSource] = useState(null);
+  const [crop, setCrop] = useState(null);
+  const [faceFound, setFaceFound] = useState(false);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const prepare = async () => {
+      try {
+        const decoded = await decodePhoto(file);
+        const faceCenter = await detectFaceCenter(decoded);
+        if (cancelled) return;
+        setSource(decoded);
+        setCrop(createCrop(decoded, faceCenter));
+        setFaceFound(Boolean(faceCenter));
+      } catch (err) {
+        console.error('Error reading photo:', err);
+        if (!cancelled) setError('We couldn\'t read that photo. Please try a different one.');
+      }
+    };
+
+    prepare();
+    return () => {
+      cancelled = true;
+    };
+  }, [file]);
+
+  useEffect(() => {
+    if (!source || !crop || !previewRef.current) return;
+    const canvas = previewRef.current;
+    canvas.width = PREVIEW_WIDTH;
+    canvas.height = Math.round(PREVIEW_WIDTH / crop.aspect);
+    drawCrop(source, crop, canvas);
+  }, [source, crop]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onCancel();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onCancel]);
+
+  const updateCrop = (fields) => setCrop((prev) => clampCrop(source, { ...prev, ...fields }));
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { x: e.clientX, y: e.clientY };
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragRef.current) return;
+    const dx = e.clientX - dragRef.current.x;
+    const dy = e.clientY - dragRef.current.y;
+    dragRef.current = { x: e.clientX, y: e.clientY };
+    // The canvas may be drawn smaller than its pixel width on narrow screens.
+    const displayWidth = e.currentTarget.getBoundingClientRect().width;
+    setCrop((prev) => panCrop(source, prev, dx, dy, displayWidth));
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const handleSave = () => {
+    setSaving(true);
+    try {
+      onSave(exportCrop(source, crop));
+    } catch (err) {
+      console.error('Error processing photo:', err);
+      setError('We couldn\'t process that photo. Please try a different one.');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black bg-opacity-70" onClick={onCancel}></div>
+
+      <div className="relative bg-gray-800 rounded-3xl p-8 max-w-md w-full shadow-2xl border border-gray-700 max-h-[95vh] overflow-y-auto">
+        <div className="text-center mb-6">
+          <h2 className="text-2xl font-bold text-white mb-2">📷 Frame the Photo</h2>
+          <p className="text-gray-400 text-sm">
+            {faceFound ? 'We centred it on the face — drag to adjust' : 'Drag the photo to frame your child\'s face'}
+          </p>
+        </div>
+
+        {!crop && !error && (
+          <div className="flex flex-col items-center justify-center h-72 text-gray-300">
+            <div className="text-5xl mb-4 animate-pulse">📷</div>
+            <p>Preparing photo...</p>
+          </div>
+        )}
+
+        {crop && (
+          <div className="space-y-5">
+            <div className="flex justify-center">
+              <canvas
+                ref={previewRef}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
+                className="max-w-full rounded-lg cursor-move touch-none shadow-lg"
+                aria-label="Photo crop preview"
+              />
+            </div>
+
+            <div className="flex items-center justify-between gap-3">
+              <div className="flex gap-2">
+                {cropShapes.map((shape) => (
+                  <button
+                    key={shape.id}
+                    type="button"
+                    onClick={() => updateCrop({ aspect: shape.aspect })}
+                    className={`py-2 px-4 rounded-full text-sm font-medium transition-all ${
+                      crop.aspect === shape.aspect
+                        ? 'bg-green-500 text-white'
+                        : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                    }`}
+                  >
+                    {shape.label}
+                  </button>
+                ))}
+              </div>
+              <button
+                type="button"
+                onClick={() => setCrop((prev) => rotateCrop(source, prev))}
+                className="py-2 px-4 rounded-full text-sm font-medium bg-gray-700 text-gray-300 hover:bg-gray-600 transition-all"
+              >
+                ↻ Rotate
+              </button>
+            </div>
+
+            <div>
+              <label htmlFor="photo-zoom" className="block text-white text-sm font-medium mb-2">Zoom</label>
+              <input
+                id="photo-zoom"
+                type="range"
+                min={MIN_ZOOM}
+                max={MAX_ZOOM}
+                step={0.01}
+                value={crop.zoom}
+                onChange={(e) => updateCrop({ zoom: parseFloat(e.target.value) })}
+                className="w-full accent-green-500"
+              />
+            </div>
+          </div>
+        )}
+
+        {error && <p className="text-red-400 text-sm mt-4 text-center">{error}</p>}
+
+        <div className="flex justify-between items-center mt-8">
+          <button type="button" onClick={onCancel} className="text-gray-400 hover:text-white transition-colors">
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={!crop || saving}
+            className="px-6 py-2 rounded-lg font-medium bg-green-500 text-white hover:bg-green-600 disabled:bg-gray-600 disabled:text-gray-400 disabled:cursor-not-allowed transition-all"
+          >
+            {saving ? 'Saving...' : 'Use this photo'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PhotoCropper;
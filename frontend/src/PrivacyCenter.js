@@ -0,0 +1,246 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { deleteAllPhotos, deleteStory, exportFamilyData, fetchPrivacySummary, parseTimestamp } from "./api";
+import { useAuth } from "./AuthContext";
+import { formatDate, useI18n } from "./i18n";
+import { getStoryTitle } from "./StoryReader";
+import { useWizard } from "./WizardContext";
+
+// The privacy center: everything stored for the family, item by item, with
+// ways to delete it, download it, or stop photos being saved at all.
+
+const countLabel = (count, singular, plural) => `${count} ${count === 1 ? singular : plural}`;
+
+const dangerButtonClassName = "px-3 py-1.5 rounded-lg text-xs font-medium bg-gray-700 text-gray-200 hover:bg-red-500 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed transition-colors";
+
+const SummaryTile = ({ icon, count, label }) => (
+  <div className="bg-gray-800 border border-gray-700 rounded-2xl p-4 text-center">
+    <div className="text-2xl mb-1">{icon}</div>
+    <p className="text-2xl font-bold">{count}</p>
+    <p className="text-xs text-gray-400">{label}</p>
+  </div>
+);
+
+// Hands a Blob to the browser as a file download.
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const PrivacyCenter = () => {
+  const { family, setKeepPhotos, removeChild, refreshFamily } = useAuth();
+  const { clearPhotos } = useWizard();
+  const { language } = useI18n();
+  const [summary, setSummary] = useState(null);
+  const [status, setStatus] = useState('loading');
+  const [busy, setBusy] = useState(null); // What is being deleted or exported, e.g. a story id
+  const [error, setError] = useState(null);
+
+  const loadSummary = useCallback(async () => {
+    try {
+      setSummary(await fetchPrivacySummary());
+      setStatus('ready');
+    } catch (err) {
+      console.error('Error loading privacy summary:', err);
+      setStatus('error');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSummary();
+  }, [loadSummary]);
+
+  // Runs one change at a time, then reloads what is stored.
+  const runAction = async (key, action, failure) => {
+    setBusy(key);
+    setError(null);
+    try {
+      await action();
+      await loadSummary();
+    } catch (err) {
+      console.error(`Error in privacy action ${key}:`, err);
+      setError(failure);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleKeepPhotos = (keepPhotos) =>
+    runAction('keep-photos', () => setKeepPhotos(keepPhotos), 'We couldn\'t save your photo setting. Please try again.');
+
+  const handleDeletePhotos = () => {
+    if (!window.confirm('Delete every stored photo? Your children and stories stay, without their photos.')) return;
+    runAction('photos', async () => {
+      await deleteAllPhotos();
+      clearPhotos();
+      await refreshFamily();
+    }, 'We couldn\'t delete the photos. Please try again.');
+  };
+
+  const handleDeleteChild = (child, deleteStories) => {
+    const question = deleteStories
+      ? `Delete ${child.name}'s profile, photos and every story they star in? This can't be undone.`
+      : `Delete ${child.name}'s profile and photos? Their photos are also taken out of their stories, which stay in your library.`;
+    if (!window.confirm(question)) return;
+    runAction(child.id, async () => {
+      await removeChild(child.id, { deleteStories });
+      clearPhotos(child.id);
+    }, 'We couldn\'t delete this child. Please try again.');
+  };
+
+  const handleDeleteStory = (story) => {
+    if (!window.confirm(`Delete "${getStoryTitle(story)}" with its photos and pictures? This can't be undone.`)) return;
+    runAction(story.id, () => deleteStory(story.id), 'We couldn\'t delete this story. Please try again.');
+  };
+
+  const handleExport = () =>
+    runAction('export', async () => {
+      downloadBlob(await exportFamilyData(), 'storybook-family-data.zip');
+    }, 'We couldn\'t prepare your download. Please try again.');
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white px-4 py-6">
+      <div className="max-w-2xl mx-auto">
+        <div className="flex items-center justify-between mb-8">
+          <Link to="/app/family" className="flex items-center text-gray-400 hover:text-white transition-colors">
+            <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+            Family profile
+          </Link>
+        </div>
+
+        <h1 className="text-3xl font-bold text-green-400 mb-1">🔒 Privacy center</h1>
+        <p className="text-gray-400 text-sm mb-8">Everything we store for {family.name}, and ways to remove it.</p>
+
+        {status === 'loading' && (
+          <div className="text-center text-gray-400 py-16">
+            <div className="text-5xl mb-4 animate-pulse">🔒</div>
+            <p>Gathering your data...</p>
+          </div>
+        )}
+
+        {status === 'error' && (
+          <div className="text-center text-gray-300 py-16">
+            <div className="text-5xl mb-4">😿</div>
+            <p className="mb-6">We couldn't load your data. Please try again.</p>
+            <button
+              onClick={() => { setStatus('loading'); loadSummary(); }}
+              className="bg-green-500 text-white px-6 py-3 rounded-lg font-medium hover:bg-green-600 transition-colors"
+            >
+              Try again
+            </button>
+          </div>
+        )}
+
+        {status === 'ready' && (
+          <>
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-3 mb-10">
+              <SummaryTile icon="📖" count={summary.stories.length} label="Stories" />
+              <SummaryTile icon="📷" count={summary.photo_count} label="Photos" />
+              <SummaryTile icon="🖼️" count={summary.illustration_count} label="Story pictures" />
+              <SummaryTile icon="🧒" count={summary.children.length} label="Saved children" />
+              <SummaryTile icon="🎨" count={summary.custom_theme_count} label="Custom themes" />
+              <SummaryTile icon="📚" count={summary.series_count} label="Series" />
+            </div>
+            <p className="text-gray-400 text-xs -mt-6 mb-10">
+              Plus your family name and the email you sign in with, {summary.email}.
+            </p>
+
+            {error && <p className="text-red-400 text-sm mb-4">{error}</p>}
+
+            <h2 className="text-xl font-bold mb-2">Photos</h2>
+            <div className="bg-gray-800 border border-gray-700 rounded-2xl p-4 mb-10 space-y-4">
+              <label className="flex items-start gap-3 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={summary.keep_photos}
+                  disabled={busy === 'keep-photos'}
+                  onChange={(e) => handleKeepPhotos(e.target.checked)}
+                  className="mt-1 w-4 h-4 accent-green-500"
+                />
+                <span>
+                  <span className="block text-sm font-medium">Keep photos with stories and saved children</span>
+                  <span className="block text-xs text-gray-400">
+                    When this is off, photos are only used while a story is being made and are never saved.
+                  </span>
+                </span>
+              </label>
+              <div className="flex items-center justify-between gap-4">
+                <p className="text-sm text-gray-300">{countLabel(summary.photo_count, 'photo', 'photos')} stored</p>
+                <button
+                  type="button"
+                  onClick={handleDeletePhotos}
+                  disabled={busy !== null || summary.photo_count === 0}
+                  className={dangerButtonClassName}
+                >
+                  {busy === 'photos' ? 'Deleting...' : 'Delete all photos'}
+                </button>
+              </div>
+            </div>
+
+            <h2 className="text-xl font-bold mb-2">Saved children</h2>
+            <div className="space-y-3 mb-10">
+              {summary.children.length === 0 && <p className="text-gray-400 text-sm">No children are saved on your profile.</p>}
+              {summary.children.map((child) => (
+                <div key={child.id} className="flex flex-wrap items-center gap-3 bg-gray-800 border border-gray-700 rounded-2xl p-4">
+                  <div className="flex-1 min-w-0">
+                    <p className="font-semibold">{child.name}</p>
+                    <p className="text-xs text-gray-400">{countLabel(child.photo_count, 'photo', 'photos')}</p>
+                  </div>
+                  <button type="button" onClick={() => handleDeleteChild(child, false)} disabled={busy !== null} className={dangerButtonClassName}>
+                    Delete profile
+                  </button>
+                  <button type="button" onClick={() => handleDeleteChild(child, true)} disabled={busy !== null} className={dangerButtonClassName}>
+                    Delete profile and stories
+                  </button>
+                </div>
+              ))}
+            </div>
+
+            <h2 className="text-xl font-bold mb-2">Stories</h2>
+            <div className="space-y-3 mb-10">
+              {summary.stories.length === 0 && <p className="text-gray-400 text-sm">You haven't made any stories yet.</p>}
+              {summary.stories.map((story) => (
+                <div key={story.id} className="flex items-center gap-3 bg-gray-800 border border-gray-700 rounded-2xl p-4">
+                  <div className="flex-1 min-w-0">
+                    <Link to={`/app/story/${story.id}`} className="block font-semibold truncate hover:text-green-400 transition-colors">
+                      {getStoryTitle(story)}
+                    </Link>
+                    <p className="text-xs text-gray-400">
+                      {formatDate(parseTimestamp(story.created_at), language)} · {countLabel(story.photo_count, 'photo', 'photos')} · {countLabel(story.illustration_count, 'picture', 'pictures')}
+                    </p>
+                  </div>
+                  <button type="button" onClick={() => handleDeleteStory(story)} disabled={busy !== null} className={dangerButtonClassName}>
+                    {busy === story.id ? 'Deleting...' : 'Delete'}
+                  </button>
+                </div>
+              ))}
+            </div>
+
+            <h2 className="text-xl font-bold mb-2">Download your data</h2>
+            <p className="text-gray-400 text-sm mb-4">
+              A ZIP file with your family profile, stories, themes and series as JSON, and every photo and picture as an image.
+            </p>
+            <button
+              type="button"
+              onClick={handleExport}
+              disabled={busy !== null}
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-green-500 text-white hover:bg-green-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {busy === 'export' ? 'Preparing...' : '⬇️ Download everything'}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PrivacyCenter;
@@ -0,0 +1,204 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { fetchReviewQueue, parseTimestamp } from "./api";
+import { useAuth } from "./AuthContext";
+import { formatDate, useI18n } from "./i18n";
+import { getStoryTitle } from "./StoryReader";
+
+// Story safety: the family's content-safety settings and the stories held
+// back for a parent to review before a child reads them.
+
+const strictnessOptions = [
+  { id: 'relaxed', label: 'Relaxed', description: 'Allows a little more excitement than usual for each age.' },
+  { id: 'standard', label: 'Standard', description: 'What suits most children of each age.' },
+  { id: 'strict', label: 'Strict', description: 'Gentler than usual for each age.' }
+];
+
+const inputClassName = "w-full px-4 py-2 text-sm rounded-lg bg-gray-900 border border-gray-600 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500";
+
+const parseWordList = (text) => [...new Set(text.split(/[,\n]/).map((word) => word.trim().toLowerCase()).filter(Boolean))];
+
+const SafetySettingsForm = ({ settings, onSave }) => {
+  const [draft, setDraft] = useState(settings);
+  const [blockedWords, setBlockedWords] = useState(settings.blocked_words.join(', '));
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState(null);
+  const update = (fields) => {
+    setDraft((current) => ({ ...current, ...fields }));
+    setSaved(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      await onSave({ ...draft, blocked_words: parseWordList(blockedWords) });
+      setSaved(true);
+    } catch (err) {
+      console.error('Error saving safety settings:', err);
+      setError('We couldn\'t save your settings. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-gray-800 border border-gray-700 rounded-2xl p-4 space-y-5">
+      <div>
+        <p className="text-sm font-medium mb-2">Strictness</p>
+        <div className="grid grid-cols-3 gap-2">
+          {strictnessOptions.map((option) => (
+            <button
+              key={option.id}
+              type="button"
+              onClick={() => update({ strictness: option.id })}
+              className={`py-2 px-3 rounded-xl text-sm font-medium transition-all ${
+                draft.strictness === option.id
+                  ? 'bg-green-500 text-white border-2 border-green-400'
+                  : 'bg-gray-900 text-gray-300 border-2 border-gray-600 hover:bg-gray-700'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <p className="text-xs text-gray-400 mt-2">
+          {strictnessOptions.find((option) => option.id === draft.strictness).description} Violence, scary moments and
+          sensitive topics are checked against your reader's age.
+        </p>
+      </div>
+
+      <div>
+        <label htmlFor="blocked-words" className="block text-sm font-medium mb-2">Words to always keep out</label>
+        <textarea
+          id="blocked-words"
+          value={blockedWords}
+          rows={2}
+          onChange={(e) => {
+            setBlockedWords(e.target.value);
+            setSaved(false);
+          }}
+          placeholder="e.g. dragon, thunderstorm"
+          className={inputClassName}
+        />
+        <p className="text-xs text-gray-400 mt-1">Separate words with commas.</p>
+      </div>
+
+      <label className="flex items-start gap-3 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={draft.auto_rewrite}
+          onChange={(e) => update({ auto_rewrite: e.target.checked })}
+          className="mt-1 w-4 h-4 accent-green-500"
+        />
+        <span>
+          <span className="block text-sm font-medium">Swap in gentler words</span>
+          <span className="block text-xs text-gray-400">e.g. "spooky" becomes "mysterious". You can still see the original when reviewing.</span>
+        </span>
+      </label>
+
+      <label className="flex items-start gap-3 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={draft.review_all}
+          onChange={(e) => update({ review_all: e.target.checked })}
+          className="mt-1 w-4 h-4 accent-green-500"
+        />
+        <span>
+          <span className="block text-sm font-medium">Review every story</span>
+          <span className="block text-xs text-gray-400">Otherwise only stories with something flagged wait for you.</span>
+        </span>
+      </label>
+
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+      <div className="flex items-center justify-end gap-3">
+        {saved && <span className="text-sm text-green-400">✓ Saved</span>}
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 rounded-lg text-sm font-medium bg-green-500 text-white hover:bg-green-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {saving ? 'Saving...' : 'Save settings'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const ReviewQueue = () => {
+  const { family, saveSafetySettings } = useAuth();
+  const { language } = useI18n();
+  const [stories, setStories] = useState([]);
+  const [status, setStatus] = useState('loading');
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchReviewQueue()
+      .then((data) => {
+        if (cancelled) return;
+        setStories(data);
+        setStatus('ready');
+      })
+      .catch((err) => {
+        console.error('Error loading review queue:', err);
+        if (!cancelled) setStatus('error');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white px-4 py-6">
+      <div className="max-w-2xl mx-auto">
+        <div className="flex items-center justify-between mb-8">
+          <Link to="/app/library" className="flex items-center text-gray-400 hover:text-white transition-colors">
+            <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+            My Library
+          </Link>
+        </div>
+
+        <h1 className="text-3xl font-bold text-green-400 mb-1">🛡️ Story safety</h1>
+        <p className="text-gray-400 text-sm mb-8">Every new story is checked before your children read it.</p>
+
+        <h2 className="text-xl font-bold mb-4">Waiting for your review</h2>
+        <div className="space-y-3 mb-10">
+          {status === 'loading' && <p className="text-gray-400 text-sm">Loading...</p>}
+          {status === 'error' && <p className="text-red-400 text-sm">We couldn't load the stories waiting for review.</p>}
+          {status === 'ready' && stories.length === 0 && (
+            <p className="text-gray-400 text-sm">Nothing to review. New stories that need a look will show up here.</p>
+          )}
+          {stories.map((story) => {
+            const findings = story.safety ? story.safety.findings.length : 0;
+            return (
+              <Link
+                key={story.id}
+                to={`/app/review/${story.id}`}
+                className="flex items-center gap-3 bg-gray-800 border border-gray-700 rounded-2xl p-4 hover:border-green-500 transition-colors"
+              >
+                <div className="flex-1 min-w-0">
+                  <p className="font-semibold truncate">{getStoryTitle(story)}</p>
+                  <p className="text-xs text-gray-400">
+                    {formatDate(parseTimestamp(story.created_at), language)} · {findings === 0
+                      ? 'Nothing flagged'
+                      : `${findings} flagged ${findings === 1 ? 'passage' : 'passages'}`}
+                  </p>
+                </div>
+                <span className="text-sm text-green-400">Review →</span>
+              </Link>
+            );
+          })}
+        </div>
+
+        <h2 className="text-xl font-bold mb-4">Settings</h2>
+        <SafetySettingsForm settings={family.safety} onSave={saveSafetySettings} />
+      </div>
+    </div>
+  );
+};
+
+export default ReviewQueue;
@@ -0,0 +1,293 @@
+import { useEffect, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import {
+  deleteSeries,
+  fetchSeries,
+  fetchSeriesEpisodes,
+  fetchStory,
+  generateRequestId,
+  parseTimestamp,
+  updateSeries
+} from "./api";
+import { formatDate, useI18n } from "./i18n";
+import { getStoryTheme } from "./storyOptions";
+import { getStoryTitle } from "./StoryReader";
+import { useWizard } from "./WizardContext";
+
+// A series: its episodes in order and its character bible, the characters,
+// places and items that come back in every new episode.
+
+const bibleSections = [
+  { kind: 'character', title: 'Characters', icon: '🦉', placeholder: 'e.g. Pip the fox' },
+  { kind: 'place', title: 'Places', icon: '🏰', placeholder: 'e.g. the Crystal Cave' },
+  { kind: 'item', title: 'Items', icon: '💎', placeholder: 'e.g. a map that glows' }
+];
+
+const inputClassName = "w-full px-3 py-2 text-sm rounded-lg bg-gray-900 border border-gray-600 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-green-500";
+const buttonClassName = "px-4 py-2 rounded-lg text-sm font-medium bg-gray-700 text-white hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors";
+
+const BibleEntry = ({ entry, placeholder, onChange, onRemove }) => (
+  <div className="bg-gray-800 border border-gray-700 rounded-xl p-3 space-y-2">
+    <div className="flex items-center gap-2">
+      <input
+        type="text"
+        value={entry.name}
+        maxLength={60}
+        onChange={(e) => onChange({ name: e.target.value })}
+        placeholder={placeholder}
+        aria-label="Name"
+        className={inputClassName}
+      />
+      <button type="button" onClick={onRemove} className="px-2 py-1 text-xs text-gray-400 hover:text-red-400 transition-colors">
+        Remove
+      </button>
+    </div>
+    <input
+      type="text"
+      value={entry.description || ''}
+      maxLength={200}
+      onChange={(e) => onChange({ description: e.target.value })}
+      placeholder="What are they like? (optional)"
+      aria-label="Description"
+      className={inputClassName}
+    />
+    <div className="flex items-center justify-between text-xs text-gray-400">
+      <label className="flex items-center gap-2 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={entry.recurring}
+          onChange={(e) => onChange({ recurring: e.target.checked })}
+          className="accent-green-500"
+        />
+        Comes back in the next episode
+      </label>
+      <span>{entry.first_episode ? `From episode ${entry.first_episode}` : 'Added by you'}</span>
+    </div>
+  </div>
+);
+
+const SeriesView = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { startNextEpisode } = useWizard();
+  const { language } = useI18n();
+  const [series, setSeries] = useState(null);
+  const [episodes, setEpisodes] = useState([]);
+  const [title, setTitle] = useState('');
+  const [bible, setBible] = useState([]);
+  const [dirty, setDirty] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setSeries(null);
+    setLoadError(null);
+
+    Promise.all([fetchSeries(id), fetchSeriesEpisodes(id)])
+      .then(([seriesData, episodeData]) => {
+        if (cancelled) return;
+        setSeries(seriesData);
+        setTitle(seriesData.title);
+        setBible(seriesData.bible);
+        setEpisodes(episodeData);
+        setDirty(false);
+      })
+      .catch((err) => {
+        console.error('Error loading series:', err);
+        if (!cancelled) {
+          setLoadError(err.status === 404 ? 'We couldn\'t find that series.' : 'Something went wrong while loading the series.');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  const changeBible = (update) => {
+    setBible(update);
+    setDirty(true);
+  };
+
+  const updateEntry = (entryId, changes) =>
+    changeBible((entries) => entries.map((entry) => (entry.id === entryId ? { ...entry, ...changes } : entry)));
+
+  const addEntry = (kind) =>
+    changeBible((entries) => [
+      ...entries,
+      { id: generateRequestId(), kind, name: '', description: '', recurring: true, first_episode: null }
+    ]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const saved = await updateSeries(id, {
+        title: title.trim() || series.title,
+        bible: bible.filter((entry) => entry.name.trim())
+      });
+      setSeries(saved);
+      setTitle(saved.title);
+      setBible(saved.bible);
+      setDirty(false);
+    } catch (err) {
+      console.error('Error saving series:', err);
+      setError('We couldn\'t save the character bible. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleNextEpisode = async () => {
+    const latest = episodes[episodes.length - 1];
+    setError(null);
+    try {
+      // Episode lists leave out photos, which the next episode starts from.
+      startNextEpisode(await fetchStory(latest.id), series, (latest.episode || 0) + 1);
+      navigate('/app/theme-selection');
+    } catch (err) {
+      console.error('Error starting the next episode:', err);
+      setError('We couldn\'t start the next episode. Please try again.');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this series? Its stories stay in your library.')) return;
+    try {
+      await deleteSeries(id);
+      navigate('/app/library');
+    } catch (err) {
+      console.error('Error deleting series:', err);
+      setError('We couldn\'t delete the series. Please try again.');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white px-4 py-6">
+      <div className="max-w-4xl mx-auto flex items-center justify-between mb-6">
+        <Link to="/app/library" className="flex items-center text-gray-400 hover:text-white transition-colors">
+          <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+          </svg>
+          My Library
+        </Link>
+        {series && (
+          <button type="button" onClick={handleDelete} className="text-sm text-gray-400 hover:text-red-400 transition-colors">
+            Delete series
+          </button>
+        )}
+      </div>
+
+      {loadError && <p className="max-w-4xl mx-auto text-red-400">{loadError}</p>}
+
+      {!loadError && !series && (
+        <div className="flex flex-col items-center justify-center mt-32 text-gray-300">
+          <div className="text-5xl mb-4 animate-pulse">📚</div>
+          <p>Opening your series...</p>
+        </div>
+      )}
+
+      {series && (
+        <div className="max-w-4xl mx-auto">
+          <input
+            type="text"
+            value={title}
+            maxLength={80}
+            onChange={(e) => {
+              setTitle(e.target.value);
+              setDirty(true);
+            }}
+            aria-label="Series title"
+            className="w-full text-3xl font-bold bg-transparent border-b border-transparent hover:border-gray-600 focus:border-green-500 focus:outline-none mb-2"
+          />
+          <p className="text-gray-400 mb-8">
+            {episodes.length} {episodes.length === 1 ? 'episode' : 'episodes'}
+          </p>
+
+          <section className="mb-10">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-bold">Episodes</h2>
+              {episodes.length > 0 && (
+                <button
+                  type="button"
+                  onClick={handleNextEpisode}
+                  className="px-4 py-2 rounded-lg text-sm font-medium bg-green-500 text-white hover:bg-green-600 transition-colors"
+                >
+                  ➡️ Next episode
+                </button>
+              )}
+            </div>
+            <ol className="space-y-3">
+              {episodes.map((episode) => {
+                const theme = getStoryTheme(episode);
+                return (
+                  <li key={episode.id}>
+                    <Link
+                      to={`/app/story/${episode.id}`}
+                      className="flex items-center gap-4 p-4 rounded-2xl bg-gray-800 border border-gray-700 hover:border-green-500 transition-colors"
+                    >
+                      <span className="w-10 h-10 flex-shrink-0 flex items-center justify-center rounded-full bg-gray-700 font-bold">
+                        {episode.episode}
+                      </span>
+                      <span className="text-2xl">{theme.icon}</span>
+                      <span className="flex-1 min-w-0">
+                        <span className="block font-semibold truncate">{getStoryTitle(episode)}</span>
+                        <span className="block text-xs text-gray-400">
+                          {theme.title} · {formatDate(parseTimestamp(episode.created_at), language)}
+                        </span>
+                      </span>
+                      {episode.status === 'generating' && <span className="text-xs text-gray-400">Being written...</span>}
+                    </Link>
+                  </li>
+                );
+              })}
+            </ol>
+          </section>
+
+          <section>
+            <div className="flex items-center justify-between mb-2">
+              <h2 className="text-xl font-bold">Character bible</h2>
+              <button type="button" onClick={handleSave} disabled={!dirty || saving} className={buttonClassName}>
+                {saving ? 'Saving...' : 'Save changes'}
+              </button>
+            </div>
+            <p className="text-gray-400 text-sm mb-6">
+              New episodes add what they introduce here. Everything marked to come back appears in the next episode.
+            </p>
+            {error && <p className="text-red-400 text-sm mb-4">{error}</p>}
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+              {bibleSections.map((section) => (
+                <div key={section.kind}>
+                  <h3 className="font-semibold mb-3">{section.icon} {section.title}</h3>
+                  <div className="space-y-3">
+                    {bible.filter((entry) => entry.kind === section.kind).map((entry) => (
+                      <BibleEntry
+                        key={entry.id}
+                        entry={entry}
+                        placeholder={section.placeholder}
+                        onChange={(changes) => updateEntry(entry.id, changes)}
+                        onRemove={() => changeBible((entries) => entries.filter((existing) => existing.id !== entry.id))}
+                      />
+                    ))}
+                    <button
+                      type="button"
+                      onClick={() => addEntry(section.kind)}
+                      className="w-full py-2 text-sm text-gray-400 hover:text-green-400 border border-dashed border-gray-700 hover:border-green-500 rounded-xl transition-colors"
+                    >
+                      ＋ Add
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </section>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SeriesView;
@@ -0,0 +1,204 @@
+import { useEffect, useState } from "react";
+import {
+  createShareLink,
+  fetchStoryShareLinks,
+  getShareUrl,
+  isShareLinkActive,
+  parseTimestamp,
+  revokeShareLink
+} from "./api";
+import { formatDate, useI18n } from "./i18n";
+
+// Share a story with read-only links, e.g. for grandparents. Each link can
+// expire and need a password, and shows how often it has been opened.
+
+const expiryOptions = [
+  { days: null, label: 'Never expires' },
+  { days: 1, label: '1 day' },
+  { days: 7, label: '1 week' },
+  { days: 30, label: '30 days' }
+];
+
+const inputClassName = "w-full px-4 py-2 text-sm rounded-lg bg-gray-900 border border-gray-600 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500";
+
+// "Opened 3 times · expires Jun 4, 2025 · 🔒", or why the link no longer opens.
+export const describeShareLink = (link, language) => {
+  const views = `Opened ${link.view_count} ${link.view_count === 1 ? 'time' : 'times'}`;
+  const expiresAt = parseTimestamp(link.expires_at);
+  let state = expiresAt ? `expires ${formatDate(expiresAt, language)}` : 'never expires';
+  if (link.revoked) {
+    state = 'turned off';
+  } else if (!isShareLinkActive(link)) {
+    state = `expired ${formatDate(expiresAt, language)}`;
+  }
+  return [views, state, link.has_password ? '🔒' : null].filter(Boolean).join(' · ');
+};
+
+const CopyLinkButton = ({ link }) => {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(getShareUrl(link));
+      setCopied(true);
+    } catch (err) {
+      console.error('Error copying share link:', err);
+      window.prompt('Copy this link:', getShareUrl(link));
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleCopy}
+      className="px-3 py-1.5 rounded-lg text-xs font-medium bg-green-500 text-white hover:bg-green-600 transition-colors"
+    >
+      {copied ? '✓ Copied' : 'Copy link'}
+    </button>
+  );
+};
+
+const ShareDialog = ({ story, onClose }) => {
+  const { language } = useI18n();
+  const [links, setLinks] = useState([]);
+  const [expiresInDays, setExpiresInDays] = useState(7);
+  const [password, setPassword] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchStoryShareLinks(story.id)
+      .then((data) => {
+        if (!cancelled) setLinks(data);
+      })
+      .catch((err) => {
+        console.error('Error loading share links:', err);
+        if (!cancelled) setError('We couldn\'t load this story\'s links.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [story.id]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    setError(null);
+    try {
+      const link = await createShareLink(story.id, { expiresInDays, password: password.trim() });
+      setLinks((current) => [link, ...current]);
+      setPassword('');
+    } catch (err) {
+      console.error('Error creating share link:', err);
+      setError('We couldn\'t create a link. Please try again.');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (link) => {
+    setError(null);
+    try {
+      const revoked = await revokeShareLink(link.id);
+      setLinks((current) => current.map((existing) => (existing.id === revoked.id ? revoked : existing)));
+    } catch (err) {
+      console.error('Error revoking share link:', err);
+      setError('We couldn\'t turn off this link. Please try again.');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black bg-opacity-70" onClick={onClose}></div>
+
+      <div className="relative bg-gray-800 rounded-3xl p-8 max-w-md w-full shadow-2xl border border-gray-700 max-h-[95vh] overflow-y-auto">
+        <div className="text-center mb-6">
+          <div className="text-4xl mb-2">🔗</div>
+          <h2 className="text-2xl font-bold text-green-400">Share this story</h2>
+          <p className="text-gray-400 text-sm">Anyone with the link can read it, but not change it.</p>
+        </div>
+
+        <form onSubmit={handleCreate} className="space-y-4 mb-6">
+          <div>
+            <p className="text-sm font-medium mb-2">Link works for</p>
+            <div className="flex flex-wrap gap-2">
+              {expiryOptions.map((option) => (
+                <button
+                  key={option.label}
+                  type="button"
+                  onClick={() => setExpiresInDays(option.days)}
+                  className={`py-1.5 px-3 rounded-full text-xs font-medium transition-all ${
+                    expiresInDays === option.days
+                      ? 'bg-green-500 text-white border-2 border-green-400'
+                      : 'bg-gray-700 text-gray-300 border-2 border-gray-600 hover:bg-gray-600'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <input
+            type="text"
+            value={password}
+            maxLength={128}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password (optional)"
+            aria-label="Password"
+            autoComplete="off"
+            className={inputClassName}
+          />
+          <button
+            type="submit"
+            disabled={creating}
+            className="w-full py-2 rounded-lg text-sm font-medium bg-green-500 text-white hover:bg-green-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {creating ? 'Creating...' : 'Create link'}
+          </button>
+        </form>
+
+        {error && <p className="text-red-400 text-sm mb-4">{error}</p>}
+
+        {links.length > 0 && (
+          <div className="space-y-3">
+            {links.map((link) => (
+              <div key={link.id} className="bg-gray-900 border border-gray-700 rounded-xl p-3">
+                <p className="text-xs text-gray-300 font-mono truncate mb-1">{getShareUrl(link)}</p>
+                <div className="flex items-center gap-2">
+                  <p className="flex-1 text-xs text-gray-400">{describeShareLink(link, language)}</p>
+                  {isShareLinkActive(link) && (
+                    <>
+                      <CopyLinkButton link={link} />
+                      <button
+                        type="button"
+                        onClick={() => handleRevoke(link)}
+                        className="px-3 py-1.5 rounded-lg text-xs font-medium bg-gray-700 text-gray-200 hover:bg-red-500 hover:text-white transition-colors"
+                      >
+                        Turn off
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <button type="button" onClick={onClose} className="w-full mt-6 text-sm text-gray-400 hover:text-white transition-colors">
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ShareDialog;
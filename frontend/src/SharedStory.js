@@ -0,0 +1,93 @@
+import { useCallback, useEffect, useState } from "react";
+import { useParams } from "react-router-dom";
+import { openSharedStory } from "./api";
+import { StoryBook } from "./StoryReader";
+
+// A story opened from a share link (/s/:token): read-only and without the
+// wizard or library, for readers who don't have an account.
+
+const SharedStory = () => {
+  const { token } = useParams();
+  const [story, setStory] = useState(null);
+  // loading, password (the link needs one), ready or error
+  const [status, setStatus] = useState('loading');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+
+  const openStory = useCallback(async (withPassword) => {
+    try {
+      setStory(await openSharedStory(token, withPassword));
+      setStatus('ready');
+    } catch (err) {
+      console.error('Error opening shared story:', err);
+      if (err.status === 403) {
+        setStatus('password');
+        setError(withPassword ? 'That password isn\'t right. Please try again.' : null);
+      } else {
+        setStatus('error');
+        setError(err.status === 410
+          ? 'This link has expired. Ask for a new one to keep reading.'
+          : err.status === 404
+            ? 'We couldn\'t find this story.'
+            : 'Something went wrong while opening the story.');
+      }
+    }
+  }, [token]);
+
+  useEffect(() => {
+    setStatus('loading');
+    openStory(null);
+  }, [openStory]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setStatus('loading');
+    openStory(password);
+  };
+
+  return (
+    <div className="story-reader min-h-screen bg-gray-900 text-white px-4 py-6">
+      {status === 'loading' && (
+        <div className="flex flex-col items-center justify-center mt-32 text-gray-300">
+          <div className="text-5xl mb-4 animate-pulse">📖</div>
+          <p>Opening the story...</p>
+        </div>
+      )}
+
+      {status === 'password' && (
+        <form onSubmit={handleSubmit} className="max-w-sm mx-auto text-center mt-24">
+          <div className="text-5xl mb-4">🔒</div>
+          <h1 className="text-2xl font-bold text-green-400 mb-2">This story has a password</h1>
+          <p className="text-gray-400 text-sm mb-6">Ask the family who shared it with you.</p>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            aria-label="Password"
+            autoFocus
+            className="w-full px-4 py-3 text-sm rounded-lg bg-gray-800 border border-gray-600 text-white focus:outline-none focus:ring-2 focus:ring-green-500 mb-4"
+            required
+          />
+          {error && <p className="text-red-400 text-sm mb-4">{error}</p>}
+          <button
+            type="submit"
+            className="w-full bg-green-500 text-white py-3 px-6 rounded-lg text-sm font-medium hover:bg-green-600 transition-colors"
+          >
+            Open the story
+          </button>
+        </form>
+      )}
+
+      {status === 'error' && (
+        <div className="max-w-md mx-auto text-center mt-24">
+          <div className="text-5xl mb-4">📕</div>
+          <p className="text-xl text-gray-200">{error}</p>
+        </div>
+      )}
+
+      {status === 'ready' && <StoryBook story={story} />}
+    </div>
+  );
+};
+
+export default SharedStory;
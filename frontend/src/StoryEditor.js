@@ -0,0 +1,275 @@
+import { useEffect, useState } from "react";
+import { generateRequestId, revertStory, saveStoryEdits } from "./api";
+import { splitParagraphs } from "./storyPages";
+import { useUndoableState } from "./undoHistory";
+
+// Lets a parent rewrite, reorder, add and remove the pages of a finished
+// story and change its title. Pages here are the story's paragraphs, the
+// units the backend illustrates; each keeps its picture, and in a bilingual
+// story its translation, when it moves.
+
+const createDraft = (story) => {
+  const illustrations = story.illustrations || [];
+  const translations = story.translation_content ? splitParagraphs(story.translation_content) : null;
+  return {
+    title: story.title || '',
+    pages: splitParagraphs(story.story_content || '').map((text, index) => ({
+      id: generateRequestId(),
+      text,
+      translation: translations ? translations[index] || '' : null,
+      illustration: illustrations.find((illustration) => illustration.page === index) || null
+    }))
+  };
+};
+
+const createPage = (bilingual) => ({
+  id: generateRequestId(),
+  text: '',
+  translation: bilingual ? '' : null,
+  illustration: null
+});
+
+// A page is one paragraph, so line breaks typed into it become spaces.
+const toParagraph = (text) => text.trim().replace(/\s*\n\s*/g, ' ');
+
+const editorButtonClassName =
+  "px-3 py-2 rounded-lg text-sm font-medium bg-gray-700 text-white hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed transition-colors";
+const pageButtonClassName =
+  "px-2 py-1 rounded-md text-xs text-gray-300 hover:bg-gray-700 hover:text-white disabled:opacity-30 disabled:cursor-not-allowed transition-colors";
+
+const InsertPageButton = ({ onClick }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    className="w-full py-1 text-xs text-gray-500 hover:text-green-400 border border-dashed border-gray-700 hover:border-green-500 rounded-lg transition-colors"
+  >
+    ＋ Insert page
+  </button>
+);
+
+export const StoryEditor = ({ story, defaultTitle, onSaved, onCancel }) => {
+  const [initialDraft] = useState(() => createDraft(story));
+  const history = useUndoableState(initialDraft);
+  const { value: draft, set, undo, redo } = history;
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const dirty = draft !== initialDraft;
+  const bilingual = Boolean(story.translation_content);
+
+  const updatePages = (update, options) => set((current) => ({ ...current, pages: update(current.pages) }), options);
+
+  const changeText = (id, text) =>
+    updatePages((pages) => pages.map((page) => (page.id === id ? { ...page, text } : page)), { mergeKey: `text-${id}` });
+
+  const changeTranslation = (id, translation) =>
+    updatePages(
+      (pages) => pages.map((page) => (page.id === id ? { ...page, translation } : page)),
+      { mergeKey: `translation-${id}` }
+    );
+
+  const insertPage = (index) =>
+    updatePages((pages) => [...pages.slice(0, index), createPage(bilingual), ...pages.slice(index)]);
+
+  const deletePage = (id) => updatePages((pages) => pages.filter((page) => page.id !== id));
+
+  const movePage = (index, offset) =>
+    updatePages((pages) => {
+      const target = index + offset;
+      if (target < 0 || target >= pages.length) return pages;
+      const next = [...pages];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      // Text fields keep their own undo for typing.
+      if (e.target.closest && e.target.closest('input, textarea')) return;
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  useEffect(() => {
+    if (!dirty) return undefined;
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [dirty]);
+
+  const pages = draft.pages.filter((page) => page.text.trim());
+  // The reader pairs the two languages page by page, so none can be missing.
+  const missingTranslation = bilingual && pages.some((page) => !page.translation.trim());
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const saved = await saveStoryEdits(story.id, {
+        title: draft.title.trim() || null,
+        storyContent: pages.map((page) => toParagraph(page.text)).join('\n\n'),
+        translationContent: bilingual ? pages.map((page) => toParagraph(page.translation)).join('\n\n') : null,
+        illustrations: pages
+          .map((page, index) => (page.illustration ? { ...page.illustration, page: index } : null))
+          .filter(Boolean),
+        revision: story.revision
+      });
+      onSaved(saved);
+    } catch (err) {
+      console.error('Error saving story:', err);
+      setError(err.status === 409
+        ? 'This story was changed somewhere else. Reload the page to see the latest version.'
+        : 'We couldn\'t save your changes. Please try again.');
+      setSaving(false);
+    }
+  };
+
+  const handleRevert = async () => {
+    if (!window.confirm('Go back to the story as it was first written? All saved edits will be lost.')) return;
+    setSaving(true);
+    setError(null);
+    try {
+      onSaved(await revertStory(story.id));
+    } catch (err) {
+      console.error('Error reverting story:', err);
+      setError('We couldn\'t restore the original story. Please try again.');
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = () => {
+    if (dirty && !window.confirm('Discard your changes?')) return;
+    onCancel();
+  };
+
+  return (
+    <div className="w-full max-w-3xl mx-auto">
+      <div className="flex flex-wrap items-center gap-2 mb-6">
+        <button type="button" onClick={undo} disabled={!history.canUndo} className={editorButtonClassName}>
+          ↶ Undo
+        </button>
+        <button type="button" onClick={redo} disabled={!history.canRedo} className={editorButtonClassName}>
+          ↷ Redo
+        </button>
+        {story.original && (
+          <button type="button" onClick={handleRevert} disabled={saving} className={editorButtonClassName}>
+            ⟲ Revert to original
+          </button>
+        )}
+        <div className="flex gap-2 ml-auto">
+          <button type="button" onClick={handleCancel} disabled={saving} className={editorButtonClassName}>
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving || !dirty || pages.length === 0 || missingTranslation}
+            className="px-4 py-2 rounded-lg text-sm font-medium bg-green-500 text-white hover:bg-green-600 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+          >
+            {saving ? 'Saving...' : 'Save changes'}
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-red-400 text-sm mb-4">{error}</p>}
+
+      <label htmlFor="story-title" className="block text-sm font-medium text-gray-300 mb-2">Title</label>
+      <input
+        id="story-title"
+        type="text"
+        value={draft.title}
+        maxLength={120}
+        onChange={(e) => set((current) => ({ ...current, title: e.target.value }), { mergeKey: 'title' })}
+        placeholder={defaultTitle}
+        className="w-full px-4 py-3 mb-6 rounded-lg bg-gray-800 border border-gray-600 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-green-500"
+      />
+
+      <div className="space-y-3">
+        <InsertPageButton onClick={() => insertPage(0)} />
+        {draft.pages.map((page, index) => (
+          <div key={page.id} className="space-y-3">
+            <div className="bg-gray-800 border border-gray-700 rounded-2xl p-4">
+              <div className="flex items-center gap-2 mb-3">
+                {page.illustration && (
+                  <img src={page.illustration.image} alt="" className="w-16 h-8 rounded object-cover" />
+                )}
+                <span className="text-sm font-medium text-gray-300">Page {index + 1}</span>
+                <div className="flex gap-1 ml-auto">
+                  <button
+                    type="button"
+                    onClick={() => movePage(index, -1)}
+                    disabled={index === 0}
+                    aria-label={`Move page ${index + 1} up`}
+                    className={pageButtonClassName}
+                  >
+                    ↑
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => movePage(index, 1)}
+                    disabled={index === draft.pages.length - 1}
+                    aria-label={`Move page ${index + 1} down`}
+                    className={pageButtonClassName}
+                  >
+                    ↓
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => deletePage(page.id)}
+                    disabled={draft.pages.length === 1}
+                    className={`${pageButtonClassName} hover:text-red-400`}
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+              <textarea
+                value={page.text}
+                onChange={(e) => changeText(page.id, e.target.value)}
+                rows={4}
+                lang={story.language}
+                dir="auto"
+                aria-label={`Page ${index + 1} text`}
+                placeholder="Write this page..."
+                className="w-full px-3 py-2 rounded-lg bg-gray-900 border border-gray-600 text-white font-serif leading-relaxed placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-green-500"
+              />
+              {bilingual && (
+                <textarea
+                  value={page.translation}
+                  onChange={(e) => changeTranslation(page.id, e.target.value)}
+                  rows={4}
+                  lang={story.translation_language}
+                  dir="auto"
+                  aria-label={`Page ${index + 1} translation`}
+                  placeholder="Write this page's translation..."
+                  className="w-full mt-2 px-3 py-2 rounded-lg bg-gray-900 border border-gray-700 text-gray-300 font-serif leading-relaxed placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-green-500"
+                />
+              )}
+            </div>
+            <InsertPageButton onClick={() => insertPage(index + 1)} />
+          </div>
+        ))}
+      </div>
+
+      {pages.length < draft.pages.length && (
+        <p className="text-gray-500 text-sm mt-4">Empty pages are left out when you save.</p>
+      )}
+      {missingTranslation && (
+        <p className="text-gray-500 text-sm mt-4">Every page needs its translation before you can save.</p>
+      )}
+    </div>
+  );
+};
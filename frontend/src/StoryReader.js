@@ -0,0 +1,750 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { createSeries, fetchSeries, fetchSeriesEpisodes, fetchStory, regenerateIllustration } from "./api";
+import { getPageScenery, getStoryType, getStoryTheme } from "./storyOptions";
+import { paginateStory, splitParagraphs } from "./storyPages";
+import { getReadabilityFit, getStoryAgeLevel, scoreReadability } from "./readability";
+import { loadNarrationSettings, saveNarrationSettings, useNarration } from "./narration";
+import { NarrationCaption, NarrationControls } from "./NarrationControls";
+import { StoryEditor } from "./StoryEditor";
+import ShareDialog from "./ShareDialog";
+import { useWizard } from "./WizardContext";
+
+const SWIPE_THRESHOLD = 50;
+
+// A parent may have given the story its own title.
+export const getStoryTitle = (story) => {
+  if (story.title) return story.title;
+  const storyType = getStoryType(story.story_type);
+  return `${story.kid_name}'s ${storyType ? storyType.title : 'Story'}`;
+};
+
+// Characters starring in a story. Stories saved before multi-child support
+// only have the single kid_* fields.
+export const getStoryCharacters = (story) => {
+  if (story.characters && story.characters.length > 0) return story.characters;
+  return [{ name: story.kid_name, age: story.kid_age, photo: story.kid_photo }];
+};
+
+// The picture drawn for a page: the first illustration of a paragraph that
+// starts on it. Stories from before illustrations have none.
+export const getPageIllustration = (story, page) =>
+  (story.illustrations || []).find((illustration) => page.paragraphIndexes.includes(illustration.page)) || null;
+
+// A bilingual story's second language for a page: the translated paragraphs
+// that start on it, matched by paragraph index.
+const getPageTranslation = (story, page, translationParagraphs) => (
+  translationParagraphs
+    ? {
+      language: story.translation_language,
+      paragraphs: page.paragraphIndexes.map((index) => translationParagraphs[index]).filter(Boolean)
+    }
+    : null
+);
+
+const getTranslationParagraphs = (story) =>
+  story.translation_content ? splitParagraphs(story.translation_content) : null;
+
+const RegenerateIllustrationButton = ({ onClick, regenerating }) => (
+  <button
+    onClick={onClick}
+    disabled={regenerating}
+    className="absolute top-3 right-3 px-3 py-1.5 rounded-full text-xs font-medium bg-black/50 text-white hover:bg-black/70 disabled:opacity-60 disabled:cursor-wait transition-colors print:hidden"
+  >
+    {regenerating ? '🎨 Drawing...' : '🎨 New picture'}
+  </button>
+);
+
+const PageIllustration = ({ theme, pageNumber, illustration, onRegenerate, regenerating = false }) => {
+  if (illustration) {
+    return (
+      <div className="rounded-2xl h-44 md:h-56 mb-6 relative overflow-hidden bg-gray-200">
+        <img
+          src={illustration.image}
+          alt={`Illustration for page ${pageNumber}`}
+          className={`w-full h-full object-cover transition-opacity ${regenerating ? 'opacity-50' : ''}`}
+        />
+        {onRegenerate && <RegenerateIllustrationButton onClick={onRegenerate} regenerating={regenerating} />}
+      </div>
+    );
+  }
+
+  const items = getPageScenery(theme.id, pageNumber);
+
+  return (
+    <div className={`${theme.bgColor} rounded-2xl h-40 md:h-48 mb-6 flex items-center justify-center gap-6 relative overflow-hidden`}>
+      <div className="absolute inset-0 bg-gradient-to-b from-white/10 to-black/20" />
+      {onRegenerate && <RegenerateIllustrationButton onClick={onRegenerate} regenerating={regenerating} />}
+      {items.map((item, index) => (
+        <span
+          key={item}
+          className={`relative ${index === 1 ? 'text-6xl md:text-7xl' : 'text-4xl md:text-5xl'} drop-shadow-lg`}
+        >
+          {item}
+        </span>
+      ))}
+    </div>
+  );
+};
+
+const CoverPage = ({ story, theme }) => {
+  const photos = getStoryCharacters(story).filter((character) => character.photo);
+
+  return (
+    <div className={`h-full flex flex-col items-center justify-center text-center p-8 rounded-3xl ${theme.bgColor} text-white relative overflow-hidden`}>
+      <div className="absolute inset-0 bg-gradient-to-br from-white/20 via-transparent to-black/30" />
+      <div className="relative">
+        <div className="text-5xl mb-6">{theme.icon}</div>
+        {photos.length > 0 ? (
+          <div className="flex justify-center -space-x-6 mb-8">
+            {photos.map((character) => (
+              <img
+                key={character.name}
+                src={character.photo}
+                alt={character.name}
+                className={`${photos.length > 1 ? 'w-32 h-32 md:w-40 md:h-40' : 'w-40 h-40 md:w-48 md:h-48'} rounded-full object-cover border-8 border-white/80 shadow-2xl`}
+              />
+            ))}
+          </div>
+        ) : (
+          <div className="w-40 h-40 md:w-48 md:h-48 mx-auto rounded-full bg-white/20 border-8 border-white/80 shadow-2xl mb-8 flex items-center justify-center text-6xl">
+            📖
+          </div>
+        )}
+        <h1 className="text-3xl md:text-5xl font-bold mb-3 drop-shadow-lg">{getStoryTitle(story)}</h1>
+        <p className="text-white/90 text-lg">{theme.title}</p>
+        <p className="text-white/70 text-sm mt-8 print:hidden">Swipe or use the arrow keys to turn the page</p>
+      </div>
+    </div>
+  );
+};
+
+// Splits each paragraph into words so read-aloud can highlight the one being
+// spoken. Words are counted across the whole page, in the same order as
+// tokenizeWords() counts them in the narrated text.
+const renderParagraphs = (paragraphs, highlightIndex) => {
+  let wordCount = 0;
+  return paragraphs.map((paragraph, index) => (
+    <p key={index} className="text-lg md:text-xl leading-relaxed font-serif">
+      {paragraph.split(/(\s+)/).map((token, tokenIndex) => {
+        if (!token.trim()) return token;
+        const current = wordCount;
+        wordCount += 1;
+        return current === highlightIndex ? (
+          <mark key={tokenIndex} className="bg-yellow-200 text-gray-900 rounded px-0.5">{token}</mark>
+        ) : (
+          token
+        );
+      })}
+    </p>
+  ));
+};
+
+const StoryPage = ({ page, theme, totalPages, illustration, onRegenerateIllustration, regenerating, highlightIndex = -1, language, translation = null }) => (
+  <div className="h-full flex flex-col p-6 md:p-10 rounded-3xl bg-amber-50 text-gray-800 shadow-inner">
+    <PageIllustration
+      theme={theme}
+      pageNumber={page.number}
+      illustration={illustration}
+      onRegenerate={onRegenerateIllustration}
+      regenerating={regenerating}
+    />
+    {page.chapter && (
+      <h2 className="text-sm uppercase tracking-widest text-gray-500 font-semibold mb-4">{page.chapter}</h2>
+    )}
+    {translation ? (
+      <div className="flex-1 overflow-y-auto grid md:grid-cols-2 gap-6">
+        <div lang={language} dir="auto" className="text-start space-y-4">
+          {renderParagraphs(page.paragraphs, highlightIndex)}
+        </div>
+        <div lang={translation.language} dir="auto" className="text-start space-y-4 text-gray-600 md:border-s md:border-amber-200 md:ps-6">
+          {renderParagraphs(translation.paragraphs, -1)}
+        </div>
+      </div>
+    ) : (
+      <div lang={language} dir="auto" className="flex-1 overflow-y-auto text-start space-y-4">
+        {renderParagraphs(page.paragraphs, highlightIndex)}
+      </div>
+    )}
+    <div className="text-center text-sm text-gray-400 mt-6">
+      {page.number} / {totalPages}
+    </div>
+  </div>
+);
+
+const EndPage = ({ story, theme, onRestart }) => (
+  <div className={`h-full flex flex-col items-center justify-center text-center p-8 rounded-3xl ${theme.bgColor} text-white relative overflow-hidden`}>
+    <div className="absolute inset-0 bg-gradient-to-tr from-black/30 via-transparent to-white/20" />
+    <div className="relative">
+      <div className="text-6xl mb-6">🌟</div>
+      <h2 className="text-4xl font-bold mb-4">The End</h2>
+      <p className="text-white/90 mb-8">Thanks for reading, {story.kid_name}!</p>
+      {onRestart && (
+        <button
+          onClick={onRestart}
+          className="bg-white text-gray-900 px-6 py-3 rounded-full font-semibold hover:bg-gray-100 transition-colors"
+        >
+          Read it again
+        </button>
+      )}
+    </div>
+  </div>
+);
+
+// Paginated book view of a story. Index 0 is the cover, the story pages
+// follow, and the last index is the closing page.
+export const StoryBook = ({ story, onIllustrationChange }) => {
+  const theme = getStoryTheme(story);
+  const pages = useMemo(() => paginateStory(story.story_content), [story.story_content]);
+  const translationParagraphs = useMemo(() => getTranslationParagraphs(story), [story]);
+  const lastIndex = pages.length + 1;
+  const [pageIndex, setPageIndex] = useState(0);
+  const [direction, setDirection] = useState('next');
+  const touchStartRef = useRef(null);
+  // Read-aloud starts open for the youngest readers, who can't read yet.
+  const [narrationOpen, setNarrationOpen] = useState(() => story.kid_age <= 4);
+  const [narrationSettings, setNarrationSettings] = useState(loadNarrationSettings);
+  const [regeneratingPage, setRegeneratingPage] = useState(null);
+  const [illustrationError, setIllustrationError] = useState(null);
+
+  const goTo = useCallback((index) => {
+    const target = Math.max(0, Math.min(lastIndex, index));
+    if (target === pageIndex) return;
+    setDirection(target > pageIndex ? 'next' : 'prev');
+    setPageIndex(target);
+  }, [lastIndex, pageIndex]);
+
+  const nextPage = useCallback(() => goTo(pageIndex + 1), [goTo, pageIndex]);
+  const prevPage = useCallback(() => goTo(pageIndex - 1), [goTo, pageIndex]);
+
+  // What read-aloud says on the current page.
+  const pageText = useMemo(() => {
+    if (pageIndex === 0) return `${getStoryTitle(story)}.`;
+    if (pageIndex === lastIndex) return `The End. Thanks for reading, ${story.kid_name}!`;
+    return pages[pageIndex - 1].paragraphs.join('\n\n');
+  }, [pageIndex, lastIndex, pages, story]);
+
+  const narration = useNarration({
+    text: pageText,
+    lang: story.language,
+    settings: narrationSettings,
+    onFinished: () => {
+      if (narrationSettings.autoTurn && pageIndex < lastIndex) {
+        nextPage();
+      } else {
+        narration.stop();
+      }
+    }
+  });
+
+  const changeNarrationSettings = (settings) => {
+    setNarrationSettings(settings);
+    saveNarrationSettings(settings);
+  };
+
+  const closeNarration = () => {
+    narration.stop();
+    setNarrationOpen(false);
+  };
+
+  // `paragraph` is the story paragraph the picture belongs to, as counted by
+  // the backend.
+  const handleRegenerateIllustration = async (paragraph) => {
+    setRegeneratingPage(paragraph);
+    setIllustrationError(null);
+    try {
+      onIllustrationChange(await regenerateIllustration(story.id, paragraph));
+    } catch (err) {
+      console.error('Error drawing a new picture:', err);
+      setIllustrationError('We couldn\'t draw a new picture. Please try again.');
+    } finally {
+      setRegeneratingPage(null);
+    }
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.target.closest && e.target.closest('input, textarea, select')) return;
+
+      switch (e.key) {
+        case 'ArrowRight':
+        case 'PageDown':
+        case ' ':
+          e.preventDefault();
+          nextPage();
+          break;
+        case 'ArrowLeft':
+        case 'PageUp':
+          e.preventDefault();
+          prevPage();
+          break;
+        case 'Home':
+          goTo(0);
+          break;
+        case 'End':
+          goTo(lastIndex);
+          break;
+        default:
+          break;
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [nextPage, prevPage, goTo, lastIndex]);
+
+  const handleTouchStart = (e) => {
+    const touch = e.touches[0];
+    touchStartRef.current = { x: touch.clientX, y: touch.clientY };
+  };
+
+  const handleTouchEnd = (e) => {
+    const start = touchStartRef.current;
+    touchStartRef.current = null;
+    if (!start) return;
+
+    const touch = e.changedTouches[0];
+    const deltaX = touch.clientX - start.x;
+    const deltaY = touch.clientY - start.y;
+
+    // Ignore mostly-vertical gestures so long pages can still scroll.
+    if (Math.abs(deltaX) < SWIPE_THRESHOLD || Math.abs(deltaX) < Math.abs(deltaY)) return;
+
+    if (deltaX < 0) {
+      nextPage();
+    } else {
+      prevPage();
+    }
+  };
+
+  let content;
+  if (pageIndex === 0) {
+    content = <CoverPage story={story} theme={theme} />;
+  } else if (pageIndex === lastIndex) {
+    content = <EndPage story={story} theme={theme} onRestart={() => goTo(0)} />;
+  } else {
+    const page = pages[pageIndex - 1];
+    const illustration = getPageIllustration(story, page);
+    const paragraph = illustration ? illustration.page : page.paragraphIndexes[0];
+    const canRegenerate = onIllustrationChange && paragraph !== undefined;
+    content = (
+      <StoryPage
+        page={page}
+        theme={theme}
+        totalPages={pages.length}
+        illustration={illustration}
+        onRegenerateIllustration={canRegenerate ? () => handleRegenerateIllustration(paragraph) : undefined}
+        regenerating={regeneratingPage !== null && regeneratingPage === paragraph}
+        highlightIndex={narration.status === 'idle' ? -1 : narration.wordIndex}
+        language={story.language}
+        translation={getPageTranslation(story, page, translationParagraphs)}
+      />
+    );
+  }
+
+  return (
+    <div className="w-full max-w-3xl mx-auto">
+      {narrationOpen ? (
+        <NarrationControls
+          narration={narration}
+          settings={narrationSettings}
+          onSettingsChange={changeNarrationSettings}
+          onClose={closeNarration}
+        />
+      ) : (
+        <div className="flex justify-end mb-4">
+          <button
+            onClick={() => setNarrationOpen(true)}
+            className="px-4 py-2 rounded-lg text-sm font-medium bg-gray-700 text-white hover:bg-gray-600 transition-colors"
+          >
+            🔊 Read to me
+          </button>
+        </div>
+      )}
+
+      <div
+        className="book-frame relative h-[70vh] min-h-[480px]"
+        onTouchStart={handleTouchStart}
+        onTouchEnd={handleTouchEnd}
+      >
+        <div key={pageIndex} className={`book-page h-full page-turn-${direction}`}>
+          {content}
+        </div>
+      </div>
+
+      {narrationOpen && narrationSettings.captions && narration.status !== 'idle' && (
+        <NarrationCaption words={narration.words} wordIndex={narration.wordIndex} />
+      )}
+
+      {illustrationError && <p className="text-red-400 text-sm text-center mt-4">{illustrationError}</p>}
+
+      {/* Page Controls */}
+      <div className="flex items-center justify-between mt-6">
+        <button
+          onClick={prevPage}
+          disabled={pageIndex === 0}
+          aria-label="Previous page"
+          className="flex items-center px-5 py-2 rounded-lg font-medium bg-gray-700 text-white hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+        >
+          <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+          </svg>
+          Back
+        </button>
+
+        <div className="flex items-center gap-2">
+          {Array.from({ length: lastIndex + 1 }, (_, index) => (
+            <button
+              key={index}
+              onClick={() => goTo(index)}
+              aria-label={`Go to page ${index}`}
+              className={`h-2 rounded-full transition-all ${
+                index === pageIndex ? 'w-6 bg-green-400' : 'w-2 bg-gray-600 hover:bg-gray-500'
+              }`}
+            />
+          ))}
+        </div>
+
+        <button
+          onClick={nextPage}
+          disabled={pageIndex === lastIndex}
+          aria-label="Next page"
+          className="flex items-center px-5 py-2 rounded-lg font-medium bg-green-500 text-white hover:bg-green-600 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+        >
+          Next
+          <svg className="w-5 h-5 ml-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+          </svg>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Every page of the story laid out one after another for `window.print()`.
+// Hidden on screen; App.css gives each page its own sheet of paper.
+const PrintableStory = ({ story }) => {
+  const theme = getStoryTheme(story);
+  const pages = paginateStory(story.story_content);
+  const translationParagraphs = getTranslationParagraphs(story);
+
+  return (
+    <div className="print-book hidden print:block">
+      <section className="print-page">
+        <CoverPage story={story} theme={theme} />
+      </section>
+      {pages.map((page) => (
+        <section key={page.number} className="print-page">
+          <StoryPage
+            page={page}
+            theme={theme}
+            totalPages={pages.length}
+            illustration={getPageIllustration(story, page)}
+            language={story.language}
+            translation={getPageTranslation(story, page, translationParagraphs)}
+          />
+        </section>
+      ))}
+      <section className="print-page">
+        <EndPage story={story} theme={theme} />
+      </section>
+    </div>
+  );
+};
+
+const readabilityFitLabels = {
+  easier: { text: 'Easy read for', className: 'bg-sky-900 text-sky-200' },
+  match: { text: 'Just right for', className: 'bg-green-900 text-green-200' },
+  harder: { text: 'A stretch for', className: 'bg-amber-900 text-amber-200' }
+};
+
+// Shows the story's reading grade against the range expected for the age it
+// was written for.
+const ReadabilityBadge = ({ story }) => {
+  const score = useMemo(() => scoreReadability(story.story_content), [story.story_content]);
+  if (!score) return null;
+
+  const ageLevel = getStoryAgeLevel(story);
+  const fit = readabilityFitLabels[getReadabilityFit(score, ageLevel)];
+
+  return (
+    <div
+      className={`px-3 py-2 rounded-lg text-sm ${fit.className}`}
+      title={`Flesch-Kincaid grade ${score.gradeLevel.toFixed(1)} · reading ease ${Math.round(score.readingEase)} · ${score.wordsPerSentence.toFixed(1)} words per sentence`}
+    >
+      📏 Reading level: grade {score.gradeLevel.toFixed(1)} · {fit.text} {ageLevel.label}
+    </div>
+  );
+};
+
+const storyProviderLabels = {
+  template: '✍️ Built-in storyteller',
+  local_llm: '🤖 Local AI model',
+  mock: '🧪 Test storyteller'
+};
+
+// Which story provider wrote the story; older stories don't record one.
+const StoryProviderBadge = ({ provider }) => {
+  if (!storyProviderLabels[provider]) return null;
+  return <div className="px-3 py-2 rounded-lg text-sm bg-gray-800 text-gray-300">{storyProviderLabels[provider]}</div>;
+};
+
+const StoryExportControls = ({ story }) => {
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+
+  const handleDownloadPdf = async () => {
+    setExporting(true);
+    setExportError(null);
+    try {
+      // Loaded on demand so the PDF library stays out of the main bundle.
+      const { exportStoryPdf } = await import("./storyExport");
+      await exportStoryPdf(story);
+    } catch (err) {
+      console.error('Error exporting story:', err);
+      setExportError('We couldn\'t create the PDF. Try printing instead.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center justify-end gap-3 ml-auto">
+      {exportError && <p className="text-red-400 text-sm">{exportError}</p>}
+      <button
+        onClick={handleDownloadPdf}
+        disabled={exporting}
+        className="px-4 py-2 rounded-lg text-sm font-medium bg-gray-700 text-white hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+      >
+        {exporting ? 'Creating PDF...' : '📄 Download PDF'}
+      </button>
+      <button
+        onClick={() => window.print()}
+        className="px-4 py-2 rounded-lg text-sm font-medium bg-gray-700 text-white hover:bg-gray-600 transition-colors"
+      >
+        🖨️ Print
+      </button>
+    </div>
+  );
+};
+
+const seriesButtonClassName =
+  "px-4 py-2 rounded-lg text-sm font-medium bg-gray-700 text-white hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors";
+
+// Continues a story as a series. A standalone story becomes episode 1 of a new
+// series first; the next episode starts from the latest one's children and theme.
+const SeriesControls = ({ story }) => {
+  const navigate = useNavigate();
+  const { startNextEpisode } = useWizard();
+  const [starting, setStarting] = useState(false);
+  const [seriesError, setSeriesError] = useState(null);
+
+  const handleNextEpisode = async () => {
+    setStarting(true);
+    setSeriesError(null);
+    try {
+      const series = story.series_id
+        ? await fetchSeries(story.series_id)
+        : await createSeries({ title: `${story.kid_name}'s Adventures`, storyId: story.id });
+      const episodes = await fetchSeriesEpisodes(series.id);
+      const latest = episodes.length > 0 ? episodes[episodes.length - 1] : story;
+      // Episode lists leave out photos, which the next episode starts from.
+      const fullLatest = latest.id === story.id ? story : await fetchStory(latest.id);
+      startNextEpisode(fullLatest, series, (latest.episode || 0) + 1);
+      navigate('/app/theme-selection');
+    } catch (err) {
+      console.error('Error starting the next episode:', err);
+      setSeriesError('We couldn\'t start the next episode. Please try again.');
+      setStarting(false);
+    }
+  };
+
+  return (
+    <>
+      {story.series_id && (
+        <Link to={`/app/series/${story.series_id}`} className={seriesButtonClassName}>
+          📚 Episode {story.episode}
+        </Link>
+      )}
+      <button onClick={handleNextEpisode} disabled={starting} className={seriesButtonClassName}>
+        {story.series_id ? '➡️ Next episode' : '📚 Start a series'}
+      </button>
+      {seriesError && <p className="text-red-400 text-sm">{seriesError}</p>}
+    </>
+  );
+};
+
+const StoryReader = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { startRemix } = useWizard();
+  const [story, setStory] = useState(null);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [sharing, setSharing] = useState(false);
+  const closeShareDialog = useCallback(() => setSharing(false), []);
+
+  useEffect(() => {
+    let cancelled = false;
+    setStory(null);
+    setEditing(false);
+    setSharing(false);
+    setError(null);
+
+    fetchStory(id)
+      .then((data) => {
+        if (!cancelled) setStory(data);
+      })
+      .catch((err) => {
+        console.error('Error loading story:', err);
+        if (!cancelled) {
+          setError(err.status === 404 ? 'We couldn\'t find that story.' : 'Something went wrong while loading the story.');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  const handleStorySaved = (saved) => {
+    setStory(saved);
+    setEditing(false);
+  };
+
+  const handleIllustrationChange = (illustration) => {
+    setStory((current) => ({
+      ...current,
+      illustrations: [...(current.illustrations || []).filter((existing) => existing.page !== illustration.page), illustration]
+        .sort((a, b) => a.page - b.page)
+    }));
+  };
+
+  // A remix starts the wizard from this story's choices; the new story is
+  // saved as its next version.
+  const handleRemix = () => {
+    startRemix(story, getStoryTitle(story));
+    navigate('/app/theme-selection');
+  };
+
+  return (
+    <div className="story-reader min-h-screen bg-gray-900 text-white px-4 py-6">
+      <div className="max-w-3xl mx-auto flex items-center justify-between mb-6 print:hidden">
+        <Link to="/" className="flex items-center text-gray-400 hover:text-white transition-colors">
+          <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+          </svg>
+          Home
+        </Link>
+        <div className="flex items-center gap-4">
+          <Link to="/app/library" className="text-sm text-gray-400 hover:text-white transition-colors">
+            My Library
+          </Link>
+          <Link to="/app/kid-details" className="text-sm text-green-400 hover:text-green-300 transition-colors">
+            Create another story
+          </Link>
+        </div>
+      </div>
+
+      {error && (
+        <div className="max-w-md mx-auto text-center mt-24">
+          <div className="text-5xl mb-4">📕</div>
+          <p className="text-xl text-gray-200 mb-6">{error}</p>
+          <Link to="/" className="inline-block bg-green-500 text-white px-6 py-3 rounded-lg font-medium hover:bg-green-600 transition-colors">
+            Back to Home
+          </Link>
+        </div>
+      )}
+
+      {!error && !story && (
+        <div className="flex flex-col items-center justify-center mt-32 text-gray-300">
+          <div className="text-5xl mb-4 animate-pulse">📖</div>
+          <p>Opening your story...</p>
+        </div>
+      )}
+
+      {story && story.status === 'generating' && (
+        <div className="max-w-md mx-auto text-center mt-24">
+          <div className="text-5xl mb-4 animate-pulse">✍️</div>
+          <p className="text-xl text-gray-200">This story is still being written. Check back in a moment!</p>
+        </div>
+      )}
+
+      {story && story.status === 'needs_review' && (
+        <div className="max-w-md mx-auto text-center mt-24">
+          <div className="text-5xl mb-4">🛡️</div>
+          <p className="text-xl text-gray-200 mb-2">This story is waiting for a grown-up to check it.</p>
+          <p className="text-gray-400 text-sm mb-6">Some of it may not suit your family's safety settings.</p>
+          <Link to={`/app/review/${story.id}`} className="inline-block bg-green-500 text-white px-6 py-3 rounded-lg font-medium hover:bg-green-600 transition-colors">
+            Review the story
+          </Link>
+        </div>
+      )}
+
+      {story && story.status === 'failed' && (
+        <div className="max-w-md mx-auto text-center mt-24">
+          <div className="text-5xl mb-4">📕</div>
+          <p className="text-xl text-gray-200 mb-6">Something went wrong while this story was being written.</p>
+          <Link to="/app/kid-details" className="inline-block bg-green-500 text-white px-6 py-3 rounded-lg font-medium hover:bg-green-600 transition-colors">
+            Create a new story
+          </Link>
+        </div>
+      )}
+
+      {story && story.status === 'ready' && (
+        <>
+          <div className="print:hidden">
+            {editing ? (
+              <StoryEditor
+                story={story}
+                defaultTitle={getStoryTitle({ ...story, title: null })}
+                onSaved={handleStorySaved}
+                onCancel={() => setEditing(false)}
+              />
+            ) : (
+              <>
+                <div className="max-w-3xl mx-auto flex flex-wrap items-center gap-3 mb-4">
+                  <ReadabilityBadge story={story} />
+                  <StoryProviderBadge provider={story.provider} />
+                  <button
+                    onClick={() => setEditing(true)}
+                    className="px-4 py-2 rounded-lg text-sm font-medium bg-gray-700 text-white hover:bg-gray-600 transition-colors"
+                  >
+                    ✏️ Edit story
+                  </button>
+                  <button
+                    onClick={handleRemix}
+                    className="px-4 py-2 rounded-lg text-sm font-medium bg-gray-700 text-white hover:bg-gray-600 transition-colors"
+                  >
+                    🔁 Remix
+                  </button>
+                  <button
+                    onClick={() => setSharing(true)}
+                    className="px-4 py-2 rounded-lg text-sm font-medium bg-gray-700 text-white hover:bg-gray-600 transition-colors"
+                  >
+                    🔗 Share
+                  </button>
+                  {story.version_of && (
+                    <Link
+                      to={`/app/story/${story.id}/versions`}
+                      className="px-4 py-2 rounded-lg text-sm font-medium bg-gray-700 text-white hover:bg-gray-600 transition-colors"
+                    >
+                      🕘 Versions
+                    </Link>
+                  )}
+                  <SeriesControls story={story} />
+                  <StoryExportControls story={story} />
+                </div>
+                <StoryBook story={story} onIllustrationChange={handleIllustrationChange} />
+                {sharing && <ShareDialog story={story} onClose={closeShareDialog} />}
+              </>
+            )}
+          </div>
+          <PrintableStory story={story} />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StoryReader;
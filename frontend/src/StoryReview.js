@@ -0,0 +1,251 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { approveStory, deleteStory, fetchStory } from "./api";
+import { getStoryTitle } from "./StoryReader";
+
+// A parent's review of a story the content-safety check held back. Each
+// flagged sentence can keep its original words, use the gentler rewrite or,
+// when its page has other sentences, be left out.
+
+const categoryLabels = {
+  violence: '⚔️ Violence',
+  scary: '👻 Scary',
+  sensitive: '💬 Sensitive topic',
+  blocked: '🚫 Blocked word'
+};
+
+const choiceLabels = {
+  rewrite: 'Gentler version',
+  original: 'Original',
+  remove: 'Leave it out'
+};
+
+// The text a finding has in the stored story.
+const currentText = (finding) => (finding.rewritten ? finding.rewrite : finding.passage);
+
+const chosenText = (finding, choice) => {
+  if (choice === 'rewrite') return finding.rewrite;
+  if (choice === 'remove') return '';
+  return finding.passage;
+};
+
+// The story's pages, or with `translation` the pages of its side-by-side
+// translation, with the parent's choice for every finding in that text.
+const composeReviewedPages = (story, choices, translation = false) => {
+  const pages = (translation ? story.translation_content : story.story_content).split('\n\n');
+  story.safety.findings.forEach((finding, index) => {
+    if (Boolean(finding.translation) !== translation) return;
+    const replacement = chosenText(finding, choices[index]);
+    pages[finding.page] = pages[finding.page]
+      .replace(currentText(finding), () => replacement)
+      .replace(/\s{2,}/g, ' ')
+      .trim();
+  });
+  return pages;
+};
+
+const choicesFor = (finding, page) => [
+  ...(finding.rewrite ? ['rewrite'] : []),
+  'original',
+  ...(page.replace(currentText(finding), '').trim() ? ['remove'] : [])
+];
+
+const FindingCard = ({ finding, page, choice, onChoose }) => (
+  <div className="bg-gray-800 border border-gray-700 rounded-2xl p-4">
+    <div className="flex flex-wrap gap-2 mb-3">
+      {finding.categories.map((category) => (
+        <span key={category} className="px-2 py-1 rounded-full bg-gray-700 text-gray-200 text-xs">
+          {categoryLabels[category] || category}
+        </span>
+      ))}
+      <span className="px-2 py-1 text-gray-400 text-xs">{finding.terms.join(', ')}</span>
+    </div>
+    <p className="text-sm text-gray-200 mb-1"><span className="text-gray-500">Original:</span> {finding.passage}</p>
+    {finding.rewrite && (
+      <p className="text-sm text-green-300 mb-3"><span className="text-gray-500">Gentler:</span> {finding.rewrite}</p>
+    )}
+    {!finding.rewrite && (
+      <p className="text-xs text-gray-500 mb-3">There are no gentler words for this one.</p>
+    )}
+    <div className="flex flex-wrap gap-2">
+      {choicesFor(finding, page).map((option) => (
+        <button
+          key={option}
+          type="button"
+          onClick={() => onChoose(option)}
+          className={`py-1.5 px-3 rounded-full text-xs font-medium transition-all ${
+            choice === option
+              ? 'bg-green-500 text-white border-2 border-green-400'
+              : 'bg-gray-900 text-gray-300 border-2 border-gray-600 hover:bg-gray-700'
+          }`}
+        >
+          {choiceLabels[option]}
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+const StoryReview = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [story, setStory] = useState(null);
+  const [choices, setChoices] = useState([]);
+  const [loadError, setLoadError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchStory(id)
+      .then((data) => {
+        if (cancelled) return;
+        setStory(data);
+        const findings = data.safety ? data.safety.findings : [];
+        setChoices(findings.map((finding) => (finding.rewritten ? 'rewrite' : 'original')));
+      })
+      .catch((err) => {
+        console.error('Error loading story for review:', err);
+        if (!cancelled) setLoadError(err.status === 404 ? 'We couldn\'t find that story.' : 'We couldn\'t load the story.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  const findings = story && story.safety ? story.safety.findings : [];
+  const originalPages = useMemo(() => (story ? story.story_content.split('\n\n') : []), [story]);
+  const originalTranslationPages = useMemo(
+    () => (story && story.translation_content ? story.translation_content.split('\n\n') : []),
+    [story]
+  );
+  const reviewedPages = useMemo(
+    () => (story && story.safety ? composeReviewedPages(story, choices) : originalPages),
+    [story, choices, originalPages]
+  );
+  const reviewedTranslation = useMemo(
+    () => (story && story.safety && story.translation_content
+      ? composeReviewedPages(story, choices, true).join('\n\n')
+      : null),
+    [story, choices]
+  );
+
+  const handleApprove = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await approveStory(story.id, reviewedPages.join('\n\n'), reviewedTranslation);
+      navigate(`/app/story/${story.id}`);
+    } catch (err) {
+      console.error('Error approving story:', err);
+      setError('We couldn\'t save your review. Please try again.');
+      setSaving(false);
+    }
+  };
+
+  const handleDiscard = async () => {
+    if (!window.confirm('Discard this story? It will be deleted and can\'t be read.')) return;
+    setSaving(true);
+    setError(null);
+    try {
+      await deleteStory(story.id);
+      navigate('/app/review');
+    } catch (err) {
+      console.error('Error discarding story:', err);
+      setError('We couldn\'t discard the story. Please try again.');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white px-4 py-6">
+      <div className="max-w-2xl mx-auto">
+        <div className="flex items-center justify-between mb-8">
+          <Link to="/app/review" className="flex items-center text-gray-400 hover:text-white transition-colors">
+            <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+            Story safety
+          </Link>
+        </div>
+
+        {loadError && <p className="text-red-400">{loadError}</p>}
+
+        {!loadError && !story && (
+          <div className="flex flex-col items-center justify-center mt-32 text-gray-300">
+            <div className="text-5xl mb-4 animate-pulse">🛡️</div>
+            <p>Opening the story...</p>
+          </div>
+        )}
+
+        {story && story.status !== 'needs_review' && (
+          <div className="text-center mt-24">
+            <div className="text-5xl mb-4">✅</div>
+            <p className="text-xl text-gray-200 mb-6">This story isn't waiting for review.</p>
+            <Link to={`/app/story/${story.id}`} className="inline-block bg-green-500 text-white px-6 py-3 rounded-lg font-medium hover:bg-green-600 transition-colors">
+              Read the story
+            </Link>
+          </div>
+        )}
+
+        {story && story.status === 'needs_review' && (
+          <>
+            <h1 className="text-3xl font-bold text-green-400 mb-1">🛡️ {getStoryTitle(story)}</h1>
+            <p className="text-gray-400 text-sm mb-8">
+              {findings.length === 0
+                ? 'Nothing was flagged. Read it through and let your children have it when you\'re happy.'
+                : `${findings.length} ${findings.length === 1 ? 'passage was' : 'passages were'} flagged for your reader's age. Pick what each one should say.`}
+            </p>
+
+            {findings.length > 0 && (
+              <div className="space-y-3 mb-10">
+                {findings.map((finding, index) => (
+                  <div key={index}>
+                    <p className="text-xs text-gray-500 mb-1">
+                      Page {finding.page + 1}{finding.translation ? ' · translation' : ''}
+                    </p>
+                    <FindingCard
+                      finding={finding}
+                      page={(finding.translation ? originalTranslationPages : originalPages)[finding.page]}
+                      choice={choices[index]}
+                      onChoose={(choice) => setChoices((current) => current.map((existing, i) => (i === index ? choice : existing)))}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <h2 className="text-xl font-bold mb-4">The story as your children will read it</h2>
+            <div className="bg-amber-50 text-gray-800 rounded-2xl p-6 space-y-4 mb-8">
+              {reviewedPages.map((page, index) => (
+                <p key={index} className="font-serif leading-relaxed">{page}</p>
+              ))}
+            </div>
+
+            {error && <p className="text-red-400 text-sm mb-4">{error}</p>}
+            <div className="flex flex-wrap gap-3 justify-end">
+              <button
+                type="button"
+                onClick={handleDiscard}
+                disabled={saving}
+                className="px-4 py-2 rounded-lg text-sm font-medium bg-gray-700 text-gray-200 hover:bg-red-500 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                Discard story
+              </button>
+              <button
+                type="button"
+                onClick={handleApprove}
+                disabled={saving}
+                className="px-4 py-2 rounded-lg text-sm font-medium bg-green-500 text-white hover:bg-green-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                {saving ? 'Saving...' : '✓ Approve for reading'}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StoryReview;
@@ -0,0 +1,177 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { fetchStoryVersions, parseTimestamp } from "./api";
+import { formatDate, useI18n } from "./i18n";
+import { getLength, getStoryTheme, getStoryType } from "./storyOptions";
+import { getStoryTitle } from "./StoryReader";
+import { diffStoryTexts } from "./textDiff";
+
+// Version history of a remixed story: any two versions side by side, with the
+// words that differ highlighted.
+
+const selectClassName = "w-full px-3 py-2 text-sm rounded-lg bg-gray-800 border border-gray-600 text-white focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500";
+
+const versionLabel = (story, language) =>
+  `Version ${story.version} · ${getStoryTitle(story)} · ${formatDate(parseTimestamp(story.created_at), language)}`;
+
+// The version the current one is compared against by default: the one it was
+// remixed from, or failing that the one before it.
+const defaultBaseId = (versions, current) => {
+  if (current.remix_of && versions.some((version) => version.id === current.remix_of)) return current.remix_of;
+  const index = versions.findIndex((version) => version.id === current.id);
+  return versions[Math.max(index - 1, 0)].id;
+};
+
+const VersionSummary = ({ story }) => {
+  const theme = getStoryTheme(story);
+  const storyType = getStoryType(story.story_type);
+  const length = getLength(story.length);
+  const ingredients = story.special_ingredients || [];
+
+  return (
+    <div className="flex flex-wrap gap-2 text-xs mb-4">
+      <span className="px-2 py-1 rounded-full bg-gray-700 text-gray-200">{theme.icon} {theme.title}</span>
+      {storyType && (
+        <span className="px-2 py-1 rounded-full bg-gray-700 text-gray-200">{storyType.icon} {storyType.title}</span>
+      )}
+      {length && (
+        <span className="px-2 py-1 rounded-full bg-gray-700 text-gray-200">{length.icon} {length.title}</span>
+      )}
+      {ingredients.map((ingredient) => (
+        <span key={ingredient} className="px-2 py-1 rounded-full bg-gray-700 text-gray-200">✨ {ingredient}</span>
+      ))}
+    </div>
+  );
+};
+
+const VersionColumn = ({ label, story, versions, language, onSelect, paragraphs, highlightClassName }) => (
+  <div className="min-w-0">
+    <label className="block text-sm font-medium text-gray-300 mb-2">
+      {label}
+      <select value={story.id} onChange={(e) => onSelect(e.target.value)} className={`${selectClassName} mt-1`}>
+        {versions.map((version) => (
+          <option key={version.id} value={version.id}>{versionLabel(version, language)}</option>
+        ))}
+      </select>
+    </label>
+    <div className="bg-gray-800 border border-gray-700 rounded-2xl p-5">
+      <div className="flex items-baseline justify-between gap-3 mb-2">
+        <h2 className="text-lg font-bold text-white">{getStoryTitle(story)}</h2>
+        <Link to={`/app/story/${story.id}`} className="text-sm text-green-400 hover:text-green-300 whitespace-nowrap">
+          Read
+        </Link>
+      </div>
+      <VersionSummary story={story} />
+      <div className="space-y-3 font-serif leading-relaxed text-gray-200">
+        {paragraphs.map((paragraph, index) => (
+          <p key={index}>
+            {paragraph.map(({ word, changed }, wordIndex) => (
+              <span key={wordIndex}>
+                {wordIndex > 0 && ' '}
+                {changed ? <span className={highlightClassName}>{word}</span> : word}
+              </span>
+            ))}
+          </p>
+        ))}
+      </div>
+    </div>
+  </div>
+);
+
+const StoryVersions = () => {
+  const { id } = useParams();
+  const { language } = useI18n();
+  const [versions, setVersions] = useState(null);
+  const [error, setError] = useState(null);
+  const [baseId, setBaseId] = useState(null);
+  const [compareId, setCompareId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setVersions(null);
+    setError(null);
+
+    fetchStoryVersions(id)
+      .then((data) => {
+        if (cancelled) return;
+        const current = data.find((version) => version.id === id) || data[data.length - 1];
+        setVersions(data);
+        setBaseId(defaultBaseId(data, current));
+        setCompareId(current.id);
+      })
+      .catch((err) => {
+        console.error('Error loading story versions:', err);
+        if (!cancelled) {
+          setError(err.status === 404 ? 'We couldn\'t find that story.' : 'Something went wrong while loading the versions.');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  const base = versions && versions.find((version) => version.id === baseId);
+  const compared = versions && versions.find((version) => version.id === compareId);
+  const diff = useMemo(
+    () => (base && compared ? diffStoryTexts(base.story_content, compared.story_content) : null),
+    [base, compared]
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white px-4 py-6">
+      <div className="max-w-6xl mx-auto flex items-center justify-between mb-6">
+        <Link to={`/app/story/${id}`} className="flex items-center text-gray-400 hover:text-white transition-colors">
+          <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+          </svg>
+          Back to story
+        </Link>
+        <Link to="/app/library" className="text-sm text-gray-400 hover:text-white transition-colors">
+          My Library
+        </Link>
+      </div>
+
+      <div className="max-w-6xl mx-auto">
+        <h1 className="text-3xl font-bold mb-2">Version history</h1>
+        <p className="text-gray-400 mb-8">
+          Compare two versions of this story. Words only in the left one are red; words only in the right one are green.
+        </p>
+
+        {error && <p className="text-red-400">{error}</p>}
+
+        {!error && !diff && (
+          <div className="flex flex-col items-center justify-center mt-24 text-gray-300">
+            <div className="text-5xl mb-4 animate-pulse">🕘</div>
+            <p>Loading versions...</p>
+          </div>
+        )}
+
+        {diff && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <VersionColumn
+              label="Compare"
+              story={base}
+              versions={versions}
+              language={language}
+              onSelect={setBaseId}
+              paragraphs={diff.before}
+              highlightClassName="bg-red-900 text-red-200 line-through rounded px-0.5"
+            />
+            <VersionColumn
+              label="With"
+              story={compared}
+              versions={versions}
+              language={language}
+              onSelect={setCompareId}
+              paragraphs={diff.after}
+              highlightClassName="bg-green-900 text-green-200 rounded px-0.5"
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StoryVersions;
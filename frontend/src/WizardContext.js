@@ -0,0 +1,415 @@
+import { createContext, useContext, useEffect, useMemo, useReducer } from "react";
+import { Navigate } from "react-router-dom";
+import { generateRequestId } from "./api";
+import { useAuth } from "./AuthContext";
+import { getAgeLevel, getAgeLevelForAge } from "./storyOptions";
+
+// Single source of truth for the story wizard (kid details -> theme ->
+// customization -> creation). The state is persisted to localStorage under a
+// versioned schema so a draft survives reloads and is shared between tabs.
+
+const STORAGE_KEY = 'storybook.wizard';
+export const WIZARD_SCHEMA_VERSION = 3;
+export const MAX_KIDS = 4;
+export const MAX_KID_PHOTOS = 3;
+
+// Keys written by the wizard before it had a store of its own.
+const LEGACY_KEYS = ['kidData', 'selectedTheme', 'storyCustomization', 'storyRequestId'];
+
+export const wizardSteps = [
+  { id: 'kid-details', path: '/app/kid-details' },
+  { id: 'theme-selection', path: '/app/theme-selection' },
+  { id: 'story-customization', path: '/app/story-customization' },
+  { id: 'story-creation', path: '/app/story-creation' }
+];
+
+export const createKid = (fields = {}) => ({
+  id: generateRequestId(),
+  name: '',
+  age: '',
+  photos: [],
+  pronouns: 'they',
+  appearance: '',
+  profileId: null, // Id of the child profile saved on the family, if the kid came from one
+  ...fields
+});
+
+export const createInitialWizardState = () => ({
+  version: WIZARD_SCHEMA_VERSION,
+  kids: [createKid()],
+  theme: '',
+  customTheme: null,
+  // language '' follows the interface language until the story is created
+  customization: { storyType: '', length: '', specialIngredients: [], language: '', translationLanguage: '' },
+  remix: null, // { storyId, title } of the story being remixed into a new version
+  series: null, // { id, title, episode } of the series the story will be the next episode of
+  requestId: null,
+  updatedAt: null
+});
+
+const isString = (value) => typeof value === 'string';
+
+const sanitizeCustomTheme = (customTheme) => {
+  if (!customTheme || !isString(customTheme.name) || !isString(customTheme.description)) return null;
+  return {
+    ...customTheme,
+    places: Array.isArray(customTheme.places) ? customTheme.places.filter(isString) : []
+  };
+};
+
+// Coerces anything read from storage into a well-formed state, dropping
+// fields of the wrong type rather than trusting them.
+const sanitizeWizardState = (raw) => {
+  const initial = createInitialWizardState();
+  if (!raw || typeof raw !== 'object') return initial;
+
+  const kids = Array.isArray(raw.kids) ? raw.kids.filter((kid) => kid && typeof kid === 'object') : [];
+  const customization = raw.customization || {};
+
+  return {
+    version: WIZARD_SCHEMA_VERSION,
+    kids: kids.length > 0
+      ? kids.slice(0, MAX_KIDS).map((kid) => ({
+        id: isString(kid.id) ? kid.id : generateRequestId(),
+        name: isString(kid.name) ? kid.name : '',
+        age: isString(kid.age) ? kid.age : '',
+        photos: Array.isArray(kid.photos) ? kid.photos.filter(isString).slice(0, MAX_KID_PHOTOS) : [],
+        pronouns: ['she', 'he', 'they'].includes(kid.pronouns) ? kid.pronouns : 'they',
+        appearance: isString(kid.appearance) ? kid.appearance : '',
+        profileId: isString(kid.profileId) ? kid.profileId : null
+      }))
+      : initial.kids,
+    theme: isString(raw.theme) ? raw.theme : '',
+    customTheme: sanitizeCustomTheme(raw.customTheme),
+    customization: {
+      storyType: isString(customization.storyType) ? customization.storyType : '',
+      length: isString(customization.length) ? customization.length : '',
+      specialIngredients: Array.isArray(customization.specialIngredients)
+        ? customization.specialIngredients.filter(isString)
+        : [],
+      language: isString(customization.language) ? customization.language : '',
+      translationLanguage: isString(customization.translationLanguage) ? customization.translationLanguage : ''
+    },
+    remix: raw.remix && isString(raw.remix.storyId)
+      ? { storyId: raw.remix.storyId, title: isString(raw.remix.title) ? raw.remix.title : '' }
+      : null,
+    series: raw.series && isString(raw.series.id)
+      ? {
+        id: raw.series.id,
+        title: isString(raw.series.title) ? raw.series.title : '',
+        episode: Number.isInteger(raw.series.episode) ? raw.series.episode : null
+      }
+      : null,
+    requestId: isString(raw.requestId) ? raw.requestId : null,
+    updatedAt: isString(raw.updatedAt) ? raw.updatedAt : null
+  };
+};
+
+// Upgrades older persisted shapes one version at a time. Add an entry here
+// whenever WIZARD_SCHEMA_VERSION is bumped.
+const migrations = {
+  // v1 kept a single kid whose name field could hold several comma
+  // separated names; split those into one kid each.
+  1: (state) => {
+    const kid = state.kid || {};
+    const names = isString(kid.name) ? kid.name.split(',').map((name) => name.trim()).filter(Boolean) : [];
+    const kids = (names.length > 0 ? names : ['']).map((name, index) => createKid({
+      name,
+      age: isString(kid.age) ? kid.age : '',
+      photo: index === 0 && isString(kid.photo) ? kid.photo : null
+    }));
+    const { kid: _legacyKid, ...rest } = state;
+    return { ...rest, version: 2, kids };
+  },
+  // v2 kept one full-size photo per kid; v3 keeps a list of cropped,
+  // downscaled reference photos with the primary one first.
+  2: (state) => ({
+    ...state,
+    version: 3,
+    kids: (state.kids || []).map(({ photo, ...kid }) => ({ ...kid, photos: isString(photo) ? [photo] : [] }))
+  })
+};
+
+const migrateWizardState = (raw) => {
+  let state = raw;
+  while (state && state.version < WIZARD_SCHEMA_VERSION && migrations[state.version]) {
+    state = migrations[state.version](state);
+  }
+  if (!state || state.version !== WIZARD_SCHEMA_VERSION) return null;
+  return state;
+};
+
+const readLegacySessionState = () => {
+  try {
+    const kidData = sessionStorage.getItem('kidData');
+    const selectedTheme = sessionStorage.getItem('selectedTheme');
+    const customization = sessionStorage.getItem('storyCustomization');
+    if (!kidData && !selectedTheme && !customization) return null;
+
+    return migrateWizardState({
+      version: 1,
+      kid: JSON.parse(kidData || '{}'),
+      theme: selectedTheme || '',
+      customization: JSON.parse(customization || '{}'),
+      requestId: sessionStorage.getItem('storyRequestId')
+    });
+  } catch (error) {
+    console.warn('Ignoring unreadable legacy wizard data:', error);
+    return null;
+  }
+};
+
+export const loadWizardState = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored) {
+      const migrated = migrateWizardState(JSON.parse(stored));
+      if (migrated) return sanitizeWizardState(migrated);
+    }
+  } catch (error) {
+    console.warn('Ignoring unreadable wizard draft:', error);
+  }
+
+  const legacy = readLegacySessionState();
+  LEGACY_KEYS.forEach((key) => sessionStorage.removeItem(key));
+  return sanitizeWizardState(legacy);
+};
+
+const withoutPhotos = (state) => ({ ...state, kids: state.kids.map((kid) => ({ ...kid, photos: [] })) });
+
+// keepPhotos is the family's setting: when it is off, photos stay in memory
+// for this story only and never reach the browser's storage.
+const saveWizardState = (state, keepPhotos) => {
+  const serialized = JSON.stringify(keepPhotos ? state : withoutPhotos(state));
+  // Skipping identical writes also stops tabs from echoing each other's
+  // storage events back and forth.
+  if (localStorage.getItem(STORAGE_KEY) === serialized) return;
+
+  try {
+    localStorage.setItem(STORAGE_KEY, serialized);
+  } catch (error) {
+    // A quota error caused by the photos. Keep the rest of the draft rather
+    // than losing everything.
+    console.warn('Could not persist the full wizard draft, saving it without photos:', error);
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(withoutPhotos(state)));
+    } catch (retryError) {
+      console.error('Could not persist the wizard draft:', retryError);
+    }
+  }
+};
+
+// A draft filled in from a saved story, so a remix or the next episode of a
+// series starts from the same children, theme and choices.
+const createDraftFromStory = (story) => {
+  const characters = story.characters && story.characters.length > 0
+    ? story.characters
+    : [{ name: story.kid_name, age: story.kid_age, photo: story.kid_photo }];
+
+  return {
+    ...createInitialWizardState(),
+    kids: characters.slice(0, MAX_KIDS).map((character) => {
+      const ageLevel = getAgeLevel(character.age_band) || getAgeLevelForAge(character.age);
+      const photos = character.photos && character.photos.length > 0 ? character.photos : [character.photo];
+      return createKid({
+        name: character.name,
+        age: ageLevel ? ageLevel.value : '',
+        photos: photos.filter(isString).slice(0, MAX_KID_PHOTOS),
+        pronouns: ['she', 'he', 'they'].includes(character.pronouns) ? character.pronouns : 'they',
+        appearance: character.appearance || '',
+        profileId: isString(character.profile_id) ? character.profile_id : null
+      });
+    }),
+    theme: story.theme,
+    customTheme: story.theme === 'custom' ? sanitizeCustomTheme(story.custom_theme) : null,
+    customization: {
+      storyType: story.story_type,
+      length: story.length,
+      specialIngredients: story.special_ingredients || [],
+      language: story.language || '',
+      translationLanguage: story.translation_language || ''
+    }
+  };
+};
+
+const createRemixState = (story, title) => ({ ...createDraftFromStory(story), remix: { storyId: story.id, title } });
+
+// The series' character bible brings back what earlier episodes found, so the
+// next episode starts without special ingredients of its own.
+const createNextEpisodeState = (latestEpisode, series, episode) => {
+  const draft = createDraftFromStory(latestEpisode);
+  return {
+    ...draft,
+    customization: { ...draft.customization, specialIngredients: [] },
+    series: { id: series.id, title: series.title, episode }
+  };
+};
+
+const isBlankKid = (kid) => !kid.name.trim() && !kid.age && kid.photos.length === 0;
+
+const touch = (state) => ({ ...state, updatedAt: new Date().toISOString() });
+
+export const wizardReducer = (state, action) => {
+  switch (action.type) {
+    case 'ADD_KID': {
+      const kid = createKid(action.kid);
+      // A saved child takes the place of an untouched card before adding another.
+      const blankIndex = action.kid ? state.kids.findIndex(isBlankKid) : -1;
+      if (blankIndex >= 0) {
+        return touch({ ...state, kids: state.kids.map((k, index) => (index === blankIndex ? kid : k)), requestId: null });
+      }
+      if (state.kids.length >= MAX_KIDS) return state;
+      return touch({ ...state, kids: [...state.kids, kid], requestId: null });
+    }
+    case 'UPDATE_KID':
+      return touch({
+        ...state,
+        kids: state.kids.map((kid) => (kid.id === action.id ? { ...kid, ...action.kid } : kid)),
+        requestId: null
+      });
+    // Photos deleted from the family's data go from the draft too: every
+    // photo, or only those of one saved child, who is no longer saved.
+    case 'CLEAR_PHOTOS':
+      return touch({
+        ...state,
+        kids: state.kids.map((kid) => {
+          if (action.profileId === null) return { ...kid, photos: [] };
+          return kid.profileId === action.profileId ? { ...kid, photos: [], profileId: null } : kid;
+        }),
+        requestId: null
+      });
+    case 'REMOVE_KID':
+      if (state.kids.length <= 1) return state;
+      return touch({ ...state, kids: state.kids.filter((kid) => kid.id !== action.id), requestId: null });
+    case 'SET_THEME':
+      return touch({
+        ...state,
+        theme: action.theme,
+        customTheme: action.theme === 'custom' ? action.customTheme : null,
+        requestId: null
+      });
+    case 'UPDATE_CUSTOMIZATION':
+      return touch({ ...state, customization: { ...state.customization, ...action.customization }, requestId: null });
+    case 'START_GENERATION':
+      return touch({ ...state, requestId: action.requestId });
+    case 'START_FROM_STORY':
+      return touch(action.state);
+    case 'HYDRATE':
+      return action.state;
+    case 'RESET':
+      return createInitialWizardState();
+    default:
+      return state;
+  }
+};
+
+export const isWizardStepComplete = (state, stepId) => {
+  switch (stepId) {
+    case 'kid-details':
+      return state.kids.length > 0 && state.kids.every((kid) => kid.name.trim() && kid.age);
+    case 'theme-selection':
+      return Boolean(state.theme && (state.theme !== 'custom' || state.customTheme));
+    case 'story-customization':
+      return Boolean(state.customization.storyType && state.customization.length);
+    case 'story-creation':
+      return false;
+    default:
+      return false;
+  }
+};
+
+// The first step whose prerequisites are not yet filled in; used both to
+// guard deep links and to resume a draft.
+export const getFirstIncompleteStep = (state) =>
+  wizardSteps.find((step) => !isWizardStepComplete(state, step.id)) || wizardSteps[wizardSteps.length - 1];
+
+// Where "resume your draft" should land: the first unfinished step, or the
+// creation screen if the story was already requested.
+export const getResumePath = (state) => {
+  const step = getFirstIncompleteStep(state);
+  if (step.id === 'story-creation' && !state.requestId) {
+    return '/app/story-customization';
+  }
+  return step.path;
+};
+
+export const hasWizardDraft = (state) =>
+  Boolean(state.kids.some((kid) => kid.name || kid.photos.length > 0) || state.theme || state.customization.storyType);
+
+const WizardContext = createContext(null);
+
+export const WizardProvider = ({ children }) => {
+  const { family, status } = useAuth();
+  const [state, dispatch] = useReducer(wizardReducer, undefined, loadWizardState);
+  // Until the family has loaded, photos are left out to be safe.
+  const keepPhotos = Boolean(family && family.keep_photos);
+
+  useEffect(() => {
+    saveWizardState(state, keepPhotos);
+  }, [state, keepPhotos]);
+
+  // A draft belongs to the family that started it. However the session ends,
+  // signing out or a token that stopped working, the next family on this
+  // browser starts from scratch.
+  useEffect(() => {
+    if (status === 'signed-out') dispatch({ type: 'RESET' });
+  }, [status]);
+
+  // Keep other open tabs in step with this one.
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key !== STORAGE_KEY) return;
+      dispatch({ type: 'HYDRATE', state: loadWizardState() });
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  const actions = useMemo(() => ({
+    addKid: (kid) => dispatch({ type: 'ADD_KID', kid }),
+    updateKid: (id, kid) => dispatch({ type: 'UPDATE_KID', id, kid }),
+    removeKid: (id) => dispatch({ type: 'REMOVE_KID', id }),
+    clearPhotos: (profileId = null) => dispatch({ type: 'CLEAR_PHOTOS', profileId }),
+    setTheme: (theme, customTheme = null) => dispatch({ type: 'SET_THEME', theme, customTheme }),
+    updateCustomization: (customization) => dispatch({ type: 'UPDATE_CUSTOMIZATION', customization }),
+    startGeneration: () => dispatch({ type: 'START_GENERATION', requestId: generateRequestId() }),
+    startRemix: (story, title) => dispatch({ type: 'START_FROM_STORY', state: createRemixState(story, title) }),
+    startNextEpisode: (latestEpisode, series, episode) =>
+      dispatch({ type: 'START_FROM_STORY', state: createNextEpisodeState(latestEpisode, series, episode) }),
+    resetWizard: () => dispatch({ type: 'RESET' })
+  }), []);
+
+  const value = useMemo(() => ({ state, ...actions }), [state, actions]);
+
+  return <WizardContext.Provider value={value}>{children}</WizardContext.Provider>;
+};
+
+export const useWizard = () => {
+  const context = useContext(WizardContext);
+  if (!context) {
+    throw new Error('useWizard must be used inside a WizardProvider');
+  }
+  return context;
+};
+
+// Renders a wizard step only once every earlier step is complete, otherwise
+// redirects to the first step that still needs input.
+export const WizardStepGuard = ({ step, children }) => {
+  const { state } = useWizard();
+  const stepIndex = wizardSteps.findIndex((candidate) => candidate.id === step);
+  const missing = wizardSteps
+    .slice(0, stepIndex)
+    .find((candidate) => !isWizardStepComplete(state, candidate.id));
+
+  if (missing) {
+    return <Navigate to={missing.path} replace />;
+  }
+
+  // Creation also needs a request id so refreshes resume the same story.
+  if (step === 'story-creation' && !state.requestId) {
+    return <Navigate to="/app/story-customization" replace />;
+  }
+
+  return children;
+};
@@ -0,0 +1,188 @@
+export const BACKEND_URL = process.env.REACT_APP_BACKEND_URL;
+
+// The signed-in family's access token, sent with every request. Set by the
+// AuthProvider, which also registers what to do when the server rejects it.
+let authToken = null;
+let handleUnauthorized = null;
+
+export const setAuthToken = (token) => {
+  authToken = token;
+};
+
+export const setUnauthorizedHandler = (handler) => {
+  handleUnauthorized = handler;
+};
+
+// Thin wrapper around fetch for the /api routes: sends and parses JSON (or
+// returns a Blob for downloads) and turns non-2xx responses into errors
+// carrying the HTTP status.
+export const apiRequest = async (path, { method = 'GET', body, headers = {}, responseType = 'json' } = {}) => {
+  const token = authToken;
+  const response = await fetch(`${BACKEND_URL}/api${path}`, {
+    method,
+    headers: {
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers,
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+
+  const data = responseType === 'blob' && response.ok
+    ? await response.blob()
+    : await response.json().catch(() => null);
+
+  // An expired or revoked session signs the family out.
+  if (response.status === 401 && token && token === authToken && handleUnauthorized) {
+    handleUnauthorized();
+  }
+
+  if (!response.ok) {
+    const error = new Error((data && data.detail) || `Request failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return data;
+};
+
+export const signUp = ({ email, password, name }) =>
+  apiRequest('/auth/signup', { method: 'POST', body: { email, password, name } });
+
+export const logIn = ({ email, password }) => apiRequest('/auth/login', { method: 'POST', body: { email, password } });
+
+export const fetchCurrentFamily = () => apiRequest('/auth/me');
+
+// Saves only the fields sent: name and keep_photos.
+export const updateFamily = (changes) => apiRequest('/family', { method: 'PATCH', body: changes });
+
+// Adds a child profile, or replaces the saved one when it has an id.
+export const saveChildProfile = (child) =>
+  child.id
+    ? apiRequest(`/family/children/${encodeURIComponent(child.id)}`, { method: 'PUT', body: child })
+    : apiRequest('/family/children', { method: 'POST', body: child });
+
+// Removes a saved child and their photos from every story; with
+// `deleteStories` their stories are deleted as well.
+export const deleteChildProfile = (childId, { deleteStories = false } = {}) =>
+  apiRequest(`/family/children/${encodeURIComponent(childId)}${deleteStories ? '?delete_stories=true' : ''}`, {
+    method: 'DELETE'
+  });
+
+// What is stored for the family: its saved children and every story, with
+// how many photos and pictures each one holds.
+export const fetchPrivacySummary = () => apiRequest('/privacy');
+
+// All of the family's data as a ZIP Blob of JSON files and images.
+export const exportFamilyData = () => apiRequest('/privacy/export', { responseType: 'blob' });
+
+export const deleteAllPhotos = () => apiRequest('/privacy/photos', { method: 'DELETE' });
+
+export const fetchStory = (storyId) => apiRequest(`/stories/${encodeURIComponent(storyId)}`);
+
+// Lists leave out photos and pictures; fetch a single story for those.
+export const fetchStories = () => apiRequest('/stories');
+
+export const deleteStory = (storyId) => apiRequest(`/stories/${encodeURIComponent(storyId)}`, { method: 'DELETE' });
+
+// Saves an edited story. `revision` is the one the edit started from; the
+// server answers 409 if the story has been saved since.
+export const saveStoryEdits = (storyId, { title, storyContent, translationContent = null, illustrations, revision }) =>
+  apiRequest(`/stories/${encodeURIComponent(storyId)}`, {
+    method: 'PUT',
+    body: { title, story_content: storyContent, translation_content: translationContent, illustrations, revision }
+  });
+
+export const revertStory = (storyId) =>
+  apiRequest(`/stories/${encodeURIComponent(storyId)}/revert`, { method: 'POST' });
+
+// Stories waiting for a parent's review, oldest first.
+export const fetchReviewQueue = () => apiRequest('/reviews');
+
+// Lets a story under review be read. `storyContent` is the story with the
+// parent's choice for each flagged passage; leave it out to keep it as is.
+export const approveStory = (storyId, storyContent = null, translationContent = null) =>
+  apiRequest(`/stories/${encodeURIComponent(storyId)}/approve`, {
+    method: 'POST',
+    body: { story_content: storyContent, translation_content: translationContent }
+  });
+
+// Every version of the story a story belongs to, oldest first.
+export const fetchStoryVersions = (storyId) => apiRequest(`/stories/${encodeURIComponent(storyId)}/versions`);
+
+export const fetchAllSeries = () => apiRequest('/series');
+
+export const fetchSeries = (seriesId) => apiRequest(`/series/${encodeURIComponent(seriesId)}`);
+
+// The series' stories in episode order.
+export const fetchSeriesEpisodes = (seriesId) => apiRequest(`/series/${encodeURIComponent(seriesId)}/episodes`);
+
+// Starts a series; a finished `storyId` becomes its first episode and fills
+// the character bible.
+export const createSeries = ({ title, storyId = null }) =>
+  apiRequest('/series', { method: 'POST', body: { title, story_id: storyId } });
+
+export const updateSeries = (seriesId, changes) =>
+  apiRequest(`/series/${encodeURIComponent(seriesId)}`, { method: 'PATCH', body: changes });
+
+export const deleteSeries = (seriesId) =>
+  apiRequest(`/series/${encodeURIComponent(seriesId)}`, { method: 'DELETE' });
+
+// Creates a read-only link to a story, opened at /s/:token. Both options
+// are optional: `expiresInDays` (1-365) and a `password` to open it.
+export const createShareLink = (storyId, { expiresInDays = null, password = '' } = {}) =>
+  apiRequest(`/stories/${encodeURIComponent(storyId)}/shares`, {
+    method: 'POST',
+    body: { expires_in_days: expiresInDays, password: password || null }
+  });
+
+export const fetchStoryShareLinks = (storyId) => apiRequest(`/stories/${encodeURIComponent(storyId)}/shares`);
+
+export const fetchShareLinks = () => apiRequest('/shares');
+
+export const revokeShareLink = (linkId) => apiRequest(`/shares/${encodeURIComponent(linkId)}`, { method: 'DELETE' });
+
+// Opens a shared story without signing in. Fails with status 403 when the
+// link needs a password (or it was wrong) and 410 once it has expired or
+// been revoked.
+export const openSharedStory = (token, password = null) =>
+  apiRequest(`/shared/${encodeURIComponent(token)}`, { method: 'POST', body: { password } });
+
+export const getShareUrl = (link) => `${window.location.origin}/s/${link.token}`;
+
+// A link is active until it expires or is revoked.
+export const isShareLinkActive = (link) =>
+  !link.revoked && (!link.expires_at || parseTimestamp(link.expires_at) > new Date());
+
+// Draws a new picture for the story paragraph at `page` and returns it.
+export const regenerateIllustration = (storyId, page) =>
+  apiRequest(`/stories/${encodeURIComponent(storyId)}/illustrations/${page}`, { method: 'POST' });
+
+// The backend stores naive UTC datetimes, so timestamps come back without a
+// zone designator; treat them as UTC rather than local time.
+export const parseTimestamp = (value) => {
+  if (!value) return null;
+  const hasZone = /([zZ]|[+-]\d{2}:?\d{2})$/.test(value);
+  return new Date(hasZone ? value : `${value}Z`);
+};
+
+export const createStory = (storyRequest) => apiRequest('/stories', { method: 'POST', body: storyRequest });
+
+export const fetchGenerationJob = (jobId) => apiRequest(`/jobs/${encodeURIComponent(jobId)}`);
+
+export const retryGenerationJob = (jobId) =>
+  apiRequest(`/jobs/${encodeURIComponent(jobId)}/retry`, { method: 'POST' });
+
+export const generateRequestId = () => {
+  if (window.crypto && window.crypto.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+export const fetchCustomThemes = () => apiRequest('/custom-themes');
+
+export const saveCustomTheme = (customTheme) => apiRequest('/custom-themes', { method: 'POST', body: customTheme });
+
+export const deleteCustomTheme = (themeId) =>
+  apiRequest(`/custom-themes/${encodeURIComponent(themeId)}`, { method: 'DELETE' });
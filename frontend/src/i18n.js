@@ -0,0 +1,102 @@
+import { Fragment, createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+import en from "./locales/en";
+import es from "./locales/es";
+import ar from "./locales/ar";
+
+// Interface language: translation catalogs, the reader's choice (kept in
+// localStorage) and the page direction for right-to-left languages.
+//
+// Catalogs are nested by screen and looked up with dotted keys, e.g.
+// t('home.headline'). "{name}" in a message is replaced with vars.name, which
+// may be a React element. A message may instead be an object of plural forms
+// ({ one, other, ... }) picked with vars.count. Anything missing from a
+// catalog falls back to English.
+
+const STORAGE_KEY = 'storybook.language';
+
+export const LANGUAGES = [
+  { id: 'en', label: 'English', dir: 'ltr', catalog: en },
+  { id: 'es', label: 'Español', dir: 'ltr', catalog: es },
+  { id: 'ar', label: 'العربية', dir: 'rtl', catalog: ar }
+];
+
+const getLanguage = (id) => LANGUAGES.find((language) => language.id === id);
+
+const readStoredLanguage = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (getLanguage(stored)) return stored;
+  } catch (error) {
+    // Fall through to the browser's languages.
+  }
+  const preferred = (navigator.languages || [navigator.language || 'en'])
+    .map((tag) => tag.split('-')[0])
+    .find((code) => getLanguage(code));
+  return preferred || 'en';
+};
+
+const lookup = (catalog, key) =>
+  key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), catalog);
+
+const interpolate = (message, vars) => {
+  const parts = message.split(/\{(\w+)\}/).map((part, index) => (
+    index % 2 === 1 ? (vars[part] !== undefined && vars[part] !== null ? vars[part] : '') : part
+  ));
+  if (parts.every((part) => typeof part === 'string' || typeof part === 'number')) return parts.join('');
+  return parts.map((part, index) => <Fragment key={index}>{part}</Fragment>);
+};
+
+export const translate = (languageId, key, vars = {}) => {
+  const language = getLanguage(languageId) || LANGUAGES[0];
+  let message = lookup(language.catalog, key);
+  if (message === undefined) message = lookup(en, key);
+  if (message === undefined) return key;
+  if (typeof message === 'object') {
+    const form = new Intl.PluralRules(language.id).select(vars.count);
+    message = message[form] !== undefined ? message[form] : message.other;
+  }
+  return interpolate(message, vars);
+};
+
+// e.g. "12 Mar 2025" in English, "12 mar 2025" in Spanish
+export const formatDate = (date, languageId) =>
+  date ? date.toLocaleDateString(languageId, { year: 'numeric', month: 'short', day: 'numeric' }) : '';
+
+// "Mia, Leo and Sam" in English, "Mia, Leo y Sam" in Spanish
+export const formatList = (items, languageId) =>
+  new Intl.ListFormat(languageId, { style: 'long', type: 'conjunction' }).format(items);
+
+const I18nContext = createContext(null);
+
+export const I18nProvider = ({ children }) => {
+  const [language, setLanguageState] = useState(readStoredLanguage);
+  const dir = getLanguage(language).dir;
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+    document.documentElement.dir = dir;
+  }, [language, dir]);
+
+  const setLanguage = useCallback((id) => {
+    if (!getLanguage(id)) return;
+    setLanguageState(id);
+    try {
+      localStorage.setItem(STORAGE_KEY, id);
+    } catch (error) {
+      console.error('Error saving the language:', error);
+    }
+  }, []);
+
+  const t = useCallback((key, vars) => translate(language, key, vars), [language]);
+
+  const value = useMemo(() => ({ language, dir, setLanguage, t }), [language, dir, setLanguage, t]);
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export const useI18n = () => {
+  const context = useContext(I18nContext);
+  if (!context) {
+    throw new Error('useI18n must be used inside an I18nProvider');
+  }
+  return context;
+};
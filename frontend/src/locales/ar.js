@@ -0,0 +1,149 @@
+// Arabic interface messages, with the same keys as en.js. Arabic is written
+// right to left; i18n.js sets the page direction.
+
+const ar = {
+  languagePicker: {
+    label: 'اللغة'
+  },
+  steps: {
+    kidDetails: 'بيانات الطفل',
+    kidDetailsSub: 'صور ومعلومات',
+    theme: 'الموضوع',
+    themeSub: 'مكان القصة',
+    specs: 'تفاصيل القصة',
+    specsSub: 'تخصيص',
+    creating: 'صناعة السحر',
+    creatingSub: 'إنشاء بالذكاء الاصطناعي'
+  },
+  home: {
+    headline: 'اصنع لحظات سحرية',
+    description: 'قصص مصوّرة رائعة أبطالها أطفالك',
+    start: 'ابدأ مغامرتك',
+    library: 'افتح مكتبتي',
+    signIn: 'تسجيل الدخول',
+    createAccount: 'إنشاء حساب',
+    unfinished: '✏️ لديك قصة لم تكتمل. هل تريد المتابعة من حيث توقفت؟',
+    unfinishedFor: '✏️ لديك قصة لم تكتمل لـ {names}. هل تريد المتابعة من حيث توقفت؟',
+    resume: 'متابعة المسودة',
+    startOver: 'البدء من جديد'
+  },
+  kidDetails: {
+    title: 'حدّثنا عن صغارك!',
+    subtitle: 'أضف كل طفل سيكون بطلًا في القصة، مع صورة لجعلها خاصة به',
+    photosNotKept: '🔒 تُستخدم الصور لصنع هذه القصة فقط ولا تُحفظ أبدًا.',
+    whoIsIn: 'من في هذه القصة؟',
+    child: 'الطفل {number}',
+    inFamily: '✓ في ملف عائلتك',
+    saveToFamily: '☆ حفظ في العائلة',
+    saveToFamilyError: 'تعذّر حفظ هذا الطفل في ملف عائلتك. يُرجى المحاولة مرة أخرى.',
+    remove: 'إزالة',
+    photos: 'ارفع صور طفلك',
+    photosLimit: '(حتى {count})',
+    addPhoto: 'انقر لإضافة صورة أخرى',
+    dropPhoto: 'اسحب صورة وأفلتها هنا',
+    browsePhotos: 'أو انقر لتصفح الملفات',
+    mainPhoto: 'الصورة الرئيسية',
+    makeMainPhoto: 'اجعلها الصورة الرئيسية',
+    removePhoto: 'إزالة الصورة',
+    notAnImage: 'يُرجى اختيار ملف صورة',
+    imageTooLarge: 'يجب أن يكون حجم الصورة أقل من 20 ميغابايت',
+    kid: 'طفل',
+    camera: 'كاميرا',
+    name: 'اسم الطفل',
+    namePlaceholder: 'اكتب اسم طفلك',
+    ageLevel: 'الفئة العمرية',
+    ageRange: '{range} سنوات',
+    pronouns: 'الضمائر في القصة',
+    pronounOptions: {
+      she: 'هي',
+      he: 'هو',
+      they: 'هم'
+    },
+    appearance: 'كيف يبدو',
+    appearanceHint: '(اختياري، للرسومات)',
+    appearancePlaceholder: 'مثلًا: شعر بني مجعّد، نمش، نظارة خضراء مستديرة',
+    addChild: '+ إضافة طفل آخر',
+    continue: 'متابعة'
+  },
+  startingPoint: {
+    remixing: 'إعادة صياغة {title}. غيّر ما تشاء؛ ستبقى القصة الأصلية كما هي.',
+    episode: 'الحلقة {episode} من {title}. يعود في هذه القصة الأصدقاء والأماكن والكنوز من دليل الشخصيات.',
+    startFresh: 'البدء من الصفر'
+  },
+  themeSelection: {
+    title: 'اختر موضوعًا سحريًا',
+    subtitle: 'اختر الخلفية المثالية لمغامرة قصتك',
+    back: 'رجوع',
+    next: 'الخطوة التالية'
+  },
+  themes: {
+    forest: { title: 'مغامرة في الغابة', description: 'استكشف غابات سحرية مع حيوانات تتكلم' },
+    space: { title: 'استكشاف الفضاء', description: 'سافر عبر المجرات وتعرّف على أصدقاء من الفضاء' },
+    ocean: { title: 'اكتشاف المحيط', description: 'غُص عميقًا واكتشف كنوز ما تحت الماء' },
+    castle: { title: 'المملكة السحرية', description: 'فرسان وأميرات وممالك سحرية' },
+    dinosaur: { title: 'عالم الديناصورات', description: 'تعرّف على ديناصورات لطيفة في عصور ما قبل التاريخ' },
+    custom: { title: 'موضوع خاص...', description: 'اصنع عالمك السحري الخاص' }
+  },
+  customization: {
+    title: 'خصّص قصتك!',
+    subtitle: 'لنجعل مغامرتك مثالية لك!',
+    adventureImage: 'مشهد مغامرة',
+    treasureImage: 'خريطة كنز',
+    storyType: 'ما نوع القصة التي تريدها؟',
+    length: 'ما الطول الذي تريده لقصتك؟',
+    ingredients: 'أضف بعض المكونات السحرية! (اختر ما يعجبك)',
+    language: 'بأي لغة تريد القصة؟',
+    bilingual: 'جنبًا إلى جنب مع لغة أخرى',
+    oneLanguage: 'لغة واحدة فقط',
+    bilingualHint: 'تعرض كل صفحة القصة باللغتين.',
+    back: 'العودة إلى المواضيع',
+    create: 'اصنع قصتي!'
+  },
+  storyTypes: {
+    adventure: { title: 'قصة مغامرة', description: 'مهمات شجاعة ورحلات مثيرة!' },
+    educational: { title: 'قصة تعليمية', description: 'معلومات ممتعة واكتشافات رائعة!' },
+    treasure: { title: 'البحث عن الكنز', description: 'اعثر على كنوز مخفية وحُلّ الألغاز!' },
+    friendship: { title: 'حكاية صداقة', description: 'تعرّف على أصدقاء جدد وساعدوا بعضكم!' }
+  },
+  lengths: {
+    short: { title: 'قصة سريعة', subtitle: '5 دقائق' },
+    medium: { title: 'قصة متوسطة', subtitle: '10 دقائق' },
+    long: { title: 'قصة ملحمية', subtitle: 'أكثر من 15 دقيقة' }
+  },
+  ingredients: {
+    magicSpells: 'تعاويذ سحرية',
+    talkingAnimals: 'حيوانات تتكلم',
+    hiddenTreasures: 'كنوز مخفية',
+    flyingVehicles: 'مركبات طائرة',
+    secretDoors: 'أبواب سرية',
+    friendlyMonsters: 'وحوش لطيفة',
+    timeTravel: 'السفر عبر الزمن',
+    superheroPowers: 'قوى خارقة'
+  },
+  storyLanguages: {
+    en: 'الإنجليزية',
+    es: 'الإسبانية'
+  },
+  creation: {
+    title: 'نصنع قصتك',
+    stages: {
+      queued: 'بانتظار رواة القصص لدينا...',
+      preparing: 'نجمع المكونات السحرية...',
+      writing: 'نكتب قصتك الفريدة...',
+      checking: 'نتأكد أنها مناسبة تمامًا لقارئك...',
+      illustrating: 'نضيف رسومات جميلة...',
+      saving: 'نضع اللمسات الأخيرة...',
+      complete: 'قصتك جاهزة!'
+    },
+    wait: 'يُرجى الانتظار بينما نصنع شيئًا سحريًا من أجلك...',
+    ready: '🎉 قصتك جاهزة! 🎉',
+    tryAgain: 'حاول مرة أخرى',
+    startError: 'تعذّر بدء قصتك. يُرجى التحقق من اتصالك والمحاولة مرة أخرى.',
+    lostTrack: 'فقدنا أثر قصتك أثناء إنشائها.',
+    failedWith: 'حدث خطأ ما: {error}',
+    failed: 'حدث خطأ ما أثناء إنشاء قصتك.',
+    retryError: 'تعذّر إعادة تشغيل قصتك. يُرجى المحاولة بعد قليل.'
+  }
+};
+
+export default ar;
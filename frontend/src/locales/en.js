@@ -0,0 +1,149 @@
+// English interface messages. The other catalogs have the same shape; see
+// i18n.js for how keys, {placeholders} and plural forms work.
+
+const en = {
+  languagePicker: {
+    label: 'Language'
+  },
+  steps: {
+    kidDetails: 'Kid Details',
+    kidDetailsSub: 'Photos & Info',
+    theme: 'Theme',
+    themeSub: 'Story Setting',
+    specs: 'Story Specs',
+    specsSub: 'Customize',
+    creating: 'Creating Magic',
+    creatingSub: 'AI Generation'
+  },
+  home: {
+    headline: 'Create magic moments',
+    description: 'Wonderful Illustrated stories all about your children',
+    start: 'Start your adventure',
+    library: 'Open my library',
+    signIn: 'Sign in',
+    createAccount: 'Create account',
+    unfinished: '✏️ You have an unfinished story. Pick up where you left off?',
+    unfinishedFor: '✏️ You have an unfinished story for {names}. Pick up where you left off?',
+    resume: 'Resume draft',
+    startOver: 'Start over'
+  },
+  kidDetails: {
+    title: 'Tell Us About Your Little Ones!',
+    subtitle: 'Add each child who should star in the story, with a photo to personalize it',
+    photosNotKept: '🔒 Photos are only used to make this story and are never saved.',
+    whoIsIn: 'Who\'s in this story?',
+    child: 'Child {number}',
+    inFamily: '✓ In your family profile',
+    saveToFamily: '☆ Save to family',
+    saveToFamilyError: 'We couldn\'t save this child to your family profile. Please try again.',
+    remove: 'Remove',
+    photos: 'Upload Kid\'s Photos',
+    photosLimit: '(up to {count})',
+    addPhoto: 'Click to add another photo',
+    dropPhoto: 'Drag & drop a photo here',
+    browsePhotos: 'or click to browse files',
+    mainPhoto: 'Main photo',
+    makeMainPhoto: 'Make this the main photo',
+    removePhoto: 'Remove photo',
+    notAnImage: 'Please select an image file',
+    imageTooLarge: 'Image size must be less than 20MB',
+    kid: 'Kid',
+    camera: 'Camera',
+    name: 'Kid\'s Name',
+    namePlaceholder: 'Enter your child\'s name',
+    ageLevel: 'Age Level',
+    ageRange: '{range} years',
+    pronouns: 'Pronouns in the story',
+    pronounOptions: {
+      she: 'She / her',
+      he: 'He / him',
+      they: 'They / them'
+    },
+    appearance: 'What they look like',
+    appearanceHint: '(optional, for the pictures)',
+    appearancePlaceholder: 'e.g. curly brown hair, freckles, round green glasses',
+    addChild: '+ Add another child',
+    continue: 'Continue'
+  },
+  startingPoint: {
+    remixing: 'Remixing {title}. Change anything you like; the original stays as it is.',
+    episode: 'Episode {episode} of {title}. Friends, places and treasures from the character bible come back in this story.',
+    startFresh: 'Start fresh'
+  },
+  themeSelection: {
+    title: 'Choose a Magical Theme',
+    subtitle: 'Select the perfect backdrop for your story adventure',
+    back: 'Back',
+    next: 'Next Step'
+  },
+  themes: {
+    forest: { title: 'Adventure in Forest', description: 'Explore magical woods with talking animals' },
+    space: { title: 'Space Exploration', description: 'Journey through galaxies and meet alien friends' },
+    ocean: { title: 'Ocean Discovery', description: 'Dive deep and discover underwater treasures' },
+    castle: { title: 'Magical Kingdom', description: 'Knights, princesses, and magical kingdoms' },
+    dinosaur: { title: 'Dinosaur World', description: 'Meet friendly dinosaurs in prehistoric times' },
+    custom: { title: 'Custom Theme...', description: 'Create your own magical world' }
+  },
+  customization: {
+    title: 'Customize Your Story!',
+    subtitle: 'Let\'s make your adventure perfect for you!',
+    adventureImage: 'Adventure Scene',
+    treasureImage: 'Treasure Map',
+    storyType: 'What kind of story do you want?',
+    length: 'How long should your story be?',
+    ingredients: 'Add some magical ingredients! (Pick any you like)',
+    language: 'Which language should the story be in?',
+    bilingual: 'Side by side with another language',
+    oneLanguage: 'Only one language',
+    bilingualHint: 'Every page shows the story in both languages.',
+    back: 'Back to Themes',
+    create: 'Create My Story!'
+  },
+  storyTypes: {
+    adventure: { title: 'Adventure Story', description: 'Brave quests and exciting journeys!' },
+    educational: { title: 'Learning Story', description: 'Fun facts and cool discoveries!' },
+    treasure: { title: 'Treasure Hunt', description: 'Find hidden treasures and solve puzzles!' },
+    friendship: { title: 'Friendship Tale', description: 'Meet new friends and help each other!' }
+  },
+  lengths: {
+    short: { title: 'Quick Story', subtitle: '5 minutes' },
+    medium: { title: 'Medium Story', subtitle: '10 minutes' },
+    long: { title: 'Epic Story', subtitle: '15+ minutes' }
+  },
+  ingredients: {
+    magicSpells: 'Magic spells',
+    talkingAnimals: 'Talking animals',
+    hiddenTreasures: 'Hidden treasures',
+    flyingVehicles: 'Flying vehicles',
+    secretDoors: 'Secret doors',
+    friendlyMonsters: 'Friendly monsters',
+    timeTravel: 'Time travel',
+    superheroPowers: 'Superhero powers'
+  },
+  storyLanguages: {
+    en: 'English',
+    es: 'Spanish'
+  },
+  creation: {
+    title: 'Creating Your Story',
+    stages: {
+      queued: 'Waiting for our storytellers...',
+      preparing: 'Gathering magical ingredients...',
+      writing: 'Creating your unique story...',
+      checking: 'Making sure it\'s just right for your reader...',
+      illustrating: 'Adding beautiful illustrations...',
+      saving: 'Adding final touches...',
+      complete: 'Your story is ready!'
+    },
+    wait: 'Please wait while we create something magical just for you...',
+    ready: '🎉 Your story is ready! 🎉',
+    tryAgain: 'Try again',
+    startError: 'We couldn\'t start your story. Please check your connection and try again.',
+    lostTrack: 'We lost track of your story while it was being created.',
+    failedWith: 'Something went wrong: {error}',
+    failed: 'Something went wrong while creating your story.',
+    retryError: 'We couldn\'t restart your story. Please try again in a moment.'
+  }
+};
+
+export default en;
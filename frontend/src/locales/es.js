@@ -0,0 +1,148 @@
+// Spanish interface messages, with the same keys as en.js.
+
+const es = {
+  languagePicker: {
+    label: 'Idioma'
+  },
+  steps: {
+    kidDetails: 'Los peques',
+    kidDetailsSub: 'Fotos y datos',
+    theme: 'Tema',
+    themeSub: 'Escenario',
+    specs: 'Detalles',
+    specsSub: 'Personalizar',
+    creating: 'Creando magia',
+    creatingSub: 'Generación con IA'
+  },
+  home: {
+    headline: 'Crea momentos mágicos',
+    description: 'Cuentos ilustrados maravillosos protagonizados por tus hijos',
+    start: 'Empieza tu aventura',
+    library: 'Abrir mi biblioteca',
+    signIn: 'Iniciar sesión',
+    createAccount: 'Crear cuenta',
+    unfinished: '✏️ Tienes un cuento sin terminar. ¿Quieres seguir donde lo dejaste?',
+    unfinishedFor: '✏️ Tienes un cuento sin terminar para {names}. ¿Quieres seguir donde lo dejaste?',
+    resume: 'Seguir con el borrador',
+    startOver: 'Empezar de nuevo'
+  },
+  kidDetails: {
+    title: '¡Háblanos de tus peques!',
+    subtitle: 'Añade a cada niño o niña que protagonizará el cuento, con una foto para personalizarlo',
+    photosNotKept: '🔒 Las fotos solo se usan para crear este cuento y nunca se guardan.',
+    whoIsIn: '¿Quién sale en este cuento?',
+    child: 'Peque {number}',
+    inFamily: '✓ En tu perfil familiar',
+    saveToFamily: '☆ Guardar en la familia',
+    saveToFamilyError: 'No hemos podido guardar a este peque en tu perfil familiar. Inténtalo de nuevo.',
+    remove: 'Quitar',
+    photos: 'Sube fotos de tu peque',
+    photosLimit: '(hasta {count})',
+    addPhoto: 'Haz clic para añadir otra foto',
+    dropPhoto: 'Arrastra y suelta una foto aquí',
+    browsePhotos: 'o haz clic para buscar archivos',
+    mainPhoto: 'Foto principal',
+    makeMainPhoto: 'Usar como foto principal',
+    removePhoto: 'Quitar foto',
+    notAnImage: 'Elige un archivo de imagen',
+    imageTooLarge: 'La imagen debe pesar menos de 20 MB',
+    kid: 'Peque',
+    camera: 'Cámara',
+    name: 'Nombre',
+    namePlaceholder: 'Escribe el nombre de tu peque',
+    ageLevel: 'Edad',
+    ageRange: '{range} años',
+    pronouns: 'Pronombres en el cuento',
+    pronounOptions: {
+      she: 'Ella',
+      he: 'Él',
+      they: 'Elle'
+    },
+    appearance: 'Cómo es',
+    appearanceHint: '(opcional, para los dibujos)',
+    appearancePlaceholder: 'p. ej. pelo castaño rizado, pecas, gafas redondas verdes',
+    addChild: '+ Añadir otro peque',
+    continue: 'Continuar'
+  },
+  startingPoint: {
+    remixing: 'Remezclando {title}. Cambia lo que quieras; el original se queda como está.',
+    episode: 'Episodio {episode} de {title}. Los amigos, lugares y tesoros de la biblia de personajes vuelven en este cuento.',
+    startFresh: 'Empezar de cero'
+  },
+  themeSelection: {
+    title: 'Elige un tema mágico',
+    subtitle: 'Escoge el escenario perfecto para tu aventura',
+    back: 'Atrás',
+    next: 'Siguiente'
+  },
+  themes: {
+    forest: { title: 'Aventura en el bosque', description: 'Explora bosques mágicos con animales que hablan' },
+    space: { title: 'Exploración espacial', description: 'Viaja entre galaxias y conoce amigos extraterrestres' },
+    ocean: { title: 'Descubre el océano', description: 'Bucea hasta el fondo y descubre tesoros submarinos' },
+    castle: { title: 'Reino mágico', description: 'Caballeros, princesas y reinos mágicos' },
+    dinosaur: { title: 'Mundo de dinosaurios', description: 'Conoce dinosaurios amistosos en tiempos prehistóricos' },
+    custom: { title: 'Tema propio...', description: 'Crea tu propio mundo mágico' }
+  },
+  customization: {
+    title: '¡Personaliza tu cuento!',
+    subtitle: '¡Hagamos que tu aventura sea perfecta para ti!',
+    adventureImage: 'Escena de aventura',
+    treasureImage: 'Mapa del tesoro',
+    storyType: '¿Qué tipo de cuento quieres?',
+    length: '¿Cómo de largo debe ser el cuento?',
+    ingredients: '¡Añade ingredientes mágicos! (Elige los que quieras)',
+    language: '¿En qué idioma quieres el cuento?',
+    bilingual: 'Junto a otro idioma',
+    oneLanguage: 'Solo un idioma',
+    bilingualHint: 'Cada página muestra el cuento en los dos idiomas.',
+    back: 'Volver a los temas',
+    create: '¡Crear mi cuento!'
+  },
+  storyTypes: {
+    adventure: { title: 'Cuento de aventuras', description: '¡Misiones valientes y viajes emocionantes!' },
+    educational: { title: 'Cuento para aprender', description: '¡Datos curiosos y grandes descubrimientos!' },
+    treasure: { title: 'Búsqueda del tesoro', description: '¡Encuentra tesoros escondidos y resuelve enigmas!' },
+    friendship: { title: 'Cuento de amistad', description: '¡Haz nuevos amigos y ayudaos entre todos!' }
+  },
+  lengths: {
+    short: { title: 'Cuento corto', subtitle: '5 minutos' },
+    medium: { title: 'Cuento mediano', subtitle: '10 minutos' },
+    long: { title: 'Cuento épico', subtitle: 'Más de 15 minutos' }
+  },
+  ingredients: {
+    magicSpells: 'Hechizos mágicos',
+    talkingAnimals: 'Animales que hablan',
+    hiddenTreasures: 'Tesoros escondidos',
+    flyingVehicles: 'Vehículos voladores',
+    secretDoors: 'Puertas secretas',
+    friendlyMonsters: 'Monstruos simpáticos',
+    timeTravel: 'Viajes en el tiempo',
+    superheroPowers: 'Superpoderes'
+  },
+  storyLanguages: {
+    en: 'Inglés',
+    es: 'Español'
+  },
+  creation: {
+    title: 'Creando tu cuento',
+    stages: {
+      queued: 'Esperando a nuestros cuentacuentos...',
+      preparing: 'Reuniendo ingredientes mágicos...',
+      writing: 'Escribiendo tu cuento único...',
+      checking: 'Comprobando que es justo lo que tu peque necesita...',
+      illustrating: 'Añadiendo ilustraciones preciosas...',
+      saving: 'Dando los últimos retoques...',
+      complete: '¡Tu cuento está listo!'
+    },
+    wait: 'Espera mientras creamos algo mágico solo para ti...',
+    ready: '🎉 ¡Tu cuento está listo! 🎉',
+    tryAgain: 'Reintentar',
+    startError: 'No hemos podido empezar tu cuento. Comprueba tu conexión e inténtalo de nuevo.',
+    lostTrack: 'Hemos perdido la pista de tu cuento mientras se creaba.',
+    failedWith: 'Algo ha salido mal: {error}',
+    failed: 'Algo ha salido mal al crear tu cuento.',
+    retryError: 'No hemos podido reiniciar tu cuento. Inténtalo de nuevo en un momento.'
+  }
+};
+
+export default es;
@@ -0,0 +1,275 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+
+// Read-aloud support for the story reader. Speech comes from the browser's
+// Speech Synthesis API; the current word is tracked from its boundary events
+// where the voice provides them and estimated from the speaking rate where it
+// doesn't, so highlighting, captions and page turns also work when muted.
+
+const SETTINGS_KEY = 'storybook.narration';
+
+// Average read-aloud speed for children's books at rate 1.
+const BASE_WORDS_PER_MINUTE = 140;
+// Pause before auto-turning to the next page.
+const PAGE_PAUSE_MS = 900;
+
+export const defaultNarrationSettings = {
+  voiceURI: '',
+  rate: 0.9,
+  pitch: 1,
+  autoTurn: true,
+  muted: false,
+  captions: true
+};
+
+export const isSpeechSupported = () =>
+  typeof window !== 'undefined' && 'speechSynthesis' in window && typeof window.SpeechSynthesisUtterance === 'function';
+
+export const loadNarrationSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+    return { ...defaultNarrationSettings, ...stored };
+  } catch (error) {
+    console.warn('Ignoring unreadable narration settings:', error);
+    return { ...defaultNarrationSettings };
+  }
+};
+
+export const saveNarrationSettings = (settings) => {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn('Could not save narration settings:', error);
+  }
+};
+
+// Splits text into words with their character offsets. Word boundaries are
+// runs of non-whitespace, matching how the reader splits paragraphs into
+// highlightable words.
+export const tokenizeWords = (text) =>
+  Array.from((text || '').matchAll(/\S+/g), (match) => ({
+    word: match[0],
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+
+const endsSentence = (word) => /[.!?]["'”’)]*$/.test(word);
+
+// The [start, end) word range of the sentence containing `wordIndex`.
+export const findSentence = (words, wordIndex) => {
+  let start = wordIndex;
+  while (start > 0 && !endsSentence(words[start - 1].word)) start -= 1;
+  let end = wordIndex;
+  while (end < words.length - 1 && !endsSentence(words[end].word)) end += 1;
+  return { start, end: end + 1 };
+};
+
+// Estimated time to say a word: longer words take longer and sentence ends
+// get a short breath.
+const estimateWordDuration = (word, rate) => {
+  const base = 60000 / (BASE_WORDS_PER_MINUTE * rate);
+  const lengthFactor = Math.min(2, Math.max(0.6, word.length / 5));
+  return base * lengthFactor * (endsSentence(word) ? 1.6 : 1);
+};
+
+export const useSpeechVoices = () => {
+  const [voices, setVoices] = useState(() => (isSpeechSupported() ? window.speechSynthesis.getVoices() : []));
+
+  useEffect(() => {
+    if (!isSpeechSupported()) return undefined;
+    const synth = window.speechSynthesis;
+    // Most browsers load voices asynchronously and announce them with this event.
+    const updateVoices = () => setVoices(synth.getVoices());
+    updateVoices();
+    synth.addEventListener('voiceschanged', updateVoices);
+    return () => synth.removeEventListener('voiceschanged', updateVoices);
+  }, []);
+
+  return voices;
+};
+
+// Narrates `text` and reports which word is being read. `onFinished` is
+// called (after a short pause) once the text has been read; the caller
+// decides whether to move on, in which case narration continues with the new
+// text, or to stop. `lang` is the language the text is written in, so the
+// browser can pick a matching default voice.
+export const useNarration = ({ text, lang, settings, onFinished }) => {
+  const words = useMemo(() => tokenizeWords(text), [text]);
+  const [status, setStatus] = useState('idle'); // idle | playing | paused
+  const [wordIndex, setWordIndex] = useState(-1);
+  const statusRef = useRef(status);
+  const settingsRef = useRef(settings);
+  const langRef = useRef(lang);
+  const onFinishedRef = useRef(onFinished);
+
+  useEffect(() => {
+    statusRef.current = status;
+    settingsRef.current = settings;
+    langRef.current = lang;
+    onFinishedRef.current = onFinished;
+  });
+
+  // One "run" reads one text. Callbacks from speech events and timers check
+  // that their run is still current, so a cancelled run can't move the
+  // highlight or turn the page.
+  const engine = useMemo(() => {
+    let current = null;
+
+    const clearTimer = (run) => {
+      if (run.timer) {
+        clearTimeout(run.timer);
+        run.timer = null;
+      }
+    };
+
+    const setRunIndex = (run, index) => {
+      run.index = index;
+      setWordIndex(index);
+    };
+
+    const finish = (run) => {
+      if (current !== run) return;
+      clearTimer(run);
+      run.speaking = false;
+      run.finished = true;
+      setWordIndex(-1);
+      run.timer = setTimeout(() => {
+        run.timer = null;
+        if (current === run && onFinishedRef.current) onFinishedRef.current();
+      }, PAGE_PAUSE_MS);
+    };
+
+    // Advances the highlight on a timer; used while muted and for voices
+    // that never send word boundary events.
+    const scheduleWord = (run, index) => {
+      if (current !== run || run.boundarySeen) return;
+      if (index >= run.words.length) {
+        // Let the voice finish the last word; its end event finishes the run.
+        if (!run.speaking) finish(run);
+        return;
+      }
+      setRunIndex(run, index);
+      run.timer = setTimeout(() => {
+        run.timer = null;
+        scheduleWord(run, index + 1);
+      }, estimateWordDuration(run.words[index].word, settingsRef.current.rate));
+    };
+
+    const speak = (run) => {
+      const synth = window.speechSynthesis;
+      const currentSettings = settingsRef.current;
+      const utterance = new window.SpeechSynthesisUtterance(run.words.map((word) => word.word).join(' '));
+      // Offsets of the words within the utterance, which joins them with single spaces.
+      const offsets = [];
+      run.words.reduce((offset, word) => {
+        offsets.push(offset);
+        return offset + word.word.length + 1;
+      }, 0);
+
+      const voice = synth.getVoices().find((candidate) => candidate.voiceURI === currentSettings.voiceURI);
+      if (voice) utterance.voice = voice;
+      if (langRef.current) utterance.lang = langRef.current;
+      utterance.rate = currentSettings.rate;
+      utterance.pitch = currentSettings.pitch;
+
+      utterance.onboundary = (e) => {
+        if (current !== run || (e.name && e.name !== 'word')) return;
+        run.boundarySeen = true;
+        clearTimer(run);
+        let index = 0;
+        while (index + 1 < offsets.length && offsets[index + 1] <= e.charIndex) index += 1;
+        setRunIndex(run, index);
+      };
+      utterance.onend = () => finish(run);
+      utterance.onerror = (e) => {
+        if (current !== run || e.error === 'interrupted' || e.error === 'canceled') return;
+        console.warn('Speech synthesis failed, continuing with captions only:', e.error);
+        run.speaking = false;
+        run.boundarySeen = false;
+        if (!run.timer) scheduleWord(run, run.index + 1);
+      };
+
+      run.speaking = true;
+      // A paused synthesizer would queue the new utterance without speaking it.
+      synth.cancel();
+      synth.resume();
+      synth.speak(utterance);
+    };
+
+    const cancel = () => {
+      const run = current;
+      current = null;
+      if (!run) return;
+      clearTimer(run);
+      if (run.speaking) window.speechSynthesis.cancel();
+    };
+
+    const start = (runWords) => {
+      cancel();
+      const run = { words: runWords, index: -1, timer: null, speaking: false, boundarySeen: false, finished: false };
+      current = run;
+      setWordIndex(-1);
+
+      if (runWords.length === 0) {
+        finish(run);
+        return;
+      }
+      if (!settingsRef.current.muted && isSpeechSupported()) speak(run);
+      scheduleWord(run, 0);
+    };
+
+    const pause = () => {
+      if (!current) return;
+      clearTimer(current);
+      if (current.speaking) window.speechSynthesis.pause();
+    };
+
+    const resume = () => {
+      const run = current;
+      if (!run) return false;
+      if (run.finished) {
+        finish(run);
+      } else {
+        if (run.speaking) window.speechSynthesis.resume();
+        if (!run.boundarySeen && !run.timer) scheduleWord(run, run.index + 1);
+      }
+      return true;
+    };
+
+    return { start, pause, resume, cancel };
+  }, []);
+
+  const play = useCallback(() => {
+    if (!(statusRef.current === 'paused' && engine.resume())) {
+      engine.start(words);
+    }
+    setStatus('playing');
+  }, [engine, words]);
+
+  const pause = useCallback(() => {
+    if (statusRef.current !== 'playing') return;
+    engine.pause();
+    setStatus('paused');
+  }, [engine]);
+
+  const stop = useCallback(() => {
+    engine.cancel();
+    setWordIndex(-1);
+    setStatus('idle');
+  }, [engine]);
+
+  // New text (a page turn) while playing carries on reading; while paused
+  // or idle it just drops the old run.
+  useEffect(() => {
+    if (statusRef.current === 'playing') {
+      engine.start(words);
+      return;
+    }
+    engine.cancel();
+    setWordIndex(-1);
+    if (statusRef.current === 'paused') setStatus('idle');
+  }, [engine, words]);
+
+  useEffect(() => engine.cancel, [engine]);
+
+  return { words, wordIndex, status, play, pause, stop };
+};
@@ -0,0 +1,279 @@
+// In-browser photo preparation for the kid details step. Photos are decoded
+// upright (EXIF orientation applied), cropped, downscaled and re-encoded
+// before they are kept in the wizard draft or sent with a story request, so
+// a phone camera's 5MB original never leaves the browser.
+
+export const MAX_PHOTO_FILE_SIZE = 20 * 1024 * 1024;
+export const PHOTO_BYTE_BUDGET = 150 * 1024;
+
+export const cropShapes = [
+  { id: 'square', label: 'Square', aspect: 1 },
+  { id: 'portrait', label: 'Portrait', aspect: 3 / 4 }
+];
+
+export const MIN_ZOOM = 1;
+export const MAX_ZOOM = 3;
+
+// Long edge of the decoded image the cropper works on; keeps panning smooth
+// without visibly losing detail at the output size.
+const WORKING_LONG_EDGE = 2048;
+const OUTPUT_WIDTH = 768;
+const MIN_OUTPUT_WIDTH = 256;
+const ENCODE_QUALITIES = [0.88, 0.8, 0.7, 0.6, 0.5];
+
+const EXIF_ORIENTATION_TAG = 0x0112;
+
+const readOrientationFromExif = (view, start, length) => {
+  // "Exif\0\0" followed by a TIFF header.
+  if (length < 14 || start + length > view.byteLength || view.getUint32(start) !== 0x45786966) return 1;
+
+  const tiff = start + 6;
+  const littleEndian = view.getUint16(tiff) === 0x4949;
+  const ifd = tiff + view.getUint32(tiff + 4, littleEndian);
+  if (ifd + 2 > view.byteLength) return 1;
+
+  const entries = view.getUint16(ifd, littleEndian);
+  for (let i = 0; i < entries; i += 1) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > view.byteLength) return 1;
+    if (view.getUint16(entry, littleEndian) === EXIF_ORIENTATION_TAG) {
+      const orientation = view.getUint16(entry + 8, littleEndian);
+      return orientation >= 1 && orientation <= 8 ? orientation : 1;
+    }
+  }
+  return 1;
+};
+
+// The EXIF orientation (1-8) of a JPEG, or 1 for anything else.
+export const readExifOrientation = (buffer) => {
+  const view = new DataView(buffer);
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return 1;
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) return 1;
+
+    const size = view.getUint16(offset + 2);
+    if (marker === 0xFFE1) {
+      return readOrientationFromExif(view, offset + 4, size - 2);
+    }
+    offset += 2 + size;
+  }
+  return 1;
+};
+
+// Current browsers rotate images by their EXIF orientation on their own,
+// including when drawing to a canvas; older ones need us to do it.
+const browserAppliesOrientation = () =>
+  typeof CSS !== 'undefined' && typeof CSS.supports === 'function' && CSS.supports('image-orientation', 'from-image');
+
+const readFileAsArrayBuffer = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(file);
+  });
+
+const loadImage = (file) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('The file could not be decoded as an image'));
+    };
+    image.src = url;
+  });
+
+const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round(height));
+  return canvas;
+};
+
+const getContext = (canvas) => {
+  const context = canvas.getContext('2d');
+  context.imageSmoothingEnabled = true;
+  context.imageSmoothingQuality = 'high';
+  return context;
+};
+
+// Maps EXIF orientations to the canvas transform that draws the image
+// upright; `w` and `h` are the drawn (unrotated) image size.
+const orientationTransforms = {
+  2: (w) => [-1, 0, 0, 1, w, 0],
+  3: (w, h) => [-1, 0, 0, -1, w, h],
+  4: (w, h) => [1, 0, 0, -1, 0, h],
+  5: () => [0, 1, 1, 0, 0, 0],
+  6: (w, h) => [0, 1, -1, 0, h, 0],
+  7: (w, h) => [0, -1, -1, 0, h, w],
+  8: (w) => [0, -1, 1, 0, 0, w]
+};
+
+// Decodes a photo into an upright, moderately sized canvas for the cropper.
+export const decodePhoto = async (file) => {
+  const [buffer, image] = await Promise.all([readFileAsArrayBuffer(file), loadImage(file)]);
+  const orientation = browserAppliesOrientation() ? 1 : readExifOrientation(buffer);
+
+  const scale = Math.min(1, WORKING_LONG_EDGE / Math.max(image.naturalWidth, image.naturalHeight));
+  const width = Math.round(image.naturalWidth * scale);
+  const height = Math.round(image.naturalHeight * scale);
+  const swapsSides = orientation >= 5;
+
+  const canvas = swapsSides ? createCanvas(height, width) : createCanvas(width, height);
+  const context = getContext(canvas);
+  if (orientationTransforms[orientation]) {
+    context.transform(...orientationTransforms[orientation](width, height));
+  }
+  context.drawImage(image, 0, 0, width, height);
+  return canvas;
+};
+
+// Centre of the largest face in the image as fractions of its size, or null
+// when the browser has no FaceDetector (Shape Detection API) or finds none.
+export const detectFaceCenter = async (source) => {
+  if (typeof window.FaceDetector !== 'function') return null;
+
+  try {
+    const detector = new window.FaceDetector({ fastMode: true, maxDetectedFaces: 5 });
+    const faces = await detector.detect(source);
+    if (faces.length === 0) return null;
+
+    const { x, y, width, height } = faces
+      .map((face) => face.boundingBox)
+      .reduce((largest, box) => (box.width * box.height > largest.width * largest.height ? box : largest));
+    return { x: (x + width / 2) / source.width, y: (y + height / 2) / source.height };
+  } catch (error) {
+    console.warn('Face detection failed, centring the crop instead:', error);
+    return null;
+  }
+};
+
+const getRotatedSize = (source, rotation) =>
+  rotation % 180 === 0
+    ? { width: source.width, height: source.height }
+    : { width: source.height, height: source.width };
+
+// Size of the crop window in (rotated) image pixels: the largest rectangle
+// of the given aspect that fits, shrunk by the zoom factor.
+const getCropSize = (imageSize, aspect, zoom) => {
+  const width = Math.min(imageSize.width, imageSize.height * aspect) / zoom;
+  return { width, height: width / aspect };
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Keeps the crop window inside the image. `center` is expressed as fractions
+// of the rotated image so it survives zoom and shape changes.
+export const clampCrop = (source, crop) => {
+  const imageSize = getRotatedSize(source, crop.rotation);
+  const zoom = clamp(crop.zoom, MIN_ZOOM, MAX_ZOOM);
+  const cropSize = getCropSize(imageSize, crop.aspect, zoom);
+  const halfWidth = cropSize.width / imageSize.width / 2;
+  const halfHeight = cropSize.height / imageSize.height / 2;
+
+  return {
+    ...crop,
+    zoom,
+    center: {
+      x: clamp(crop.center.x, halfWidth, 1 - halfWidth),
+      y: clamp(crop.center.y, halfHeight, 1 - halfHeight)
+    }
+  };
+};
+
+// Starting crop: square, unzoomed, centred on `center` (e.g. a detected face).
+export const createCrop = (source, center = null) =>
+  clampCrop(source, {
+    aspect: cropShapes[0].aspect,
+    zoom: MIN_ZOOM,
+    rotation: 0,
+    center: center || { x: 0.5, y: 0.5 }
+  });
+
+// Rotates the crop a quarter turn clockwise, carrying the centre along.
+export const rotateCrop = (source, crop) =>
+  clampCrop(source, {
+    ...crop,
+    rotation: (crop.rotation + 90) % 360,
+    center: { x: 1 - crop.center.y, y: crop.center.x }
+  });
+
+// Moves the crop by a drag of (dx, dy) pixels on a preview `previewWidth` wide.
+export const panCrop = (source, crop, dx, dy, previewWidth) => {
+  const imageSize = getRotatedSize(source, crop.rotation);
+  const cropSize = getCropSize(imageSize, crop.aspect, crop.zoom);
+  const pixelsPerPreviewPixel = cropSize.width / previewWidth;
+
+  return clampCrop(source, {
+    ...crop,
+    center: {
+      x: crop.center.x - (dx * pixelsPerPreviewPixel) / imageSize.width,
+      y: crop.center.y - (dy * pixelsPerPreviewPixel) / imageSize.height
+    }
+  });
+};
+
+// Draws the cropped region of `source` so that it fills `target`, whose
+// size should already match the crop's aspect ratio.
+export const drawCrop = (source, crop, target) => {
+  const imageSize = getRotatedSize(source, crop.rotation);
+  const cropSize = getCropSize(imageSize, crop.aspect, crop.zoom);
+  const context = getContext(target);
+  const scale = target.width / cropSize.width;
+
+  context.save();
+  context.setTransform(1, 0, 0, 1, 0, 0);
+  // JPEG has no alpha; paint a background so transparent PNGs don't turn black.
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, target.width, target.height);
+
+  context.translate(target.width / 2, target.height / 2);
+  context.scale(scale, scale);
+  context.translate(
+    imageSize.width / 2 - crop.center.x * imageSize.width,
+    imageSize.height / 2 - crop.center.y * imageSize.height
+  );
+  context.rotate((crop.rotation * Math.PI) / 180);
+  context.drawImage(source, -source.width / 2, -source.height / 2);
+  context.restore();
+};
+
+const supportsWebp = () => createCanvas(1, 1).toDataURL('image/webp').startsWith('data:image/webp');
+
+// Decoded size of a base64 data URL's payload.
+const dataUrlBytes = (dataUrl) => Math.ceil(((dataUrl.length - dataUrl.indexOf(',') - 1) * 3) / 4);
+
+// Encodes the canvas as WebP (JPEG where WebP encoding is unsupported),
+// lowering the quality and then the resolution until it fits the budget.
+export const encodeWithinBudget = (canvas, maxBytes = PHOTO_BYTE_BUDGET) => {
+  const type = supportsWebp() ? 'image/webp' : 'image/jpeg';
+  let current = canvas;
+  let dataUrl = null;
+
+  for (;;) {
+    for (const quality of ENCODE_QUALITIES) {
+      dataUrl = current.toDataURL(type, quality);
+      if (dataUrlBytes(dataUrl) <= maxBytes) return dataUrl;
+    }
+    if (current.width <= MIN_OUTPUT_WIDTH) return dataUrl;
+
+    const smaller = createCanvas(current.width * 0.75, current.height * 0.75);
+    getContext(smaller).drawImage(current, 0, 0, smaller.width, smaller.height);
+    current = smaller;
+  }
+};
+
+// Renders the final crop at output size and encodes it for storage.
+export const exportCrop = (source, crop) => {
+  const output = createCanvas(OUTPUT_WIDTH, OUTPUT_WIDTH / crop.aspect);
+  drawCrop(source, crop, output);
+  return encodeWithinBudget(output);
+};
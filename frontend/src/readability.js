@@ -0,0 +1,47 @@
+import { getAgeLevel, getAgeLevelForAge } from "./storyOptions";
+
+// Readability of a story's text, so parents can check it suits their child.
+// Uses the Flesch-Kincaid grade level and Flesch reading ease formulas with a
+// heuristic syllable count, which is accurate enough for short children's
+// stories in English.
+
+// Estimates syllables from vowel groups, ignoring a silent final "e".
+export const countSyllables = (word) => {
+  const cleaned = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!cleaned) return 0;
+  if (cleaned.length <= 3) return 1;
+
+  const trimmed = cleaned.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+  const groups = trimmed.match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 0);
+};
+
+export const scoreReadability = (text) => {
+  const body = (text || '').replace(/\bThe End\.?\s*$/i, '');
+  const sentences = body.split(/[.!?]+(?:["'”’)]*)(?:\s+|$)/).filter((sentence) => /[a-z]/i.test(sentence));
+  const words = body.match(/[A-Za-z][A-Za-z'’-]*/g) || [];
+  if (sentences.length === 0 || words.length === 0) return null;
+
+  const syllables = words.reduce((total, word) => total + countSyllables(word), 0);
+  const wordsPerSentence = words.length / sentences.length;
+  const syllablesPerWord = syllables / words.length;
+
+  return {
+    words: words.length,
+    sentences: sentences.length,
+    wordsPerSentence,
+    readingEase: 206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord,
+    gradeLevel: Math.max(0, 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59)
+  };
+};
+
+// How a story's grade level compares with the range expected for its age
+// band: 'easier', 'match' or 'harder'.
+export const getReadabilityFit = (score, ageLevel) => {
+  if (score.gradeLevel < ageLevel.readingGrade.min) return 'easier';
+  if (score.gradeLevel > ageLevel.readingGrade.max) return 'harder';
+  return 'match';
+};
+
+// Age band a saved story was written for; older stories only have kid_age.
+export const getStoryAgeLevel = (story) => getAgeLevel(story.age_band) || getAgeLevelForAge(story.kid_age);
@@ -0,0 +1,262 @@
+import { jsPDF } from "jspdf";
+import { getPageScenery, getStoryTheme } from "./storyOptions";
+import { paginateStory } from "./storyPages";
+import { getPageIllustration, getStoryCharacters, getStoryTitle } from "./StoryReader";
+
+// Client-side PDF export of a story as an A5 picture book: a cover, one page
+// per book page and a closing page. Backgrounds run to the paper edge; all
+// text and pictures stay inside SAFE_MARGIN so nothing is lost when a print
+// shop trims the pages or a home printer can't print edge to edge.
+
+const PAGE_FORMAT = 'a5';
+const SAFE_MARGIN = 14; // mm
+const PAPER_COLOR = '#fffbeb';
+const INK_COLOR = '#1f2937';
+const MUTED_COLOR = '#6b7280';
+const PT_TO_MM = 0.3528;
+const LINE_HEIGHT = 1.5;
+const BODY_FONT_SIZES = [15, 14, 13, 12, 11, 10];
+
+const loadImage = (src) =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Could not load image'));
+    image.src = src;
+  });
+
+// The PDF's built-in fonts can't draw emoji, so they go in as pictures.
+const renderEmoji = (items, size = 160) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = size * items.length;
+  canvas.height = size;
+  const context = canvas.getContext('2d');
+  context.font = `${Math.round(size * 0.8)}px "Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif`;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  items.forEach((item, index) => context.fillText(item, size * index + size / 2, size / 2));
+  return canvas.toDataURL('image/png');
+};
+
+// A round photo with a white ring, flattened onto the cover color so it can
+// be stored as a compact JPEG.
+const renderRoundPhoto = async (src, background, size = 600) => {
+  const image = await loadImage(src);
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext('2d');
+  const radius = size / 2;
+  const ring = size * 0.04;
+
+  context.fillStyle = background;
+  context.fillRect(0, 0, size, size);
+  context.fillStyle = '#ffffff';
+  context.beginPath();
+  context.arc(radius, radius, radius, 0, Math.PI * 2);
+  context.fill();
+
+  context.save();
+  context.beginPath();
+  context.arc(radius, radius, radius - ring, 0, Math.PI * 2);
+  context.clip();
+  const scale = Math.max(size / image.naturalWidth, size / image.naturalHeight);
+  const width = image.naturalWidth * scale;
+  const height = image.naturalHeight * scale;
+  context.drawImage(image, (size - width) / 2, (size - height) / 2, width, height);
+  context.restore();
+
+  return canvas.toDataURL('image/jpeg', 0.9);
+};
+
+// A page illustration cropped to fill the scenery band, like the reader's
+// object-cover. jsPDF can't embed SVG, so every picture is flattened to JPEG.
+const renderIllustration = async (src, aspectRatio, width = 1200) => {
+  const image = await loadImage(src);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = Math.round(width / aspectRatio);
+  const context = canvas.getContext('2d');
+  const scale = Math.max(canvas.width / image.naturalWidth, canvas.height / image.naturalHeight);
+  const drawWidth = image.naturalWidth * scale;
+  const drawHeight = image.naturalHeight * scale;
+  context.drawImage(image, (canvas.width - drawWidth) / 2, (canvas.height - drawHeight) / 2, drawWidth, drawHeight);
+  return canvas.toDataURL('image/jpeg', 0.9);
+};
+
+const fillPage = (doc, color) => {
+  doc.setFillColor(color);
+  doc.rect(0, 0, doc.internal.pageSize.getWidth(), doc.internal.pageSize.getHeight(), 'F');
+};
+
+const lineHeightFor = (fontSize) => fontSize * PT_TO_MM * LINE_HEIGHT;
+
+// Picks the largest body size at which every paragraph fits the text area.
+// Falls back to the smallest size if even that overflows.
+const layoutParagraphs = (doc, paragraphs, width, height) => {
+  const paragraphGap = 3;
+  let layout = null;
+  for (const fontSize of BODY_FONT_SIZES) {
+    doc.setFontSize(fontSize);
+    const blocks = paragraphs.map((paragraph) => doc.splitTextToSize(paragraph, width));
+    const lineCount = blocks.reduce((total, lines) => total + lines.length, 0);
+    layout = { fontSize, blocks, paragraphGap };
+    if (lineCount * lineHeightFor(fontSize) + paragraphGap * (blocks.length - 1) <= height) break;
+  }
+  return layout;
+};
+
+const drawPageNumber = (doc, number) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.setTextColor(MUTED_COLOR);
+  doc.text(String(number), pageWidth / 2, pageHeight - SAFE_MARGIN + 4, { align: 'center' });
+};
+
+const drawCover = async (doc, story, theme) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const contentWidth = pageWidth - SAFE_MARGIN * 2;
+  const photos = getStoryCharacters(story).filter((character) => character.photo);
+
+  fillPage(doc, theme.color);
+  doc.addImage(renderEmoji([theme.icon]), 'PNG', pageWidth / 2 - 9, SAFE_MARGIN + 4, 18, 18);
+
+  let y = SAFE_MARGIN + 34;
+  if (photos.length > 0) {
+    const size = photos.length > 1 ? Math.min(48, (contentWidth + 12 * (photos.length - 1)) / photos.length) : 64;
+    const overlap = photos.length > 1 ? 12 : 0;
+    const rowWidth = size * photos.length - overlap * (photos.length - 1);
+    let x = (pageWidth - rowWidth) / 2;
+    for (const character of photos) {
+      try {
+        doc.addImage(await renderRoundPhoto(character.photo, theme.color), 'JPEG', x, y, size, size);
+      } catch (error) {
+        console.warn(`Leaving ${character.name}'s photo out of the PDF:`, error);
+      }
+      x += size - overlap;
+    }
+    y += size + 16;
+  } else {
+    doc.addImage(renderEmoji(['📖']), 'PNG', pageWidth / 2 - 20, y, 40, 40);
+    y += 56;
+  }
+
+  doc.setTextColor('#ffffff');
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(24);
+  const titleLines = doc.splitTextToSize(getStoryTitle(story), contentWidth);
+  doc.text(titleLines, pageWidth / 2, y, { align: 'center', lineHeightFactor: 1.2 });
+  y += titleLines.length * 24 * PT_TO_MM * 1.2 + 4;
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(13);
+  doc.text(doc.splitTextToSize(theme.title, contentWidth), pageWidth / 2, y, { align: 'center' });
+
+  const pageHeight = doc.internal.pageSize.getHeight();
+  doc.setFontSize(10);
+  doc.text(`A story made for ${story.kid_name}`, pageWidth / 2, pageHeight - SAFE_MARGIN, { align: 'center' });
+};
+
+const drawScenery = (doc, page, theme, bandHeight) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const contentWidth = pageWidth - SAFE_MARGIN * 2;
+  doc.setFillColor(theme.color);
+  doc.roundedRect(SAFE_MARGIN, SAFE_MARGIN, contentWidth, bandHeight, 5, 5, 'F');
+  const sceneryHeight = 20;
+  const sceneryWidth = sceneryHeight * 3;
+  doc.addImage(
+    renderEmoji(getPageScenery(theme.id, page.number)),
+    'PNG',
+    (pageWidth - sceneryWidth) / 2,
+    SAFE_MARGIN + (bandHeight - sceneryHeight) / 2,
+    sceneryWidth,
+    sceneryHeight
+  );
+};
+
+const drawStoryPage = async (doc, page, theme, illustration) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - SAFE_MARGIN * 2;
+  const bandHeight = illustration ? 56 : 38;
+
+  fillPage(doc, PAPER_COLOR);
+  if (illustration) {
+    try {
+      const image = await renderIllustration(illustration.image, contentWidth / bandHeight);
+      doc.addImage(image, 'JPEG', SAFE_MARGIN, SAFE_MARGIN, contentWidth, bandHeight);
+    } catch (error) {
+      console.warn(`Using scenery instead of the picture on page ${page.number}:`, error);
+      drawScenery(doc, page, theme, bandHeight);
+    }
+  } else {
+    drawScenery(doc, page, theme, bandHeight);
+  }
+
+  let y = SAFE_MARGIN + bandHeight + 10;
+  if (page.chapter) {
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(9);
+    doc.setTextColor(MUTED_COLOR);
+    doc.text(page.chapter.toUpperCase(), SAFE_MARGIN, y, { charSpace: 0.8 });
+    y += 8;
+  }
+
+  // Leave room above the page number.
+  const textHeight = pageHeight - SAFE_MARGIN - 8 - y;
+  doc.setFont('times', 'normal');
+  doc.setTextColor(INK_COLOR);
+  const { fontSize, blocks, paragraphGap } = layoutParagraphs(doc, page.paragraphs, contentWidth, textHeight);
+  const lineHeight = lineHeightFor(fontSize);
+
+  y += fontSize * PT_TO_MM;
+  blocks.forEach((lines) => {
+    doc.text(lines, SAFE_MARGIN, y, { lineHeightFactor: LINE_HEIGHT });
+    y += lines.length * lineHeight + paragraphGap;
+  });
+};
+
+const drawEndPage = (doc, story, theme) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+
+  fillPage(doc, theme.color);
+  doc.addImage(renderEmoji(['🌟']), 'PNG', pageWidth / 2 - 14, pageHeight / 2 - 44, 28, 28);
+  doc.setTextColor('#ffffff');
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(30);
+  doc.text('The End', pageWidth / 2, pageHeight / 2 + 2, { align: 'center' });
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(12);
+  doc.text(
+    doc.splitTextToSize(`Thanks for reading, ${story.kid_name}!`, pageWidth - SAFE_MARGIN * 2),
+    pageWidth / 2,
+    pageHeight / 2 + 14,
+    { align: 'center' }
+  );
+};
+
+export const getExportFileName = (story) =>
+  `${getStoryTitle(story).replace(/[\\/:*?"<>|]+/g, '').trim() || 'story'}.pdf`;
+
+// Builds the PDF and hands it to the browser as a download.
+export const exportStoryPdf = async (story) => {
+  const doc = new jsPDF({ unit: 'mm', format: PAGE_FORMAT, orientation: 'portrait' });
+  const theme = getStoryTheme(story);
+  const pages = paginateStory(story.story_content);
+
+  doc.setProperties({ title: getStoryTitle(story), subject: theme.title, creator: 'Storybook' });
+
+  await drawCover(doc, story, theme);
+  for (const page of pages) {
+    doc.addPage();
+    await drawStoryPage(doc, page, theme, getPageIllustration(story, page));
+    drawPageNumber(doc, page.number);
+  }
+  doc.addPage();
+  drawEndPage(doc, story, theme);
+
+  doc.save(getExportFileName(story));
+};
@@ -0,0 +1,183 @@
+// Choices offered by the story wizard. Shared with the reader so a saved
+// story can be shown with the same icon and colors it was created with.
+
+export const themes = [
+  {
+    id: 'forest',
+    title: 'Adventure in Forest',
+    description: 'Explore magical woods with talking animals',
+    icon: '🌲',
+    bgColor: 'bg-green-600',
+    color: '#16a34a'
+  },
+  {
+    id: 'space',
+    title: 'Space Exploration', 
+    description: 'Journey through galaxies and meet alien friends',
+    icon: '🚀',
+    bgColor: 'bg-blue-600',
+    color: '#2563eb'
+  },
+  {
+    id: 'ocean',
+    title: 'Ocean Discovery',
+    description: 'Dive deep and discover underwater treasures', 
+    icon: '🌊',
+    bgColor: 'bg-cyan-600',
+    color: '#0891b2'
+  },
+  {
+    id: 'castle',
+    title: 'Magical Kingdom',
+    description: 'Knights, princesses, and magical kingdoms',
+    icon: '👑',
+    bgColor: 'bg-orange-600',
+    color: '#ea580c'
+  },
+  {
+    id: 'dinosaur',
+    title: 'Dinosaur World',
+    description: 'Meet friendly dinosaurs in prehistoric times',
+    icon: '🦕',
+    bgColor: 'bg-red-600',
+    color: '#dc2626'
+  },
+  {
+    id: 'custom',
+    title: 'Custom Theme...',
+    description: 'Create your own magical world',
+    icon: '✨',
+    bgColor: 'bg-purple-600',
+    color: '#9333ea'
+  }
+];
+
+export const storyTypes = [
+  { 
+    id: 'adventure', 
+    title: 'Adventure Story', 
+    description: 'Brave quests and exciting journeys!',
+    icon: '⚔️',
+    bgColor: 'bg-orange-500'
+  },
+  { 
+    id: 'educational', 
+    title: 'Learning Story', 
+    description: 'Fun facts and cool discoveries!',
+    icon: '🧠',
+    bgColor: 'bg-blue-500'
+  },
+  { 
+    id: 'treasure', 
+    title: 'Treasure Hunt', 
+    description: 'Find hidden treasures and solve puzzles!',
+    icon: '🗺️',
+    bgColor: 'bg-amber-600'
+  },
+  { 
+    id: 'friendship', 
+    title: 'Friendship Tale', 
+    description: 'Meet new friends and help each other!',
+    icon: '👫',
+    bgColor: 'bg-pink-500'
+  }
+];
+
+export const lengths = [
+  { id: 'short', title: 'Quick Story', subtitle: '5 minutes', icon: '⚡', bgColor: 'bg-green-500' },
+  { id: 'medium', title: 'Medium Story', subtitle: '10 minutes', icon: '📖', bgColor: 'bg-blue-500' },
+  { id: 'long', title: 'Epic Story', subtitle: '15+ minutes', icon: '📚', bgColor: 'bg-purple-500' }
+];
+
+// Color choices for user-built custom themes.
+export const themePalettes = [
+  { id: 'purple', label: 'Twilight', bgColor: 'bg-purple-600', color: '#9333ea' },
+  { id: 'pink', label: 'Candy', bgColor: 'bg-pink-600', color: '#db2777' },
+  { id: 'teal', label: 'Lagoon', bgColor: 'bg-teal-600', color: '#0d9488' },
+  { id: 'indigo', label: 'Midnight', bgColor: 'bg-indigo-600', color: '#4f46e5' },
+  { id: 'amber', label: 'Sunset', bgColor: 'bg-amber-600', color: '#d97706' },
+  { id: 'rose', label: 'Berry', bgColor: 'bg-rose-600', color: '#e11d48' },
+  { id: 'lime', label: 'Meadow', bgColor: 'bg-lime-600', color: '#65a30d' },
+  { id: 'sky', label: 'Cloud', bgColor: 'bg-sky-600', color: '#0284c7' }
+];
+
+export const customThemeIcons = ['✨', '🏝️', '🏔️', '🎪', '🍭', '🤖', '🧚', '🐉', '🏜️', '🌈', '🎃', '❄️'];
+
+export const getPalette = (paletteId) =>
+  themePalettes.find((palette) => palette.id === paletteId) || themePalettes[0];
+
+export const getTheme = (themeId) =>
+  themes.find((theme) => theme.id === themeId) || themes[themes.length - 1];
+
+// Little scene shown at the top of every page, built from the theme so each
+// story gets its own look even before real illustrations exist.
+const themeScenery = {
+  forest: ['🌳', '🦊', '🍄', '🦉', '🌲'],
+  space: ['🪐', '🌟', '🛸', '🌙', '☄️'],
+  ocean: ['🐠', '🐙', '🐚', '🐬', '🪸'],
+  castle: ['🏰', '🐉', '🛡️', '🦄', '⚔️'],
+  dinosaur: ['🦖', '🌋', '🦕', '🥚', '🌿'],
+  custom: ['✨', '🌈', '⭐', '🎈', '💫']
+};
+
+// Three scenery items for a page, rotated so consecutive pages don't look
+// identical.
+export const getPageScenery = (themeId, pageNumber) => {
+  const scenery = themeScenery[themeId] || themeScenery.custom;
+  const offset = pageNumber % scenery.length;
+  return [...scenery.slice(offset), ...scenery.slice(0, offset)].slice(0, 3);
+};
+
+// Theme for a saved story, using its custom theme definition when it has one.
+export const getStoryTheme = (story) => {
+  const theme = getTheme(story.theme);
+  const customTheme = story.custom_theme;
+  if (story.theme !== 'custom' || !customTheme) return theme;
+
+  return {
+    ...theme,
+    title: customTheme.name,
+    description: customTheme.description,
+    icon: customTheme.icon || theme.icon,
+    bgColor: getPalette(customTheme.palette).bgColor,
+    color: getPalette(customTheme.palette).color
+  };
+};
+
+export const getStoryType = (typeId) =>
+  storyTypes.find((type) => type.id === typeId);
+
+export const getLength = (lengthId) =>
+  lengths.find((length) => length.id === lengthId);
+
+// Age bands offered in the wizard. `maxAge` maps an exact age onto a band and
+// `readingGrade` is the Flesch-Kincaid grade range a story for that band
+// should land in.
+export const ageLevels = [
+  { label: '3-4 years', value: '3-4', maxAge: 4, readingGrade: { min: 0, max: 2 } },
+  { label: '5-7 years', value: '5-7', maxAge: 7, readingGrade: { min: 1, max: 4.5 } },
+  { label: '8-10 years', value: '8-10', maxAge: 10, readingGrade: { min: 3, max: 8 } },
+  { label: '11-12 years', value: '11-12', maxAge: 12, readingGrade: { min: 5, max: 11 } }
+];
+
+export const getAgeLevel = (value) => ageLevels.find((level) => level.value === value);
+
+export const getAgeLevelForAge = (age) =>
+  ageLevels.find((level) => age <= level.maxAge) || ageLevels[ageLevels.length - 1];
+
+export const pronounOptions = [
+  { id: 'she', label: 'She / her' },
+  { id: 'he', label: 'He / him' },
+  { id: 'they', label: 'They / them' }
+];
+
+// "Mia", "Mia and Leo", "Mia, Leo and Sam"
+export const joinNames = (names) => {
+  const cleaned = names.map((name) => name.trim()).filter(Boolean);
+  if (cleaned.length <= 1) return cleaned.join('');
+  return `${cleaned.slice(0, -1).join(', ')} and ${cleaned[cleaned.length - 1]}`;
+};
+
+// Languages a story can be written in. A story can also carry a translation
+// into one of the others, shown side by side in the reader.
+export const storyLanguages = ['en', 'es'];
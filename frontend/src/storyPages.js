@@ -0,0 +1,80 @@
+// Splits the plain-text `story_content` returned by the API into book pages.
+//
+// Paragraphs are separated by blank lines. A paragraph that looks like a
+// heading ("Chapter 2: The Secret Door") starts a new chapter and always
+// begins a new page. Paragraphs are packed onto a page until it reaches
+// `maxWordsPerPage`; a single paragraph longer than that is broken up at
+// sentence boundaries.
+//
+// Each page lists the indexes of the paragraphs that start on it, counted the
+// same way the backend counts them for illustrations.
+
+const CHAPTER_HEADING = /^(chapter|part)\s+[\w-]+\b[:.\-–]?\s*(.*)$/i;
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+export const splitParagraphs = (content) =>
+  content
+    .split(/\n\s*\n/)
+    .map((block) => block.split('\n').map((line) => line.trim()).join(' ').trim())
+    .filter(Boolean);
+
+const splitLongParagraph = (paragraph, maxWords) => {
+  if (countWords(paragraph) <= maxWords) return [paragraph];
+
+  const sentences = paragraph.match(/[^.!?]+[.!?]+["')\]]*|[^.!?]+$/g) || [paragraph];
+  const chunks = [];
+  let current = '';
+
+  sentences.forEach((sentence) => {
+    const candidate = current ? `${current} ${sentence.trim()}` : sentence.trim();
+    if (current && countWords(candidate) > maxWords) {
+      chunks.push(current);
+      current = sentence.trim();
+    } else {
+      current = candidate;
+    }
+  });
+
+  if (current) chunks.push(current);
+  return chunks;
+};
+
+export const paginateStory = (content, { maxWordsPerPage = 60 } = {}) => {
+  if (!content) return [];
+
+  const pages = [];
+  let chapter = null;
+  let page = null;
+
+  const startPage = () => {
+    page = { chapter, paragraphs: [], paragraphIndexes: [], words: 0 };
+    pages.push(page);
+  };
+
+  splitParagraphs(content).forEach((paragraph, paragraphIndex) => {
+    const heading = paragraph.match(CHAPTER_HEADING);
+    if (heading && countWords(paragraph) <= 10) {
+      chapter = paragraph;
+      page = null;
+      return;
+    }
+
+    splitLongParagraph(paragraph, maxWordsPerPage).forEach((chunk, chunkIndex) => {
+      const words = countWords(chunk);
+      if (!page || (page.words > 0 && page.words + words > maxWordsPerPage)) {
+        startPage();
+      }
+      if (chunkIndex === 0) page.paragraphIndexes.push(paragraphIndex);
+      page.paragraphs.push(chunk);
+      page.words += words;
+    });
+  });
+
+  return pages.map(({ chapter: pageChapter, paragraphs, paragraphIndexes }, index) => ({
+    number: index + 1,
+    chapter: pageChapter,
+    paragraphs,
+    paragraphIndexes,
+  }));
+};
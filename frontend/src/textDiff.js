@@ -0,0 +1,89 @@
+import { splitParagraphs } from "./storyPages";
+
+// Word-level comparison of two story texts for the version history. Both
+// sides come back as paragraphs of { word, changed } so each column can
+// render its own text with the words the other side lacks highlighted.
+
+// Past this many LCS cells (words x words) the texts are too different to be
+// worth comparing word by word, and every word is marked as changed.
+const MAX_DIFF_CELLS = 4000000;
+
+const PARAGRAPH_BREAK = '\n';
+
+const tokenize = (text) =>
+  splitParagraphs(text || '').flatMap((paragraph, index) => [
+    ...(index > 0 ? [PARAGRAPH_BREAK] : []),
+    ...paragraph.split(/\s+/).filter(Boolean)
+  ]);
+
+// Marks which tokens of `a` and `b` are not part of their longest common
+// subsequence.
+const markChanges = (a, b) => {
+  const changedA = a.map(() => true);
+  const changedB = b.map(() => true);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    changedA[start] = changedB[start] = false;
+    start += 1;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+    changedA[endA] = changedB[endB] = false;
+  }
+
+  const rows = endA - start;
+  const cols = endB - start;
+  if (rows === 0 || cols === 0 || (rows + 1) * (cols + 1) > MAX_DIFF_CELLS) {
+    return { changedA, changedB };
+  }
+
+  // lengths[i][j]: LCS length of a[start + i..endA) and b[start + j..endB).
+  const width = cols + 1;
+  const lengths = new Uint32Array((rows + 1) * width);
+  for (let i = rows - 1; i >= 0; i -= 1) {
+    for (let j = cols - 1; j >= 0; j -= 1) {
+      lengths[i * width + j] = a[start + i] === b[start + j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (a[start + i] === b[start + j]) {
+      changedA[start + i] = changedB[start + j] = false;
+      i += 1;
+      j += 1;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      i += 1;
+    } else {
+      j += 1;
+    }
+  }
+
+  return { changedA, changedB };
+};
+
+const toParagraphs = (tokens, changed) => {
+  const paragraphs = [[]];
+  tokens.forEach((word, index) => {
+    if (word === PARAGRAPH_BREAK) {
+      paragraphs.push([]);
+    } else {
+      paragraphs[paragraphs.length - 1].push({ word, changed: changed[index] });
+    }
+  });
+  return paragraphs.filter((paragraph) => paragraph.length > 0);
+};
+
+export const diffStoryTexts = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const { changedA, changedB } = markChanges(a, b);
+  return { before: toParagraphs(a, changedA), after: toParagraphs(b, changedB) };
+};
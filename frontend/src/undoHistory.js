@@ -0,0 +1,72 @@
+import { useCallback, useReducer } from "react";
+
+// Undo/redo history for an editor's state. Consecutive changes with the same
+// `mergeKey` (typing into one field) made within MERGE_WINDOW_MS of each
+// other collapse into a single undo step.
+
+const MAX_HISTORY = 100;
+const MERGE_WINDOW_MS = 1000;
+
+const createHistory = (value) => ({ past: [], present: value, future: [], lastKey: null, lastAt: 0 });
+
+const historyReducer = (history, action) => {
+  switch (action.type) {
+    case 'set': {
+      const next = typeof action.value === 'function' ? action.value(history.present) : action.value;
+      if (next === history.present) return history;
+      const merge = action.mergeKey && action.mergeKey === history.lastKey && action.at - history.lastAt < MERGE_WINDOW_MS;
+      return {
+        past: merge ? history.past : [...history.past, history.present].slice(-MAX_HISTORY),
+        present: next,
+        future: [],
+        lastKey: action.mergeKey || null,
+        lastAt: action.at
+      };
+    }
+    case 'undo': {
+      if (history.past.length === 0) return history;
+      return {
+        past: history.past.slice(0, -1),
+        present: history.past[history.past.length - 1],
+        future: [history.present, ...history.future],
+        lastKey: null,
+        lastAt: 0
+      };
+    }
+    case 'redo': {
+      if (history.future.length === 0) return history;
+      return {
+        past: [...history.past, history.present],
+        present: history.future[0],
+        future: history.future.slice(1),
+        lastKey: null,
+        lastAt: 0
+      };
+    }
+    case 'reset':
+      return createHistory(action.value);
+    default:
+      return history;
+  }
+};
+
+export const useUndoableState = (initialValue) => {
+  const [history, dispatch] = useReducer(historyReducer, initialValue, (value) =>
+    createHistory(typeof value === 'function' ? value() : value)
+  );
+
+  const set = useCallback((value, { mergeKey } = {}) => dispatch({ type: 'set', value, mergeKey, at: Date.now() }), []);
+  const undo = useCallback(() => dispatch({ type: 'undo' }), []);
+  const redo = useCallback(() => dispatch({ type: 'redo' }), []);
+  const reset = useCallback((value) => dispatch({ type: 'reset', value }), []);
+
+  return {
+    value: history.present,
+    set,
+    undo,
+    redo,
+    reset,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0
+  };
+};